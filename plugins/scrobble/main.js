@@ -0,0 +1,1060 @@
+/*
+THIS IS A GENERATED/BUNDLED FILE BY ESBUILD
+if you want to view the source, please visit the github repository of this plugin
+*/
+
+var __create = Object.create;
+var __defProp = Object.defineProperty;
+var __getOwnPropDesc = Object.getOwnPropertyDescriptor;
+var __getOwnPropNames = Object.getOwnPropertyNames;
+var __getProtoOf = Object.getPrototypeOf;
+var __hasOwnProp = Object.prototype.hasOwnProperty;
+var __export = (target, all) => {
+  for (var name in all)
+    __defProp(target, name, { get: all[name], enumerable: true });
+};
+var __copyProps = (to, from, except, desc) => {
+  if (from && typeof from === "object" || typeof from === "function") {
+    for (let key of __getOwnPropNames(from))
+      if (!__hasOwnProp.call(to, key) && key !== except)
+        __defProp(to, key, { get: () => from[key], enumerable: !(desc = __getOwnPropDesc(from, key)) || desc.enumerable });
+  }
+  return to;
+};
+var __toESM = (mod, isNodeMode, target) => (target = mod != null ? __create(__getProtoOf(mod)) : {}, __copyProps(
+  // If the importer is in node compatibility mode or this is not an ESM
+  // file that has been converted to a CommonJS file using a Babel-
+  // compatible transform (i.e. "__esModule" has not been set), then set
+  // "default" to the CommonJS "module.exports" for node compatibility.
+  isNodeMode || !mod || !mod.__esModule ? __defProp(target, "default", { value: mod, enumerable: true }) : target,
+  mod
+));
+var __toCommonJS = (mod) => __copyProps(__defProp({}, "__esModule", { value: true }), mod);
+
+// src/main.ts
+var main_exports = {};
+__export(main_exports, {
+  default: () => ScrobblePlugin
+});
+module.exports = __toCommonJS(main_exports);
+var import_obsidian4 = require("obsidian");
+
+// src/types.ts
+var SEEN_IDS_LIMIT = 1e3;
+var DEFAULT_SETTINGS = {
+  autoStart: true,
+  port: 8788,
+  secret: "",
+  allowedUsers: "",
+  queueFile: ".obsidian/scrobble-queue.jsonl",
+  folders: {
+    movies: "shows/movies",
+    series: "shows/series",
+    watched: "shows/watched"
+  },
+  sourceLinks: {
+    emby: "[[Emby]]",
+    jellyfin: "[[Jellyfin]]",
+    plex: "[[Plex]]"
+  },
+  recentLimit: 50
+};
+function generateSecret() {
+  const bytes = new Uint8Array(18);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+function formatScrobbleTitle(scrobble) {
+  var _a, _b;
+  if (scrobble.type === "episode") {
+    const code = `S${pad2((_a = scrobble.season) != null ? _a : 0)}E${pad2((_b = scrobble.episode) != null ? _b : 0)}`;
+    return `${scrobble.seriesName || "Unknown Series"} ${code}`;
+  }
+  return scrobble.year ? `${scrobble.title} (${scrobble.year})` : scrobble.title;
+}
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+function localISODate(d = /* @__PURE__ */ new Date()) {
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+}
+
+// src/parsers.ts
+var PLAYED_THRESHOLD = 0.9;
+function decodeBody({ contentType, body }) {
+  const type = contentType.toLowerCase();
+  if (type.includes("multipart/form-data")) {
+    const boundary = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+    if (!boundary) return null;
+    const fields = parseMultipart(body, boundary[1] || boundary[2]);
+    const json = fields.payload || fields.data;
+    return json ? safeJson(json) : fields;
+  }
+  if (type.includes("application/x-www-form-urlencoded")) {
+    const params = new URLSearchParams(body.toString("utf8"));
+    const fields = {};
+    params.forEach((value, key) => {
+      fields[key] = value;
+    });
+    const json = fields.payload || fields.data;
+    return json ? safeJson(json) : fields;
+  }
+  return safeJson(body.toString("utf8"));
+}
+function parseMultipart(body, boundary) {
+  const fields = {};
+  const raw = body.toString("latin1");
+  for (const part of raw.split(`--${boundary}`)) {
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (headerEnd === -1) continue;
+    const headers = part.substring(0, headerEnd);
+    const name = headers.match(/name="([^"]*)"/i);
+    if (!name || /filename="/i.test(headers)) continue;
+    const value = part.substring(headerEnd + 4).replace(/\r\n$/, "");
+    fields[name[1]] = Buffer.from(value, "latin1").toString("utf8");
+  }
+  return fields;
+}
+function detectSource(payload) {
+  if (typeof payload.event === "string" && payload.event.startsWith("media.")) return "plex";
+  if (payload.NotificationType) return "jellyfin";
+  if (payload.Event && payload.Item) return "emby";
+  return null;
+}
+function parsePayload(payload, receivedAt = /* @__PURE__ */ new Date()) {
+  const source = detectSource(payload);
+  switch (source) {
+    case "plex":
+      return parsePlex(payload, receivedAt);
+    case "emby":
+      return parseEmby(payload, receivedAt);
+    case "jellyfin":
+      return parseJellyfin(payload, receivedAt);
+    default:
+      return { ignored: "Unrecognised payload" };
+  }
+}
+function parsePlex(payload, receivedAt) {
+  var _a;
+  const meta = payload.Metadata || {};
+  const event = String(payload.event);
+  if (event === "media.stop") {
+    const duration = Number(meta.duration) || 0;
+    const offset = Number(meta.viewOffset) || 0;
+    if (!duration || offset / duration < PLAYED_THRESHOLD) return { ignored: `${event} before the end` };
+  } else if (event !== "media.scrobble") {
+    return { ignored: event };
+  }
+  if (meta.type !== "movie" && meta.type !== "episode") return { ignored: `${event} for ${meta.type || "unknown"}` };
+  const ids = {};
+  for (const guid of meta.Guid || []) {
+    const m = String(guid.id || "").match(/^(tmdb|imdb|tvdb):\/\/(.+)$/);
+    if (m) ids[m[1]] = m[2];
+  }
+  const seriesIds = {};
+  const legacy = String(meta.guid || "").match(/^com\.plexapp\.agents\.(thetvdb|themoviedb|imdb):\/\/([^/?]+)\//);
+  if (meta.type === "episode" && legacy) {
+    seriesIds[{ thetvdb: "tvdb", themoviedb: "tmdb", imdb: "imdb" }[legacy[1]]] = legacy[2];
+  }
+  const viewedAt = Number(meta.lastViewedAt) ? new Date(Number(meta.lastViewedAt) * 1e3) : receivedAt;
+  return {
+    scrobble: buildScrobble("plex", event, {
+      itemId: meta.ratingKey || meta.guid,
+      type: meta.type,
+      title: meta.title,
+      seriesName: meta.grandparentTitle,
+      season: meta.parentIndex,
+      episode: meta.index,
+      year: meta.year,
+      ids,
+      seriesIds,
+      user: (_a = payload.Account) == null ? void 0 : _a.title,
+      watchedAt: viewedAt,
+      receivedAt
+    })
+  };
+}
+function parseEmby(payload, receivedAt) {
+  var _a, _b;
+  const item = payload.Item || {};
+  const event = String(payload.Event);
+  if (event === "playback.stop") {
+    if (!((_a = payload.PlaybackInfo) == null ? void 0 : _a.PlayedToCompletion)) return { ignored: `${event} before the end` };
+  } else if (event !== "item.markplayed") {
+    return { ignored: event };
+  }
+  const type = String(item.Type || "").toLowerCase();
+  if (type !== "movie" && type !== "episode") return { ignored: `${event} for ${item.Type || "unknown"}` };
+  return {
+    scrobble: buildScrobble("emby", event, {
+      itemId: item.Id,
+      type,
+      title: item.Name,
+      seriesName: item.SeriesName,
+      season: item.ParentIndexNumber,
+      episode: item.IndexNumber,
+      year: item.ProductionYear,
+      ids: providerIds(item.ProviderIds),
+      user: (_b = payload.User) == null ? void 0 : _b.Name,
+      watchedAt: payload.Date ? new Date(payload.Date) : receivedAt,
+      receivedAt
+    })
+  };
+}
+function parseJellyfin(payload, receivedAt) {
+  var _a, _b;
+  const event = String(payload.NotificationType);
+  const truthy = (v) => v === true || String(v).toLowerCase() === "true";
+  if (event === "PlaybackStop") {
+    if (!truthy(payload.PlayedToCompletion)) return { ignored: `${event} before the end` };
+  } else if (event === "UserDataSaved") {
+    if (payload.SaveReason !== "TogglePlayed" || !truthy(payload.Played)) return { ignored: `${event} (${payload.SaveReason || "no reason"})` };
+  } else {
+    return { ignored: event };
+  }
+  const type = String(payload.ItemType || "").toLowerCase();
+  if (type !== "movie" && type !== "episode") return { ignored: `${event} for ${payload.ItemType || "unknown"}` };
+  const ids = {};
+  for (const [key, value] of Object.entries(payload)) {
+    if (key.startsWith("Provider_") && value) ids[key.substring(9)] = String(value);
+  }
+  return {
+    scrobble: buildScrobble("jellyfin", event, {
+      itemId: payload.ItemId,
+      type,
+      title: payload.Name,
+      seriesName: payload.SeriesName,
+      season: (_a = payload.SeasonNumber) != null ? _a : payload.SeasonNumber00,
+      episode: (_b = payload.EpisodeNumber) != null ? _b : payload.EpisodeNumber00,
+      year: payload.Year,
+      ids: providerIds(ids),
+      user: payload.NotificationUsername,
+      watchedAt: payload.UtcTimestamp ? new Date(payload.UtcTimestamp) : receivedAt,
+      receivedAt
+    })
+  };
+}
+function providerIds(raw) {
+  const ids = {};
+  for (const [key, value] of Object.entries(raw || {})) {
+    const k = key.toLowerCase();
+    if ((k === "tmdb" || k === "imdb" || k === "tvdb") && value) ids[k] = String(value);
+  }
+  return ids;
+}
+function buildScrobble(source, event, f) {
+  const watchedAt = isNaN(f.watchedAt.getTime()) ? f.receivedAt : f.watchedAt;
+  const date = localISODate(watchedAt);
+  const num = (v) => v === void 0 || v === null || v === "" || isNaN(Number(v)) ? void 0 : Number(v);
+  const type = f.type === "movie" ? "movie" : "episode";
+  const title = String(f.title || "").trim();
+  const seriesName = f.seriesName ? String(f.seriesName).trim() : void 0;
+  const season = type === "episode" ? num(f.season) : void 0;
+  const episode = type === "episode" ? num(f.episode) : void 0;
+  const itemKey = f.itemId ? String(f.itemId) : type === "movie" ? title : `${seriesName}-S${season}E${episode}`;
+  return {
+    id: `${source}-${itemKey}-${date}`.toLowerCase(),
+    source,
+    event,
+    type,
+    title,
+    seriesName,
+    season,
+    episode,
+    year: num(f.year),
+    ids: f.ids,
+    seriesIds: type === "episode" && f.seriesIds && Object.keys(f.seriesIds).length > 0 ? f.seriesIds : void 0,
+    user: f.user ? String(f.user) : void 0,
+    date,
+    receivedAt: f.receivedAt.toISOString()
+  };
+}
+function safeJson(text) {
+  try {
+    const parsed = JSON.parse(text);
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// src/server.ts
+var http = __toESM(require("http"));
+var import_crypto = require("crypto");
+var MAX_BODY_BYTES = 10 * 1024 * 1024;
+var ScrobbleServer = class {
+  constructor(options) {
+    this.server = null;
+    this.options = options;
+  }
+  get isRunning() {
+    return this.server !== null && this.server.listening;
+  }
+  get port() {
+    return this.options.port;
+  }
+  async start() {
+    if (this.server) return;
+    if (!this.options.secret) {
+      throw new Error("Set a shared secret before starting the scrobble server");
+    }
+    const server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((err) => {
+        console.error("Scrobble: request failed", err);
+        this.send(res, 500, { status: "error", message: err.message });
+      });
+    });
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(this.options.port, "127.0.0.1", () => {
+        server.off("error", reject);
+        resolve();
+      });
+    });
+    server.on("error", (err) => console.error("Scrobble: server error", err));
+    this.server = server;
+  }
+  async stop() {
+    const server = this.server;
+    this.server = null;
+    if (!server) return;
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+  async handleRequest(req, res) {
+    const url = new URL(req.url || "/", `http://127.0.0.1:${this.options.port}`);
+    if (url.pathname.replace(/\/+$/, "") !== "/scrobble") {
+      this.send(res, 404, { status: "error", message: "Not found" });
+      return;
+    }
+    if (req.method !== "POST") {
+      this.send(res, 405, { status: "error", message: "Use POST" });
+      return;
+    }
+    const header = req.headers["x-scrobble-token"];
+    const token = url.searchParams.get("token") || (Array.isArray(header) ? header[0] : header) || "";
+    if (!this.secretMatches(token)) {
+      this.send(res, 401, { status: "error", message: "Bad token" });
+      return;
+    }
+    const body = await this.readBody(req);
+    if (!body) {
+      this.send(res, 413, { status: "error", message: "Body too large" });
+      return;
+    }
+    const result = await this.options.onWebhook({
+      contentType: String(req.headers["content-type"] || ""),
+      body
+    });
+    this.send(res, result.status === "error" ? 400 : 200, result);
+  }
+  secretMatches(token) {
+    const expected = Buffer.from(this.options.secret);
+    const given = Buffer.from(token);
+    return given.length === expected.length && (0, import_crypto.timingSafeEqual)(given, expected);
+  }
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      let tooLarge = false;
+      req.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) tooLarge = true;
+        if (!tooLarge) chunks.push(chunk);
+      });
+      req.on("end", () => resolve(tooLarge ? null : Buffer.concat(chunks)));
+      req.on("error", reject);
+    });
+  }
+  send(res, code, body) {
+    if (res.headersSent) return;
+    res.writeHead(code, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+};
+
+// src/queue.ts
+var fileLocks = /* @__PURE__ */ new Map();
+var ScrobbleQueue = class {
+  constructor(adapter, path) {
+    this.adapter = adapter;
+    this.path = path;
+  }
+  append(scrobble) {
+    const line = JSON.stringify(scrobble) + "\n";
+    return this.exclusive(async () => {
+      if (await this.adapter.exists(this.path)) {
+        await this.adapter.append(this.path, line);
+      } else {
+        await this.adapter.write(this.path, line);
+      }
+    });
+  }
+  async read() {
+    if (!await this.adapter.exists(this.path)) return [];
+    const text = await this.adapter.read(this.path);
+    const scrobbles = [];
+    for (const line of text.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        scrobbles.push(JSON.parse(line));
+      } catch (e) {
+        console.warn("Scrobble: skipping unreadable queue line", line);
+      }
+    }
+    return scrobbles;
+  }
+  /**
+   * Drop the given scrobbles, keeping anything appended since they were read
+   */
+  remove(ids) {
+    return this.exclusive(async () => {
+      const remaining = (await this.read()).filter((s) => !ids.has(s.id));
+      await this.adapter.write(this.path, remaining.map((s) => JSON.stringify(s) + "\n").join(""));
+    });
+  }
+  /**
+   * Run after every earlier write to this file has settled
+   */
+  exclusive(fn) {
+    const run = (fileLocks.get(this.path) || Promise.resolve()).catch(() => void 0).then(fn);
+    fileLocks.set(this.path, run);
+    return run;
+  }
+};
+
+// src/watchLog.ts
+var import_obsidian = require("obsidian");
+var WatchLogWriter = class {
+  constructor(app, settings) {
+    this.app = app;
+    this.settings = settings;
+  }
+  /**
+   * Log one scrobble and mark the movie or episode watched
+   */
+  async log(scrobble) {
+    const source = this.settings.sourceLinks[scrobble.source] || "";
+    if (scrobble.type === "movie") {
+      const movieName = this.resolveMovieName(scrobble);
+      const result2 = await this.createWatchLogEntry({ type: "movie", date: scrobble.date, showName: movieName, source });
+      if (result2.created) await this.updateMovieWatched(movieName, scrobble.date);
+      return result2;
+    }
+    const seriesName = this.resolveSeriesName(scrobble);
+    const { season, episode, title } = this.resolveEpisode(seriesName, scrobble);
+    const result = await this.createWatchLogEntry({
+      type: "episode",
+      date: scrobble.date,
+      showName: seriesName,
+      season,
+      episode,
+      episodeTitle: title,
+      source
+    });
+    if (result.created) await this.updateEpisodeWatched(seriesName, season, episode, scrobble.date);
+    return result;
+  }
+  /**
+   * Existing movie note by provider IDs (tmdbId/imdbId/tvdbId), then by file name;
+   * otherwise the payload title
+   */
+  resolveMovieName(scrobble) {
+    const folder = this.settings.folders.movies;
+    const match = this.findNoteByProviderIds(folder, scrobble.ids, (f) => {
+      var _a;
+      return ((_a = f.parent) == null ? void 0 : _a.path) === folder;
+    });
+    if (match) return match.basename;
+    return safeFilename(scrobble.title);
+  }
+  /**
+   * Existing series note (series/Name/Name.md): by the show's provider IDs, then
+   * through the episode note holding the episode's TMDB ID, then by name or title;
+   * otherwise the payload name
+   */
+  resolveSeriesName(scrobble) {
+    var _a, _b, _c;
+    const seriesFolder = this.settings.folders.series;
+    const inSeriesFolder = (f) => {
+      var _a2, _b2;
+      return ((_b2 = (_a2 = f.parent) == null ? void 0 : _a2.parent) == null ? void 0 : _b2.path) === seriesFolder;
+    };
+    const isSeriesNote = (f) => {
+      var _a2;
+      return inSeriesFolder(f) && ((_a2 = f.parent) == null ? void 0 : _a2.name) === f.basename;
+    };
+    const bySeriesIds = this.findNoteByProviderIds(seriesFolder, scrobble.seriesIds || {}, isSeriesNote);
+    if (bySeriesIds) return bySeriesIds.basename;
+    if (scrobble.ids.tmdb) {
+      const episodeNote = this.findNoteByProviderIds(seriesFolder, { tmdb: scrobble.ids.tmdb }, (f) => inSeriesFolder(f) && !isSeriesNote(f));
+      if (episodeNote == null ? void 0 : episodeNote.parent) return episodeNote.parent.name;
+    }
+    const name = scrobble.seriesName || "Unknown Series";
+    const safeName = safeFilename(name);
+    if (this.app.vault.getAbstractFileByPath(`${this.settings.folders.series}/${safeName}/${safeName}.md`)) {
+      return safeName;
+    }
+    const wanted = name.toLowerCase();
+    for (const file of this.app.vault.getMarkdownFiles()) {
+      if (!file.path.startsWith(this.settings.folders.series + "/") || ((_a = file.parent) == null ? void 0 : _a.name) !== file.basename) continue;
+      const title = (_c = (_b = this.app.metadataCache.getFileCache(file)) == null ? void 0 : _b.frontmatter) == null ? void 0 : _c.title;
+      if (typeof title === "string" && title.toLowerCase() === wanted) return file.basename;
+    }
+    return safeName;
+  }
+  /**
+   * Episode note by TMDB episode ID first (numbering can differ between
+   * servers and TMDB), otherwise the payload's season/episode
+   */
+  resolveEpisode(seriesName, scrobble) {
+    var _a, _b, _c;
+    const folder = `${this.settings.folders.series}/${safeFilename(seriesName)}`;
+    if (scrobble.ids.tmdb) {
+      const match = this.findNoteByProviderIds(folder, { tmdb: scrobble.ids.tmdb }, (f) => {
+        var _a2, _b2;
+        return ((_a2 = f.parent) == null ? void 0 : _a2.path) === folder && f.basename !== ((_b2 = f.parent) == null ? void 0 : _b2.name);
+      });
+      const fm = match && ((_a = this.app.metadataCache.getFileCache(match)) == null ? void 0 : _a.frontmatter);
+      if (fm && fm.season !== void 0 && fm.episode !== void 0) {
+        return { season: Number(fm.season), episode: Number(fm.episode), title: fm.title || scrobble.title };
+      }
+    }
+    return { season: (_b = scrobble.season) != null ? _b : 1, episode: (_c = scrobble.episode) != null ? _c : 1, title: scrobble.title };
+  }
+  /**
+   * Note whose tmdbId, imdbId or tvdbId frontmatter matches one of the IDs
+   */
+  findNoteByProviderIds(folder, ids, accept) {
+    var _a;
+    const wanted = [["tmdbId", ids.tmdb], ["imdbId", ids.imdb], ["tvdbId", ids.tvdb]];
+    if (!wanted.some(([, id]) => id)) return null;
+    for (const file of this.app.vault.getMarkdownFiles()) {
+      if (!file.path.startsWith(folder + "/") || !accept(file)) continue;
+      const fm = (_a = this.app.metadataCache.getFileCache(file)) == null ? void 0 : _a.frontmatter;
+      if (fm && wanted.some(([key, id]) => id && fm[key] && String(fm[key]) === String(id))) return file;
+    }
+    return null;
+  }
+  findEpisodeFile(seriesName, seasonNum, episodeNum) {
+    const folderPath = `${this.settings.folders.series}/${safeFilename(seriesName)}`;
+    const episodePrefix = `S${pad2(seasonNum)}E${pad2(episodeNum)}`;
+    return this.app.vault.getFiles().find(
+      (f) => f.path.startsWith(folderPath + "/") && f.basename.startsWith(episodePrefix)
+    ) || null;
+  }
+  async createWatchLogEntry(data) {
+    var _a, _b, _c, _d, _e, _f;
+    const watched = this.settings.folders.watched;
+    await this.ensureFolder(watched);
+    const suffix = data.type === "movie" ? safeFilename(data.showName) : `${safeFilename(data.showName)}-S${pad2((_a = data.season) != null ? _a : 0)}E${pad2((_b = data.episode) != null ? _b : 0)}`;
+    const basePattern = new RegExp(`${data.date}-\\d+-${escapeRegExp(suffix)}\\.md$`);
+    const existing = this.app.vault.getFiles().find(
+      (f) => f.path.startsWith(watched + "/") && basePattern.test(f.path)
+    );
+    if (existing) {
+      return { path: existing.path, created: false };
+    }
+    let index = 1;
+    let notePath;
+    do {
+      notePath = (0, import_obsidian.normalizePath)(`${watched}/${data.date}-${index}-${suffix}.md`);
+      index++;
+    } while (await this.app.vault.adapter.exists(notePath));
+    let content;
+    if (data.type === "movie") {
+      content = `---
+categories:
+  - "[[Watched]]"
+date: ${quoteYamlString(data.date)}
+created: ${quoteYamlString(localISODate())}
+type: "movie"
+movie: "[[${safeFilename(data.showName)}]]"
+show: "[[${safeFilename(data.showName)}]]"
+source: "${data.source}"
+rating:
+---
+`;
+    } else {
+      const safeShowName = safeFilename(data.showName);
+      const seriesLink = `[[${safeShowName}/${safeShowName}|${sanitizeForWikilink(data.showName)}]]`;
+      const episodeFile = this.findEpisodeFile(data.showName, (_c = data.season) != null ? _c : 0, (_d = data.episode) != null ? _d : 0);
+      const episodeLink = episodeFile ? `[[${episodeFile.path.replace(/\.md$/, "")}]]` : `[[${safeShowName}/S${pad2((_e = data.season) != null ? _e : 0)}E${pad2((_f = data.episode) != null ? _f : 0)}]]`;
+      content = `---
+categories:
+  - "[[Watched]]"
+date: ${quoteYamlString(data.date)}
+created: ${quoteYamlString(localISODate())}
+type: "episode"
+show: "${seriesLink}"
+episode: "${episodeLink}"
+season: ${data.season}
+episodeNum: ${data.episode}
+episodeTitle: ${quoteYamlString(data.episodeTitle || "")}
+source: "${data.source}"
+rating:
+---
+`;
+    }
+    await this.app.vault.create(notePath, content);
+    return { path: notePath, created: true };
+  }
+  async updateMovieWatched(movieName, watchDate) {
+    const file = this.app.vault.getAbstractFileByPath(`${this.settings.folders.movies}/${safeFilename(movieName)}.md`);
+    if (!(file instanceof import_obsidian.TFile)) return;
+    await this.app.fileManager.processFrontMatter(file, (fm) => {
+      fm.watched = true;
+      fm.watchCount = (fm.watchCount || 0) + 1;
+      if (!fm.firstWatched || watchDate < fm.firstWatched) fm.firstWatched = watchDate;
+      if (!fm.lastWatched || watchDate > fm.lastWatched) fm.lastWatched = watchDate;
+    });
+  }
+  async updateEpisodeWatched(seriesName, seasonNum, episodeNum, watchDate) {
+    const file = this.findEpisodeFile(seriesName, seasonNum, episodeNum);
+    if (!file) return;
+    await this.app.fileManager.processFrontMatter(file, (fm) => {
+      fm.watched = true;
+      fm.watchCount = (fm.watchCount || 0) + 1;
+      if (!fm.firstWatched || watchDate < fm.firstWatched) fm.firstWatched = watchDate;
+      if (!fm.lastWatched || watchDate > fm.lastWatched) fm.lastWatched = watchDate;
+    });
+    const safeName = safeFilename(seriesName);
+    const seriesFile = this.app.vault.getAbstractFileByPath(`${this.settings.folders.series}/${safeName}/${safeName}.md`);
+    if (!(seriesFile instanceof import_obsidian.TFile)) return;
+    await this.app.fileManager.processFrontMatter(seriesFile, (fm) => {
+      if (!fm.lastWatched || watchDate > fm.lastWatched) fm.lastWatched = watchDate;
+      if (!fm.firstWatched || watchDate < fm.firstWatched) fm.firstWatched = watchDate;
+    });
+  }
+  async ensureFolder(path) {
+    if (!await this.app.vault.adapter.exists(path)) {
+      await this.app.vault.createFolder(path);
+    }
+  }
+};
+function safeFilename(s, maxLength = 100) {
+  let result = String(s != null ? s : "").replace(/[\/\\:*?"<>|]/g, " ").replace(/\s+/g, " ").trim();
+  if (result.length > maxLength) {
+    result = result.substring(0, maxLength).trim();
+  }
+  result = result.replace(/^[\s.\-]+/, "");
+  return result || "Unknown";
+}
+function sanitizeForWikilink(name) {
+  return String(name != null ? name : "").replace(/[\[\]|#^]/g, "").replace(/\s+/g, " ").trim();
+}
+function quoteYamlString(s) {
+  const escaped = String(s != null ? s : "").replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n").replace(/\r/g, "\\r").replace(/\t/g, "\\t");
+  return `"${escaped}"`;
+}
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// src/settings.ts
+var import_obsidian2 = require("obsidian");
+var SOURCE_NAMES = {
+  emby: "Emby",
+  jellyfin: "Jellyfin",
+  plex: "Plex"
+};
+var ScrobbleSettingTab = class extends import_obsidian2.PluginSettingTab {
+  constructor(app, plugin) {
+    super(app, plugin);
+    this.plugin = plugin;
+  }
+  display() {
+    const { containerEl } = this;
+    containerEl.empty();
+    containerEl.createEl("h2", { text: "Scrobble Receiver Settings" });
+    new import_obsidian2.Setting(containerEl).setName("Webhook URL").setDesc(this.plugin.webhookUrl()).addButton((button) => button.setButtonText("Copy").onClick(async () => {
+      await navigator.clipboard.writeText(this.plugin.webhookUrl());
+      new import_obsidian2.Notice("Webhook URL copied");
+    }));
+    this.addListenerSettings(containerEl);
+    containerEl.createEl("h3", { text: "Watch Logs" });
+    containerEl.createEl("p", {
+      text: "Use the same folders as shows.js so scrobbles and imports share one watch history.",
+      cls: "setting-item-description"
+    });
+    this.addFolderSetting(containerEl, "Watched folder", "Where watch log notes are created", "watched");
+    this.addFolderSetting(containerEl, "Series folder", "Series notes (Name/Name.md) and their episodes", "series");
+    this.addFolderSetting(containerEl, "Movies folder", "Movie notes", "movies");
+    for (const source of Object.keys(SOURCE_NAMES)) {
+      new import_obsidian2.Setting(containerEl).setName(`${SOURCE_NAMES[source]} source link`).setDesc("Written to the source field of the watch log").addText((text) => text.setValue(this.plugin.settings.sourceLinks[source]).onChange(async (value) => {
+        this.plugin.settings.sourceLinks[source] = value.trim();
+        await this.plugin.saveSettings();
+      }));
+    }
+    new import_obsidian2.Setting(containerEl).setName("Queue file").setDesc("Incoming scrobbles are appended here until their watch log is written").addText((text) => text.setValue(this.plugin.settings.queueFile).onChange(async (value) => {
+      this.plugin.settings.queueFile = value.trim() || ".obsidian/scrobble-queue.jsonl";
+      await this.plugin.saveSettings();
+    }));
+    new import_obsidian2.Setting(containerEl).setName("Recent scrobbles shown").setDesc("How many scrobbles the status panel keeps").addText((text) => text.setValue(String(this.plugin.settings.recentLimit)).onChange(async (value) => {
+      const limit = parseInt(value, 10);
+      if (!isNaN(limit) && limit > 0) {
+        this.plugin.settings.recentLimit = limit;
+        await this.plugin.saveSettings();
+      }
+    }));
+  }
+  addListenerSettings(containerEl) {
+    new import_obsidian2.Setting(containerEl).setName("Start listener automatically").setDesc("Listen for webhooks whenever Obsidian is open").addToggle((toggle) => toggle.setValue(this.plugin.settings.autoStart).onChange(async (value) => {
+      this.plugin.settings.autoStart = value;
+      await this.plugin.saveSettings();
+    }));
+    new import_obsidian2.Setting(containerEl).setName("Port").setDesc("Local port to listen on (127.0.0.1 only)").addText((text) => text.setValue(String(this.plugin.settings.port)).onChange(async (value) => {
+      const port = parseInt(value, 10);
+      if (!isNaN(port) && port > 0 && port < 65536) {
+        this.plugin.settings.port = port;
+        await this.plugin.saveSettings();
+      }
+    })).addExtraButton((button) => button.setIcon("refresh-cw").setTooltip("Restart listener").onClick(async () => {
+      await this.plugin.restartServer();
+      this.display();
+    }));
+    new import_obsidian2.Setting(containerEl).setName("Shared secret").setDesc("Webhooks must send this as ?token= or an X-Scrobble-Token header").addText((text) => text.setValue(this.plugin.settings.secret).onChange(async (value) => {
+      this.plugin.settings.secret = value.trim();
+      await this.plugin.saveSettings();
+    })).addExtraButton((button) => button.setIcon("dice").setTooltip("Generate new secret").onClick(async () => {
+      this.plugin.settings.secret = generateSecret();
+      await this.plugin.saveSettings();
+      await this.plugin.restartServer();
+      this.display();
+    }));
+    new import_obsidian2.Setting(containerEl).setName("Allowed users").setDesc("Comma-separated server user names to log; leave empty to log everyone").addText((text) => text.setPlaceholder("alice, bob").setValue(this.plugin.settings.allowedUsers).onChange(async (value) => {
+      this.plugin.settings.allowedUsers = value;
+      await this.plugin.saveSettings();
+    }));
+  }
+  addFolderSetting(containerEl, name, desc, key) {
+    new import_obsidian2.Setting(containerEl).setName(name).setDesc(desc).addText((text) => text.setValue(this.plugin.settings.folders[key]).onChange(async (value) => {
+      this.plugin.settings.folders[key] = value.trim().replace(/\/+$/, "");
+      await this.plugin.saveSettings();
+    }));
+  }
+};
+
+// src/ScrobbleStatusView.ts
+var import_obsidian3 = require("obsidian");
+var VIEW_TYPE_SCROBBLES = "scrobble-status-view";
+var STATUS_LABELS = {
+  queued: "Queued",
+  logged: "Logged",
+  duplicate: "Duplicate",
+  error: "Error"
+};
+var ScrobbleStatusView = class extends import_obsidian3.ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.plugin = plugin;
+  }
+  getViewType() {
+    return VIEW_TYPE_SCROBBLES;
+  }
+  getDisplayText() {
+    return "Scrobbles";
+  }
+  getIcon() {
+    return "radio-tower";
+  }
+  async onOpen() {
+    this.contentEl.addClass("scrobble-view-container");
+    await this.render();
+  }
+  async onClose() {
+    this.contentEl.empty();
+  }
+  async render() {
+    const pending = await this.plugin.pendingCount();
+    const container = this.contentEl;
+    container.empty();
+    const status = container.createDiv("scrobble-status");
+    const listening = this.plugin.isListening;
+    status.createDiv({
+      cls: `scrobble-status-indicator ${listening ? "is-listening" : "is-stopped"}`,
+      text: listening ? `Listening on 127.0.0.1:${this.plugin.settings.port}` : "Listener stopped"
+    });
+    if (this.plugin.lastError) {
+      status.createDiv({ cls: "scrobble-status-error", text: this.plugin.lastError });
+    }
+    const actions = status.createDiv("scrobble-actions");
+    const toggle = actions.createEl("button", { text: listening ? "Stop" : "Start" });
+    toggle.addEventListener("click", () => {
+      if (listening) {
+        this.plugin.stopServer();
+      } else {
+        this.plugin.startServer();
+      }
+    });
+    const processBtn = actions.createEl("button", { text: `Process queue (${pending})` });
+    processBtn.disabled = pending === 0;
+    processBtn.addEventListener("click", () => this.plugin.processQueue());
+    const clearBtn = actions.createEl("button", { text: "Clear list" });
+    clearBtn.disabled = this.plugin.recent.length === 0;
+    clearBtn.addEventListener("click", () => this.plugin.clearRecent());
+    container.createEl("h4", { text: "Recent scrobbles" });
+    if (this.plugin.recent.length === 0) {
+      container.createDiv({ cls: "scrobble-empty", text: "No scrobbles yet" });
+      return;
+    }
+    const list = container.createDiv("scrobble-list");
+    for (const scrobble of this.plugin.recent) {
+      this.renderScrobble(list, scrobble);
+    }
+  }
+  renderScrobble(list, scrobble) {
+    const item = list.createDiv(`scrobble-item scrobble-${scrobble.status}`);
+    const header = item.createDiv("scrobble-item-header");
+    header.createSpan({ cls: `scrobble-source scrobble-source-${scrobble.source}`, text: scrobble.source });
+    header.createSpan({ cls: "scrobble-item-status", text: STATUS_LABELS[scrobble.status] });
+    const title = item.createDiv({ cls: "scrobble-item-title", text: formatScrobbleTitle(scrobble) });
+    if (scrobble.path) {
+      title.addClass("is-clickable");
+      title.addEventListener("click", () => {
+        this.app.workspace.openLinkText(scrobble.path, "", false);
+      });
+    }
+    const meta = [
+      scrobble.type === "episode" ? scrobble.title : "",
+      scrobble.user || "",
+      new Date(scrobble.receivedAt).toLocaleString()
+    ].filter(Boolean).join(" \xB7 ");
+    item.createDiv({ cls: "scrobble-item-meta", text: meta });
+    if (scrobble.message) {
+      item.createDiv({ cls: "scrobble-item-message", text: scrobble.message });
+    }
+  }
+};
+
+// src/main.ts
+var ScrobblePlugin = class extends import_obsidian4.Plugin {
+  constructor() {
+    super(...arguments);
+    this.recent = [];
+    this.server = null;
+    this.lastError = "";
+    this.seenIds = [];
+    this.processing = Promise.resolve();
+  }
+  async onload() {
+    console.log("Loading Scrobble Receiver Plugin");
+    await this.loadSettings();
+    this.registerView(VIEW_TYPE_SCROBBLES, (leaf) => new ScrobbleStatusView(leaf, this));
+    this.addRibbonIcon("radio-tower", "Open scrobble status", () => {
+      this.activateView();
+    });
+    this.addCommand({
+      id: "open-scrobble-status",
+      name: "Open scrobble status",
+      callback: () => this.activateView()
+    });
+    this.addCommand({
+      id: "start-scrobble-server",
+      name: "Start webhook listener",
+      callback: () => this.startServer()
+    });
+    this.addCommand({
+      id: "stop-scrobble-server",
+      name: "Stop webhook listener",
+      callback: () => this.stopServer()
+    });
+    this.addCommand({
+      id: "process-scrobble-queue",
+      name: "Process scrobble queue",
+      callback: () => this.processQueue()
+    });
+    this.addSettingTab(new ScrobbleSettingTab(this.app, this));
+    if (!import_obsidian4.Platform.isDesktopApp) {
+      this.lastError = "The webhook listener only runs on desktop";
+      return;
+    }
+    this.app.workspace.onLayoutReady(async () => {
+      await this.processQueue();
+      if (this.settings.autoStart) {
+        await this.startServer(false);
+      }
+    });
+  }
+  async onunload() {
+    var _a;
+    console.log("Unloading Scrobble Receiver Plugin");
+    await ((_a = this.server) == null ? void 0 : _a.stop());
+  }
+  async loadSettings() {
+    const data = await this.loadData() || {};
+    const saved = data.settings || {};
+    this.settings = Object.assign({}, DEFAULT_SETTINGS, saved, {
+      folders: Object.assign({}, DEFAULT_SETTINGS.folders, saved.folders),
+      sourceLinks: Object.assign({}, DEFAULT_SETTINGS.sourceLinks, saved.sourceLinks)
+    });
+    this.recent = data.recent || [];
+    this.seenIds = data.seenIds || [];
+    if (!this.settings.secret) {
+      this.settings.secret = generateSecret();
+      await this.saveData(this.pluginData());
+    }
+  }
+  async saveSettings() {
+    await this.saveData(this.pluginData());
+    this.refreshView();
+  }
+  pluginData() {
+    return { settings: this.settings, recent: this.recent, seenIds: this.seenIds };
+  }
+  /**
+   * URL to paste into the media server's webhook settings
+   */
+  webhookUrl() {
+    return `http://127.0.0.1:${this.settings.port}/scrobble?token=${this.settings.secret}`;
+  }
+  get isListening() {
+    var _a;
+    return !!((_a = this.server) == null ? void 0 : _a.isRunning);
+  }
+  async startServer(notify = true) {
+    if (!import_obsidian4.Platform.isDesktopApp) {
+      new import_obsidian4.Notice("The scrobble listener only runs on desktop");
+      return;
+    }
+    if (this.isListening) return;
+    this.server = new ScrobbleServer({
+      port: this.settings.port,
+      secret: this.settings.secret,
+      onWebhook: (body) => this.handleWebhook(body)
+    });
+    try {
+      await this.server.start();
+      this.lastError = "";
+      if (notify) new import_obsidian4.Notice(`Scrobble listener on port ${this.settings.port}`);
+    } catch (err) {
+      this.server = null;
+      this.lastError = err.message;
+      console.error("Scrobble: could not start listener", err);
+      new import_obsidian4.Notice(`Scrobble listener failed to start: ${this.lastError}`);
+    }
+    this.refreshView();
+  }
+  async stopServer() {
+    var _a;
+    await ((_a = this.server) == null ? void 0 : _a.stop());
+    this.server = null;
+    this.refreshView();
+  }
+  async restartServer() {
+    if (!this.isListening) return;
+    await this.stopServer();
+    await this.startServer(false);
+  }
+  /**
+   * Webhook entry point: parse, filter, dedupe, queue, then log
+   */
+  async handleWebhook(body) {
+    const payload = decodeBody(body);
+    if (!payload) {
+      return { status: "error", message: "Unreadable payload" };
+    }
+    const result = parsePayload(payload);
+    if ("ignored" in result) {
+      return { status: "ignored", message: result.ignored };
+    }
+    const scrobble = result.scrobble;
+    if (!this.isAllowedUser(scrobble.user)) {
+      return { status: "ignored", message: `User ${scrobble.user || "unknown"} not allowed` };
+    }
+    if (this.seenIds.includes(scrobble.id)) {
+      this.addRecent(scrobble, "duplicate", { message: `Repeated ${scrobble.event}` });
+      await this.saveSettings();
+      return { status: "duplicate", message: formatScrobbleTitle(scrobble) };
+    }
+    await new ScrobbleQueue(this.app.vault.adapter, this.settings.queueFile).append(scrobble);
+    this.seenIds.push(scrobble.id);
+    if (this.seenIds.length > SEEN_IDS_LIMIT) {
+      this.seenIds = this.seenIds.slice(-SEEN_IDS_LIMIT);
+    }
+    this.addRecent(scrobble, "queued");
+    await this.saveSettings();
+    this.processQueue();
+    return { status: "queued", message: formatScrobbleTitle(scrobble) };
+  }
+  /**
+   * Log everything in the queue; runs are serialized so notes aren't written twice
+   */
+  processQueue() {
+    this.processing = this.processing.then(() => this.drainQueue()).catch((err) => {
+      console.error("Scrobble: queue processing failed", err);
+    });
+    return this.processing;
+  }
+  async drainQueue() {
+    const queue = new ScrobbleQueue(this.app.vault.adapter, this.settings.queueFile);
+    const pending = await queue.read();
+    if (pending.length === 0) return;
+    const writer = new WatchLogWriter(this.app, this.settings);
+    const done = /* @__PURE__ */ new Set();
+    for (const scrobble of pending) {
+      try {
+        const result = await writer.log(scrobble);
+        this.addRecent(scrobble, result.created ? "logged" : "duplicate", {
+          path: result.path,
+          message: result.created ? void 0 : "Already in watch log"
+        });
+        if (result.created) new import_obsidian4.Notice(`Scrobbled: ${formatScrobbleTitle(scrobble)}`);
+        done.add(scrobble.id);
+      } catch (err) {
+        console.error(`Scrobble: could not log ${scrobble.id}`, err);
+        this.addRecent(scrobble, "error", { message: err.message });
+      }
+    }
+    await queue.remove(done);
+    await this.saveSettings();
+  }
+  async pendingCount() {
+    return (await new ScrobbleQueue(this.app.vault.adapter, this.settings.queueFile).read()).length;
+  }
+  async clearRecent() {
+    this.recent = [];
+    await this.saveSettings();
+  }
+  isAllowedUser(user) {
+    const allowed = this.settings.allowedUsers.split(",").map((u) => u.trim().toLowerCase()).filter(Boolean);
+    return allowed.length === 0 || !!user && allowed.includes(user.toLowerCase());
+  }
+  /**
+   * Record or update a scrobble in the status panel (newest first)
+   */
+  addRecent(scrobble, status, extra = {}) {
+    const entry = { ...scrobble, status, ...extra };
+    const index = this.recent.findIndex((r) => r.id === scrobble.id && r.status === "queued");
+    if (index !== -1) {
+      this.recent[index] = entry;
+    } else {
+      this.recent.unshift(entry);
+    }
+    this.recent = this.recent.slice(0, this.settings.recentLimit);
+  }
+  async activateView() {
+    const { workspace } = this.app;
+    let leaf = null;
+    const leaves = workspace.getLeavesOfType(VIEW_TYPE_SCROBBLES);
+    if (leaves.length > 0) {
+      leaf = leaves[0];
+    } else {
+      leaf = workspace.getRightLeaf(false);
+      if (leaf) {
+        await leaf.setViewState({ type: VIEW_TYPE_SCROBBLES, active: true });
+      }
+    }
+    if (leaf) {
+      workspace.revealLeaf(leaf);
+    }
+  }
+  refreshView() {
+    for (const leaf of this.app.workspace.getLeavesOfType(VIEW_TYPE_SCROBBLES)) {
+      const view = leaf.view;
+      if (view instanceof ScrobbleStatusView) {
+        view.render();
+      }
+    }
+  }
+};
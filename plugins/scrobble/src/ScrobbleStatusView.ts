@@ -0,0 +1,121 @@
+import { ItemView, WorkspaceLeaf } from 'obsidian';
+import type ScrobblePlugin from './main';
+import { RecentScrobble, formatScrobbleTitle } from './types';
+
+export const VIEW_TYPE_SCROBBLES = 'scrobble-status-view';
+
+const STATUS_LABELS: Record<RecentScrobble['status'], string> = {
+  queued: 'Queued',
+  logged: 'Logged',
+  duplicate: 'Duplicate',
+  error: 'Error',
+};
+
+/**
+ * Sidebar panel: listener state, queue size and recent scrobbles
+ */
+export class ScrobbleStatusView extends ItemView {
+  plugin: ScrobblePlugin;
+
+  constructor(leaf: WorkspaceLeaf, plugin: ScrobblePlugin) {
+    super(leaf);
+    this.plugin = plugin;
+  }
+
+  getViewType(): string {
+    return VIEW_TYPE_SCROBBLES;
+  }
+
+  getDisplayText(): string {
+    return 'Scrobbles';
+  }
+
+  getIcon(): string {
+    return 'radio-tower';
+  }
+
+  async onOpen(): Promise<void> {
+    this.contentEl.addClass('scrobble-view-container');
+    await this.render();
+  }
+
+  async onClose(): Promise<void> {
+    this.contentEl.empty();
+  }
+
+  async render(): Promise<void> {
+    const pending = await this.plugin.pendingCount();
+    const container = this.contentEl;
+    container.empty();
+
+    // Listener state
+    const status = container.createDiv('scrobble-status');
+    const listening = this.plugin.isListening;
+    status.createDiv({
+      cls: `scrobble-status-indicator ${listening ? 'is-listening' : 'is-stopped'}`,
+      text: listening
+        ? `Listening on 127.0.0.1:${this.plugin.settings.port}`
+        : 'Listener stopped',
+    });
+    if (this.plugin.lastError) {
+      status.createDiv({ cls: 'scrobble-status-error', text: this.plugin.lastError });
+    }
+
+    const actions = status.createDiv('scrobble-actions');
+    const toggle = actions.createEl('button', { text: listening ? 'Stop' : 'Start' });
+    toggle.addEventListener('click', () => {
+      if (listening) {
+        this.plugin.stopServer();
+      } else {
+        this.plugin.startServer();
+      }
+    });
+
+    const processBtn = actions.createEl('button', { text: `Process queue (${pending})` });
+    processBtn.disabled = pending === 0;
+    processBtn.addEventListener('click', () => this.plugin.processQueue());
+
+    const clearBtn = actions.createEl('button', { text: 'Clear list' });
+    clearBtn.disabled = this.plugin.recent.length === 0;
+    clearBtn.addEventListener('click', () => this.plugin.clearRecent());
+
+    // Recent scrobbles
+    container.createEl('h4', { text: 'Recent scrobbles' });
+    if (this.plugin.recent.length === 0) {
+      container.createDiv({ cls: 'scrobble-empty', text: 'No scrobbles yet' });
+      return;
+    }
+
+    const list = container.createDiv('scrobble-list');
+    for (const scrobble of this.plugin.recent) {
+      this.renderScrobble(list, scrobble);
+    }
+  }
+
+  private renderScrobble(list: HTMLElement, scrobble: RecentScrobble): void {
+    const item = list.createDiv(`scrobble-item scrobble-${scrobble.status}`);
+
+    const header = item.createDiv('scrobble-item-header');
+    header.createSpan({ cls: `scrobble-source scrobble-source-${scrobble.source}`, text: scrobble.source });
+    header.createSpan({ cls: 'scrobble-item-status', text: STATUS_LABELS[scrobble.status] });
+
+    const title = item.createDiv({ cls: 'scrobble-item-title', text: formatScrobbleTitle(scrobble) });
+    if (scrobble.path) {
+      title.addClass('is-clickable');
+      title.addEventListener('click', () => {
+        this.app.workspace.openLinkText(scrobble.path as string, '', false);
+      });
+    }
+
+    const meta = [
+      scrobble.type === 'episode' ? scrobble.title : '',
+      scrobble.user || '',
+      new Date(scrobble.receivedAt).toLocaleString(),
+    ].filter(Boolean).join(' · ');
+    item.createDiv({ cls: 'scrobble-item-meta', text: meta });
+
+    if (scrobble.message) {
+      item.createDiv({ cls: 'scrobble-item-message', text: scrobble.message });
+    }
+  }
+}
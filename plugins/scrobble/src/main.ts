@@ -0,0 +1,295 @@
+import { Notice, Platform, Plugin, WorkspaceLeaf } from 'obsidian';
+import {
+  DEFAULT_SETTINGS,
+  RecentScrobble,
+  SEEN_IDS_LIMIT,
+  Scrobble,
+  ScrobblePluginData,
+  ScrobblePluginSettings,
+  ScrobbleStatus,
+  formatScrobbleTitle,
+  generateSecret,
+} from './types';
+import { WebhookBody, decodeBody, parsePayload } from './parsers';
+import { ScrobbleServer } from './server';
+import { ScrobbleQueue } from './queue';
+import { WatchLogWriter } from './watchLog';
+import { ScrobbleSettingTab } from './settings';
+import { ScrobbleStatusView, VIEW_TYPE_SCROBBLES } from './ScrobbleStatusView';
+
+export default class ScrobblePlugin extends Plugin {
+  settings: ScrobblePluginSettings;
+  recent: RecentScrobble[] = [];
+  server: ScrobbleServer | null = null;
+  lastError = '';
+  private seenIds: string[] = [];
+  private processing: Promise<void> = Promise.resolve();
+
+  async onload(): Promise<void> {
+    console.log('Loading Scrobble Receiver Plugin');
+
+    await this.loadSettings();
+
+    this.registerView(VIEW_TYPE_SCROBBLES, (leaf) => new ScrobbleStatusView(leaf, this));
+
+    this.addRibbonIcon('radio-tower', 'Open scrobble status', () => {
+      this.activateView();
+    });
+
+    this.addCommand({
+      id: 'open-scrobble-status',
+      name: 'Open scrobble status',
+      callback: () => this.activateView(),
+    });
+
+    this.addCommand({
+      id: 'start-scrobble-server',
+      name: 'Start webhook listener',
+      callback: () => this.startServer(),
+    });
+
+    this.addCommand({
+      id: 'stop-scrobble-server',
+      name: 'Stop webhook listener',
+      callback: () => this.stopServer(),
+    });
+
+    this.addCommand({
+      id: 'process-scrobble-queue',
+      name: 'Process scrobble queue',
+      callback: () => this.processQueue(),
+    });
+
+    this.addSettingTab(new ScrobbleSettingTab(this.app, this));
+
+    // Node's http module only exists in the desktop app
+    if (!Platform.isDesktopApp) {
+      this.lastError = 'The webhook listener only runs on desktop';
+      return;
+    }
+
+    this.app.workspace.onLayoutReady(async () => {
+      // Anything left from a previous session is logged first
+      await this.processQueue();
+      if (this.settings.autoStart) {
+        await this.startServer(false);
+      }
+    });
+  }
+
+  async onunload(): Promise<void> {
+    console.log('Unloading Scrobble Receiver Plugin');
+    await this.server?.stop();
+  }
+
+  async loadSettings(): Promise<void> {
+    const data: Partial<ScrobblePluginData> = (await this.loadData()) || {};
+    const saved: Partial<ScrobblePluginSettings> = data.settings || {};
+    this.settings = Object.assign({}, DEFAULT_SETTINGS, saved, {
+      folders: Object.assign({}, DEFAULT_SETTINGS.folders, saved.folders),
+      sourceLinks: Object.assign({}, DEFAULT_SETTINGS.sourceLinks, saved.sourceLinks),
+    });
+    this.recent = data.recent || [];
+    this.seenIds = data.seenIds || [];
+
+    if (!this.settings.secret) {
+      this.settings.secret = generateSecret();
+      await this.saveData(this.pluginData());
+    }
+  }
+
+  async saveSettings(): Promise<void> {
+    await this.saveData(this.pluginData());
+    this.refreshView();
+  }
+
+  private pluginData(): ScrobblePluginData {
+    return { settings: this.settings, recent: this.recent, seenIds: this.seenIds };
+  }
+
+  /**
+   * URL to paste into the media server's webhook settings
+   */
+  webhookUrl(): string {
+    return `http://127.0.0.1:${this.settings.port}/scrobble?token=${this.settings.secret}`;
+  }
+
+  get isListening(): boolean {
+    return !!this.server?.isRunning;
+  }
+
+  async startServer(notify = true): Promise<void> {
+    if (!Platform.isDesktopApp) {
+      new Notice('The scrobble listener only runs on desktop');
+      return;
+    }
+    if (this.isListening) return;
+
+    this.server = new ScrobbleServer({
+      port: this.settings.port,
+      secret: this.settings.secret,
+      onWebhook: (body) => this.handleWebhook(body),
+    });
+
+    try {
+      await this.server.start();
+      this.lastError = '';
+      if (notify) new Notice(`Scrobble listener on port ${this.settings.port}`);
+    } catch (err) {
+      this.server = null;
+      this.lastError = (err as Error).message;
+      console.error('Scrobble: could not start listener', err);
+      new Notice(`Scrobble listener failed to start: ${this.lastError}`);
+    }
+    this.refreshView();
+  }
+
+  async stopServer(): Promise<void> {
+    await this.server?.stop();
+    this.server = null;
+    this.refreshView();
+  }
+
+  async restartServer(): Promise<void> {
+    if (!this.isListening) return;
+    await this.stopServer();
+    await this.startServer(false);
+  }
+
+  /**
+   * Webhook entry point: parse, filter, dedupe, queue, then log
+   */
+  async handleWebhook(body: WebhookBody): Promise<{ status: string; message?: string }> {
+    const payload = decodeBody(body);
+    if (!payload) {
+      return { status: 'error', message: 'Unreadable payload' };
+    }
+
+    const result = parsePayload(payload);
+    if ('ignored' in result) {
+      return { status: 'ignored', message: result.ignored };
+    }
+
+    const scrobble = result.scrobble;
+    if (!this.isAllowedUser(scrobble.user)) {
+      return { status: 'ignored', message: `User ${scrobble.user || 'unknown'} not allowed` };
+    }
+
+    // Servers repeat events (stop + played, retries); one play is logged once
+    if (this.seenIds.includes(scrobble.id)) {
+      this.addRecent(scrobble, 'duplicate', { message: `Repeated ${scrobble.event}` });
+      await this.saveSettings();
+      return { status: 'duplicate', message: formatScrobbleTitle(scrobble) };
+    }
+
+    // Only remember the play once it's safely queued, so a failed append can be retried
+    await new ScrobbleQueue(this.app.vault.adapter, this.settings.queueFile).append(scrobble);
+
+    this.seenIds.push(scrobble.id);
+    if (this.seenIds.length > SEEN_IDS_LIMIT) {
+      this.seenIds = this.seenIds.slice(-SEEN_IDS_LIMIT);
+    }
+    this.addRecent(scrobble, 'queued');
+    await this.saveSettings();
+
+    this.processQueue();
+    return { status: 'queued', message: formatScrobbleTitle(scrobble) };
+  }
+
+  /**
+   * Log everything in the queue; runs are serialized so notes aren't written twice
+   */
+  processQueue(): Promise<void> {
+    this.processing = this.processing.then(() => this.drainQueue()).catch((err) => {
+      console.error('Scrobble: queue processing failed', err);
+    });
+    return this.processing;
+  }
+
+  private async drainQueue(): Promise<void> {
+    const queue = new ScrobbleQueue(this.app.vault.adapter, this.settings.queueFile);
+    const pending = await queue.read();
+    if (pending.length === 0) return;
+
+    const writer = new WatchLogWriter(this.app, this.settings);
+    const done = new Set<string>();
+
+    for (const scrobble of pending) {
+      try {
+        const result = await writer.log(scrobble);
+        this.addRecent(scrobble, result.created ? 'logged' : 'duplicate', {
+          path: result.path,
+          message: result.created ? undefined : 'Already in watch log',
+        });
+        if (result.created) new Notice(`Scrobbled: ${formatScrobbleTitle(scrobble)}`);
+        done.add(scrobble.id);
+      } catch (err) {
+        console.error(`Scrobble: could not log ${scrobble.id}`, err);
+        this.addRecent(scrobble, 'error', { message: (err as Error).message });
+      }
+    }
+
+    await queue.remove(done);
+    await this.saveSettings();
+  }
+
+  async pendingCount(): Promise<number> {
+    return (await new ScrobbleQueue(this.app.vault.adapter, this.settings.queueFile).read()).length;
+  }
+
+  async clearRecent(): Promise<void> {
+    this.recent = [];
+    await this.saveSettings();
+  }
+
+  private isAllowedUser(user: string | undefined): boolean {
+    const allowed = this.settings.allowedUsers
+      .split(',')
+      .map(u => u.trim().toLowerCase())
+      .filter(Boolean);
+    return allowed.length === 0 || (!!user && allowed.includes(user.toLowerCase()));
+  }
+
+  /**
+   * Record or update a scrobble in the status panel (newest first)
+   */
+  private addRecent(scrobble: Scrobble, status: ScrobbleStatus, extra: { path?: string; message?: string } = {}): void {
+    const entry: RecentScrobble = { ...scrobble, status, ...extra };
+    const index = this.recent.findIndex(r => r.id === scrobble.id && r.status === 'queued');
+    if (index !== -1) {
+      this.recent[index] = entry;
+    } else {
+      this.recent.unshift(entry);
+    }
+    this.recent = this.recent.slice(0, this.settings.recentLimit);
+  }
+
+  async activateView(): Promise<void> {
+    const { workspace } = this.app;
+
+    let leaf: WorkspaceLeaf | null = null;
+    const leaves = workspace.getLeavesOfType(VIEW_TYPE_SCROBBLES);
+
+    if (leaves.length > 0) {
+      leaf = leaves[0];
+    } else {
+      leaf = workspace.getRightLeaf(false);
+      if (leaf) {
+        await leaf.setViewState({ type: VIEW_TYPE_SCROBBLES, active: true });
+      }
+    }
+
+    if (leaf) {
+      workspace.revealLeaf(leaf);
+    }
+  }
+
+  private refreshView(): void {
+    for (const leaf of this.app.workspace.getLeavesOfType(VIEW_TYPE_SCROBBLES)) {
+      const view = leaf.view;
+      if (view instanceof ScrobbleStatusView) {
+        view.render();
+      }
+    }
+  }
+}
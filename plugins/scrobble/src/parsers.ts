@@ -0,0 +1,288 @@
+import { ProviderIds, Scrobble, ScrobbleSource, localISODate } from './types';
+
+type Payload = Record<string, any>;
+
+/**
+ * Raw webhook request body plus its content type
+ */
+export interface WebhookBody {
+  contentType: string;
+  body: Buffer;
+}
+
+/**
+ * Result of parsing one webhook: a scrobble, or the reason it was ignored
+ */
+export type ParseResult =
+  | { scrobble: Scrobble }
+  | { ignored: string };
+
+/**
+ * Plex counts a play once 90% has been watched; use the same cut-off for stop events
+ */
+const PLAYED_THRESHOLD = 0.9;
+
+/**
+ * Decode a webhook body into a payload object.
+ * Plex always sends multipart/form-data with the JSON in a "payload" field;
+ * Emby's legacy format uses a "data" field; Jellyfin's Generic Form
+ * destination posts url-encoded fields.
+ */
+export function decodeBody({ contentType, body }: WebhookBody): Payload | null {
+  const type = contentType.toLowerCase();
+
+  if (type.includes('multipart/form-data')) {
+    const boundary = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+    if (!boundary) return null;
+    const fields = parseMultipart(body, boundary[1] || boundary[2]);
+    const json = fields.payload || fields.data;
+    return json ? safeJson(json) : fields;
+  }
+
+  if (type.includes('application/x-www-form-urlencoded')) {
+    const params = new URLSearchParams(body.toString('utf8'));
+    const fields: Payload = {};
+    params.forEach((value, key) => { fields[key] = value; });
+    const json = fields.payload || fields.data;
+    return json ? safeJson(json) : fields;
+  }
+
+  return safeJson(body.toString('utf8'));
+}
+
+/**
+ * Text fields of a multipart body (file parts such as Plex's thumbnail are dropped)
+ */
+export function parseMultipart(body: Buffer, boundary: string): Record<string, string> {
+  const fields: Record<string, string> = {};
+  // latin1 maps bytes 1:1, so splitting never corrupts the binary parts
+  const raw = body.toString('latin1');
+
+  for (const part of raw.split(`--${boundary}`)) {
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) continue;
+    const headers = part.substring(0, headerEnd);
+    const name = headers.match(/name="([^"]*)"/i);
+    if (!name || /filename="/i.test(headers)) continue;
+    const value = part.substring(headerEnd + 4).replace(/\r\n$/, '');
+    fields[name[1]] = Buffer.from(value, 'latin1').toString('utf8');
+  }
+
+  return fields;
+}
+
+/**
+ * Work out which server sent a payload from its shape
+ */
+export function detectSource(payload: Payload): ScrobbleSource | null {
+  if (typeof payload.event === 'string' && payload.event.startsWith('media.')) return 'plex';
+  if (payload.NotificationType) return 'jellyfin';
+  if (payload.Event && payload.Item) return 'emby';
+  return null;
+}
+
+/**
+ * Turn a decoded payload into a scrobble. Only finished plays count:
+ * Plex media.scrobble, Emby playback.stop at completion or item.markplayed,
+ * Jellyfin PlaybackStop at completion or a played toggle.
+ */
+export function parsePayload(payload: Payload, receivedAt: Date = new Date()): ParseResult {
+  const source = detectSource(payload);
+  switch (source) {
+    case 'plex':
+      return parsePlex(payload, receivedAt);
+    case 'emby':
+      return parseEmby(payload, receivedAt);
+    case 'jellyfin':
+      return parseJellyfin(payload, receivedAt);
+    default:
+      return { ignored: 'Unrecognised payload' };
+  }
+}
+
+function parsePlex(payload: Payload, receivedAt: Date): ParseResult {
+  const meta = payload.Metadata || {};
+  const event = String(payload.event);
+
+  if (event === 'media.stop') {
+    const duration = Number(meta.duration) || 0;
+    const offset = Number(meta.viewOffset) || 0;
+    if (!duration || offset / duration < PLAYED_THRESHOLD) return { ignored: `${event} before the end` };
+  } else if (event !== 'media.scrobble') {
+    return { ignored: event };
+  }
+
+  if (meta.type !== 'movie' && meta.type !== 'episode') return { ignored: `${event} for ${meta.type || 'unknown'}` };
+
+  const ids: ProviderIds = {};
+  for (const guid of meta.Guid || []) {
+    const m = String(guid.id || '').match(/^(tmdb|imdb|tvdb):\/\/(.+)$/);
+    if (m) ids[m[1] as keyof ProviderIds] = m[2];
+  }
+
+  // Legacy agents put the show's ID in the episode guid: com.plexapp.agents.thetvdb://81189/1/1
+  const seriesIds: ProviderIds = {};
+  const legacy = String(meta.guid || '').match(/^com\.plexapp\.agents\.(thetvdb|themoviedb|imdb):\/\/([^/?]+)\//);
+  if (meta.type === 'episode' && legacy) {
+    seriesIds[({ thetvdb: 'tvdb', themoviedb: 'tmdb', imdb: 'imdb' } as const)[legacy[1] as 'thetvdb' | 'themoviedb' | 'imdb']] = legacy[2];
+  }
+
+  const viewedAt = Number(meta.lastViewedAt) ? new Date(Number(meta.lastViewedAt) * 1000) : receivedAt;
+  return {
+    scrobble: buildScrobble('plex', event, {
+      itemId: meta.ratingKey || meta.guid,
+      type: meta.type,
+      title: meta.title,
+      seriesName: meta.grandparentTitle,
+      season: meta.parentIndex,
+      episode: meta.index,
+      year: meta.year,
+      ids,
+      seriesIds,
+      user: payload.Account?.title,
+      watchedAt: viewedAt,
+      receivedAt,
+    }),
+  };
+}
+
+function parseEmby(payload: Payload, receivedAt: Date): ParseResult {
+  const item = payload.Item || {};
+  const event = String(payload.Event);
+
+  if (event === 'playback.stop') {
+    if (!payload.PlaybackInfo?.PlayedToCompletion) return { ignored: `${event} before the end` };
+  } else if (event !== 'item.markplayed') {
+    return { ignored: event };
+  }
+
+  const type = String(item.Type || '').toLowerCase();
+  if (type !== 'movie' && type !== 'episode') return { ignored: `${event} for ${item.Type || 'unknown'}` };
+
+  return {
+    scrobble: buildScrobble('emby', event, {
+      itemId: item.Id,
+      type,
+      title: item.Name,
+      seriesName: item.SeriesName,
+      season: item.ParentIndexNumber,
+      episode: item.IndexNumber,
+      year: item.ProductionYear,
+      ids: providerIds(item.ProviderIds),
+      user: payload.User?.Name,
+      watchedAt: payload.Date ? new Date(payload.Date) : receivedAt,
+      receivedAt,
+    }),
+  };
+}
+
+/**
+ * Jellyfin's webhook plugin sends whatever its template produces; with
+ * "Send All Properties" enabled the keys are flat (ItemType, SeriesName,
+ * Provider_tmdb, ...) and booleans may arrive as strings.
+ */
+function parseJellyfin(payload: Payload, receivedAt: Date): ParseResult {
+  const event = String(payload.NotificationType);
+  const truthy = (v: unknown) => v === true || String(v).toLowerCase() === 'true';
+
+  if (event === 'PlaybackStop') {
+    if (!truthy(payload.PlayedToCompletion)) return { ignored: `${event} before the end` };
+  } else if (event === 'UserDataSaved') {
+    if (payload.SaveReason !== 'TogglePlayed' || !truthy(payload.Played)) return { ignored: `${event} (${payload.SaveReason || 'no reason'})` };
+  } else {
+    return { ignored: event };
+  }
+
+  const type = String(payload.ItemType || '').toLowerCase();
+  if (type !== 'movie' && type !== 'episode') return { ignored: `${event} for ${payload.ItemType || 'unknown'}` };
+
+  const ids: Record<string, string> = {};
+  for (const [key, value] of Object.entries(payload)) {
+    if (key.startsWith('Provider_') && value) ids[key.substring(9)] = String(value);
+  }
+
+  return {
+    scrobble: buildScrobble('jellyfin', event, {
+      itemId: payload.ItemId,
+      type,
+      title: payload.Name,
+      seriesName: payload.SeriesName,
+      season: payload.SeasonNumber ?? payload.SeasonNumber00,
+      episode: payload.EpisodeNumber ?? payload.EpisodeNumber00,
+      year: payload.Year,
+      ids: providerIds(ids),
+      user: payload.NotificationUsername,
+      watchedAt: payload.UtcTimestamp ? new Date(payload.UtcTimestamp) : receivedAt,
+      receivedAt,
+    }),
+  };
+}
+
+/**
+ * Provider ID keys vary in case between servers (Tmdb, TMDb, tmdb)
+ */
+function providerIds(raw: Record<string, unknown> | undefined): ProviderIds {
+  const ids: ProviderIds = {};
+  for (const [key, value] of Object.entries(raw || {})) {
+    const k = key.toLowerCase();
+    if ((k === 'tmdb' || k === 'imdb' || k === 'tvdb') && value) ids[k] = String(value);
+  }
+  return ids;
+}
+
+interface ScrobbleFields {
+  itemId: unknown;
+  type: string;
+  title: unknown;
+  seriesName?: unknown;
+  season?: unknown;
+  episode?: unknown;
+  year?: unknown;
+  ids: ProviderIds;
+  seriesIds?: ProviderIds;
+  user?: unknown;
+  watchedAt: Date;
+  receivedAt: Date;
+}
+
+function buildScrobble(source: ScrobbleSource, event: string, f: ScrobbleFields): Scrobble {
+  const watchedAt = isNaN(f.watchedAt.getTime()) ? f.receivedAt : f.watchedAt;
+  const date = localISODate(watchedAt);
+  const num = (v: unknown) => (v === undefined || v === null || v === '' || isNaN(Number(v)) ? undefined : Number(v));
+  const type = f.type === 'movie' ? 'movie' : 'episode';
+  const title = String(f.title || '').trim();
+  const seriesName = f.seriesName ? String(f.seriesName).trim() : undefined;
+  const season = type === 'episode' ? num(f.season) : undefined;
+  const episode = type === 'episode' ? num(f.episode) : undefined;
+
+  // Stop and played events for the same play share a key, so only one is logged
+  const itemKey = f.itemId
+    ? String(f.itemId)
+    : type === 'movie' ? title : `${seriesName}-S${season}E${episode}`;
+
+  return {
+    id: `${source}-${itemKey}-${date}`.toLowerCase(),
+    source,
+    event,
+    type,
+    title,
+    seriesName,
+    season,
+    episode,
+    year: num(f.year),
+    ids: f.ids,
+    seriesIds: type === 'episode' && f.seriesIds && Object.keys(f.seriesIds).length > 0 ? f.seriesIds : undefined,
+    user: f.user ? String(f.user) : undefined,
+    date,
+    receivedAt: f.receivedAt.toISOString(),
+  };
+}
+
+function safeJson(text: string): Payload | null {
+  try {
+    const parsed = JSON.parse(text);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,68 @@
+import { DataAdapter } from 'obsidian';
+import { Scrobble } from './types';
+
+/**
+ * Pending writes per queue file; append and remove are chained on it so a
+ * webhook arriving mid-remove isn't overwritten
+ */
+const fileLocks = new Map<string, Promise<unknown>>();
+
+/**
+ * Append-only JSON Lines file of scrobbles waiting to be logged.
+ * Webhooks are written here first, so nothing is lost if logging fails or
+ * Obsidian closes mid-way; entries are removed once their watch log exists.
+ */
+export class ScrobbleQueue {
+  private adapter: DataAdapter;
+  private path: string;
+
+  constructor(adapter: DataAdapter, path: string) {
+    this.adapter = adapter;
+    this.path = path;
+  }
+
+  append(scrobble: Scrobble): Promise<void> {
+    const line = JSON.stringify(scrobble) + '\n';
+    return this.exclusive(async () => {
+      if (await this.adapter.exists(this.path)) {
+        await this.adapter.append(this.path, line);
+      } else {
+        await this.adapter.write(this.path, line);
+      }
+    });
+  }
+
+  async read(): Promise<Scrobble[]> {
+    if (!(await this.adapter.exists(this.path))) return [];
+    const text = await this.adapter.read(this.path);
+    const scrobbles: Scrobble[] = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        scrobbles.push(JSON.parse(line));
+      } catch {
+        console.warn('Scrobble: skipping unreadable queue line', line);
+      }
+    }
+    return scrobbles;
+  }
+
+  /**
+   * Drop the given scrobbles, keeping anything appended since they were read
+   */
+  remove(ids: Set<string>): Promise<void> {
+    return this.exclusive(async () => {
+      const remaining = (await this.read()).filter(s => !ids.has(s.id));
+      await this.adapter.write(this.path, remaining.map(s => JSON.stringify(s) + '\n').join(''));
+    });
+  }
+
+  /**
+   * Run after every earlier write to this file has settled
+   */
+  private exclusive<T>(fn: () => Promise<T>): Promise<T> {
+    const run = (fileLocks.get(this.path) || Promise.resolve()).catch(() => undefined).then(fn);
+    fileLocks.set(this.path, run);
+    return run;
+  }
+}
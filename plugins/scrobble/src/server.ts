@@ -0,0 +1,128 @@
+import * as http from 'http';
+import { timingSafeEqual } from 'crypto';
+import { WebhookBody } from './parsers';
+
+/**
+ * Largest body accepted; Plex attaches a poster thumbnail to its payloads
+ */
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+export interface ScrobbleServerOptions {
+  port: number;
+  secret: string;
+  onWebhook: (body: WebhookBody) => Promise<{ status: string; message?: string }>;
+}
+
+/**
+ * Localhost-only HTTP listener for media server webhooks.
+ * Requests must go to /scrobble and carry the shared secret, either as
+ * ?token=... (Plex and Emby cannot send custom headers) or X-Scrobble-Token.
+ */
+export class ScrobbleServer {
+  private server: http.Server | null = null;
+  private options: ScrobbleServerOptions;
+
+  constructor(options: ScrobbleServerOptions) {
+    this.options = options;
+  }
+
+  get isRunning(): boolean {
+    return this.server !== null && this.server.listening;
+  }
+
+  get port(): number {
+    return this.options.port;
+  }
+
+  async start(): Promise<void> {
+    if (this.server) return;
+    if (!this.options.secret) {
+      throw new Error('Set a shared secret before starting the scrobble server');
+    }
+
+    const server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((err) => {
+        console.error('Scrobble: request failed', err);
+        this.send(res, 500, { status: 'error', message: (err as Error).message });
+      });
+    });
+
+    await new Promise<void>((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.options.port, '127.0.0.1', () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+
+    server.on('error', (err) => console.error('Scrobble: server error', err));
+    this.server = server;
+  }
+
+  async stop(): Promise<void> {
+    const server = this.server;
+    this.server = null;
+    if (!server) return;
+    await new Promise<void>((resolve) => server.close(() => resolve()));
+  }
+
+  private async handleRequest(req: http.IncomingMessage, res: http.ServerResponse): Promise<void> {
+    const url = new URL(req.url || '/', `http://127.0.0.1:${this.options.port}`);
+
+    if (url.pathname.replace(/\/+$/, '') !== '/scrobble') {
+      this.send(res, 404, { status: 'error', message: 'Not found' });
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      this.send(res, 405, { status: 'error', message: 'Use POST' });
+      return;
+    }
+
+    const header = req.headers['x-scrobble-token'];
+    const token = url.searchParams.get('token') || (Array.isArray(header) ? header[0] : header) || '';
+    if (!this.secretMatches(token)) {
+      this.send(res, 401, { status: 'error', message: 'Bad token' });
+      return;
+    }
+
+    const body = await this.readBody(req);
+    if (!body) {
+      this.send(res, 413, { status: 'error', message: 'Body too large' });
+      return;
+    }
+
+    const result = await this.options.onWebhook({
+      contentType: String(req.headers['content-type'] || ''),
+      body,
+    });
+    this.send(res, result.status === 'error' ? 400 : 200, result);
+  }
+
+  private secretMatches(token: string): boolean {
+    const expected = Buffer.from(this.options.secret);
+    const given = Buffer.from(token);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  }
+
+  private readBody(req: http.IncomingMessage): Promise<Buffer | null> {
+    return new Promise((resolve, reject) => {
+      const chunks: Buffer[] = [];
+      let size = 0;
+      let tooLarge = false;
+      req.on('data', (chunk: Buffer) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) tooLarge = true;
+        if (!tooLarge) chunks.push(chunk);
+      });
+      req.on('end', () => resolve(tooLarge ? null : Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+  }
+
+  private send(res: http.ServerResponse, code: number, body: Record<string, unknown>): void {
+    if (res.headersSent) return;
+    res.writeHead(code, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
@@ -0,0 +1,157 @@
+import { App, Notice, PluginSettingTab, Setting } from 'obsidian';
+import type ScrobblePlugin from './main';
+import { ScrobbleSource, generateSecret } from './types';
+
+const SOURCE_NAMES: Record<ScrobbleSource, string> = {
+  emby: 'Emby',
+  jellyfin: 'Jellyfin',
+  plex: 'Plex',
+};
+
+export class ScrobbleSettingTab extends PluginSettingTab {
+  plugin: ScrobblePlugin;
+
+  constructor(app: App, plugin: ScrobblePlugin) {
+    super(app, plugin);
+    this.plugin = plugin;
+  }
+
+  display(): void {
+    const { containerEl } = this;
+    containerEl.empty();
+
+    containerEl.createEl('h2', { text: 'Scrobble Receiver Settings' });
+
+    // Webhook URL to paste into Emby/Jellyfin/Plex
+    new Setting(containerEl)
+      .setName('Webhook URL')
+      .setDesc(this.plugin.webhookUrl())
+      .addButton(button => button
+        .setButtonText('Copy')
+        .onClick(async () => {
+          await navigator.clipboard.writeText(this.plugin.webhookUrl());
+          new Notice('Webhook URL copied');
+        }));
+
+    this.addListenerSettings(containerEl);
+
+    // Output
+    containerEl.createEl('h3', { text: 'Watch Logs' });
+    containerEl.createEl('p', {
+      text: 'Use the same folders as shows.js so scrobbles and imports share one watch history.',
+      cls: 'setting-item-description'
+    });
+    this.addFolderSetting(containerEl, 'Watched folder', 'Where watch log notes are created', 'watched');
+    this.addFolderSetting(containerEl, 'Series folder', 'Series notes (Name/Name.md) and their episodes', 'series');
+    this.addFolderSetting(containerEl, 'Movies folder', 'Movie notes', 'movies');
+
+    for (const source of Object.keys(SOURCE_NAMES) as ScrobbleSource[]) {
+      new Setting(containerEl)
+        .setName(`${SOURCE_NAMES[source]} source link`)
+        .setDesc('Written to the source field of the watch log')
+        .addText(text => text
+          .setValue(this.plugin.settings.sourceLinks[source])
+          .onChange(async (value) => {
+            this.plugin.settings.sourceLinks[source] = value.trim();
+            await this.plugin.saveSettings();
+          }));
+    }
+
+    new Setting(containerEl)
+      .setName('Queue file')
+      .setDesc('Incoming scrobbles are appended here until their watch log is written')
+      .addText(text => text
+        .setValue(this.plugin.settings.queueFile)
+        .onChange(async (value) => {
+          this.plugin.settings.queueFile = value.trim() || '.obsidian/scrobble-queue.jsonl';
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Recent scrobbles shown')
+      .setDesc('How many scrobbles the status panel keeps')
+      .addText(text => text
+        .setValue(String(this.plugin.settings.recentLimit))
+        .onChange(async (value) => {
+          const limit = parseInt(value, 10);
+          if (!isNaN(limit) && limit > 0) {
+            this.plugin.settings.recentLimit = limit;
+            await this.plugin.saveSettings();
+          }
+        }));
+  }
+
+  private addListenerSettings(containerEl: HTMLElement): void {
+    new Setting(containerEl)
+      .setName('Start listener automatically')
+      .setDesc('Listen for webhooks whenever Obsidian is open')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.autoStart)
+        .onChange(async (value) => {
+          this.plugin.settings.autoStart = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Port')
+      .setDesc('Local port to listen on (127.0.0.1 only)')
+      .addText(text => text
+        .setValue(String(this.plugin.settings.port))
+        .onChange(async (value) => {
+          const port = parseInt(value, 10);
+          if (!isNaN(port) && port > 0 && port < 65536) {
+            this.plugin.settings.port = port;
+            await this.plugin.saveSettings();
+          }
+        }))
+      .addExtraButton(button => button
+        .setIcon('refresh-cw')
+        .setTooltip('Restart listener')
+        .onClick(async () => {
+          await this.plugin.restartServer();
+          this.display();
+        }));
+
+    new Setting(containerEl)
+      .setName('Shared secret')
+      .setDesc('Webhooks must send this as ?token= or an X-Scrobble-Token header')
+      .addText(text => text
+        .setValue(this.plugin.settings.secret)
+        .onChange(async (value) => {
+          this.plugin.settings.secret = value.trim();
+          await this.plugin.saveSettings();
+        }))
+      .addExtraButton(button => button
+        .setIcon('dice')
+        .setTooltip('Generate new secret')
+        .onClick(async () => {
+          this.plugin.settings.secret = generateSecret();
+          await this.plugin.saveSettings();
+          await this.plugin.restartServer();
+          this.display();
+        }));
+
+    new Setting(containerEl)
+      .setName('Allowed users')
+      .setDesc('Comma-separated server user names to log; leave empty to log everyone')
+      .addText(text => text
+        .setPlaceholder('alice, bob')
+        .setValue(this.plugin.settings.allowedUsers)
+        .onChange(async (value) => {
+          this.plugin.settings.allowedUsers = value;
+          await this.plugin.saveSettings();
+        }));
+  }
+
+  private addFolderSetting(containerEl: HTMLElement, name: string, desc: string, key: 'movies' | 'series' | 'watched'): void {
+    new Setting(containerEl)
+      .setName(name)
+      .setDesc(desc)
+      .addText(text => text
+        .setValue(this.plugin.settings.folders[key])
+        .onChange(async (value) => {
+          this.plugin.settings.folders[key] = value.trim().replace(/\/+$/, '');
+          await this.plugin.saveSettings();
+        }));
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Media servers that can send webhooks
+ */
+export type ScrobbleSource = 'emby' | 'jellyfin' | 'plex';
+
+/**
+ * External IDs carried by the payload (TMDB, IMDb, TVDB)
+ */
+export interface ProviderIds {
+  tmdb?: string;
+  imdb?: string;
+  tvdb?: string;
+}
+
+/**
+ * A finished play, normalized from any server's webhook payload
+ */
+export interface Scrobble {
+  id: string;           // Dedupe key: source + item + local date
+  source: ScrobbleSource;
+  event: string;        // Raw event name (e.g. 'media.scrobble', 'PlaybackStop')
+  type: 'movie' | 'episode';
+  title: string;        // Movie title or episode title
+  seriesName?: string;
+  season?: number;
+  episode?: number;
+  year?: number;
+  ids: ProviderIds;
+  seriesIds?: ProviderIds;  // The show's IDs, when the payload has them (episodes only)
+  user?: string;
+  date: string;         // Local watch date (YYYY-MM-DD)
+  receivedAt: string;   // ISO timestamp the webhook arrived
+}
+
+/**
+ * Outcome of a scrobble, as shown in the status panel
+ */
+export type ScrobbleStatus = 'queued' | 'logged' | 'duplicate' | 'error';
+
+export interface RecentScrobble extends Scrobble {
+  status: ScrobbleStatus;
+  path?: string;        // Watch log note, once written
+  message?: string;
+}
+
+/**
+ * Plugin settings
+ */
+export interface ScrobblePluginSettings {
+  autoStart: boolean;
+  port: number;
+  secret: string;
+  allowedUsers: string;   // Comma-separated server user names; empty accepts everyone
+  queueFile: string;
+  folders: {
+    movies: string;
+    series: string;
+    watched: string;
+  };
+  sourceLinks: Record<ScrobbleSource, string>;
+  recentLimit: number;
+}
+
+/**
+ * Everything persisted in data.json
+ */
+export interface ScrobblePluginData {
+  settings: ScrobblePluginSettings;
+  recent: RecentScrobble[];
+  seenIds: string[];
+}
+
+/**
+ * How many dedupe keys to remember between restarts
+ */
+export const SEEN_IDS_LIMIT = 1000;
+
+/**
+ * Default plugin settings (folders and links match shows.js)
+ */
+export const DEFAULT_SETTINGS: ScrobblePluginSettings = {
+  autoStart: true,
+  port: 8788,
+  secret: '',
+  allowedUsers: '',
+  queueFile: '.obsidian/scrobble-queue.jsonl',
+  folders: {
+    movies: 'shows/movies',
+    series: 'shows/series',
+    watched: 'shows/watched',
+  },
+  sourceLinks: {
+    emby: '[[Emby]]',
+    jellyfin: '[[Jellyfin]]',
+    plex: '[[Plex]]',
+  },
+  recentLimit: 50,
+};
+
+/**
+ * Generate a random shared secret for the webhook URL
+ */
+export function generateSecret(): string {
+  const bytes = new Uint8Array(18);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Short label for a scrobble (e.g. "Breaking Bad S01E02" or "Heat")
+ */
+export function formatScrobbleTitle(scrobble: Scrobble): string {
+  if (scrobble.type === 'episode') {
+    const code = `S${pad2(scrobble.season ?? 0)}E${pad2(scrobble.episode ?? 0)}`;
+    return `${scrobble.seriesName || 'Unknown Series'} ${code}`;
+  }
+  return scrobble.year ? `${scrobble.title} (${scrobble.year})` : scrobble.title;
+}
+
+export function pad2(n: number): string {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Local YYYY-MM-DD for a date (watch logs use the local day)
+ */
+export function localISODate(d: Date = new Date()): string {
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+}
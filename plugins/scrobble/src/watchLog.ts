@@ -0,0 +1,286 @@
+import { App, TFile, normalizePath } from 'obsidian';
+import { ProviderIds, Scrobble, ScrobblePluginSettings, localISODate, pad2 } from './types';
+
+/**
+ * Result of writing a watch log entry (mirrors shows.js: {path, created})
+ */
+export interface WatchLogResult {
+  path: string;
+  created: boolean;
+}
+
+/**
+ * Writes watch logs and updates movie/episode/series notes in the same
+ * formats as shows.js (createWatchLogEntry, updateMovieWatched,
+ * updateEpisodeWatched), so scrobbles and imports dedupe against each other.
+ */
+export class WatchLogWriter {
+  private app: App;
+  private settings: ScrobblePluginSettings;
+
+  constructor(app: App, settings: ScrobblePluginSettings) {
+    this.app = app;
+    this.settings = settings;
+  }
+
+  /**
+   * Log one scrobble and mark the movie or episode watched
+   */
+  async log(scrobble: Scrobble): Promise<WatchLogResult> {
+    const source = this.settings.sourceLinks[scrobble.source] || '';
+
+    if (scrobble.type === 'movie') {
+      const movieName = this.resolveMovieName(scrobble);
+      const result = await this.createWatchLogEntry({ type: 'movie', date: scrobble.date, showName: movieName, source });
+      if (result.created) await this.updateMovieWatched(movieName, scrobble.date);
+      return result;
+    }
+
+    const seriesName = this.resolveSeriesName(scrobble);
+    const { season, episode, title } = this.resolveEpisode(seriesName, scrobble);
+    const result = await this.createWatchLogEntry({
+      type: 'episode',
+      date: scrobble.date,
+      showName: seriesName,
+      season,
+      episode,
+      episodeTitle: title,
+      source,
+    });
+    if (result.created) await this.updateEpisodeWatched(seriesName, season, episode, scrobble.date);
+    return result;
+  }
+
+  /**
+   * Existing movie note by provider IDs (tmdbId/imdbId/tvdbId), then by file name;
+   * otherwise the payload title
+   */
+  private resolveMovieName(scrobble: Scrobble): string {
+    const folder = this.settings.folders.movies;
+    const match = this.findNoteByProviderIds(folder, scrobble.ids, (f) => f.parent?.path === folder);
+    if (match) return match.basename;
+    return safeFilename(scrobble.title);
+  }
+
+  /**
+   * Existing series note (series/Name/Name.md): by the show's provider IDs, then
+   * through the episode note holding the episode's TMDB ID, then by name or title;
+   * otherwise the payload name
+   */
+  private resolveSeriesName(scrobble: Scrobble): string {
+    const seriesFolder = this.settings.folders.series;
+    const inSeriesFolder = (f: TFile) => f.parent?.parent?.path === seriesFolder;
+    const isSeriesNote = (f: TFile) => inSeriesFolder(f) && f.parent?.name === f.basename;
+
+    const bySeriesIds = this.findNoteByProviderIds(seriesFolder, scrobble.seriesIds || {}, isSeriesNote);
+    if (bySeriesIds) return bySeriesIds.basename;
+
+    if (scrobble.ids.tmdb) {
+      const episodeNote = this.findNoteByProviderIds(seriesFolder, { tmdb: scrobble.ids.tmdb }, (f) => inSeriesFolder(f) && !isSeriesNote(f));
+      if (episodeNote?.parent) return episodeNote.parent.name;
+    }
+
+    const name = scrobble.seriesName || 'Unknown Series';
+    const safeName = safeFilename(name);
+    if (this.app.vault.getAbstractFileByPath(`${this.settings.folders.series}/${safeName}/${safeName}.md`)) {
+      return safeName;
+    }
+
+    const wanted = name.toLowerCase();
+    for (const file of this.app.vault.getMarkdownFiles()) {
+      if (!file.path.startsWith(this.settings.folders.series + '/') || file.parent?.name !== file.basename) continue;
+      const title = this.app.metadataCache.getFileCache(file)?.frontmatter?.title;
+      if (typeof title === 'string' && title.toLowerCase() === wanted) return file.basename;
+    }
+    return safeName;
+  }
+
+  /**
+   * Episode note by TMDB episode ID first (numbering can differ between
+   * servers and TMDB), otherwise the payload's season/episode
+   */
+  private resolveEpisode(seriesName: string, scrobble: Scrobble): { season: number; episode: number; title: string } {
+    const folder = `${this.settings.folders.series}/${safeFilename(seriesName)}`;
+    if (scrobble.ids.tmdb) {
+      const match = this.findNoteByProviderIds(folder, { tmdb: scrobble.ids.tmdb }, (f) => f.parent?.path === folder && f.basename !== f.parent?.name);
+      const fm = match && this.app.metadataCache.getFileCache(match)?.frontmatter;
+      if (fm && fm.season !== undefined && fm.episode !== undefined) {
+        return { season: Number(fm.season), episode: Number(fm.episode), title: fm.title || scrobble.title };
+      }
+    }
+    return { season: scrobble.season ?? 1, episode: scrobble.episode ?? 1, title: scrobble.title };
+  }
+
+  /**
+   * Note whose tmdbId, imdbId or tvdbId frontmatter matches one of the IDs
+   */
+  private findNoteByProviderIds(folder: string, ids: ProviderIds, accept: (file: TFile) => boolean): TFile | null {
+    const wanted: [string, string | undefined][] = [['tmdbId', ids.tmdb], ['imdbId', ids.imdb], ['tvdbId', ids.tvdb]];
+    if (!wanted.some(([, id]) => id)) return null;
+    for (const file of this.app.vault.getMarkdownFiles()) {
+      if (!file.path.startsWith(folder + '/') || !accept(file)) continue;
+      const fm = this.app.metadataCache.getFileCache(file)?.frontmatter;
+      if (fm && wanted.some(([key, id]) => id && fm[key] && String(fm[key]) === String(id))) return file;
+    }
+    return null;
+  }
+
+  private findEpisodeFile(seriesName: string, seasonNum: number, episodeNum: number): TFile | null {
+    const folderPath = `${this.settings.folders.series}/${safeFilename(seriesName)}`;
+    const episodePrefix = `S${pad2(seasonNum)}E${pad2(episodeNum)}`;
+    return this.app.vault.getFiles().find((f) =>
+      f.path.startsWith(folderPath + '/') &&
+      f.basename.startsWith(episodePrefix)
+    ) || null;
+  }
+
+  private async createWatchLogEntry(data: {
+    type: 'movie' | 'episode';
+    date: string;
+    showName: string;
+    season?: number;
+    episode?: number;
+    episodeTitle?: string;
+    source: string;
+  }): Promise<WatchLogResult> {
+    const watched = this.settings.folders.watched;
+    await this.ensureFolder(watched);
+
+    // Same filename pattern as shows.js, so a watch logged by any import is found here
+    const suffix = data.type === 'movie'
+      ? safeFilename(data.showName)
+      : `${safeFilename(data.showName)}-S${pad2(data.season ?? 0)}E${pad2(data.episode ?? 0)}`;
+    const basePattern = new RegExp(`${data.date}-\\d+-${escapeRegExp(suffix)}\\.md$`);
+
+    const existing = this.app.vault.getFiles().find(f =>
+      f.path.startsWith(watched + '/') && basePattern.test(f.path)
+    );
+    if (existing) {
+      return { path: existing.path, created: false };
+    }
+
+    let index = 1;
+    let notePath: string;
+    do {
+      notePath = normalizePath(`${watched}/${data.date}-${index}-${suffix}.md`);
+      index++;
+    } while (await this.app.vault.adapter.exists(notePath));
+
+    let content: string;
+    if (data.type === 'movie') {
+      content = `---
+categories:
+  - "[[Watched]]"
+date: ${quoteYamlString(data.date)}
+created: ${quoteYamlString(localISODate())}
+type: "movie"
+movie: "[[${safeFilename(data.showName)}]]"
+show: "[[${safeFilename(data.showName)}]]"
+source: "${data.source}"
+rating:
+---
+`;
+    } else {
+      const safeShowName = safeFilename(data.showName);
+      const seriesLink = `[[${safeShowName}/${safeShowName}|${sanitizeForWikilink(data.showName)}]]`;
+      const episodeFile = this.findEpisodeFile(data.showName, data.season ?? 0, data.episode ?? 0);
+      const episodeLink = episodeFile
+        ? `[[${episodeFile.path.replace(/\.md$/, '')}]]`
+        : `[[${safeShowName}/S${pad2(data.season ?? 0)}E${pad2(data.episode ?? 0)}]]`;
+
+      content = `---
+categories:
+  - "[[Watched]]"
+date: ${quoteYamlString(data.date)}
+created: ${quoteYamlString(localISODate())}
+type: "episode"
+show: "${seriesLink}"
+episode: "${episodeLink}"
+season: ${data.season}
+episodeNum: ${data.episode}
+episodeTitle: ${quoteYamlString(data.episodeTitle || '')}
+source: "${data.source}"
+rating:
+---
+`;
+    }
+
+    await this.app.vault.create(notePath, content);
+    return { path: notePath, created: true };
+  }
+
+  private async updateMovieWatched(movieName: string, watchDate: string): Promise<void> {
+    const file = this.app.vault.getAbstractFileByPath(`${this.settings.folders.movies}/${safeFilename(movieName)}.md`);
+    if (!(file instanceof TFile)) return;
+
+    await this.app.fileManager.processFrontMatter(file, (fm) => {
+      fm.watched = true;
+      fm.watchCount = (fm.watchCount || 0) + 1;
+      if (!fm.firstWatched || watchDate < fm.firstWatched) fm.firstWatched = watchDate;
+      if (!fm.lastWatched || watchDate > fm.lastWatched) fm.lastWatched = watchDate;
+    });
+  }
+
+  private async updateEpisodeWatched(seriesName: string, seasonNum: number, episodeNum: number, watchDate: string): Promise<void> {
+    const file = this.findEpisodeFile(seriesName, seasonNum, episodeNum);
+    if (!file) return;
+
+    await this.app.fileManager.processFrontMatter(file, (fm) => {
+      fm.watched = true;
+      fm.watchCount = (fm.watchCount || 0) + 1;
+      if (!fm.firstWatched || watchDate < fm.firstWatched) fm.firstWatched = watchDate;
+      if (!fm.lastWatched || watchDate > fm.lastWatched) fm.lastWatched = watchDate;
+    });
+
+    const safeName = safeFilename(seriesName);
+    const seriesFile = this.app.vault.getAbstractFileByPath(`${this.settings.folders.series}/${safeName}/${safeName}.md`);
+    if (!(seriesFile instanceof TFile)) return;
+
+    await this.app.fileManager.processFrontMatter(seriesFile, (fm) => {
+      if (!fm.lastWatched || watchDate > fm.lastWatched) fm.lastWatched = watchDate;
+      if (!fm.firstWatched || watchDate < fm.firstWatched) fm.firstWatched = watchDate;
+    });
+  }
+
+  private async ensureFolder(path: string): Promise<void> {
+    if (!(await this.app.vault.adapter.exists(path))) {
+      await this.app.vault.createFolder(path);
+    }
+  }
+}
+
+/**
+ * Same rules as safeFilename in shows.js
+ */
+export function safeFilename(s: unknown, maxLength = 100): string {
+  let result = String(s ?? '')
+    .replace(/[\/\\:*?"<>|]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (result.length > maxLength) {
+    result = result.substring(0, maxLength).trim();
+  }
+  result = result.replace(/^[\s.\-]+/, '');
+  return result || 'Unknown';
+}
+
+function sanitizeForWikilink(name: string): string {
+  return String(name ?? '')
+    .replace(/[\[\]|#^]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function quoteYamlString(s: string): string {
+  const escaped = String(s ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+  return `"${escaped}"`;
+}
+
+function escapeRegExp(s: string): string {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
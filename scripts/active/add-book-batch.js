@@ -1,19 +1,27 @@
 // add-book-batch.js — QuickAdd batch import script for Obsidian
 //
 // Reads a CSV file with book data and imports each book using Google Books
-// (with Apple Books fallback). Pre-fills format and purchase date from CSV.
+// (with Apple Books and Open Library fallbacks). Pre-fills format and purchase
+// date from CSV.
 //
 // CSV format (first row is header):
 //   Name,Type,Date
 //   "Book Title",kindle,26/11/2025
 //
+// Any other layout (LibraryThing, BookBuddy, library loan lists) goes through
+// a column-mapping step: each header is mapped to title, author, ISBN, format,
+// store, purchase date, status, rating or ignore, and a date format is picked.
+// Mappings are saved as named profiles in .obsidian/book-import-mappings.json
+// and offered again for any CSV with the same headers.
+//
 // Usage:
 //   1. Place your CSV file(s) anywhere in your vault
 //   2. Run this script via QuickAdd
 //   3. Select the CSV file to import from
-//   4. Select the store (Amazon, Apple, Google, Physical, Other)
-//   5. For each book: select from search results, confirm import
-//   6. Progress is tracked per-CSV - you can resume if interrupted
+//   4. Pick a saved column mapping or create one
+//   5. Select the store (Amazon, Apple, Google, Physical, Other)
+//   6. For each book: select from search results, confirm import
+//   7. Progress is tracked per-CSV - you can resume if interrupted
 //
 // Progress tracking:
 //   - Progress saved to: .obsidian/book-import-progress-{csvname}.json
@@ -41,12 +49,55 @@ const BATCH_SETTINGS = {
   // Keys are lowercase for matching, values are what gets stored
   typeMapping: {
     paperback: "paperback",
+    "paper book": "paperback",
+    "trade paperback": "paperback",
     hardback: "hardback",
     hardcover: "hardback",
     kindle: "kindle",
+    "kindle edition": "kindle",
     ebook: "ebook",
+    "e-book": "ebook",
     audiobook: "audiobook",
+    "audio book": "audiobook",
+  },
+
+  // Map CSV status values to readingStatus (values already in statusOptions pass through)
+  statusMapping: {
+    read: "finished",
+    "currently reading": "reading",
+    "currently-reading": "reading",
+    "to read": "not-started",
+    "to-read": "not-started",
+    unread: "not-started",
+    dnf: "abandoned",
+  },
+
+  // Column-mapping wizard
+  mappingProfilesFile: ".obsidian/book-import-mappings.json",
+  mappingFields: [
+    { key: "title", label: "Title" },
+    { key: "author", label: "Author" },
+    { key: "isbn", label: "ISBN" },
+    { key: "format", label: "Format" },
+    { key: "store", label: "Store" },
+    { key: "purchaseDate", label: "Purchase date" },
+    { key: "status", label: "Reading status" },
+    { key: "rating", label: "Rating" },
+    { key: "ignore", label: "Ignore" },
+  ],
+  // Lowercase header names used to pre-select a field in the wizard
+  headerAliases: {
+    title: ["title", "name", "book title", "book"],
+    author: ["author", "authors", "primary author", "author (first, last)", "author (last, first)", "creator"],
+    isbn: ["isbn", "isbn13", "isbn-13", "isbn10", "isbn-10", "isbns", "ean"],
+    format: ["type", "format", "media", "binding"],
+    store: ["store", "source", "purchased from", "purchase store"],
+    purchaseDate: ["date", "purchase date", "purchased", "date acquired", "acquired", "date added"],
+    status: ["status", "reading status", "exclusive shelf", "shelf"],
+    rating: ["rating", "my rating", "stars"],
   },
+  dateFormats: ["DD/MM/YYYY", "MM/DD/YYYY", "YYYY-MM-DD", "YYYY/MM/DD", "DD.MM.YYYY"],
+  defaultDateFormat: "DD/MM/YYYY",
 
   // Progress tracking file (stores which CSV rows have been processed)
   progressFile: ".obsidian/book-import-progress.json",
@@ -134,43 +185,29 @@ const SETTINGS = {
     lang: "en_au",
     maxResults: 40,
   },
+
+  // Open Library fallback (used when Google and Apple have no match)
+  openLibrary: {
+    enabled: true,
+    maxResults: 40,
+    maxGenres: 3, // subjects are very granular, keep the first few as genres
+  },
 };
 
 // ----------------------------
 // CSV Parsing
 // ----------------------------
-function parseCSV(text) {
-  const lines = text.split(/\r?\n/).filter((l) => l.trim());
-  if (lines.length < 2) return { headers: [], rows: [] };
-
-  // Parse header
-  const headers = parseCSVLine(lines[0]);
-
-  // Parse data rows
-  const rows = [];
-  for (let i = 1; i < lines.length; i++) {
-    const values = parseCSVLine(lines[i]);
-    if (values.length === 0) continue;
-
-    const row = {};
-    headers.forEach((h, idx) => {
-      row[h.toLowerCase().trim()] = values[idx] || "";
-    });
-    row._lineNumber = i + 1;
-    rows.push(row);
-  }
-
-  return { headers, rows };
-}
-
-function parseCSVLine(line) {
-  const result = [];
+// Handles quoted fields that span lines (LibraryThing comments, reviews)
+function parseCSVRecords(text) {
+  const records = [];
+  let record = [];
   let current = "";
   let inQuotes = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
 
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    const next = line[i + 1];
+  for (let i = 0; i < src.length; i++) {
+    const char = src[i];
+    const next = src[i + 1];
 
     if (inQuotes) {
       if (char === '"' && next === '"') {
@@ -181,37 +218,56 @@ function parseCSVLine(line) {
       } else {
         current += char;
       }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(current.trim());
+      current = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && next === "\n") i++;
+      record.push(current.trim());
+      if (record.some((v) => v)) records.push(record);
+      record = [];
+      current = "";
     } else {
-      if (char === '"') {
-        inQuotes = true;
-      } else if (char === ",") {
-        result.push(current.trim());
-        current = "";
-      } else {
-        current += char;
-      }
+      current += char;
     }
   }
-  result.push(current.trim());
-  return result;
+  record.push(current.trim());
+  if (record.some((v) => v)) records.push(record);
+
+  if (records.length < 2) return { headers: [], rows: [] };
+  const headers = records[0];
+  const rows = records.slice(1).map((values, idx) => {
+    const row = {};
+    headers.forEach((h, col) => {
+      row[h.toLowerCase().trim()] = values[col] || "";
+    });
+    row._lineNumber = idx + 2;
+    return row;
+  });
+  return { headers, rows };
 }
 
-// Parse DD/MM/YYYY to YYYY-MM-DD
-function parseDate(dateStr) {
+// Parse a date in the given format (see BATCH_SETTINGS.dateFormats) to YYYY-MM-DD
+function parseDate(dateStr, dateFormat = BATCH_SETTINGS.defaultDateFormat) {
   const s = String(dateStr || "").trim();
   if (!s) return "";
 
-  // Try DD/MM/YYYY or D/M/YYYY
-  const match = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-  if (match) {
-    const [, day, month, year] = match;
-    return `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
-  }
+  // Already YYYY-MM-DD (optionally with a time)?
+  const iso = s.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ]|$)/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
 
-  // Already YYYY-MM-DD?
-  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
-
-  return s; // Return as-is if unrecognized
+  const parts = s.split(/[\s T]/)[0].split(/[\/.-]/);
+  const order = dateFormat.split(/[\/.-]/);
+  if (parts.length !== 3 || order.length !== 3) return s;
+  const get = (token) => parts[order.indexOf(token)] || "";
+  const year = get("YYYY");
+  const month = get("MM");
+  const day = get("DD");
+  if (!/^\d{4}$/.test(year) || !/^\d{1,2}$/.test(month) || !/^\d{1,2}$/.test(day)) return s;
+  if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31) return s;
+  return `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
 }
 
 // Map CSV type to format
@@ -220,6 +276,159 @@ function mapType(typeStr) {
   return BATCH_SETTINGS.typeMapping[key] || key || "";
 }
 
+// Map CSV status to readingStatus
+function mapStatus(statusStr) {
+  const key = String(statusStr || "").toLowerCase().trim();
+  if (!key) return "";
+  return BATCH_SETTINGS.statusMapping[key] || (SETTINGS.prompts.statusOptions.includes(key) ? key : "");
+}
+
+// ----------------------------
+// Column Mapping (profiles reused for CSVs with the same headers)
+// ----------------------------
+function headerSignature(headers) {
+  return headers.map((h) => String(h || "").toLowerCase().trim()).filter(Boolean).sort().join("|");
+}
+
+function guessMappingField(header) {
+  const key = String(header || "").toLowerCase().trim();
+  for (const [field, aliases] of Object.entries(BATCH_SETTINGS.headerAliases)) {
+    if (aliases.includes(key)) return field;
+  }
+  return "ignore";
+}
+
+// Name,Type,Date files keep working without the wizard
+function builtInMapping(headers) {
+  const cols = BATCH_SETTINGS.columns;
+  const builtIn = [cols.name, cols.type, cols.date].map((c) => c.toLowerCase());
+  if (headerSignature(headers) !== [...builtIn].sort().join("|")) return null;
+  return {
+    name: "Default (Name,Type,Date)",
+    mapping: { [builtIn[0]]: "title", [builtIn[1]]: "format", [builtIn[2]]: "purchaseDate" },
+    dateFormat: BATCH_SETTINGS.defaultDateFormat,
+    ratingMultiplier: 1,
+  };
+}
+
+async function loadMappingProfiles(app) {
+  try {
+    const file = BATCH_SETTINGS.mappingProfilesFile;
+    if (!(await app.vault.adapter.exists(file))) return [];
+    const data = JSON.parse(await app.vault.adapter.read(file));
+    return Array.isArray(data?.profiles) ? data.profiles : [];
+  } catch {
+    return [];
+  }
+}
+
+async function saveMappingProfile(app, profile) {
+  const profiles = (await loadMappingProfiles(app)).filter((p) => p.name !== profile.name);
+  profiles.push(profile);
+  try {
+    await app.vault.adapter.write(BATCH_SETTINGS.mappingProfilesFile, JSON.stringify({ profiles }, null, 2));
+  } catch (e) {
+    console.error("Failed to save mapping profile:", e);
+  }
+}
+
+// Walk through each header and ask which book field it holds
+async function runMappingWizard(qa, headers, rows) {
+  const fields = BATCH_SETTINGS.mappingFields;
+  const mapping = {};
+  for (const header of headers) {
+    const key = String(header || "").toLowerCase().trim();
+    if (!key) continue;
+    const sample = rows.map((r) => r[key]).find((v) => String(v || "").trim()) || "";
+    const sampleText = sample ? ` (e.g. "${String(sample).replace(/\s+/g, " ").slice(0, 40)}")` : "";
+    const guess = guessMappingField(key);
+    const ordered = [fields.find((f) => f.key === guess), ...fields.filter((f) => f.key !== guess)];
+    const field = await qa.suggester(
+      ordered.map((f, i) => `${header}${sampleText} → ${f.label}${i === 0 && guess !== "ignore" ? " (suggested)" : ""}`),
+      ordered.map((f) => f.key)
+    );
+    if (field === null || field === undefined) return null;
+    mapping[key] = field;
+  }
+
+  let dateFormat = BATCH_SETTINGS.defaultDateFormat;
+  const dateHeader = Object.keys(mapping).find((k) => mapping[k] === "purchaseDate");
+  if (dateHeader) {
+    const sample = rows.map((r) => r[dateHeader]).find((v) => String(v || "").trim()) || "";
+    dateFormat = await qa.suggester(
+      BATCH_SETTINGS.dateFormats.map((f) => (sample ? `${f} ("${sample}" → ${parseDate(sample, f)})` : f)),
+      BATCH_SETTINGS.dateFormats
+    );
+    if (!dateFormat) return null;
+  }
+
+  let ratingMultiplier = 1;
+  if (Object.values(mapping).includes("rating")) {
+    ratingMultiplier = await qa.suggester(["Rating is 0-10 (keep as is)", "Rating is 1-5 stars (double it)"], [1, 2]);
+    if (!ratingMultiplier) return null;
+  }
+
+  return { mapping, dateFormat, ratingMultiplier };
+}
+
+// Saved profile for these headers, the built-in Name,Type,Date mapping, or the wizard
+async function resolveColumnMapping(app, qa, headers, rows, csvPath, Notice) {
+  const signature = headerSignature(headers);
+  const saved = (await loadMappingProfiles(app)).filter((p) => p.headerSignature === signature);
+  const builtIn = builtInMapping(headers);
+  if (builtIn && !saved.length) return builtIn;
+  const known = builtIn ? [builtIn, ...saved] : saved;
+
+  if (known.length) {
+    const choice = await qa.suggester(
+      [...known.map((p) => `Use mapping: ${p.name}`), "Create a new column mapping"],
+      [...known, "new"]
+    );
+    if (!choice) return null;
+    if (choice !== "new") return choice;
+  } else if (Notice) {
+    new Notice(`New CSV layout: map each of the ${headers.length} columns to a book field.`);
+  }
+
+  const result = await runMappingWizard(qa, headers, rows);
+  if (!result) return null;
+  if (!Object.values(result.mapping).includes("title")) {
+    if (Notice) new Notice("A Title column is required. Import cancelled.");
+    return null;
+  }
+
+  const defaultName = csvPath.split("/").pop().replace(/\.csv$/i, "");
+  const name = ((await qa.inputPrompt("Save mapping as profile", "Profile name (leave blank to not save)", defaultName)) || "").trim();
+  const profile = { name: name || defaultName, headerSignature: signature, headers, ...result, created: localISODate() };
+  if (name) {
+    await saveMappingProfile(app, profile);
+    if (Notice) new Notice(`Saved mapping profile: ${name}`);
+  }
+  return profile;
+}
+
+// Pull book fields out of a CSV row using a mapping profile
+function applyColumnMapping(row, profile) {
+  const out = {};
+  for (const [header, field] of Object.entries(profile.mapping)) {
+    if (field === "ignore") continue;
+    const value = String(row[header] || "").trim();
+    if (value && !out[field]) out[field] = value;
+  }
+  const isbn = String(out.isbn || "").replace(/[^0-9Xx]/g, "");
+  const rating = Number(out.rating);
+  return {
+    title: out.title || "",
+    author: out.author || "",
+    isbn: isbn.length === 10 || isbn.length === 13 ? isbn : "",
+    format: mapType(out.format),
+    store: out.store || "",
+    purchaseDate: parseDate(out.purchaseDate, profile.dateFormat),
+    status: mapStatus(out.status),
+    rating: out.rating && Number.isFinite(rating) ? rating * (profile.ratingMultiplier || 1) : "",
+  };
+}
+
 // ----------------------------
 // Progress Tracking (per-CSV)
 // ----------------------------
@@ -680,6 +889,185 @@ function scoreItem(queryTokens, vol) {
   return score;
 }
 
+// ----------------------------
+// Open Library API (fallback, iOS compatible)
+// ----------------------------
+async function openLibraryGetJson(obsidian, url) {
+  const response = await obsidian.requestUrl({ url, method: "GET", throw: false });
+  if (response.status === 404) return null;
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`Open Library request failed: HTTP ${response.status}`);
+  }
+  return typeof response.json === "object" ? response.json : JSON.parse(response.text || "{}");
+}
+
+async function openLibrarySearch(obsidian, query, { maxResults }) {
+  const searchUrl = `https://openlibrary.org/search.json?` +
+    new URLSearchParams({
+      q: query,
+      limit: String(maxResults || 40),
+      fields: "key,title,subtitle,author_name,first_publish_year,publisher,number_of_pages_median,isbn,cover_i,cover_edition_key,subject,language",
+    }).toString();
+  return (await openLibraryGetJson(obsidian, searchUrl)) || {};
+}
+
+async function openLibraryFetchWork(obsidian, workId) {
+  if (!workId) return null;
+  return await openLibraryGetJson(obsidian, `https://openlibrary.org/works/${workId}.json`);
+}
+
+async function openLibraryFetchEdition(obsidian, editionId) {
+  if (!editionId) return null;
+  return await openLibraryGetJson(obsidian, `https://openlibrary.org/books/${editionId}.json`);
+}
+
+async function openLibraryFetchEditions(obsidian, workId, limit = 50) {
+  if (!workId) return [];
+  const data = await openLibraryGetJson(obsidian, `https://openlibrary.org/works/${workId}/editions.json?limit=${limit}`);
+  return Array.isArray(data?.entries) ? data.entries : [];
+}
+
+async function openLibraryFetchAuthorName(obsidian, authorKey) {
+  const key = String(authorKey || "").replace(/^\/authors\//, "");
+  if (!key) return "";
+  const data = await openLibraryGetJson(obsidian, `https://openlibrary.org/authors/${key}.json`);
+  return String(data?.name || data?.personal_name || "").replace(/\s+/g, " ").trim();
+}
+
+function openLibraryId(key) {
+  return String(key || "").split("/").filter(Boolean).pop() || "";
+}
+
+function openLibraryCoverUrl(coverId, size = "L") {
+  const id = Number(coverId);
+  if (!Number.isFinite(id) || id <= 0) return "";
+  return `https://covers.openlibrary.org/b/id/${id}-${size}.jpg`;
+}
+
+function openLibraryText(value) {
+  if (!value) return "";
+  if (typeof value === "string") return value;
+  return String(value.value || "");
+}
+
+function openLibraryLanguage(codes) {
+  const first = openLibraryId(Array.isArray(codes) ? (codes[0]?.key || codes[0]) : "");
+  if (first === "eng") return "en";
+  return first;
+}
+
+function pickISBNs(list) {
+  const out = { isbn10: "", isbn13: "" };
+  for (const raw of Array.isArray(list) ? list : []) {
+    const id = String(raw || "").replace(/[^0-9Xx]/g, "");
+    if (id.length === 13 && !out.isbn13) out.isbn13 = id;
+    if (id.length === 10 && !out.isbn10) out.isbn10 = id;
+  }
+  return out;
+}
+
+function mapOpenLibraryDocToBook(doc) {
+  const workId = openLibraryId(doc.key);
+  const subjects = Array.isArray(doc.subject) ? doc.subject.map((s) => String(s).trim()).filter(Boolean) : [];
+  return {
+    volumeId: "",
+    appleTrackId: "",
+    openLibraryWorkId: workId,
+    openLibraryEditionId: String(doc.cover_edition_key || "").trim(),
+    title: String(doc.title || "").trim(),
+    subtitle: String(doc.subtitle || "").trim(),
+    authors: Array.isArray(doc.author_name) ? doc.author_name.map((a) => String(a).trim()).filter(Boolean) : [],
+    publisher: Array.isArray(doc.publisher) && doc.publisher.length ? String(doc.publisher[0]).trim() : "",
+    publishDate: doc.first_publish_year ? String(doc.first_publish_year) : "",
+    totalPage: doc.number_of_pages_median ?? 0,
+    categories: subjects,
+    genres: subjects.slice(0, SETTINGS.openLibrary.maxGenres),
+    description: "",
+    link: workId ? `https://openlibrary.org/works/${workId}` : "",
+    previewLink: "",
+    coverUrl: openLibraryCoverUrl(doc.cover_i),
+    ...pickISBNs(doc.isbn),
+    language: openLibraryLanguage(doc.language),
+    source: "open-library",
+  };
+}
+
+async function mapOpenLibraryEditionToBook(obsidian, edition, work) {
+  const authorKeys = (Array.isArray(edition?.authors) && edition.authors.length ? edition.authors : work?.authors || [])
+    .map((a) => a?.key || a?.author?.key || "").filter(Boolean);
+  const authors = [];
+  for (const key of authorKeys) {
+    const name = await openLibraryFetchAuthorName(obsidian, key).catch(() => "");
+    if (name) authors.push(name);
+  }
+  const workId = openLibraryId(work?.key || edition?.works?.[0]?.key);
+  const subjects = (Array.isArray(work?.subjects) ? work.subjects : []).map((s) => String(s).trim()).filter(Boolean);
+  const coverId = (edition?.covers || []).find((c) => c > 0) || (work?.covers || []).find((c) => c > 0);
+  return {
+    volumeId: "",
+    appleTrackId: "",
+    openLibraryWorkId: workId,
+    openLibraryEditionId: openLibraryId(edition?.key),
+    title: String(edition?.title || work?.title || "").trim(),
+    subtitle: String(edition?.subtitle || work?.subtitle || "").trim(),
+    authors,
+    publisher: Array.isArray(edition?.publishers) && edition.publishers.length ? String(edition.publishers[0]).trim() : "",
+    publishDate: String(edition?.publish_date || "").trim(),
+    totalPage: edition?.number_of_pages ?? 0,
+    categories: subjects,
+    genres: subjects.slice(0, SETTINGS.openLibrary.maxGenres),
+    description: stripHtml(openLibraryText(edition?.description) || openLibraryText(work?.description)),
+    link: workId ? `https://openlibrary.org/works/${workId}` : "",
+    previewLink: "",
+    coverUrl: openLibraryCoverUrl(coverId),
+    isbn13: pickISBNs(edition?.isbn_13).isbn13,
+    isbn10: pickISBNs(edition?.isbn_10).isbn10,
+    language: openLibraryLanguage(edition?.languages),
+    source: "open-library",
+  };
+}
+
+// Search results only carry work-level data: fill in the description and
+// edition-specific fields (ISBN, pages, publisher) once a book is picked.
+async function enrichOpenLibraryBook(obsidian, book) {
+  try {
+    const work = await openLibraryFetchWork(obsidian, book.openLibraryWorkId);
+    let edition = await openLibraryFetchEdition(obsidian, book.openLibraryEditionId);
+    if (!edition) {
+      const editions = await openLibraryFetchEditions(obsidian, book.openLibraryWorkId);
+      edition = editions.find((e) => Array.isArray(e.isbn_13) && e.isbn_13.length && openLibraryLanguage(e.languages) === SETTINGS.langRestrict)
+        || editions.find((e) => Array.isArray(e.isbn_13) && e.isbn_13.length)
+        || null;
+    }
+    if (!work && !edition) return book;
+    const detailed = edition ? await mapOpenLibraryEditionToBook(obsidian, edition, work) : null;
+    return {
+      ...book,
+      openLibraryEditionId: detailed?.openLibraryEditionId || book.openLibraryEditionId,
+      subtitle: book.subtitle || detailed?.subtitle || "",
+      publisher: detailed?.publisher || book.publisher,
+      totalPage: detailed?.totalPage || book.totalPage,
+      isbn13: detailed?.isbn13 || book.isbn13,
+      isbn10: detailed?.isbn10 || book.isbn10,
+      coverUrl: book.coverUrl || detailed?.coverUrl || "",
+      description: stripHtml(openLibraryText(work?.description)) || detailed?.description || "",
+    };
+  } catch (e) {
+    console.error("Open Library enrichment failed:", e);
+    return book;
+  }
+}
+
+async function searchOpenLibraryBooks(obsidian, query) {
+  const data = await openLibrarySearch(obsidian, query, SETTINGS.openLibrary);
+  const docs = Array.isArray(data?.docs) ? data.docs : [];
+  const queryTokens = tokenise(query);
+  return docs.map((doc) => {
+    const v = mapOpenLibraryDocToBook(doc);
+    return { score: scoreItem(queryTokens, v), v };
+  }).sort((a, b) => b.score - a.score).slice(0, SETTINGS.maxPick).map((x) => x.v);
+}
+
 // ----------------------------
 // Multi-format helpers
 // ----------------------------
@@ -732,6 +1120,12 @@ function findExistingBookNote(app, meta) {
     // Apple Track ID match
     const appleId = String(fm.appleTrackId || "").trim();
     if (meta?.appleTrackId && appleId && appleId === meta.appleTrackId) score = Math.max(score, 100);
+
+    // Open Library edition (definitive) and work (same book, maybe another edition)
+    const olEditionId = String(fm.openLibraryEditionId || "").trim();
+    const olWorkId = String(fm.openLibraryWorkId || "").trim();
+    if (meta?.openLibraryEditionId && olEditionId && olEditionId === meta.openLibraryEditionId) score = Math.max(score, 100);
+    if (meta?.openLibraryWorkId && olWorkId && olWorkId === meta.openLibraryWorkId) score = Math.max(score, 80);
     
     if (wantedKey && storedKey && storedKey === wantedKey) score = Math.max(score, 80);
 
@@ -805,6 +1199,8 @@ async function addPurchaseToExistingNote({ app, bookFile, meta, prompts, localCo
     if (!String(fm.google_volume_id || "").trim() && meta.volumeId) fm.google_volume_id = meta.volumeId;
     if (!String(fm.isbn13 || "").trim() && meta.isbn13) fm.isbn13 = meta.isbn13;
     if (!String(fm.isbn10 || "").trim() && meta.isbn10) fm.isbn10 = meta.isbn10;
+    if (!String(fm.openLibraryWorkId || "").trim() && meta.openLibraryWorkId) fm.openLibraryWorkId = meta.openLibraryWorkId;
+    if (!String(fm.openLibraryEditionId || "").trim() && meta.openLibraryEditionId) fm.openLibraryEditionId = meta.openLibraryEditionId;
 
     // Only set rating if missing and provided now
     if ((fm.rating === "" || fm.rating === null || fm.rating === undefined) && prompts.rating !== "" && prompts.rating !== null) {
@@ -961,6 +1357,9 @@ function buildFrontMatter(meta, prompts, extra = {}) {
   // Source-specific IDs
   if (meta.source === "apple-books") {
     lines.push(`appleTrackId: ${quoteYamlString(meta.appleTrackId || "")}`);
+  } else if (meta.source === "open-library") {
+    lines.push(`openLibraryWorkId: ${quoteYamlString(meta.openLibraryWorkId || "")}`);
+    lines.push(`openLibraryEditionId: ${quoteYamlString(meta.openLibraryEditionId || "")}`);
   } else {
     lines.push(`google_volume_id: ${quoteYamlString(meta.volumeId || "")}`);
   }
@@ -1347,13 +1746,21 @@ module.exports = async (params) => {
   if (Notice) new Notice(`Loading: ${csvPath}`);
 
   const csvText = await app.vault.adapter.read(csvPath);
-  const { rows } = parseCSV(csvText);
+  const { headers, rows } = parseCSVRecords(csvText);
 
   if (rows.length === 0) {
     if (Notice) new Notice("CSV file is empty or has no data rows.");
     return;
   }
 
+  // Which column holds which book field
+  const profile = await resolveColumnMapping(app, qa, headers, rows, csvPath, Notice);
+  if (!profile) {
+    if (Notice) new Notice("No column mapping selected. Import cancelled.");
+    return;
+  }
+  const storeMapped = Object.values(profile.mapping).includes("store");
+
   // Load progress (per-CSV)
   const progress = await loadProgress(app, csvPath);
   const remaining = rows.filter((r) => !progress.processed.includes(r._lineNumber));
@@ -1379,18 +1786,20 @@ module.exports = async (params) => {
     if (!proceed) return;
   }
 
-  // Ask which store these books are from (applies to all books in this batch)
+  // Ask which store these books are from (applies to all books in this batch,
+  // or only to rows with a blank store when the CSV has a store column)
+  const storeOptions = storeMapped ? [...SETTINGS.prompts.purchasedStoreOptions, ""] : SETTINGS.prompts.purchasedStoreOptions;
   const selectedStore = await qa.suggester(
-    SETTINGS.prompts.purchasedStoreOptions,
-    SETTINGS.prompts.purchasedStoreOptions
+    storeOptions.map((x) => (x ? x : "(blank)")),
+    storeOptions
   );
 
-  if (!selectedStore) {
+  if (selectedStore === null || selectedStore === undefined || (!storeMapped && !selectedStore)) {
     if (Notice) new Notice("No store selected. Import cancelled.");
     return;
   }
 
-  if (Notice) new Notice(`Importing from: ${selectedStore}`);
+  if (Notice && selectedStore) new Notice(`Importing from: ${selectedStore}`);
 
   // Track skipped books for summary
   const skippedBooks = [];
@@ -1398,13 +1807,14 @@ module.exports = async (params) => {
   // Process each remaining book
   for (let idx = 0; idx < remaining.length; idx++) {
     const row = remaining[idx];
-    const nameCol = BATCH_SETTINGS.columns.name.toLowerCase();
-    const typeCol = BATCH_SETTINGS.columns.type.toLowerCase();
-    const dateCol = BATCH_SETTINGS.columns.date.toLowerCase();
+    const csvBook = applyColumnMapping(row, profile);
 
-    const bookName = String(row[nameCol] || "").trim();
-    const bookType = mapType(row[typeCol]);
-    const bookDate = parseDate(row[dateCol]);
+    const bookName = csvBook.title;
+    const bookType = csvBook.format;
+    const bookDate = csvBook.purchaseDate;
+    const bookStore = csvBook.store || selectedStore;
+    // Title plus author narrows the search for common titles
+    const bookQuery = [csvBook.title, csvBook.author.replace(/^([^,]+),\s*(.+)$/, "$2 $1")].filter(Boolean).join(" ");
 
     if (!bookName) {
       await markProcessed(app, csvPath, row._lineNumber);
@@ -1432,15 +1842,17 @@ module.exports = async (params) => {
       }
     }
 
-    // Search Google Books
-    const queryTokens = tokenise(bookName);
+    // Search Google Books (by ISBN when the CSV has one, then by title/author)
+    const queryTokens = tokenise(bookQuery);
     let data;
     try {
-      data = await googleBooksSearch(obsidian, bookName, {
+      const searchOptions = {
         apiKey: SETTINGS.apiKey,
         country: SETTINGS.country,
         langRestrict: SETTINGS.langRestrict,
-      });
+      };
+      if (csvBook.isbn) data = await googleBooksSearch(obsidian, `isbn:${csvBook.isbn}`, { ...searchOptions, langRestrict: "" });
+      if (!data?.items?.length) data = await googleBooksSearch(obsidian, bookQuery, searchOptions);
     } catch (e) {
       if (Notice) new Notice(`Search failed for "${bookName}": ${e.message}`);
       continue;
@@ -1502,7 +1914,7 @@ module.exports = async (params) => {
         if (Notice) new Notice("Searching Apple Books...");
 
         try {
-          const appleData = await appleBooksSearch(obsidian, bookName, {
+          const appleData = await appleBooksSearch(obsidian, bookQuery, {
             country: SETTINGS.appleBooks.country,
             lang: SETTINGS.appleBooks.lang,
             maxResults: SETTINGS.appleBooks.maxResults,
@@ -1511,7 +1923,7 @@ module.exports = async (params) => {
           const appleResults = Array.isArray(appleData?.results) ? appleData.results : [];
 
           if (appleResults.length) {
-            const qNorm = bookName.toLowerCase().trim();
+            const qNorm = bookQuery.toLowerCase().trim();
             const appleRanked = appleResults
               .map((r) => ({ r, ...scoreAppleResult(r, qNorm) }))
               .sort((a, b) => b.score - a.score)
@@ -1532,6 +1944,33 @@ module.exports = async (params) => {
       }
     }
 
+    // Last resort: Open Library (good for older and non-English books)
+    if (!picked && SETTINGS.openLibrary.enabled) {
+      const tryOpenLibrary = await qa.yesNoPrompt(
+        "Try Open Library?",
+        `No book selected for "${bookName}". Try Open Library?`
+      );
+
+      if (tryOpenLibrary) {
+        if (Notice) new Notice("Searching Open Library...");
+
+        try {
+          const olBooks = await searchOpenLibraryBooks(obsidian, bookQuery);
+          if (olBooks.length) {
+            const olPicked = await pickBookWithModal({ app, obsidian, books: olBooks });
+            if (olPicked) {
+              picked = await enrichOpenLibraryBook(obsidian, olPicked);
+              bookSource = "open-library";
+            }
+          } else {
+            if (Notice) new Notice("No Open Library results either.");
+          }
+        } catch (e) {
+          if (Notice) new Notice(`Open Library search failed: ${e.message}`);
+        }
+      }
+    }
+
     // If still no pick, handle skip/stop
     if (!picked) {
       const action = await qa.suggester(["Skip this book", "Stop importing"], ["skip", "stop"]);
@@ -1549,6 +1988,8 @@ module.exports = async (params) => {
     const metaForCheck = {
       volumeId: picked.volumeId || "",
       appleTrackId: picked.appleTrackId || "",
+      openLibraryWorkId: picked.openLibraryWorkId || "",
+      openLibraryEditionId: picked.openLibraryEditionId || "",
       title: picked.title,
       authors: picked.authors,
       isbn13: picked.isbn13 || "",
@@ -1579,21 +2020,12 @@ module.exports = async (params) => {
         }
 
         if (mode === "add") {
-          // Adding to existing note - still need some prompts
-          const purchasedStore = selectedStore; // From store selection at start
-          const readingStatus = "not-started"; // Default for bulk import
-
-          // Skip reading dates and rating if not started
-          let readingStarted = "";
-          let readingDone = "";
-          let rating = "";
-
-          if (readingStatus !== "not-started") {
-            readingStarted = ((await qa.inputPrompt("Reading started", "YYYY-MM-DD (leave blank if unknown)")) || "").trim();
-            readingDone = ((await qa.inputPrompt("Reading done", "YYYY-MM-DD (leave blank if unknown)")) || "").trim();
-            const ratingRaw = ((await qa.inputPrompt("Rating", "0-10 (leave blank if none)")) || "").trim();
-            rating = ratingRaw === "" ? "" : Number(ratingRaw);
-          }
+          // Adding to existing note - status and rating come from the CSV when mapped
+          const purchasedStore = bookStore;
+          const readingStatus = csvBook.status || "not-started"; // Default for bulk import
+          const readingStarted = "";
+          const readingDone = "";
+          const rating = csvBook.rating;
 
           const prompts = {
             purchasedStore: purchasedStore ?? "",
@@ -1638,20 +2070,11 @@ module.exports = async (params) => {
     // At this point: either no existing note, or creating a new linked note
     // Now get remaining prompts and download cover
 
-    const purchasedStore = selectedStore; // From store selection at start
-    const readingStatus = "not-started"; // Default for bulk import
-
-    // Skip reading dates and rating if not started
-    let readingStarted = "";
-    let readingDone = "";
-    let rating = "";
-
-    if (readingStatus !== "not-started") {
-      readingStarted = ((await qa.inputPrompt("Reading started", "YYYY-MM-DD (leave blank if unknown)")) || "").trim();
-      readingDone = ((await qa.inputPrompt("Reading done", "YYYY-MM-DD (leave blank if unknown)")) || "").trim();
-      const ratingRaw = ((await qa.inputPrompt("Rating", "0-10 (leave blank if none)")) || "").trim();
-      rating = ratingRaw === "" ? "" : Number(ratingRaw);
-    }
+    const purchasedStore = bookStore;
+    const readingStatus = csvBook.status || "not-started"; // Default for bulk import
+    const readingStarted = "";
+    const readingDone = "";
+    const rating = csvBook.rating;
 
     // Custom filename if no author
     let customFilenameSuffix = "";
@@ -1693,6 +2116,8 @@ module.exports = async (params) => {
     const meta = {
       volumeId: picked.volumeId || "",
       appleTrackId: picked.appleTrackId || "",
+      openLibraryWorkId: picked.openLibraryWorkId || "",
+      openLibraryEditionId: picked.openLibraryEditionId || "",
       title: picked.title,
       subtitle: picked.subtitle,
       authors: picked.authors,
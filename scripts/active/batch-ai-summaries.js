@@ -1,33 +1,161 @@
 // batch-ai-summaries.js — QuickAdd script for Obsidian
 //
-// Cycles through all book notes and generates AI summaries for books
-// that have empty or missing ai_summary fields.
+// Cycles through book, movie, and series notes and generates AI summaries
+// for notes that have empty or missing ai_summary fields. Movies and series
+// also get suggested mood/theme tags in ai_tags, built from the TMDB fields
+// already in the note (title, year, genre, overview, seasons).
 //
-// Calls local Ollama instance directly.
+// Notes are saved one at a time, so an interrupted run resumes where it left
+// off: anything that already has a summary is skipped next time.
+//
+// Calls the AI backend configured in .obsidian/quickadd-secrets.json
+// (Ollama, any OpenAI-compatible server, or the offline stub). The same
+// configuration is used by set-book-vars.js → write-ai-summary.js.
 //
 // Usage:
-//   1. Run via QuickAdd
-//   2. Review count of books needing summaries
+//   1. Run via QuickAdd and choose books, movies, series, or everything
+//   2. Review count of notes needing summaries
 //   3. Confirm to start processing
-//   4. Each book is processed and updated automatically
+//   4. Each note is processed and updated automatically
+//
+// Prompts are editable notes in Templates/AI Prompts ("Book Summary", "Movie Summary"
+// and "Series Summary" are created when missing). Add notes with `types`, `genres` or
+// `formats` frontmatter for more specific prompts (include `types`, since a type match
+// outranks genre/format); placeholders like {{title}} and {{author}} are filled from
+// the note. Outputs outside the word bounds or copying the description/overview are
+// retried with a stricter prompt, then logged to .obsidian/ai-summary-rejected.md.
+//
+// ============================================================================
+// Utilities copied from lib/quickadd-core.js:
+//   - Secrets: loadSecrets
+//   - LLM: AI_BACKEND_DEFAULTS, resolveAiBackend, describeAiBackend, callAiBackend, stubAiResponse
+//   - Prompts: loadPromptTemplates, toLowerList, selectPromptTemplate, renderPromptTemplate
+//   - Validation: countWords, findCopiedPassage, validateAiOutput, appendRejectedOutput
+// ============================================================================
 
 const SETTINGS = {
-  // Folder containing book notes
+  // Folders containing notes to summarise
   bookFolder: "books/books",
+  moviesFolder: "shows/movies",
+  seriesFolder: "shows/series", // Series notes only - episode notes are skipped
+  seriesCategory: "Series",
+
+  // Backend URL/model/timeout/key live in the secrets file (aiBackend, aiBackends)
+  secretsFile: ".obsidian/quickadd-secrets.json",
+
+  // Prompt template notes (body is the prompt, frontmatter selects type/genre/format)
+  prompts: {
+    folder: "Templates/AI Prompts",
+    defaults: { book: "Book Summary", movie: "Movie Summary", series: "Series Summary" },
+  },
+
+  // Suggested tags for movies and series
+  tags: {
+    field: "ai_tags",
+    prefixes: ["mood", "theme"],
+    max: 8,
+  },
 
-  // Ollama settings (update URL if using a remote server)
-  ollama: {
-    url: "http://localhost:11434/api/generate",
-    model: "llama3.1:latest", // Match your QuickAdd AI Assistant model
-    timeout: 60000, // 60 seconds per request
+  // Output validation (templates can override minWords/maxWords)
+  validation: {
+    minWords: 120,
+    maxWords: 180,
+    copyRunLength: 10, // Consecutive words shared with description/overview that count as copying
+    maxRetries: 2,
+    rejectedLogFile: ".obsidian/ai-summary-rejected.md",
   },
+};
+
+// Written to Templates/AI Prompts/<name>.md when missing
+const DEFAULT_PROMPT_TEMPLATES = {
+  book: `---
+types: [book]
+genres: []
+formats: []
+minWords: 120
+maxWords: 180
+---
+Write a high-quality book summary using the metadata below. Do not quote the existing description.
+British English. {{minWords}} to {{maxWords}} words. No fluff.
+
+Output EXACTLY one YAML line only, using double quotes, like:
+ai_summary: "..."
+
+The value must be a single line (no newlines). Escape any " characters with \\".
+
+Metadata:
+Title: {{title}}
+Subtitle: {{subtitle}}
+Author: {{author}}
+ISBN-13: {{isbn13}}
+ISBN-10: {{isbn10}}
+Publisher: {{publisher}}
+Published: {{publishDate}}
+Genre: {{genre}}
+Format: {{format}}
+Existing description: {{description}}
+`,
+  movie: `---
+types: [movie]
+genres: []
+minWords: 80
+maxWords: 150
+---
+Write a spoiler-free summary of this film using the metadata below. Do not quote the existing overview.
+British English. {{minWords}} to {{maxWords}} words. No fluff.
+
+Then suggest 3 to 6 tags for its mood and themes, each written as "mood/word" or "theme/word"
+in lowercase, with hyphens instead of spaces.
+
+Output EXACTLY two YAML lines only, using double quotes, like:
+ai_summary: "..."
+ai_tags: ["mood/tense", "theme/redemption"]
+
+The summary must be a single line (no newlines). Escape any " characters with \\".
+
+Metadata:
+Title: {{title}}
+Year: {{year}}
+Genre: {{genre}}
+Existing overview: {{overview}}
+`,
+  series: `---
+types: [series]
+genres: []
+minWords: 80
+maxWords: 150
+---
+Write a spoiler-free summary of this TV series using the metadata below. Do not quote the existing overview.
+British English. {{minWords}} to {{maxWords}} words. No fluff.
+
+Then suggest 3 to 6 tags for its mood and themes, each written as "mood/word" or "theme/word"
+in lowercase, with hyphens instead of spaces.
+
+Output EXACTLY two YAML lines only, using double quotes, like:
+ai_summary: "..."
+ai_tags: ["mood/cosy", "theme/found-family"]
+
+The summary must be a single line (no newlines). Escape any " characters with \\".
 
-  // Summary generation
-  maxWordsTarget: 150, // Target ~120-180 words
+Metadata:
+Title: {{title}}
+First aired: {{year}}
+Genre: {{genre}}
+Seasons: {{totalSeasons}}
+Episodes: {{totalEpisodes}}
+Existing overview: {{overview}}
+`,
 };
 
-// Build prompt for AI
-function buildPrompt(fm, filename) {
+// Appended to the prompt after a rejected attempt
+const RETRY_INSTRUCTION = `
+
+Your previous answer was rejected: {{reason}}.
+Write between {{minWords}} and {{maxWords}} words, in your own words, without reusing phrases from the existing {{sourceName}}.
+Output only the YAML line(s) requested above.`;
+
+// Placeholder values for prompt templates
+function buildPromptValues(fm, filename) {
   const normaliseList = (v) => {
     if (Array.isArray(v)) {
       return v
@@ -41,34 +169,94 @@ function buildPrompt(fm, filename) {
     return v ? String(v) : "";
   };
 
-  const title = fm.title || filename;
-  const subtitle = fm.subtitle || "";
-  const author = normaliseList(fm.author);
-  const isbn13 = fm.isbn13 || "";
-  const isbn10 = fm.isbn10 || "";
-  const publisher = fm.publisher || "";
-  const publishDate = fm.publishDate || "";
-  const genre = normaliseList(fm.genre);
-  const description = fm.description || "";
+  return {
+    title: fm.title || filename,
+    subtitle: fm.subtitle || "",
+    author: normaliseList(fm.author),
+    isbn13: fm.isbn13 || "",
+    isbn10: fm.isbn10 || "",
+    publisher: fm.publisher || "",
+    publishDate: fm.publishDate || "",
+    genre: normaliseList(fm.genre),
+    format: fm.format || "",
+    description: fm.description || "",
+    year: String(fm.year || fm.firstAirDate || "").slice(0, 4),
+    overview: fm.overview || "",
+    totalSeasons: fm.totalSeasons || "",
+    totalEpisodes: fm.totalEpisodes || "",
+  };
+}
 
-  return `Write a high-quality book summary using the metadata below. Do not quote the existing description.
-British English. 120 to 180 words. No fluff.
+// Load template notes, creating any missing default ones
+async function loadSummaryTemplates(app) {
+  const { folder, defaults } = SETTINGS.prompts;
+  const missing = Object.entries(defaults)
+    .map(([type, name]) => ({ type, path: `${folder}/${name}.md` }))
+    .filter(({ path }) => !app.vault.getAbstractFileByPath(path));
 
-Output EXACTLY one YAML line only, using double quotes, like:
-ai_summary: "..."
+  if (missing.length > 0) {
+    await app.vault.adapter.mkdir(folder).catch(() => {});
+    for (const { type, path } of missing) await app.vault.create(path, DEFAULT_PROMPT_TEMPLATES[type]);
+  }
 
-The value must be a single line (no newlines). Escape any " characters with \\".
+  const templates = await loadPromptTemplates(app, folder);
 
-Metadata:
-Title: ${title}
-Subtitle: ${subtitle}
-Author: ${author}
-ISBN-13: ${isbn13}
-ISBN-10: ${isbn10}
-Publisher: ${publisher}
-Published: ${publishDate}
-Genre: ${genre}
-Existing description: ${description}`;
+  // Default notes written before `types` existed still belong to their own type
+  for (const t of templates) {
+    const legacyType = Object.keys(defaults).find((type) => defaults[type] === t.name);
+    if (legacyType && t.types.length === 0) t.types = [legacyType];
+  }
+
+  // Metadata cache may not have new notes yet - fall back to the built-in prompts
+  for (const [type, name] of Object.entries(defaults)) {
+    if (templates.some((t) => t.types.includes(type))) continue;
+    const body = DEFAULT_PROMPT_TEMPLATES[type].replace(/^---\n[\s\S]*?\n---\n?/, "").trim();
+    templates.push({ name, path: `${folder}/${name}.md`, body, types: [type], genres: [], formats: [], minWords: 0, maxWords: 0 });
+  }
+  return templates;
+}
+
+// Generate and validate a summary (plus tags, when the template asks for them),
+// retrying with a stricter prompt. Rejected outputs are logged and never returned.
+async function generateSummary({ app, obsidian, backend, templates, type, fm, filename, notePath }) {
+  const cfg = SETTINGS.validation;
+  const values = buildPromptValues(fm, filename);
+  const template = selectPromptTemplate(templates, { type, genres: fm.genre, format: fm.format });
+  if (!template) throw new Error(`No prompt template matches (add a default note to ${SETTINGS.prompts.folder})`);
+
+  // Books are checked against description, shows against TMDB's overview
+  const sourceName = type === "book" ? "description" : "overview";
+  const rules = {
+    minWords: template.minWords || cfg.minWords,
+    maxWords: template.maxWords || cfg.maxWords,
+    source: values[sourceName],
+    runLength: cfg.copyRunLength,
+  };
+  const promptValues = { ...values, sourceName, minWords: rules.minWords, maxWords: rules.maxWords };
+  const basePrompt = renderPromptTemplate(template.body, promptValues);
+  // The stub's fixed one-liner only exercises the wiring, so skip the word bounds for it
+  const checkRules = backend.type === "stub" ? { ...rules, minWords: 0, maxWords: 0 } : rules;
+
+  let prompt = basePrompt;
+  let reason = "";
+  for (let attempt = 1; attempt <= cfg.maxRetries + 1; attempt++) {
+    const response = await callAiBackend(obsidian, backend, prompt);
+    const summary = parseAiResponse(response);
+    const check = validateAiOutput(summary, checkRules);
+    if (check.ok) return { summary, tags: parseAiTags(response) };
+
+    reason = check.reason;
+    await appendRejectedOutput(app, cfg.rejectedLogFile, {
+      note: notePath,
+      template: template.name,
+      attempt,
+      reason,
+      output: summary || response,
+    });
+    prompt = basePrompt + renderPromptTemplate(RETRY_INSTRUCTION, { ...promptValues, reason });
+  }
+
+  throw new Error(`Rejected after ${cfg.maxRetries + 1} attempts: ${reason}`);
 }
 
 // Parse AI response to extract summary
@@ -76,13 +264,15 @@ function parseAiResponse(response) {
   const text = String(response || "").trim();
 
   // Try to extract from YAML format: ai_summary: "..."
-  const yamlMatch = text.match(/ai_summary:\s*"(.*)"\s*$/);
+  const yamlMatch = text.match(/^ai_summary:\s*"(.*)"\s*$/m);
   if (yamlMatch) {
     return yamlMatch[1].replace(/\\"/g, '"');
   }
 
   // If no YAML format, use the raw response (cleaned up)
   const cleaned = text
+    .replace(/^ai_tags:.*$/gim, "")
+    .trim()
     .replace(/^ai_summary:\s*/i, "")
     .replace(/^["']|["']$/g, "")
     .replace(/\s+/g, " ")
@@ -91,56 +281,267 @@ function parseAiResponse(response) {
   return cleaned;
 }
 
-// Call Ollama API (uses obsidian.requestUrl for iOS compatibility)
-async function callOllama(obsidian, prompt) {
-  // Use Obsidian's requestUrl API for iOS compatibility
+// Parse the ai_tags line into normalised "mood/..." / "theme/..." tags
+function parseAiTags(response) {
+  const cfg = SETTINGS.tags;
+  const match = String(response || "").match(/^ai_tags:\s*(.+)$/m);
+  if (!match) return [];
+
+  let list;
+  try {
+    list = JSON.parse(match[1]);
+  } catch {
+    list = match[1].replace(/^\[|\]$/g, "").split(",");
+  }
+  if (!Array.isArray(list)) return [];
+
+  const tags = list
+    .map((t) => String(t || "").replace(/["'#]/g, "").trim().toLowerCase().replace(/\s+/g, "-"))
+    .filter((t) => cfg.prefixes.some((p) => t.startsWith(`${p}/`) && t.length > p.length + 1));
+  return [...new Set(tags)].slice(0, cfg.max);
+}
+
+// ============================================================================
+// LLM BACKENDS (from quickadd-core.js)
+// ============================================================================
+
+// Defaults; override per backend in the secrets file under "aiBackends" and pick one with "aiBackend"
+const AI_BACKEND_DEFAULTS = {
+  backend: "ollama",
+  backends: {
+    // Ollama native API
+    ollama: { type: "ollama", url: "http://localhost:11434/api/generate", model: "llama3.1:latest", timeout: 60000, apiKey: "" },
+    // Any OpenAI-compatible server: llama.cpp server, LM Studio, vLLM
+    openai: { type: "openai", url: "http://localhost:8080/v1/chat/completions", model: "local-model", timeout: 120000, apiKey: "" },
+    // Deterministic offline responses for testing
+    stub: { type: "stub", url: "", model: "stub", timeout: 0, apiKey: "", response: "" },
+  },
+};
+
+function resolveAiBackend(secrets = {}, backendName = "") {
+  const name = backendName || secrets.aiBackend || AI_BACKEND_DEFAULTS.backend;
+  const base = AI_BACKEND_DEFAULTS.backends[name] || {};
+  const override = secrets.aiBackends?.[name] || {};
+  const config = { name, ...base, ...override };
+  if (!config.type) config.type = name;
+  if (!["ollama", "openai", "stub"].includes(config.type)) {
+    throw new Error(`Unknown AI backend type "${config.type}" (expected ollama, openai, or stub)`);
+  }
+  return config;
+}
+
+function describeAiBackend(backend) {
+  return `${backend.name} (${backend.model})`;
+}
+
+async function callAiBackend(obsidian, backend, prompt) {
+  if (backend.type === "stub") return stubAiResponse(backend, prompt);
+
   if (!obsidian?.requestUrl) {
     throw new Error("obsidian.requestUrl is not available");
   }
 
+  const headers = { "Content-Type": "application/json" };
+  if (backend.apiKey) headers.Authorization = `Bearer ${backend.apiKey}`;
+
+  const body = backend.type === "ollama"
+    ? { model: backend.model, prompt, stream: false }
+    : { model: backend.model, messages: [{ role: "user", content: prompt }], stream: false };
+
   let timeoutId;
   const timeoutPromise = new Promise((_, reject) => {
     timeoutId = setTimeout(() => {
-      reject(new Error("Ollama request timed out"));
-    }, SETTINGS.ollama.timeout);
+      reject(new Error(`${backend.name} request timed out`));
+    }, backend.timeout || 60000);
   });
 
   try {
     const response = await Promise.race([
       obsidian.requestUrl({
-        url: SETTINGS.ollama.url,
+        url: backend.url,
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          model: SETTINGS.ollama.model,
-          prompt: prompt,
-          stream: false,
-        }),
+        headers,
+        body: JSON.stringify(body),
+        throw: false,
       }),
       timeoutPromise,
     ]);
 
-    clearTimeout(timeoutId);
-
     if (response.status < 200 || response.status >= 300) {
-      throw new Error(`Ollama returned HTTP ${response.status}`);
+      throw new Error(`${backend.name} returned HTTP ${response.status}`);
     }
 
     const data = typeof response.json === "object" ? response.json : JSON.parse(response.text || "{}");
-    return data.response || "";
-  } catch (e) {
+    if (backend.type === "ollama") return data.response || "";
+    return data.choices?.[0]?.message?.content || "";
+  } finally {
     clearTimeout(timeoutId);
-    throw e;
   }
 }
 
-// Check if file is in books folder
-function isInBooksFolder(filePath) {
+function stubAiResponse(backend, prompt) {
+  if (backend.response) return backend.response;
+  let hash = 5381;
+  for (let i = 0; i < prompt.length; i++) hash = ((hash * 33) ^ prompt.charCodeAt(i)) >>> 0;
+  return `ai_summary: "Stub summary for a ${prompt.length}-character prompt (${hash.toString(16)})."`;
+}
+
+// ============================================================================
+// AI PROMPT TEMPLATES & VALIDATION (from quickadd-core.js)
+// ============================================================================
+
+async function loadPromptTemplates(app, folder) {
+  const prefix = folder.replace(/\/+$/, "") + "/";
+  const files = app.vault.getMarkdownFiles().filter((f) => f.path.startsWith(prefix));
+  const templates = [];
+
+  for (const file of files) {
+    const fm = app.metadataCache.getFileCache(file)?.frontmatter || {};
+    const text = await app.vault.read(file);
+    const body = text.replace(/^---\n[\s\S]*?\n---\n?/, "").trim();
+    if (!body) continue;
+
+    templates.push({
+      name: file.basename,
+      path: file.path,
+      body,
+      types: toLowerList(fm.types),
+      genres: toLowerList(fm.genres),
+      formats: toLowerList(fm.formats),
+      minWords: Number(fm.minWords) || 0,
+      maxWords: Number(fm.maxWords) || 0,
+    });
+  }
+
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function toLowerList(value) {
+  const list = Array.isArray(value) ? value : value ? String(value).split(",") : [];
+  return list
+    .map((v) => String(v || "").replace(/^\[\[/, "").replace(/\]\]$/, "").split("|")[0].trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// A type match outranks format/genre; untyped templates are the fallback
+function selectPromptTemplate(templates, { type = "", genres = [], format = "" } = {}) {
+  const noteType = String(type || "").toLowerCase();
+  const noteGenres = toLowerList(genres);
+  const noteFormat = String(format || "").toLowerCase();
+  let best = null;
+  let bestScore = -1;
+
+  for (const t of templates) {
+    let score = 0;
+    if (t.types.length > 0) {
+      if (!t.types.includes(noteType)) continue;
+      score += 8;
+    }
+    if (t.formats.length > 0) {
+      if (!t.formats.includes(noteFormat)) continue;
+      score += 4;
+    }
+    if (t.genres.length > 0) {
+      if (!t.genres.some((g) => noteGenres.includes(g))) continue;
+      score += 2;
+    }
+    if (score > bestScore) {
+      best = t;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+function renderPromptTemplate(template, values) {
+  return String(template || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    const v = values[key];
+    return v === undefined || v === null ? "" : String(v);
+  });
+}
+
+function countWords(text) {
+  return String(text || "").trim().split(/\s+/).filter(Boolean).length;
+}
+
+function findCopiedPassage(output, source, runLength = 10) {
+  const words = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9'\s]/g, " ").split(/\s+/).filter(Boolean);
+  const out = words(output);
+  const src = words(source);
+  if (out.length < runLength || src.length < runLength) return "";
+
+  const runs = new Set();
+  for (let i = 0; i + runLength <= src.length; i++) runs.add(src.slice(i, i + runLength).join(" "));
+  for (let i = 0; i + runLength <= out.length; i++) {
+    const run = out.slice(i, i + runLength).join(" ");
+    if (runs.has(run)) return run;
+  }
+  return "";
+}
+
+function validateAiOutput(text, { minWords = 0, maxWords = 0, source = "", runLength = 10 } = {}) {
+  const words = countWords(text);
+  if (!words) return { ok: false, reason: "empty output", words };
+  if (minWords && words < minWords) return { ok: false, reason: `too short (${words} words, minimum ${minWords})`, words };
+  if (maxWords && words > maxWords) return { ok: false, reason: `too long (${words} words, maximum ${maxWords})`, words };
+  const copied = findCopiedPassage(text, source, runLength);
+  if (copied) return { ok: false, reason: `copies the existing description ("${copied}")`, words };
+  return { ok: true, reason: "", words };
+}
+
+async function appendRejectedOutput(app, logFile, entry) {
+  try {
+    const exists = await app.vault.adapter.exists(logFile);
+    const header = exists ? await app.vault.adapter.read(logFile) : "# Rejected AI Output\n";
+    const block = [
+      ``,
+      `## ${entry.note} (${new Date().toISOString()})`,
+      `- Template: ${entry.template || "built-in"}`,
+      `- Attempt: ${entry.attempt}`,
+      `- Reason: ${entry.reason}`,
+      ``,
+      `> ${String(entry.output || "").replace(/\s+/g, " ").trim()}`,
+      ``,
+    ].join("\n");
+    await app.vault.adapter.write(logFile, header.trimEnd() + "\n" + block);
+  } catch (e) {
+    console.error("Failed to log rejected AI output:", e);
+  }
+}
+
+// ============================================================================
+// SECRETS LOADING (from quickadd-core.js)
+// ============================================================================
+
+async function loadSecrets(app, secretsFile = ".obsidian/quickadd-secrets.json") {
+  try {
+    const exists = await app.vault.adapter.exists(secretsFile);
+    if (!exists) return {};
+    const raw = await app.vault.adapter.read(secretsFile);
+    return JSON.parse(raw);
+  } catch {
+    return {};
+  }
+}
+
+// Check if file is inside a folder
+function isInFolder(filePath, folder) {
   const p = String(filePath || "").replace(/\\/g, "/");
-  const prefix = SETTINGS.bookFolder.replace(/\\/g, "/").replace(/\/+$/, "") + "/";
+  const prefix = folder.replace(/\\/g, "/").replace(/\/+$/, "") + "/";
   return p.startsWith(prefix);
 }
 
+// Note type for a file, or "" if it isn't summarised
+function noteType(file, fm) {
+  if (isInFolder(file.path, SETTINGS.bookFolder)) return "book";
+  if (isInFolder(file.path, SETTINGS.moviesFolder)) return "movie";
+  if (isInFolder(file.path, SETTINGS.seriesFolder)) {
+    return toLowerList(fm?.categories).includes(SETTINGS.seriesCategory.toLowerCase()) ? "series" : "";
+  }
+  return "";
+}
+
 // Get frontmatter from file
 function getFrontmatter(app, file) {
   const cache = app?.metadataCache?.getFileCache(file);
@@ -150,7 +551,7 @@ function getFrontmatter(app, file) {
 // Check if ai_summary needs generation
 function needsSummary(fm) {
   if (!fm) return false;
-  if (!fm.title) return false; // Not a valid book note
+  if (!fm.title) return false; // Not a valid book/show note
   const summary = String(fm.ai_summary || "").trim();
   return !summary || summary === '""' || summary === "''";
 }
@@ -166,29 +567,42 @@ module.exports = async (params) => {
 
   const Notice = obsidian?.Notice || globalThis.Notice;
 
-  // Find all book notes needing summaries
+  const scope = await qa.suggester(
+    ["Books", "Movies", "Series", "Movies & series", "Everything"],
+    [["book"], ["movie"], ["series"], ["movie", "series"], ["book", "movie", "series"]]
+  );
+  if (!scope) return;
+  const label = scope.length === 1 ? { book: "books", movie: "movies", series: "series" }[scope[0]] : "notes";
+
+  const secrets = await loadSecrets(app, SETTINGS.secretsFile);
+  const backend = resolveAiBackend(secrets);
+  const templates = await loadSummaryTemplates(app);
+
+  // Find all notes needing summaries
   const allFiles = app.vault.getFiles();
-  const booksNeedingSummary = [];
+  const notesNeedingSummary = [];
 
   for (const file of allFiles) {
     if (file.extension !== "md") continue;
-    if (!isInBooksFolder(file.path)) continue;
 
     const fm = getFrontmatter(app, file);
+    const type = noteType(file, fm);
+    if (!scope.includes(type)) continue;
+
     if (needsSummary(fm)) {
-      booksNeedingSummary.push({ file, fm, title: fm?.title || file.basename });
+      notesNeedingSummary.push({ file, fm, type, title: fm?.title || file.basename });
     }
   }
 
-  if (booksNeedingSummary.length === 0) {
-    if (Notice) new Notice("All books already have AI summaries!");
+  if (notesNeedingSummary.length === 0) {
+    if (Notice) new Notice(`All ${label} already have AI summaries!`);
     return;
   }
 
   // Show summary and confirm
   const proceed = await qa.yesNoPrompt(
     "Generate AI Summaries",
-    `Found ${booksNeedingSummary.length} book(s) missing AI summaries.\n\nThis will call Ollama (${SETTINGS.ollama.model}) for each book.\n\nContinue?`
+    `Found ${notesNeedingSummary.length} ${label} missing AI summaries.\n\nThis will call ${describeAiBackend(backend)} for each one.\n\nContinue?`
   );
 
   if (!proceed) {
@@ -196,39 +610,32 @@ module.exports = async (params) => {
     return;
   }
 
-  // Process each book
+  // Process each note
   let successCount = 0;
   let errorCount = 0;
   const errors = [];
 
-  for (let i = 0; i < booksNeedingSummary.length; i++) {
-    const { file, fm, title } = booksNeedingSummary[i];
-    const progress = `[${i + 1}/${booksNeedingSummary.length}]`;
+  for (let i = 0; i < notesNeedingSummary.length; i++) {
+    const { file, fm, type, title } = notesNeedingSummary[i];
+    const progress = `[${i + 1}/${notesNeedingSummary.length}]`;
 
     if (Notice) new Notice(`${progress} Processing: ${title}`);
 
     try {
-      // Build prompt
-      const prompt = buildPrompt(fm, file.basename);
-
-      // Call Ollama
-      const response = await callOllama(obsidian, prompt);
-
-      // Parse response
-      const summary = parseAiResponse(response);
-
-      if (!summary) {
-        throw new Error("Empty response from AI");
-      }
+      // Generate with the matching template; throws if every attempt is rejected
+      const { summary, tags } = await generateSummary({
+        app, obsidian, backend, templates, type, fm, filename: file.basename, notePath: file.path,
+      });
 
       // Update frontmatter
       await app.fileManager.processFrontMatter(file, (frontmatter) => {
         frontmatter.ai_summary = summary;
+        if (tags.length > 0) frontmatter[SETTINGS.tags.field] = tags;
       });
 
       successCount++;
 
-      // Small delay between requests to not overwhelm Ollama
+      // Small delay between requests to not overwhelm the server
       await new Promise((r) => setTimeout(r, 500));
     } catch (e) {
       errorCount++;
@@ -250,6 +657,10 @@ module.exports = async (params) => {
     }
   }
 
+  if (errors.some((err) => err.error.startsWith("Rejected"))) {
+    message += `\n\nRejected outputs logged to ${SETTINGS.validation.rejectedLogFile}`;
+  }
+
   if (Notice) new Notice(message);
 };
 
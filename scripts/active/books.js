@@ -1,12 +1,20 @@
 // books.js — Unified QuickAdd script for Obsidian
 //
 // Manages book notes from various sources:
-//   - Manual: Search Google Books (with Apple Books fallback)
+//   - Sessions: Log reading sessions (one note per session) and track progress
+//   - Duplicates: Find likely duplicate notes, then merge them or link as editions
+//   - Authors: Enrich People notes with bio, dates, photo, IDs and bibliography
+//   - Loans: Check books out to people, borrow them, check them back in
+//   - Manual: Search Google Books (with Apple Books and Open Library fallbacks)
+//   - ISBN: Exact lookup of one or more ISBNs across all providers
+//   - Goodreads: Import goodreads_library_export.csv (resumable)
+//   - Audible: Import an Audible library export (CSV/JSON, resumable)
+//   - Kindle: Append highlights from My Clippings.txt to existing book notes
 //   - CSV Import: Batch import from CSV file
-//   - Future: Goodreads API, Kindle highlights extension
 //
 // Creates book notes with full metadata, downloads covers,
-// and creates/links Author, Genre, Store, and Format notes.
+// and creates/links Author, Narrator, Genre, Series, Store, and Format notes.
+// Audiobooks record narrators and length in minutes instead of totalPage.
 //
 // iOS compatible: uses app.vault.adapter and obsidian.requestUrl
 //
@@ -14,7 +22,9 @@
 // Utilities copied from lib/quickadd-core.js:
 //   - String: pad2, localISODate, safeFilename, sanitizeForWikilink, normalise,
 //             decodeHtmlEntities, toWikilink, stripWikilink
+//   - Date: addDays, formatDateOption, promptForDate
 //   - YAML: quoteYamlString, yamlBlockScalar, yamlArray
+//   - CSV: parseCSVRecords
 //   - File: ensureFolder, ensureNote, findFileByName, findExistingNoteByTitle
 //   - HTTP: httpGetBuffer, downloadImage, extFromUrl
 //   - Secrets: loadSecrets
@@ -59,6 +69,7 @@ const SETTINGS = {
     authorFolder: "People",
     categoryPeoplePath: "Categories/People.md",
     categoryAuthorsPath: "Categories/Authors.md",
+    categoryNarratorsPath: "Categories/Narrators.md",
     booksBaseName: "Books.base",
     booksBaseBlock: "Author",
     peopleTag: "People",
@@ -91,9 +102,19 @@ const SETTINGS = {
     tag: "Formats",
   },
 
+  // Series upsert behaviour (series + seriesIndex)
+  seriesUpsert: {
+    enabled: true,
+    folder: "Series",
+    categoryPath: "Categories/Series.md",
+    baseName: "Series.base",
+    tag: "Series",
+    volumesHeading: "## Volumes",
+  },
+
   // Prompts
   prompts: {
-    purchasedStoreOptions: ["Amazon", "Apple", "Google", "Physical", "Other"],
+    purchasedStoreOptions: ["Amazon", "Apple", "Audible", "Google", "Physical", "Other"],
     formatOptions: ["paperback", "hardback", "kindle", "ebook", "audiobook", "other", ""],
     statusOptions: ["not-started", "reading", "finished", "abandoned"],
   },
@@ -116,8 +137,101 @@ const SETTINGS = {
     maxResults: 40,
   },
 
+  // Open Library fallback
+  openLibrary: {
+    enabled: true,
+    maxResults: 40,
+    maxGenres: 3, // subjects are very granular, keep the first few as genres
+  },
+
   // CSV batch import
   csvProgressFile: ".obsidian/book-import-progress.json",
+
+  // Goodreads library export (goodreads_library_export.csv)
+  goodreads: {
+    ratingMultiplier: 2, // Goodreads stars are 1-5, notes use 0-10
+    reviewHeading: "## Review",
+    skippedFile: ".obsidian/book-import-skipped-goodreads.md",
+    shelfMapping: {
+      "read": "finished",
+      "currently-reading": "reading",
+      "to-read": "not-started",
+    },
+    bindingMapping: {
+      "paperback": "paperback",
+      "mass market paperback": "paperback",
+      "trade paperback": "paperback",
+      "hardcover": "hardback",
+      "hardback": "hardback",
+      "kindle edition": "kindle",
+      "ebook": "ebook",
+      "nook": "ebook",
+      "audible audio": "audiobook",
+      "audio cd": "audiobook",
+      "audiobook": "audiobook",
+    },
+  },
+
+  // Kindle "My Clippings.txt" import
+  kindle: {
+    heading: "## Highlights",
+    unmatchedFile: ".obsidian/kindle-highlights-unmatched.md",
+  },
+
+  // Audiobooks: narrators + length replace totalPage
+  audiobook: {
+    format: "audiobook",
+    narratorField: "narrator",
+    lengthField: "lengthMinutes",
+  },
+
+  // Audible library export (audible-cli `library export` CSV/JSON)
+  audible: {
+    store: "Audible",
+    domain: "www.audible.com.au",
+    skippedFile: ".obsidian/book-import-skipped-audible.md",
+  },
+
+  // Reading session log (one note per session, like shows/watched)
+  readingSessions: {
+    folder: "books/sessions",
+    categoryWikilink: "[[Reading Sessions]]",
+    percentFormats: ["kindle", "ebook", "audiobook"], // default to percent for these
+  },
+
+  // Duplicate finder
+  duplicates: {
+    similarityThreshold: 0.85, // stringSimilarity on "title author"
+    ignoredFile: ".obsidian/book-duplicates-ignored.json",
+    mergedHeading: "## Merged from",
+  },
+
+  // Author enrichment (Open Library authors). Fields are only filled when empty,
+  // or when they still hold the value enrichment wrote last time (stateFile).
+  // A written field you clear is remembered there and left empty afterwards.
+  authorEnrichment: {
+    photoFolder: "People/photos",
+    stateFile: ".obsidian/author-enrichment.json",
+    maxBioLength: 600,
+    worksLimit: 200,
+    inVaultHeading: "## Books in vault",
+    otherWorksHeading: "## Other works",
+    // The lists under both headings sit between these markers; text outside them is yours
+    blockStart: "<!-- books:auto -->",
+    blockEnd: "<!-- books:auto-end -->",
+  },
+
+  // Loans: lentTo/lentDate or borrowedFrom/borrowedDate, plus dueDate. A loan
+  // is open until returnedDate is set. Library loans are books whose
+  // purchasedStore (and borrowedFrom) is a Store note tagged libraryTag.
+  loans: {
+    libraryOption: "Library", // extra purchasedStore prompt option
+    libraryTag: "Libraries",
+    loanDays: 21, // default due date for library loans
+  },
+
+  // ISBN lookups that could not be added
+  isbnSkippedFile: ".obsidian/book-isbn-skipped.md",
 };
 
 // ============================================================================
@@ -203,6 +317,63 @@ function parsePublishedDate(publishedDateRaw) {
   return s;
 }
 
+// ============================================================================
+// DATE UTILITIES
+// ============================================================================
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+function isISODate(s) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(s || ""))) return false;
+  const d = new Date(`${s}T00:00:00`);
+  return !Number.isNaN(d.getTime()) && localISODate(d) === s;
+}
+
+function formatDateOption(date, label) {
+  const dateStr = localISODate(date);
+  return { label: `${label} (${dateStr})`, value: dateStr };
+}
+
+async function promptForDate(qa, title = "Date read") {
+  const today = new Date();
+
+  const options = [
+    formatDateOption(today, "Today"),
+    formatDateOption(addDays(today, -1), "Yesterday"),
+    formatDateOption(addDays(today, -2), "2 days ago"),
+    formatDateOption(addDays(today, -3), "3 days ago"),
+    formatDateOption(addDays(today, -4), "4 days ago"),
+    formatDateOption(addDays(today, -5), "5 days ago"),
+    formatDateOption(addDays(today, -6), "6 days ago"),
+    formatDateOption(addDays(today, -7), "1 week ago"),
+    { label: "Custom date...", value: "custom" },
+  ];
+
+  const selection = await qa.suggester(
+    options.map(o => o.label),
+    options.map(o => o.value)
+  );
+
+  // Cancelling returns null so callers can abort
+  if (!selection) return null;
+
+  // Re-ask until the custom date is a real YYYY-MM-DD date
+  if (selection === "custom") {
+    let header = title;
+    for (;;) {
+      const custom = (await qa.inputPrompt(header, "YYYY-MM-DD"))?.trim();
+      if (!custom) return null;
+      if (isISODate(custom)) return custom;
+      header = `${title} - "${custom}" is not a valid date`;
+    }
+  }
+
+  return selection;
+}
+
 // ============================================================================
 // YAML UTILITIES
 // ============================================================================
@@ -248,6 +419,60 @@ function yamlMaybeNumber(lines, key, value) {
   lines.push(`${key}: ${n}`);
 }
 
+// ============================================================================
+// CSV PARSING
+// ============================================================================
+function parseCSVRecords(text) {
+  const records = [];
+  let record = [];
+  let current = "";
+  let inQuotes = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const char = src[i];
+    const next = src[i + 1];
+
+    if (inQuotes) {
+      if (char === '"' && next === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(current.trim());
+      current = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && next === "\n") i++;
+      record.push(current.trim());
+      if (record.some((v) => v)) records.push(record);
+      record = [];
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  record.push(current.trim());
+  if (record.some((v) => v)) records.push(record);
+
+  if (records.length < 2) return { headers: [], rows: [] };
+  const headers = records[0];
+  const rows = records.slice(1).map((values, idx) => {
+    const row = {};
+    headers.forEach((h, col) => {
+      row[h.toLowerCase().trim()] = values[col] || "";
+    });
+    row._lineNumber = idx + 2;
+    return row;
+  });
+  return { headers, rows };
+}
+
 // ============================================================================
 // FILE OPERATIONS
 // ============================================================================
@@ -394,6 +619,28 @@ function bestCoverUrl(imageLinks) {
   return String(il.thumbnail || il.smallThumbnail || "").replace("&edge=curl", "");
 }
 
+function mapGoogleVolumeToBook(it) {
+  const vi = it?.volumeInfo || {};
+  const isbns = extractISBNs(vi.industryIdentifiers);
+  const authors = Array.isArray(vi.authors) ? vi.authors : [];
+  const categories = Array.isArray(vi.categories) ? vi.categories : [];
+  return {
+    volumeId: String(it?.id || "").trim(),
+    title: String(vi.title || "").trim(),
+    subtitle: String(vi.subtitle || "").trim(),
+    authors, publisher: String(vi.publisher || "").trim(),
+    publishDate: String(vi.publishedDate || "").trim(),
+    totalPage: vi.pageCount ?? 0, categories,
+    genres: categories.map((c) => String(c).trim()).filter(Boolean),
+    description: stripHtml(vi.description || ""),
+    link: String(vi.canonicalVolumeLink || vi.infoLink || "").trim(),
+    previewLink: String(vi.previewLink || "").trim(),
+    coverUrl: bestCoverUrl(vi.imageLinks), ...isbns, language: String(vi.language || "").trim(),
+    seriesIndex: String(vi.seriesInfo?.bookDisplayNumber || "").trim(),
+    source: "google-books",
+  };
+}
+
 function tokenise(q) {
   return normalise(q).split(/[^a-z0-9]+/g).map((t) => t.trim()).filter(Boolean);
 }
@@ -493,6 +740,194 @@ function mapAppleResultToBook(r) {
   };
 }
 
+// ============================================================================
+// OPEN LIBRARY API
+// ============================================================================
+async function openLibraryGetJson(obsidian, url) {
+  const response = await obsidian.requestUrl({ url, method: "GET", throw: false });
+  if (response.status === 404) return null;
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`Open Library request failed: HTTP ${response.status}`);
+  }
+  return typeof response.json === "object" ? response.json : JSON.parse(response.text || "{}");
+}
+
+async function openLibrarySearch(obsidian, query, { maxResults }) {
+  const searchUrl = `https://openlibrary.org/search.json?` +
+    new URLSearchParams({
+      q: query,
+      limit: String(maxResults || 40),
+      fields: "key,title,subtitle,author_name,first_publish_year,publisher,number_of_pages_median,isbn,cover_i,cover_edition_key,subject,language",
+    }).toString();
+  return (await openLibraryGetJson(obsidian, searchUrl)) || {};
+}
+
+async function openLibraryIsbnLookup(obsidian, isbn) {
+  const clean = String(isbn || "").replace(/[^0-9Xx]/g, "");
+  if (!clean) return null;
+  return await openLibraryGetJson(obsidian, `https://openlibrary.org/isbn/${clean}.json`);
+}
+
+async function openLibraryFetchWork(obsidian, workId) {
+  if (!workId) return null;
+  return await openLibraryGetJson(obsidian, `https://openlibrary.org/works/${workId}.json`);
+}
+
+async function openLibraryFetchEdition(obsidian, editionId) {
+  if (!editionId) return null;
+  return await openLibraryGetJson(obsidian, `https://openlibrary.org/books/${editionId}.json`);
+}
+
+async function openLibraryFetchEditions(obsidian, workId, limit = 50) {
+  if (!workId) return [];
+  const data = await openLibraryGetJson(obsidian, `https://openlibrary.org/works/${workId}/editions.json?limit=${limit}`);
+  return Array.isArray(data?.entries) ? data.entries : [];
+}
+
+async function openLibraryFetchAuthorName(obsidian, authorKey) {
+  const key = String(authorKey || "").replace(/^\/authors\//, "");
+  if (!key) return "";
+  const data = await openLibraryGetJson(obsidian, `https://openlibrary.org/authors/${key}.json`);
+  return String(data?.name || data?.personal_name || "").replace(/\s+/g, " ").trim();
+}
+
+function openLibraryId(key) {
+  return String(key || "").split("/").filter(Boolean).pop() || "";
+}
+
+function openLibraryCoverUrl(coverId, size = "L") {
+  const id = Number(coverId);
+  if (!Number.isFinite(id) || id <= 0) return "";
+  return `https://covers.openlibrary.org/b/id/${id}-${size}.jpg`;
+}
+
+function openLibraryText(value) {
+  if (!value) return "";
+  if (typeof value === "string") return value;
+  return String(value.value || "");
+}
+
+function openLibraryLanguage(codes) {
+  const first = openLibraryId(Array.isArray(codes) ? (codes[0]?.key || codes[0]) : "");
+  if (first === "eng") return "en";
+  return first;
+}
+
+function pickISBNs(list) {
+  const out = { isbn10: "", isbn13: "" };
+  for (const raw of Array.isArray(list) ? list : []) {
+    const id = String(raw || "").replace(/[^0-9Xx]/g, "");
+    if (id.length === 13 && !out.isbn13) out.isbn13 = id;
+    if (id.length === 10 && !out.isbn10) out.isbn10 = id;
+  }
+  return out;
+}
+
+function mapOpenLibraryDocToBook(doc) {
+  const workId = openLibraryId(doc.key);
+  const subjects = Array.isArray(doc.subject) ? doc.subject.map((s) => String(s).trim()).filter(Boolean) : [];
+  return {
+    volumeId: "",
+    appleTrackId: "",
+    openLibraryWorkId: workId,
+    openLibraryEditionId: String(doc.cover_edition_key || "").trim(),
+    title: String(doc.title || "").trim(),
+    subtitle: String(doc.subtitle || "").trim(),
+    authors: Array.isArray(doc.author_name) ? doc.author_name.map((a) => String(a).trim()).filter(Boolean) : [],
+    publisher: Array.isArray(doc.publisher) && doc.publisher.length ? String(doc.publisher[0]).trim() : "",
+    publishDate: doc.first_publish_year ? String(doc.first_publish_year) : "",
+    totalPage: doc.number_of_pages_median ?? 0,
+    categories: subjects,
+    genres: subjects.slice(0, SETTINGS.openLibrary.maxGenres),
+    description: "",
+    link: workId ? `https://openlibrary.org/works/${workId}` : "",
+    previewLink: "",
+    coverUrl: openLibraryCoverUrl(doc.cover_i),
+    ...pickISBNs(doc.isbn),
+    language: openLibraryLanguage(doc.language),
+    source: "open-library",
+  };
+}
+
+async function mapOpenLibraryEditionToBook(obsidian, edition, work) {
+  const authorKeys = (Array.isArray(edition?.authors) && edition.authors.length ? edition.authors : work?.authors || [])
+    .map((a) => a?.key || a?.author?.key || "").filter(Boolean);
+  const authors = [];
+  for (const key of authorKeys) {
+    const name = await openLibraryFetchAuthorName(obsidian, key).catch(() => "");
+    if (name) authors.push(name);
+  }
+  const workId = openLibraryId(work?.key || edition?.works?.[0]?.key);
+  const subjects = (Array.isArray(work?.subjects) ? work.subjects : []).map((s) => String(s).trim()).filter(Boolean);
+  const coverId = (edition?.covers || []).find((c) => c > 0) || (work?.covers || []).find((c) => c > 0);
+  return {
+    volumeId: "",
+    appleTrackId: "",
+    openLibraryWorkId: workId,
+    openLibraryEditionId: openLibraryId(edition?.key),
+    title: String(edition?.title || work?.title || "").trim(),
+    subtitle: String(edition?.subtitle || work?.subtitle || "").trim(),
+    authors,
+    publisher: Array.isArray(edition?.publishers) && edition.publishers.length ? String(edition.publishers[0]).trim() : "",
+    publishDate: String(edition?.publish_date || "").trim(),
+    totalPage: edition?.number_of_pages ?? 0,
+    categories: subjects,
+    genres: subjects.slice(0, SETTINGS.openLibrary.maxGenres),
+    description: stripHtml(openLibraryText(edition?.description) || openLibraryText(work?.description)),
+    link: workId ? `https://openlibrary.org/works/${workId}` : "",
+    previewLink: "",
+    coverUrl: openLibraryCoverUrl(coverId),
+    isbn13: pickISBNs(edition?.isbn_13).isbn13,
+    isbn10: pickISBNs(edition?.isbn_10).isbn10,
+    language: openLibraryLanguage(edition?.languages),
+    ...parseOpenLibrarySeries(edition?.series),
+    source: "open-library",
+  };
+}
+
+// Search results only carry work-level data: fill in the description and
+// edition-specific fields (ISBN, pages, publisher) once a book is picked.
+async function enrichOpenLibraryBook(obsidian, book) {
+  try {
+    const work = await openLibraryFetchWork(obsidian, book.openLibraryWorkId);
+    let edition = await openLibraryFetchEdition(obsidian, book.openLibraryEditionId);
+    if (!edition) {
+      const editions = await openLibraryFetchEditions(obsidian, book.openLibraryWorkId);
+      edition = editions.find((e) => Array.isArray(e.isbn_13) && e.isbn_13.length && openLibraryLanguage(e.languages) === SETTINGS.langRestrict)
+        || editions.find((e) => Array.isArray(e.isbn_13) && e.isbn_13.length)
+        || null;
+    }
+    if (!work && !edition) return book;
+    const detailed = edition ? await mapOpenLibraryEditionToBook(obsidian, edition, work) : null;
+    return {
+      ...book,
+      openLibraryEditionId: detailed?.openLibraryEditionId || book.openLibraryEditionId,
+      subtitle: book.subtitle || detailed?.subtitle || "",
+      publisher: detailed?.publisher || book.publisher,
+      totalPage: detailed?.totalPage || book.totalPage,
+      isbn13: detailed?.isbn13 || book.isbn13,
+      isbn10: detailed?.isbn10 || book.isbn10,
+      coverUrl: book.coverUrl || detailed?.coverUrl || "",
+      description: stripHtml(openLibraryText(work?.description)) || detailed?.description || "",
+      series: book.series || detailed?.series || "",
+      seriesIndex: book.seriesIndex || detailed?.seriesIndex || "",
+    };
+  } catch (e) {
+    console.error("Open Library enrichment failed:", e);
+    return book;
+  }
+}
+
+async function searchOpenLibraryBooks(obsidian, query) {
+  const data = await openLibrarySearch(obsidian, query, SETTINGS.openLibrary);
+  const docs = Array.isArray(data?.docs) ? data.docs : [];
+  const queryTokens = tokenise(query);
+  return docs.map((doc) => {
+    const v = mapOpenLibraryDocToBook(doc);
+    return { score: scoreItem(queryTokens, v), v };
+  }).sort((a, b) => b.score - a.score).slice(0, SETTINGS.maxPick).map((x) => x.v);
+}
+
 // ============================================================================
 // BOOK KEY / DUPLICATE DETECTION
 // ============================================================================
@@ -533,6 +968,14 @@ function findExistingBookNote(app, meta) {
     if (meta?.isbn13 && isbn13 && isbn13 === meta.isbn13) score = Math.max(score, 90);
     const appleId = String(fm.appleTrackId || "").trim();
     if (meta?.appleTrackId && appleId && appleId === meta.appleTrackId) score = Math.max(score, 100);
+    const olEditionId = String(fm.openLibraryEditionId || "").trim();
+    const olWorkId = String(fm.openLibraryWorkId || "").trim();
+    if (meta?.openLibraryEditionId && olEditionId && olEditionId === meta.openLibraryEditionId) score = Math.max(score, 100);
+    if (meta?.openLibraryWorkId && olWorkId && olWorkId === meta.openLibraryWorkId) score = Math.max(score, 80);
+    const audibleAsin = String(fm.audibleAsin || "").trim();
+    if (meta?.audibleAsin && audibleAsin && audibleAsin === meta.audibleAsin) score = Math.max(score, 100);
+    const goodreadsId = String(fm.goodreadsBookId || "").trim();
+    if (meta?.goodreadsBookId && goodreadsId && goodreadsId === meta.goodreadsBookId) score = Math.max(score, 100);
     if (wantedKey && storedKey && storedKey === wantedKey) score = Math.max(score, 80);
 
     const fmTitle = normalise(fm.title || "");
@@ -554,10 +997,10 @@ function findExistingBookNote(app, meta) {
 // ============================================================================
 // ENTITY UPSERTS
 // ============================================================================
-async function createAuthorNote(app, obsidian, authorTitle) {
+async function createAuthorNote(app, obsidian, authorTitle, typePath = SETTINGS.authorUpsert.categoryAuthorsPath) {
   const cfg = SETTINGS.authorUpsert;
   const categoryPeopleLink = `[[${cfg.categoryPeoplePath.replace(/\.md$/, "")}]]`;
-  const typeAuthorsLink = `[[${cfg.categoryAuthorsPath.replace(/\.md$/, "")}]]`;
+  const typeAuthorsLink = `[[${typePath.replace(/\.md$/, "")}]]`;
   const booksBaseFile = findFileByName(app, cfg.booksBaseName);
   const authorFilePath = obsidian?.normalizePath
     ? obsidian.normalizePath(`${cfg.authorFolder}/${authorTitle}.md`)
@@ -578,26 +1021,40 @@ ${booksSection}`.trim() + "\n";
   return await app.vault.create(authorFilePath, content);
 }
 
-async function upsertAndLinkAuthorsForBook({ app, obsidian, bookFile, authorNames }) {
+// People notes for authors and narrators share one folder; typePath picks the category
+async function upsertAndLinkPeopleForBook({ app, obsidian, bookFile, names: rawNames, fieldName, typePath }) {
   const cfg = SETTINGS.authorUpsert;
   if (!cfg.enabled) return;
   await ensureNote(app, obsidian, cfg.categoryPeoplePath, `---\ntags:\n  - categories\n---\n\n![[People.base]]\n`);
-  await ensureNote(app, obsidian, cfg.categoryAuthorsPath, `---\ntags:\n  - categories\n---\n`);
-  const names = (Array.isArray(authorNames) ? authorNames : authorNames ? [authorNames] : [])
+  await ensureNote(app, obsidian, typePath, `---\ntags:\n  - categories\n---\n`);
+  const names = (Array.isArray(rawNames) ? rawNames : rawNames ? [rawNames] : [])
     .map((n) => stripWikilinkValue(n)).filter(Boolean);
   if (!names.length) return;
   const links = [];
   for (const name of names) {
     const existing = findExistingNoteByTitle(app, bookFile, name);
     if (existing) { links.push(`[[${existing.basename}]]`); continue; }
-    const created = await createAuthorNote(app, obsidian, name);
+    const created = await createAuthorNote(app, obsidian, name, typePath);
     links.push(`[[${created.basename}]]`);
   }
   const seen = new Set();
   const unique = links.filter((x) => (seen.has(x) ? false : (seen.add(x), true)));
   await app.fileManager.processFrontMatter(bookFile, (fm) => {
-    fm.author = unique;
-    delete fm.authors;
+    fm[fieldName] = unique;
+    if (fieldName === "author") delete fm.authors;
+  });
+}
+
+async function upsertAndLinkAuthorsForBook({ app, obsidian, bookFile, authorNames }) {
+  await upsertAndLinkPeopleForBook({
+    app, obsidian, bookFile, names: authorNames, fieldName: "author", typePath: SETTINGS.authorUpsert.categoryAuthorsPath,
+  });
+}
+
+async function upsertAndLinkNarratorsForBook({ app, obsidian, bookFile, narratorNames }) {
+  await upsertAndLinkPeopleForBook({
+    app, obsidian, bookFile, names: narratorNames,
+    fieldName: SETTINGS.audiobook.narratorField, typePath: SETTINGS.authorUpsert.categoryNarratorsPath,
   });
 }
 
@@ -665,6 +1122,163 @@ async function upsertAndLinkGenresForBook({ app, obsidian, bookFile, genres }) {
   return unique;
 }
 
+// ============================================================================
+// SERIES
+// ============================================================================
+// Title suffixes that carry series info, e.g.
+//   "The Way of Kings (The Stormlight Archive, #1)"   (Goodreads)
+//   "Leviathan Wakes (The Expanse Book 1)"
+//   "Caliban's War (Book 2 of the Expanse)"
+//   "Abaddon's Gate (Book 3)"                          (index only)
+const SERIES_TITLE_PATTERNS = [
+  { re: /^(.+?)\s*\(([^()]+?),?\s*#(\d+(?:\.\d+)?)\)$/, series: 2, index: 3 },
+  { re: /^(.+?)\s*\(([^()]+?),?\s+(?:Book|Volume|Vol\.?|Bk\.?)\s*(\d+(?:\.\d+)?)\)$/i, series: 2, index: 3 },
+  { re: /^(.+?)\s*\((?:Book|Volume|Vol\.?)\s*(\d+(?:\.\d+)?)\s+(?:of|in)\s+([^()]+)\)$/i, series: 3, index: 2 },
+  { re: /^(.+?)\s*\((?:Book|Volume|Vol\.?)\s*(\d+(?:\.\d+)?)\)$/i, series: 0, index: 2 },
+];
+
+// Subtitles such as "Book 3 of The Expanse" or "The Expanse, Book 3"
+const SERIES_SUBTITLE_PATTERNS = [
+  { re: /^(?:Book|Volume|Vol\.?)\s*(\d+(?:\.\d+)?)\s+(?:of|in)\s+(.+)$/i, series: 2, index: 1 },
+  { re: /^(.+?),?\s+(?:Book|Volume|Vol\.?)\s*(\d+(?:\.\d+)?)$/i, series: 1, index: 2 },
+];
+
+function cleanSeriesName(name) {
+  const cleaned = String(name || "").replace(/\s+series$/i, "").replace(/[\s,;:-]+$/, "").trim();
+  return cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+}
+
+function parseSeriesFromTitle(title) {
+  const t = String(title || "").trim();
+  for (const p of SERIES_TITLE_PATTERNS) {
+    const m = t.match(p.re);
+    if (m) return { title: m[1].trim(), series: p.series ? cleanSeriesName(m[p.series]) : "", seriesIndex: m[p.index] };
+  }
+  return null;
+}
+
+function parseSeriesFromSubtitle(subtitle) {
+  const t = String(subtitle || "").trim();
+  for (const p of SERIES_SUBTITLE_PATTERNS) {
+    const m = t.match(p.re);
+    if (m) return { series: cleanSeriesName(m[p.series]), seriesIndex: m[p.index] };
+  }
+  return null;
+}
+
+// Open Library edition series strings: "Discworld ; 3", "The Expanse -- bk. 2", "Dune Chronicles, #1"
+function parseOpenLibrarySeries(list) {
+  const first = (Array.isArray(list) ? list : list ? [list] : []).map((s) => String(s || "").trim()).find(Boolean);
+  if (!first) return {};
+  const m = first.match(/^(.+?)\s*(?:;|,|--|#|\()\s*(?:(?:book|bk|vol|volume|no|number)\.?\s*)?#?\s*(\d+(?:\.\d+)?)\)?\s*$/i);
+  // Without a number this is usually a publisher imprint ("Penguin classics"), not a series
+  return m ? { series: cleanSeriesName(m[1]), seriesIndex: m[2] } : {};
+}
+
+// Provider fields win; title and subtitle patterns fill the gaps.
+// A series suffix found in the title is removed from it.
+function detectSeries(book) {
+  let title = String(book?.title || "").trim();
+  let series = cleanSeriesName(book?.series);
+  let seriesIndex = String(book?.seriesIndex ?? "").trim();
+  const fromTitle = parseSeriesFromTitle(title);
+  if (fromTitle) {
+    title = fromTitle.title;
+    series = series || fromTitle.series;
+    seriesIndex = seriesIndex || fromTitle.seriesIndex;
+  }
+  if (!series || !seriesIndex) {
+    const fromSubtitle = parseSeriesFromSubtitle(book?.subtitle);
+    if (fromSubtitle) {
+      series = series || fromSubtitle.series;
+      seriesIndex = seriesIndex || fromSubtitle.seriesIndex;
+    }
+  }
+  const n = Number(seriesIndex);
+  return { title, series, seriesIndex: seriesIndex && Number.isFinite(n) ? n : "" };
+}
+
+function isBookOwned(fm) {
+  if (String(stripWikilinkValue(fm.borrowedFrom) || "").trim()) return false;
+  return ["purchasedStore", "purchasedDate", "format"].some((k) => String(stripWikilinkValue(fm[k]) || "").trim());
+}
+
+// Rebuild the managed "Volumes" table on a Series note: every book note in the
+// series in index order, plus placeholder rows for gaps in the numbering.
+// `volume` ({file, fm}) is a book whose frontmatter was just written; the
+// metadata cache can lag behind that write, so its fm is used instead.
+async function refreshSeriesNote(app, seriesFile, volume = null) {
+  const heading = SETTINGS.seriesUpsert.volumesHeading;
+  const byIndex = new Map();
+  const unnumbered = [];
+  const files = app.vault.getMarkdownFiles();
+  if (volume && !files.some((f) => f.path === volume.file.path)) files.push(volume.file);
+  for (const f of files) {
+    if (!isInBooksFolder(f.path)) continue;
+    const fm = volume && f.path === volume.file.path ? volume.fm : getFrontmatter(app, f);
+    if (!fm || stripWikilinkValue(fm.series) !== seriesFile.basename) continue;
+    const entry = { link: `[[${f.basename}]]`, owned: isBookOwned(fm), read: fm.readingStatus === "finished" };
+    const idx = Number(fm.seriesIndex);
+    if (fm.seriesIndex === "" || fm.seriesIndex === null || fm.seriesIndex === undefined || !Number.isFinite(idx)) {
+      unnumbered.push(entry);
+      continue;
+    }
+    if (!byIndex.has(idx)) byIndex.set(idx, []);
+    byIndex.get(idx).push(entry);
+  }
+
+  const maxIndex = Math.max(0, ...[...byIndex.keys()].filter(Number.isInteger));
+  for (let i = 1; i <= maxIndex; i++) {
+    if (!byIndex.has(i)) byIndex.set(i, []);
+  }
+  const rows = [...byIndex.entries()].sort((a, b) => a[0] - b[0]).map(([idx, entries]) => {
+    const books = entries.map((e) => e.link).join(", ") || "—";
+    const owned = entries.some((e) => e.owned) ? "✅" : "❌";
+    const read = entries.some((e) => e.read) ? "✅" : "";
+    return `| ${idx} | ${books} | ${owned} | ${read} |`;
+  });
+  for (const e of unnumbered) rows.push(`| ? | ${e.link} | ${e.owned ? "✅" : "❌"} | ${e.read ? "✅" : ""} |`);
+  const table = ["| # | Book | Owned | Read |", "|---|------|-------|------|", ...rows].join("\n");
+
+  await app.vault.process(seriesFile, (content) => replaceNoteSection(content, heading, table));
+}
+
+// Replace the body under a "## Heading" (up to the next # or ## heading), appending it if missing
+function replaceNoteSection(content, heading, body) {
+  const lines = content.split("\n");
+  const start = lines.findIndex((l) => l.trim() === heading);
+  if (start === -1) return `${content.replace(/\s*$/, "")}\n\n${heading}\n\n${body}\n`;
+  let end = lines.findIndex((l, i) => i > start && /^#{1,2} /.test(l));
+  if (end === -1) end = lines.length;
+  const after = lines.slice(end).join("\n");
+  return `${lines.slice(0, start + 1).join("\n")}\n\n${body}\n${after ? `\n${after}` : ""}`;
+}
+
+async function upsertAndLinkSeriesForBook({ app, obsidian, bookFile, series, seriesIndex }) {
+  const cfg = SETTINGS.seriesUpsert;
+  if (!cfg.enabled || !String(series || "").trim()) return "";
+  const link = await upsertAndLinkEntity({ app, obsidian, bookFile, entityName: series, cfg, fieldName: "series" });
+  if (!link) return "";
+  let volumeFm = null;
+  await app.fileManager.processFrontMatter(bookFile, (fm) => {
+    if (seriesIndex !== "" && seriesIndex !== null && seriesIndex !== undefined) fm.seriesIndex = seriesIndex;
+    volumeFm = { ...fm };
+  });
+  const seriesFile = app.metadataCache.getFirstLinkpathDest(stripWikilinkValue(link), bookFile.path);
+  if (seriesFile) await refreshSeriesNote(app, seriesFile, { file: bookFile, fm: volumeFm });
+  return link;
+}
+
+// After a status or ownership change on a book already in a series. Pass the
+// frontmatter just written (`fm`) when there is one; the cache may be stale.
+async function refreshSeriesForBook(app, bookFile, fm = null) {
+  const bookFm = fm || getFrontmatter(app, bookFile);
+  const name = stripWikilinkValue(bookFm?.series);
+  if (!name) return;
+  const seriesFile = app.metadataCache.getFirstLinkpathDest(name, bookFile.path);
+  if (seriesFile) await refreshSeriesNote(app, seriesFile, fm ? { file: bookFile, fm } : null);
+}
+
 // ============================================================================
 // BUILD FRONTMATTER
 // ============================================================================
@@ -678,16 +1292,27 @@ function buildFrontMatter(meta, prompts, extra = {}) {
   const authorLinks = (meta.authorLinks || meta.authors || []).map(toWikilink).filter(Boolean);
   lines.push(yamlArray("author", authorLinks));
   if (Array.isArray(meta.genres) && meta.genres.length) lines.push(yamlArray("genre", meta.genres));
+  yamlMaybeString(lines, "series", meta.series);
+  yamlMaybeNumber(lines, "seriesIndex", meta.seriesIndex);
   yamlMaybeString(lines, "publisher", meta.publisher);
   const pub = parsePublishedDate(meta.publishDate);
   if (pub) lines.push(`publishDate: ${quoteYamlString(pub)}`);
-  yamlMaybeNumber(lines, "totalPage", meta.totalPage);
+  if (isAudiobookFormat(prompts.format)) {
+    const narratorLinks = (meta.narrators || []).map(toWikilink).filter(Boolean);
+    if (narratorLinks.length) lines.push(yamlArray(SETTINGS.audiobook.narratorField, narratorLinks));
+    yamlMaybeNumber(lines, SETTINGS.audiobook.lengthField, meta.lengthMinutes);
+  } else {
+    yamlMaybeNumber(lines, "totalPage", meta.totalPage);
+  }
   yamlMaybeString(lines, "isbn13", meta.isbn13);
   yamlMaybeString(lines, "isbn10", meta.isbn10);
   yamlMaybeString(lines, "localCoverImage", meta.localCoverImage);
   if (extra.bookKey) lines.push(`${SETTINGS.multiFormat.bookKeyField}: ${quoteYamlString(extra.bookKey)}`);
   lines.push(`purchasedStore: ${quoteYamlString(prompts.purchasedStore || "")}`);
   lines.push(`purchasedDate: ${quoteYamlString(prompts.purchasedDate || "")}`);
+  yamlMaybeString(lines, "borrowedFrom", prompts.borrowedFrom);
+  yamlMaybeString(lines, "borrowedDate", prompts.borrowedDate);
+  yamlMaybeString(lines, "dueDate", prompts.dueDate);
   lines.push(`format: ${quoteYamlString(prompts.format || "")}`);
   lines.push(`readingStatus: ${quoteYamlString(prompts.readingStatus || "")}`);
   lines.push(`readingStarted: ${quoteYamlString(prompts.readingStarted || "")}`);
@@ -703,11 +1328,22 @@ function buildFrontMatter(meta, prompts, extra = {}) {
   }
   lines.push(`via: ${quoteYamlString(meta.link || "")}`);
   lines.push(`source: ${quoteYamlString(meta.source || "google-books")}`);
-  if (meta.source === "apple-books") {
-    lines.push(`appleTrackId: ${quoteYamlString(meta.appleTrackId || "")}`);
-  } else {
+  // Source-specific IDs, plus any other provider IDs found for the same edition
+  const isGoogle = !meta.source || meta.source === "google-books";
+  const isApple = meta.source === "apple-books";
+  const isOpenLibrary = meta.source === "open-library";
+  if (isGoogle || meta.volumeId) {
     lines.push(`google_volume_id: ${quoteYamlString(meta.volumeId || "")}`);
   }
+  if (isApple || meta.appleTrackId) {
+    lines.push(`appleTrackId: ${quoteYamlString(meta.appleTrackId || "")}`);
+  }
+  if (isOpenLibrary || meta.openLibraryWorkId) {
+    lines.push(`openLibraryWorkId: ${quoteYamlString(meta.openLibraryWorkId || "")}`);
+    lines.push(`openLibraryEditionId: ${quoteYamlString(meta.openLibraryEditionId || "")}`);
+  }
+  yamlMaybeString(lines, "goodreadsBookId", meta.goodreadsBookId);
+  yamlMaybeString(lines, "audibleAsin", meta.audibleAsin);
   lines.push(yamlBlockScalar("description", meta.description || ""));
   lines.push(yamlBlockScalar("ai_summary", ""));
   lines.push("---");
@@ -813,6 +1449,192 @@ async function createBookNote(app, folder, baseName, content) {
   throw new Error(`Could not create unique file after ${maxAttempts} attempts`);
 }
 
+// ============================================================================
+// BOOK NOTE HELPERS
+// ============================================================================
+async function promptBookDetails(app, qa) {
+  const storeOptions = [...SETTINGS.prompts.purchasedStoreOptions, SETTINGS.loans.libraryOption];
+  let purchasedStore = await qa.suggester(storeOptions, storeOptions);
+  let purchasedDate = "", borrowedFrom = "", borrowedDate = "", dueDate = "";
+  if (purchasedStore === SETTINGS.loans.libraryOption) {
+    const loan = await promptLibraryLoan(app, qa);
+    purchasedStore = loan?.library || "";
+    if (loan) ({ library: borrowedFrom, borrowedDate, dueDate } = loan);
+  } else {
+    purchasedDate = ((await qa.inputPrompt("Purchased date", "YYYY-MM-DD (leave blank if unknown)")) || "").trim();
+  }
+  const format = await qa.suggester(SETTINGS.prompts.formatOptions.map((x) => (x ? x : "(blank)")), SETTINGS.prompts.formatOptions);
+  let narrators = [], lengthMinutes = "";
+  if (isAudiobookFormat(format)) {
+    narrators = splitNames((await qa.inputPrompt("Narrator(s)", "Comma-separated (leave blank if unknown)")) || "");
+    lengthMinutes = parseDurationMinutes((await qa.inputPrompt("Length", "e.g. 11h 23m, 11:23 or 683 minutes (leave blank if unknown)")) || "") || "";
+  }
+  const readingStatus = await qa.suggester(SETTINGS.prompts.statusOptions, SETTINGS.prompts.statusOptions);
+  let readingStarted = "", readingDone = "", rating = "";
+  if (readingStatus !== "not-started") {
+    readingStarted = ((await qa.inputPrompt("Reading started", "YYYY-MM-DD (leave blank if unknown)")) || "").trim();
+    readingDone = ((await qa.inputPrompt("Reading done", "YYYY-MM-DD (leave blank if unknown)")) || "").trim();
+    const ratingRaw = ((await qa.inputPrompt("Rating", "0-10 (leave blank if none)")) || "").trim();
+    rating = ratingRaw === "" ? "" : Number(ratingRaw);
+  }
+  return { purchasedStore, purchasedDate, format, readingStatus, readingStarted, readingDone, rating, narrators, lengthMinutes, borrowedFrom, borrowedDate, dueDate };
+}
+
+// ============================================================================
+// AUDIOBOOK HELPERS
+// ============================================================================
+function isAudiobookFormat(format) {
+  return normalise(stripWikilinkValue(format)) === SETTINGS.audiobook.format;
+}
+
+// People lists also split on " & " ("Jane Doe & John Roe"); genres like
+// "Science Fiction & Fantasy" pass { people: false } to keep the ampersand
+function splitNames(value, { people = true } = {}) {
+  const separator = people ? /\s*[,;]\s*|\s+&\s+/ : /\s*[,;]\s*/;
+  const list = Array.isArray(value) ? value : String(value || "").split(separator);
+  return list.map((n) => String(n || "").trim()).filter(Boolean);
+}
+
+// "11h 23m", "11 hrs and 23 mins", "11:23", "683" (minutes) -> 683
+function parseDurationMinutes(value) {
+  const s = String(value ?? "").trim().toLowerCase();
+  if (!s) return 0;
+  if (/^\d+(\.\d+)?$/.test(s)) return Math.round(Number(s));
+  const clock = s.match(/^(\d+):(\d{1,2})(?::(\d{1,2}))?$/);
+  if (clock) return Number(clock[1]) * 60 + Number(clock[2]) + (clock[3] ? Math.round(Number(clock[3]) / 60) : 0);
+  const hours = s.match(/(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hour|hours)\b/);
+  const mins = s.match(/(\d+)\s*(?:m|min|mins|minute|minutes)\b/);
+  if (!hours && !mins) return 0;
+  return Math.round((hours ? Number(hours[1]) * 60 : 0) + (mins ? Number(mins[1]) : 0));
+}
+
+// Narrators and length typed at the prompts fill in what the provider did not have
+function withAudiobookDetails(meta, prompts) {
+  if (!isAudiobookFormat(prompts?.format)) return meta;
+  return {
+    ...meta,
+    narrators: meta.narrators?.length ? meta.narrators : prompts.narrators || [],
+    lengthMinutes: meta.lengthMinutes || prompts.lengthMinutes || "",
+  };
+}
+
+function formatDurationMinutes(minutes) {
+  const n = Number(minutes);
+  if (!Number.isFinite(n) || n <= 0) return "";
+  return `${Math.floor(n / 60)}h ${pad2(n % 60)}m`;
+}
+
+async function downloadBookCover({ app, obsidian, book, Notice }) {
+  if (!book?.coverUrl) return "";
+  try {
+    const coverBaseName = book.authors?.[0]
+      ? safeFilename(`${book.title} - ${book.authors[0]}`)
+      : safeFilename(book.title) || "cover";
+    const cover = await downloadCoverToVault({
+      app, obsidian, coverUrl: book.coverUrl,
+      destFolder: SETTINGS.coverFolder,
+      destFilenameBase: coverBaseName,
+    });
+    return cover.ok ? cover.localPath : "";
+  } catch {
+    if (Notice) new Notice("Cover download failed. Note will be created without local cover.");
+    return "";
+  }
+}
+
+function buildBookMeta(picked, localCoverImage, bookSource) {
+  const { title, series, seriesIndex } = detectSeries(picked);
+  return {
+    volumeId: picked.volumeId || "", appleTrackId: picked.appleTrackId || "",
+    openLibraryWorkId: picked.openLibraryWorkId || "", openLibraryEditionId: picked.openLibraryEditionId || "",
+    title, subtitle: picked.subtitle, authors: picked.authors, series, seriesIndex,
+    genres: picked.genres, publisher: picked.publisher, publishDate: picked.publishDate,
+    totalPage: picked.totalPage, isbn13: picked.isbn13 || "", isbn10: picked.isbn10 || "",
+    localCoverImage, link: picked.link || picked.previewLink || "",
+    description: picked.description, source: bookSource || picked.source || "google-books",
+    narrators: picked.narrators || [], lengthMinutes: picked.lengthMinutes || "", audibleAsin: picked.audibleAsin || "",
+  };
+}
+
+async function linkBookEntities({ app, obsidian, bookFile, meta, prompts, bookFm = null }) {
+  await upsertAndLinkAuthorsForBook({ app, obsidian, bookFile, authorNames: meta.authors });
+  await upsertAndLinkGenresForBook({ app, obsidian, bookFile, genres: meta.genres });
+  if (meta.narrators?.length) {
+    await upsertAndLinkNarratorsForBook({ app, obsidian, bookFile, narratorNames: meta.narrators });
+  }
+  const storeLink = await upsertAndLinkEntity({ app, obsidian, bookFile, entityName: prompts.purchasedStore, cfg: SETTINGS.storeUpsert, fieldName: "purchasedStore" });
+  if (prompts.borrowedFrom && storeLink) await linkLibraryLoan(app, bookFile, storeLink);
+  await upsertAndLinkEntity({ app, obsidian, bookFile, entityName: prompts.format, cfg: SETTINGS.formatUpsert, fieldName: "format" });
+  if (meta.series) {
+    await upsertAndLinkSeriesForBook({ app, obsidian, bookFile, series: meta.series, seriesIndex: meta.seriesIndex });
+  } else {
+    await refreshSeriesForBook(app, bookFile, bookFm);
+  }
+}
+
+async function createBookFromMeta({ app, obsidian, meta: rawMeta, prompts, relatedEditions = [] }) {
+  const meta = withAudiobookDetails(rawMeta, prompts);
+  const firstAuthor = meta.authors && meta.authors[0] ? meta.authors[0] : "";
+  const formatSuffix = relatedEditions.length && prompts.format ? ` (${prompts.format})` : "";
+  const baseFileName = firstAuthor
+    ? safeFilename(`${meta.title} - ${firstAuthor}${formatSuffix}`)
+    : safeFilename(`${meta.title}${formatSuffix}`) || "Untitled book";
+  const bookKey = computeBookKey(meta);
+  const content = buildFrontMatter(meta, prompts, { bookKey, relatedEditions });
+  const bookFile = await createBookNote(app, SETTINGS.noteFolder, baseFileName, content);
+  await linkBookEntities({ app, obsidian, bookFile, meta, prompts });
+  return bookFile;
+}
+
+async function updateExistingBookNote({ app, obsidian, bookFile, meta: rawMeta, prompts }) {
+  const meta = withAudiobookDetails(rawMeta, prompts);
+  let bookFm = null;
+  await app.fileManager.processFrontMatter(bookFile, (fm) => {
+    fm.purchasedStore = prompts.purchasedStore ?? "";
+    fm.purchasedDate = prompts.purchasedDate ?? "";
+    fm.format = prompts.format ?? "";
+    if (prompts.borrowedFrom) {
+      Object.assign(fm, { borrowedFrom: prompts.borrowedFrom, borrowedDate: prompts.borrowedDate, dueDate: prompts.dueDate || "", returnedDate: "" });
+      delete fm.lentTo;
+      delete fm.lentDate;
+    }
+    const lengthField = SETTINGS.audiobook.lengthField;
+    if (isAudiobookFormat(prompts.format) && meta.lengthMinutes && !Number(fm[lengthField])) fm[lengthField] = Number(meta.lengthMinutes);
+    if (meta.localCoverImage && !String(fm.localCoverImage || "").trim()) fm.localCoverImage = meta.localCoverImage;
+    if (!String(fm.openLibraryWorkId || "").trim() && meta.openLibraryWorkId) fm.openLibraryWorkId = meta.openLibraryWorkId;
+    if (!String(fm.openLibraryEditionId || "").trim() && meta.openLibraryEditionId) fm.openLibraryEditionId = meta.openLibraryEditionId;
+    bookFm = { ...fm };
+  });
+  // Keep a series the user already set by hand
+  const keepSeries = String(stripWikilinkValue(bookFm.series) || "").trim();
+  await linkBookEntities({ app, obsidian, bookFile, meta: keepSeries ? { ...meta, series: "" } : meta, prompts, bookFm });
+}
+
+function dedupePreserveOrder(list) {
+  const out = [];
+  const seen = new Set();
+  for (const x of list || []) {
+    const k = String(x || "").trim();
+    if (!k || seen.has(k)) continue;
+    seen.add(k);
+    out.push(k);
+  }
+  return out;
+}
+
+async function linkEditions({ app, aFile, bFile }) {
+  const relField = SETTINGS.multiFormat.relatedEditionsField;
+  const addLink = async (file, linkToAdd) => {
+    await app.fileManager.processFrontMatter(file, (fm) => {
+      const existing = fm[relField];
+      const list = Array.isArray(existing) ? existing : existing ? [existing] : [];
+      fm[relField] = dedupePreserveOrder([...list, linkToAdd]);
+    });
+  };
+  await addLink(aFile, pathToWikilink(bFile.path));
+  await addLink(bFile, pathToWikilink(aFile.path));
+}
+
 // ============================================================================
 // MANUAL MODE
 // ============================================================================
@@ -839,35 +1661,17 @@ async function handleManual(app, qa, obsidian, Notice) {
       const items = Array.isArray(data?.items) ? data.items : [];
       if (items.length) {
         const mapped = items.map((it) => {
-          const vi = it?.volumeInfo || {};
-          const isbns = extractISBNs(vi.industryIdentifiers);
-          const authors = Array.isArray(vi.authors) ? vi.authors : [];
-          const categories = Array.isArray(vi.categories) ? vi.categories : [];
-          const coverUrl = bestCoverUrl(vi.imageLinks);
-          const v = {
-            volumeId: String(it.id || "").trim(),
-            title: String(vi.title || "").trim(),
-            subtitle: String(vi.subtitle || "").trim(),
-            authors, publisher: String(vi.publisher || "").trim(),
-            publishDate: String(vi.publishedDate || "").trim(),
-            totalPage: vi.pageCount ?? 0, categories,
-            genres: categories.map((c) => String(c).trim()).filter(Boolean),
-            description: stripHtml(vi.description || ""),
-            link: String(vi.canonicalVolumeLink || vi.infoLink || "").trim(),
-            previewLink: String(vi.previewLink || "").trim(),
-            coverUrl, ...isbns, language: String(vi.language || "").trim(),
-            source: "google-books",
-          };
+          const v = mapGoogleVolumeToBook(it);
           return { score: scoreItem(queryTokens, v), v };
         }).sort((a, b) => b.score - a.score).slice(0, SETTINGS.maxPick).map((x) => x.v);
 
         const preAction = await qa.suggester(
-          [`Select from ${mapped.length} Google results`, "Try Apple Books instead", "Search again", "Stop"],
-          ["select", "apple", "retry", "stop"]
+          [`Select from ${mapped.length} Google results`, "Try Apple Books instead", "Try Open Library instead", "Search again", "Stop"],
+          ["select", "apple", "openlibrary", "retry", "stop"]
         );
         if (preAction === "stop") { if (Notice) new Notice("Book adding finished."); return; }
         if (preAction === "retry") continue;
-        if (preAction === "apple") { mapped.length = 0; }
+        if (preAction === "apple" || preAction === "openlibrary") { mapped.length = 0; }
         else if (preAction === "select") {
           picked = await pickBookWithModal({ app, obsidian, books: mapped });
         }
@@ -876,11 +1680,11 @@ async function handleManual(app, qa, obsidian, Notice) {
       if (Notice) new Notice(`Google search failed: ${e.message}`);
     }
 
-    // Apple Books fallback
+    // Apple Books / Open Library fallback
     if (!picked) {
       const action = await qa.suggester(
-        ["Try Apple Books instead", "Search again with different terms", "Stop adding books"],
-        ["apple", "retry", "stop"]
+        ["Try Apple Books instead", "Try Open Library instead", "Search again with different terms", "Stop adding books"],
+        ["apple", "openlibrary", "retry", "stop"]
       );
       if (action === "stop" || !action) { if (Notice) new Notice("Book adding finished."); return; }
       if (action === "retry") continue;
@@ -910,50 +1714,37 @@ async function handleManual(app, qa, obsidian, Notice) {
           if (Notice) new Notice(`Apple search failed: ${e.message}`);
         }
       }
-    }
 
-    if (!picked) continue;
-
-    // Prompts
-    const purchasedStore = await qa.suggester(SETTINGS.prompts.purchasedStoreOptions, SETTINGS.prompts.purchasedStoreOptions);
-    const purchasedDate = ((await qa.inputPrompt("Purchased date", "YYYY-MM-DD (leave blank if unknown)")) || "").trim();
-    const format = await qa.suggester(SETTINGS.prompts.formatOptions.map((x) => (x ? x : "(blank)")), SETTINGS.prompts.formatOptions);
-    const readingStatus = await qa.suggester(SETTINGS.prompts.statusOptions, SETTINGS.prompts.statusOptions);
-    let readingStarted = "", readingDone = "", rating = "";
-    if (readingStatus !== "not-started") {
-      readingStarted = ((await qa.inputPrompt("Reading started", "YYYY-MM-DD (leave blank if unknown)")) || "").trim();
-      readingDone = ((await qa.inputPrompt("Reading done", "YYYY-MM-DD (leave blank if unknown)")) || "").trim();
-      const ratingRaw = ((await qa.inputPrompt("Rating", "0-10 (leave blank if none)")) || "").trim();
-      rating = ratingRaw === "" ? "" : Number(ratingRaw);
-    }
+      if (action === "openlibrary" && SETTINGS.openLibrary.enabled) {
+        if (Notice) new Notice("Searching Open Library...");
+        try {
+          const olBooks = await searchOpenLibraryBooks(obsidian, query);
+          if (!olBooks.length) { if (Notice) new Notice("No Open Library results either."); continue; }
 
-    // Cover download
-    let localCoverImage = "";
-    if (picked.coverUrl) {
-      try {
-        const coverBaseName = picked.authors?.[0]
-          ? safeFilename(`${picked.title} - ${picked.authors[0]}`)
-          : safeFilename(picked.title) || "cover";
-        const cover = await downloadCoverToVault({
-          app, obsidian, coverUrl: picked.coverUrl,
-          destFolder: SETTINGS.coverFolder,
-          destFilenameBase: coverBaseName,
-        });
-        if (cover.ok) localCoverImage = cover.localPath;
-      } catch {
-        if (Notice) new Notice("Cover download failed. Note will be created without local cover.");
+          const olAction = await qa.suggester(
+            [`Select from ${olBooks.length} Open Library results`, "Search again", "Stop"],
+            ["select", "retry", "stop"]
+          );
+          if (olAction === "stop") { if (Notice) new Notice("Book adding finished."); return; }
+          if (olAction === "retry") continue;
+          if (olAction === "select") {
+            const olPicked = await pickBookWithModal({ app, obsidian, books: olBooks });
+            if (olPicked) {
+              picked = await enrichOpenLibraryBook(obsidian, olPicked);
+              bookSource = "open-library";
+            }
+          }
+        } catch (e) {
+          if (Notice) new Notice(`Open Library search failed: ${e.message}`);
+        }
       }
     }
 
-    const meta = {
-      volumeId: picked.volumeId || "", appleTrackId: picked.appleTrackId || "",
-      title: picked.title, subtitle: picked.subtitle, authors: picked.authors,
-      genres: picked.genres, publisher: picked.publisher, publishDate: picked.publishDate,
-      totalPage: picked.totalPage, isbn13: picked.isbn13 || "", isbn10: picked.isbn10 || "",
-      localCoverImage, link: picked.link || picked.previewLink || "",
-      description: picked.description, source: bookSource,
-    };
-    const prompts = { purchasedStore, purchasedDate, format, readingStatus, readingStarted, readingDone, rating };
+    if (!picked) continue;
+
+    const prompts = await promptBookDetails(app, qa);
+    const localCoverImage = await downloadBookCover({ app, obsidian, book: picked, Notice });
+    const meta = buildBookMeta(picked, localCoverImage, bookSource);
 
     // Check for existing
     const existing = findExistingBookNote(app, meta);
@@ -962,16 +1753,7 @@ async function handleManual(app, qa, obsidian, Notice) {
       const mode = await qa.suggester(options, ["update", "new", "cancel"]);
       if (mode === "cancel") { if (Notice) new Notice("Cancelled."); continue; }
       if (mode === "update") {
-        await app.fileManager.processFrontMatter(existing.file, (fm) => {
-          fm.purchasedStore = prompts.purchasedStore ?? "";
-          fm.purchasedDate = prompts.purchasedDate ?? "";
-          fm.format = prompts.format ?? "";
-          if (localCoverImage && !String(fm.localCoverImage || "").trim()) fm.localCoverImage = localCoverImage;
-        });
-        await upsertAndLinkAuthorsForBook({ app, obsidian, bookFile: existing.file, authorNames: meta.authors });
-        await upsertAndLinkGenresForBook({ app, obsidian, bookFile: existing.file, genres: meta.genres });
-        await upsertAndLinkEntity({ app, obsidian, bookFile: existing.file, entityName: prompts.purchasedStore, cfg: SETTINGS.storeUpsert, fieldName: "purchasedStore" });
-        await upsertAndLinkEntity({ app, obsidian, bookFile: existing.file, entityName: prompts.format, cfg: SETTINGS.formatUpsert, fieldName: "format" });
+        await updateExistingBookNote({ app, obsidian, bookFile: existing.file, meta, prompts });
         if (Notice) new Notice(`Updated: ${existing.file.basename}`);
         await app.workspace.getLeaf(true).openFile(existing.file);
         continue;
@@ -979,57 +1761,1905 @@ async function handleManual(app, qa, obsidian, Notice) {
     }
 
     // Create new note
-    const firstAuthor = meta.authors && meta.authors[0] ? meta.authors[0] : "";
-    const baseFileName = firstAuthor ? safeFilename(`${meta.title} - ${firstAuthor}`) : safeFilename(meta.title) || "Untitled book";
-    const bookKey = computeBookKey(meta);
-    const content = buildFrontMatter(meta, prompts, { bookKey });
-    const bookFile = await createBookNote(app, SETTINGS.noteFolder, baseFileName, content);
-
-    await upsertAndLinkAuthorsForBook({ app, obsidian, bookFile, authorNames: meta.authors });
-    await upsertAndLinkGenresForBook({ app, obsidian, bookFile, genres: meta.genres });
-    await upsertAndLinkEntity({ app, obsidian, bookFile, entityName: prompts.purchasedStore, cfg: SETTINGS.storeUpsert, fieldName: "purchasedStore" });
-    await upsertAndLinkEntity({ app, obsidian, bookFile, entityName: prompts.format, cfg: SETTINGS.formatUpsert, fieldName: "format" });
-
+    const bookFile = await createBookFromMeta({ app, obsidian, meta, prompts });
     await app.workspace.getLeaf(true).openFile(bookFile);
     if (Notice) new Notice(`Created: ${bookFile.basename}`);
   }
 }
 
 // ============================================================================
-// CSV IMPORT MODE
+// ISBN LOOKUP MODE
 // ============================================================================
-async function handleCSVImport(app, qa, obsidian, Notice) {
-  if (Notice) {
-    new Notice("CSV Import for books - see add-book-batch.js for full implementation.\n\nThis will be migrated in a future update.", 5000);
+function cleanISBN(raw) {
+  return String(raw || "").replace(/[^0-9Xx]/g, "").toUpperCase();
+}
+
+function isValidISBN10(isbn) {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const digit = isbn[i] === "X" ? 10 : Number(isbn[i]);
+    sum += digit * (10 - i);
   }
+  return sum % 11 === 0;
 }
 
-// ============================================================================
-// VAULT TRACKER STATS
-// ============================================================================
-const TRACKER_FILE = ".obsidian/vault-tracker/books.json";
+function isValidISBN13(isbn) {
+  if (!/^\d{13}$/.test(isbn)) return false;
+  let sum = 0;
+  for (let i = 0; i < 13; i++) sum += Number(isbn[i]) * (i % 2 === 0 ? 1 : 3);
+  return sum % 10 === 0;
+}
 
-async function readTrackerStats(app) {
-  try {
-    const exists = await app.vault.adapter.exists(TRACKER_FILE);
-    if (!exists) return null;
-    const content = await app.vault.adapter.read(TRACKER_FILE);
-    return JSON.parse(content);
-  } catch (e) {
-    console.error("Failed to read tracker stats:", e);
-    return null;
-  }
+function isbn10To13(isbn10) {
+  const core = `978${isbn10.slice(0, 9)}`;
+  let sum = 0;
+  for (let i = 0; i < 12; i++) sum += Number(core[i]) * (i % 2 === 0 ? 1 : 3);
+  return `${core}${(10 - (sum % 10)) % 10}`;
 }
 
-function formatBookStats(stats) {
-  if (!stats) return "No tracker data yet";
-  const s = stats.stats;
-  const finished = s.byStatus?.finished || 0;
-  const reading = s.byStatus?.reading || 0;
-  return `${s.total} books (${finished} finished, ${reading} reading, ${s.uniqueAuthors} authors)`;
+function isbn13To10(isbn13) {
+  if (!isbn13.startsWith("978")) return "";
+  const core = isbn13.slice(3, 12);
+  let sum = 0;
+  for (let i = 0; i < 9; i++) sum += Number(core[i]) * (10 - i);
+  const check = (11 - (sum % 11)) % 11;
+  return `${core}${check === 10 ? "X" : check}`;
 }
 
-async function showPreImportStats(app, Notice) {
+// Accepts one ISBN or a pasted list (one per line, or separated by commas,
+// semicolons or spaces). Hyphens and spaces inside an ISBN are ignored.
+function parseISBNList(text) {
+  const valid = [];
+  const invalid = [];
+  const seen = new Set();
+  const tokens = [];
+  for (const line of String(text || "").split(/[\r\n,;]+/)) {
+    const cleaned = cleanISBN(line);
+    if (!cleaned) continue;
+    if (cleaned.length === 10 || cleaned.length === 13) tokens.push({ raw: line.trim(), cleaned });
+    else line.split(/\s+/).filter(Boolean).forEach((part) => tokens.push({ raw: part, cleaned: cleanISBN(part) }));
+  }
+  for (const { raw, cleaned } of tokens) {
+    let isbn13 = "";
+    let isbn10 = "";
+    if (cleaned.length === 13 && isValidISBN13(cleaned)) {
+      isbn13 = cleaned;
+      isbn10 = isbn13To10(cleaned);
+    } else if (cleaned.length === 10 && isValidISBN10(cleaned)) {
+      isbn10 = cleaned;
+      isbn13 = isbn10To13(cleaned);
+    } else {
+      invalid.push(raw);
+      continue;
+    }
+    if (seen.has(isbn13)) continue;
+    seen.add(isbn13);
+    valid.push({ input: raw, isbn13, isbn10 });
+  }
+  return { valid, invalid };
+}
+
+async function appleBooksLookupISBN(obsidian, isbn, { country }) {
+  const lookupUrl = `https://itunes.apple.com/lookup?` +
+    new URLSearchParams({ isbn, country: country || "au", entity: "ebook" }).toString();
+  const response = await obsidian.requestUrl({ url: lookupUrl, method: "GET" });
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`Apple Books lookup failed: HTTP ${response.status}`);
+  }
+  const data = typeof response.json === "object" ? response.json : JSON.parse(response.text || "{}");
+  return Array.isArray(data?.results) ? data.results.filter((r) => r.kind === "ebook" || r.trackId) : [];
+}
+
+// Query every enabled provider for an exact ISBN match. Google results are
+// filtered on their identifiers; Open Library and Apple lookups are exact by
+// construction, so the ISBN is filled in where the provider omits it.
+async function resolveISBN(obsidian, { isbn13, isbn10 }) {
+  const candidates = [];
+  const matchesIsbn = (b) => (b.isbn13 && b.isbn13 === isbn13) || (isbn10 && b.isbn10 && b.isbn10 === isbn10);
+
+  try {
+    const data = await googleBooksSearch(obsidian, `isbn:${isbn13}`, {
+      apiKey: SETTINGS.apiKey,
+      country: SETTINGS.country,
+      langRestrict: "",
+    });
+    const items = Array.isArray(data?.items) ? data.items : [];
+    for (const it of items) {
+      const book = mapGoogleVolumeToBook(it);
+      if (matchesIsbn(book)) candidates.push(book);
+    }
+  } catch (e) {
+    console.error(`Google ISBN lookup failed for ${isbn13}:`, e);
+  }
+
+  if (SETTINGS.openLibrary.enabled) {
+    try {
+      const edition = await openLibraryIsbnLookup(obsidian, isbn13);
+      if (edition) {
+        const work = await openLibraryFetchWork(obsidian, openLibraryId(edition.works?.[0]?.key));
+        const book = await mapOpenLibraryEditionToBook(obsidian, edition, work);
+        candidates.push({ ...book, isbn13, isbn10: book.isbn10 || isbn10 });
+      }
+    } catch (e) {
+      console.error(`Open Library ISBN lookup failed for ${isbn13}:`, e);
+    }
+  }
+
+  if (SETTINGS.appleBooks.enabled) {
+    try {
+      const results = await appleBooksLookupISBN(obsidian, isbn13, SETTINGS.appleBooks);
+      for (const r of results) candidates.push({ ...mapAppleResultToBook(r), isbn13, isbn10 });
+    } catch (e) {
+      console.error(`Apple ISBN lookup failed for ${isbn13}:`, e);
+    }
+  }
+
+  return candidates.filter((b) => b.title);
+}
+
+// Candidates that describe the same book (same title + first author) are
+// merged, preferring Google, then Open Library, then Apple for each field.
+function mergeISBNCandidates(candidates) {
+  const priority = { "google-books": 0, "open-library": 1, "apple-books": 2 };
+  const groups = new Map();
+  for (const c of candidates) {
+    const key = computeBookKey(c);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(c);
+  }
+  return [...groups.values()].map((group) => {
+    const sorted = [...group].sort((a, b) => (priority[a.source] ?? 9) - (priority[b.source] ?? 9));
+    const merged = { ...sorted[0] };
+    for (const other of sorted.slice(1)) {
+      for (const field of ["subtitle", "publisher", "publishDate", "description", "coverUrl", "link", "isbn10", "language",
+        "volumeId", "appleTrackId", "openLibraryWorkId", "openLibraryEditionId", "series", "seriesIndex"]) {
+        if (!merged[field] && other[field]) merged[field] = other[field];
+      }
+      if (!Number(merged.totalPage) && Number(other.totalPage)) merged.totalPage = other.totalPage;
+      if (!merged.genres?.length && other.genres?.length) merged.genres = other.genres;
+    }
+    return merged;
+  });
+}
+
+async function handleISBN(app, qa, obsidian, Notice) {
+  const prompt = typeof qa.wideInputPrompt === "function" ? qa.wideInputPrompt : qa.inputPrompt;
+  const raw = await prompt.call(qa, "Add by ISBN", "One ISBN, or paste a list (ISBN-10 or ISBN-13, one per line)");
+  if (!raw || !raw.trim()) return;
+
+  const { valid, invalid } = parseISBNList(raw);
+  if (invalid.length) {
+    const message = `${invalid.length} invalid ISBN(s) will be ignored:\n${invalid.join("\n")}`;
+    if (!valid.length) {
+      if (Notice) new Notice(message, 6000);
+      return;
+    }
+    const proceed = await qa.yesNoPrompt("Invalid ISBNs", `${message}\n\nContinue with ${valid.length} valid ISBN(s)?`);
+    if (!proceed) return;
+  }
+  if (!valid.length) return;
+
+  // One set of purchase/reading details for the whole list, or ask per book
+  let sharedPrompts = null;
+  if (valid.length > 1) {
+    const shared = await qa.yesNoPrompt("Shared details", `Use the same store, date, format and status for all ${valid.length} books?`);
+    if (shared) sharedPrompts = await promptBookDetails(app, qa);
+  }
+
+  const skipped = [];
+  let created = 0;
+
+  for (let idx = 0; idx < valid.length; idx++) {
+    const entry = valid[idx];
+    const progressText = `[${idx + 1}/${valid.length}]`;
+    if (Notice) new Notice(`${progressText} Looking up ISBN ${entry.isbn13}...`);
+
+    const groups = mergeISBNCandidates(await resolveISBN(obsidian, entry));
+    let picked = null;
+    if (groups.length === 1) {
+      picked = groups[0];
+    } else if (groups.length > 1) {
+      picked = await pickBookWithModal({ app, obsidian, books: groups });
+    }
+    if (!picked) {
+      skipped.push({ isbn: entry.input, reason: groups.length ? "No book selected" : "Not found in any provider" });
+      continue;
+    }
+    if (picked.source === "open-library" && !picked.description) {
+      picked = await enrichOpenLibraryBook(obsidian, picked);
+    }
+
+    // Check for an existing note before prompting or downloading the cover
+    const metaForCheck = buildBookMeta(picked, "", picked.source);
+    const existing = findExistingBookNote(app, metaForCheck);
+    const sameEdition = existing?.file && (existing.score >= 100 || String(existing.fm?.isbn13 || "").trim() === entry.isbn13);
+    if (sameEdition) {
+      const action = await qa.suggester(
+        [`Already in vault: update "${existing.file.basename}"`, "Skip this ISBN"],
+        ["update", "skip"]
+      );
+      if (action !== "update") {
+        skipped.push({ isbn: entry.input, reason: `Already in vault (${existing.file.basename})` });
+        continue;
+      }
+    }
+
+    const prompts = sharedPrompts || await promptBookDetails(app, qa);
+    const localCoverImage = sameEdition && String(existing.fm?.localCoverImage || "").trim()
+      ? ""
+      : await downloadBookCover({ app, obsidian, book: picked, Notice });
+    const meta = { ...metaForCheck, localCoverImage };
+
+    if (sameEdition) {
+      await updateExistingBookNote({ app, obsidian, bookFile: existing.file, meta, prompts });
+      if (Notice) new Notice(`${progressText} Updated: ${existing.file.basename}`);
+      continue;
+    }
+
+    if (existing?.file) {
+      // Same work, different ISBN: keep a separate note linked as an edition
+      const relatedEditions = [pathToWikilink(existing.file.path)];
+      const bookFile = await createBookFromMeta({ app, obsidian, meta, prompts, relatedEditions });
+      await linkEditions({ app, aFile: existing.file, bFile: bookFile });
+      if (Notice) new Notice(`${progressText} Created edition: ${bookFile.basename}`);
+    } else {
+      const bookFile = await createBookFromMeta({ app, obsidian, meta, prompts });
+      if (valid.length === 1) await app.workspace.getLeaf(true).openFile(bookFile);
+      if (Notice) new Notice(`${progressText} Created: ${bookFile.basename}`);
+    }
+    created++;
+  }
+
+  if (skipped.length) {
+    const skippedPath = SETTINGS.isbnSkippedFile;
+    await appendImportLog(app, skippedPath, "Skipped ISBNs", [
+      "| ISBN | Reason |",
+      "|------|--------|",
+      ...skipped.map((s) => `| ${escapeTableCell(s.isbn)} | ${escapeTableCell(s.reason)} |`),
+      "",
+    ]);
+    if (Notice) new Notice(`ISBN import complete: ${created} created, ${skipped.length} skipped. See ${skippedPath}`, 6000);
+  } else if (Notice) {
+    new Notice(`ISBN import complete: ${created} created.`);
+  }
+}
+
+// ============================================================================
+// CSV IMPORT MODE
+// ============================================================================
+async function handleCSVImport(app, qa, obsidian, Notice) {
+  if (Notice) {
+    new Notice("CSV Import for books - see add-book-batch.js for full implementation.\n\nThis will be migrated in a future update.", 5000);
+  }
+}
+
+// ============================================================================
+// IMPORT PROGRESS (one file per export, keyed by the export's own book ID)
+// ============================================================================
+function importProgressPath(csvPath) {
+  const safeName = csvPath.replace(/[\/\\:*?"<>|]/g, "_").replace(/\.(csv|json)$/i, "");
+  return `.obsidian/book-import-progress-${safeName}.json`;
+}
+
+async function loadImportProgress(app, csvPath) {
+  try {
+    const progressFile = importProgressPath(csvPath);
+    if (!(await app.vault.adapter.exists(progressFile))) return { processed: [], csvPath };
+    return JSON.parse(await app.vault.adapter.read(progressFile));
+  } catch {
+    return { processed: [], csvPath };
+  }
+}
+
+async function saveImportProgress(app, csvPath, progress) {
+  try {
+    await app.vault.adapter.write(importProgressPath(csvPath), JSON.stringify({ ...progress, csvPath }, null, 2));
+  } catch (e) {
+    console.error("Failed to save progress:", e);
+  }
+}
+
+// Skipped/unmatched logs keep every run: each appends a dated section under the title
+async function appendImportLog(app, logPath, title, lines) {
+  const now = new Date();
+  const exists = await app.vault.adapter.exists(logPath);
+  const existing = exists ? await app.vault.adapter.read(logPath) : `# ${title}\n`;
+  const section = [`## ${localISODate(now)} ${pad2(now.getHours())}:${pad2(now.getMinutes())}`, "", ...lines].join("\n");
+  await app.vault.adapter.write(logPath, `${existing.trimEnd()}\n\n${section}`);
+}
+
+function escapeTableCell(value) {
+  return String(value ?? "").replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+// ============================================================================
+// GOODREADS IMPORT MODE
+// ============================================================================
+// Goodreads wraps ISBNs as ="0441013597" so spreadsheets keep leading zeros
+function goodreadsValue(v) {
+  return String(v ?? "").replace(/^="?/, "").replace(/"$/, "").trim();
+}
+
+// Goodreads dates are YYYY/MM/DD
+function goodreadsDate(v) {
+  const m = goodreadsValue(v).match(/^(\d{4})[\/-](\d{1,2})[\/-](\d{1,2})$/);
+  return m ? `${m[1]}-${pad2(m[2])}-${pad2(m[3])}` : "";
+}
+
+function goodreadsStatus(shelf) {
+  const key = normalise(shelf);
+  if (SETTINGS.goodreads.shelfMapping[key]) return SETTINGS.goodreads.shelfMapping[key];
+  if (/abandon|dnf|did-not-finish/.test(key)) return "abandoned";
+  return "not-started";
+}
+
+function goodreadsFormat(binding) {
+  const key = normalise(binding);
+  return SETTINGS.goodreads.bindingMapping[key] || "";
+}
+
+function goodreadsRating(myRating) {
+  const n = Number(goodreadsValue(myRating));
+  if (!Number.isFinite(n) || n <= 0) return "";
+  return n * SETTINGS.goodreads.ratingMultiplier;
+}
+
+function mapGoodreadsRow(row) {
+  const authors = [goodreadsValue(row["author"])];
+  for (const extra of goodreadsValue(row["additional authors"]).split(",")) {
+    if (extra.trim()) authors.push(extra.trim());
+  }
+  const isbn13 = cleanISBN(goodreadsValue(row["isbn13"]));
+  const isbn10 = cleanISBN(goodreadsValue(row["isbn"]));
+  const year = goodreadsValue(row["original publication year"]) || goodreadsValue(row["year published"]);
+  // Goodreads titles carry the series: "The Way of Kings (The Stormlight Archive, #1)"
+  const { title, series, seriesIndex } = detectSeries({ title: goodreadsValue(row["title"]) });
+  return {
+    goodreadsBookId: goodreadsValue(row["book id"]),
+    link: goodreadsValue(row["book id"]) ? `https://www.goodreads.com/book/show/${goodreadsValue(row["book id"])}` : "",
+    title, series, seriesIndex,
+    authors: authors.filter(Boolean),
+    publisher: goodreadsValue(row["publisher"]),
+    publishDate: year,
+    totalPage: Number(goodreadsValue(row["number of pages"])) || 0,
+    isbn13: isValidISBN13(isbn13) ? isbn13 : "",
+    isbn10: isValidISBN10(isbn10) ? isbn10 : "",
+    shelf: goodreadsValue(row["exclusive shelf"]),
+    review: stripHtml(goodreadsValue(row["my review"])),
+    prompts: {
+      format: goodreadsFormat(row["binding"]),
+      readingStatus: goodreadsStatus(row["exclusive shelf"]),
+      readingDone: goodreadsDate(row["date read"]),
+      rating: goodreadsRating(row["my rating"]),
+    },
+  };
+}
+
+// Find the provider record for a Goodreads row: exact ISBN first, then a
+// title/author search that is accepted automatically only on an exact key match
+async function resolveGoodreadsBook(obsidian, gr) {
+  if (gr.isbn13 || gr.isbn10) {
+    const isbn13 = gr.isbn13 || isbn10To13(gr.isbn10);
+    const groups = mergeISBNCandidates(await resolveISBN(obsidian, { isbn13, isbn10: gr.isbn10 || isbn13To10(isbn13) }));
+    if (groups.length === 1) return { book: groups[0], candidates: groups };
+    if (groups.length > 1) return { book: null, candidates: groups };
+  }
+
+  const query = `${gr.title} ${gr.authors[0] || ""}`.trim();
+  try {
+    const data = await googleBooksSearch(obsidian, query, {
+      apiKey: SETTINGS.apiKey,
+      country: SETTINGS.country,
+      langRestrict: "",
+    });
+    const queryTokens = tokenise(query);
+    const items = Array.isArray(data?.items) ? data.items : [];
+    const candidates = items.map((it) => {
+      const v = mapGoogleVolumeToBook(it);
+      return { score: scoreItem(queryTokens, v), v };
+    }).sort((a, b) => b.score - a.score).slice(0, SETTINGS.maxPick).map((x) => x.v);
+    const wantedKey = computeBookKey(gr);
+    const exact = candidates.find((c) => computeBookKey(c) === wantedKey);
+    return { book: exact || null, candidates };
+  } catch (e) {
+    console.error(`Goodreads lookup failed for "${gr.title}":`, e);
+    return { book: null, candidates: [] };
+  }
+}
+
+async function applyGoodreadsToExisting(app, obsidian, bookFile, gr) {
+  let bookFm = null;
+  await app.fileManager.processFrontMatter(bookFile, (fm) => {
+    // Only move the status forward (e.g. reading -> finished), never back
+    if ((STATUS_RANK[gr.prompts.readingStatus] || 0) > (STATUS_RANK[fm.readingStatus] || 0)) fm.readingStatus = gr.prompts.readingStatus;
+    if (gr.prompts.readingDone && !String(fm.readingDone || "").trim()) fm.readingDone = gr.prompts.readingDone;
+    if (gr.prompts.rating !== "" && (fm.rating === "" || fm.rating === null || fm.rating === undefined)) fm.rating = gr.prompts.rating;
+    if (!String(fm.goodreadsBookId || "").trim() && gr.goodreadsBookId) fm.goodreadsBookId = gr.goodreadsBookId;
+    bookFm = { ...fm };
+  });
+  if (gr.series && !String(stripWikilinkValue(bookFm.series) || "").trim()) {
+    await upsertAndLinkSeriesForBook({ app, obsidian, bookFile, series: gr.series, seriesIndex: gr.seriesIndex });
+  } else {
+    await refreshSeriesForBook(app, bookFile, bookFm);
+  }
+  await appendGoodreadsReview(app, bookFile, gr.review);
+}
+
+async function appendGoodreadsReview(app, bookFile, review) {
+  if (!review) return;
+  const heading = SETTINGS.goodreads.reviewHeading;
+  await app.vault.process(bookFile, (content) => {
+    if (content.includes(`\n${heading}\n`)) return content;
+    return `${content.replace(/\s*$/, "")}\n\n${heading}\n\n${review}\n`;
+  });
+}
+
+async function handleGoodreadsImport(app, qa, obsidian, Notice) {
+  const csvFiles = app.vault.getFiles()
+    .filter((f) => f.extension?.toLowerCase() === "csv")
+    .sort((a, b) => {
+      const ga = /goodreads/i.test(a.name) ? 0 : 1;
+      const gb = /goodreads/i.test(b.name) ? 0 : 1;
+      return ga - gb || a.path.localeCompare(b.path);
+    });
+  if (!csvFiles.length) {
+    if (Notice) new Notice("No CSV files found in vault. Add goodreads_library_export.csv first.");
+    return;
+  }
+
+  const selectedCsv = await qa.suggester(csvFiles.map((f) => f.path), csvFiles);
+  if (!selectedCsv) return;
+  const csvPath = selectedCsv.path;
+
+  const { headers, rows } = parseCSVRecords(await app.vault.adapter.read(csvPath));
+  const headerSet = new Set(headers.map((h) => normalise(h)));
+  if (!headerSet.has("book id") || !headerSet.has("exclusive shelf")) {
+    if (Notice) new Notice(`${csvPath} does not look like a Goodreads library export.`, 5000);
+    return;
+  }
+
+  const progress = await loadImportProgress(app, csvPath);
+  const books = rows.map(mapGoodreadsRow).filter((gr) => gr.title);
+  let remaining = books.filter((gr) => !progress.processed.includes(gr.goodreadsBookId));
+
+  if (!remaining.length) {
+    const reset = await qa.yesNoPrompt(
+      "All books processed",
+      `All ${books.length} books from "${csvPath}" have been imported. Reset progress to start over?`
+    );
+    if (reset) {
+      await saveImportProgress(app, csvPath, { processed: [] });
+      if (Notice) new Notice("Progress reset. Run the import again to start over.");
+    }
+    return;
+  }
+
+  // Optional shelf filter
+  const shelves = [...new Set(remaining.map((gr) => gr.shelf).filter(Boolean))].sort();
+  if (shelves.length > 1) {
+    const shelf = await qa.suggester(
+      [`All shelves (${remaining.length})`, ...shelves.map((s) => `${s} (${remaining.filter((gr) => gr.shelf === s).length})`)],
+      ["", ...shelves]
+    );
+    if (shelf === null || shelf === undefined) return;
+    if (shelf) remaining = remaining.filter((gr) => gr.shelf === shelf);
+  }
+
+  const proceed = await qa.yesNoPrompt(
+    "Goodreads Import",
+    `Found ${books.length} books in export.\n${remaining.length} remaining to import.\n\nContinue?`
+  );
+  if (!proceed) return;
+
+  // Goodreads does not record where a book was bought
+  const storeOptions = [...SETTINGS.prompts.purchasedStoreOptions, ""];
+  const purchasedStore = await qa.suggester(storeOptions.map((x) => (x ? x : "(blank)")), storeOptions);
+
+  const skipped = [];
+  let created = 0, updated = 0;
+
+  for (let idx = 0; idx < remaining.length; idx++) {
+    const gr = remaining[idx];
+    const progressText = `[${idx + 1}/${remaining.length}]`;
+    const markDone = async () => {
+      progress.processed.push(gr.goodreadsBookId);
+      await saveImportProgress(app, csvPath, progress);
+    };
+
+    // Already in the vault (by Goodreads ID, ISBN or title + author)?
+    const existing = findExistingBookNote(app, { ...gr, source: "goodreads" });
+    if (existing && existing.file) {
+      await applyGoodreadsToExisting(app, obsidian, existing.file, gr);
+      updated++;
+      if (Notice) new Notice(`${progressText} Updated: ${existing.file.basename}`);
+      await markDone();
+      continue;
+    }
+
+    if (Notice) new Notice(`${progressText} Looking up: ${gr.title}`);
+    const { book, candidates } = await resolveGoodreadsBook(obsidian, gr);
+    let picked = book;
+
+    if (!picked) {
+      const action = await qa.suggester(
+        [
+          ...(candidates.length ? [`Pick from ${candidates.length} results for "${gr.title}"`] : []),
+          `Create from Goodreads data only`,
+          "Skip this book",
+          "Stop importing",
+        ],
+        [...(candidates.length ? ["pick"] : []), "goodreads", "skip", "stop"]
+      );
+      if (!action || action === "stop") {
+        if (Notice) new Notice("Goodreads import stopped. Progress saved.");
+        break;
+      }
+      if (action === "skip") {
+        skipped.push({ name: gr.title, reason: "User skipped" });
+        await markDone();
+        continue;
+      }
+      if (action === "pick") picked = await pickBookWithModal({ app, obsidian, books: candidates });
+      if (!picked) picked = { ...gr, genres: [], description: "", source: "goodreads" };
+    }
+    if (picked.source === "open-library" && !picked.description) {
+      picked = await enrichOpenLibraryBook(obsidian, picked);
+    }
+
+    const localCoverImage = await downloadBookCover({ app, obsidian, book: picked, Notice });
+    const baseMeta = buildBookMeta(picked, localCoverImage, picked.source);
+    const meta = {
+      ...baseMeta,
+      isbn13: picked.isbn13 || gr.isbn13,
+      isbn10: picked.isbn10 || gr.isbn10,
+      totalPage: picked.totalPage || gr.totalPage,
+      series: baseMeta.series || gr.series,
+      seriesIndex: baseMeta.seriesIndex || gr.seriesIndex,
+      goodreadsBookId: gr.goodreadsBookId,
+    };
+    const prompts = {
+      purchasedStore: purchasedStore || "",
+      purchasedDate: "",
+      readingStarted: "",
+      ...gr.prompts,
+    };
+
+    const bookFile = await createBookFromMeta({ app, obsidian, meta, prompts });
+    await appendGoodreadsReview(app, bookFile, gr.review);
+    created++;
+    if (Notice) new Notice(`${progressText} Created: ${bookFile.basename}`);
+    await markDone();
+  }
+
+  if (skipped.length) {
+    await appendImportLog(app, SETTINGS.goodreads.skippedFile, "Skipped Goodreads Books", [
+      "| Book | Reason |",
+      "|------|--------|",
+      ...skipped.map((b) => `| ${escapeTableCell(b.name)} | ${escapeTableCell(b.reason)} |`),
+      "",
+    ]);
+  }
+  if (Notice) {
+    const skippedText = skipped.length ? `, ${skipped.length} skipped (see ${SETTINGS.goodreads.skippedFile})` : "";
+    new Notice(`Goodreads import: ${created} created, ${updated} updated${skippedText}.`, 6000);
+  }
+}
+
+// ============================================================================
+// AUDIBLE IMPORT MODE
+// ============================================================================
+// audible-cli `library export` columns, plus the names other exporters use
+const AUDIBLE_FIELDS = {
+  asin: ["asin"],
+  title: ["title"],
+  subtitle: ["subtitle"],
+  authors: ["authors", "author"],
+  narrators: ["narrators", "narrator", "narrated by"],
+  series: ["series_title", "series"],
+  seriesIndex: ["series_sequence", "series_number", "book number"],
+  length: ["runtime_length_min", "length", "runtime", "duration"],
+  purchaseDate: ["purchase_date", "date_added", "date added", "purchased"],
+  releaseDate: ["release_date", "release date"],
+  genres: ["genres", "categories"],
+  coverUrl: ["cover_url", "cover"],
+  description: ["extended_product_description", "description", "summary"],
+  finished: ["is_finished", "finished"],
+  percent: ["percent_complete", "progress"],
+};
+
+function audibleField(row, name) {
+  for (const key of AUDIBLE_FIELDS[name]) {
+    const v = row[key];
+    if (v !== undefined && v !== null && String(v).trim() !== "") return v;
+  }
+  return "";
+}
+
+function audibleDate(v) {
+  const s = String(v || "").trim();
+  if (!s) return "";
+  const iso = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  const d = new Date(s);
+  return Number.isNaN(d.getTime()) ? "" : localISODate(d);
+}
+
+function audibleStatus(row) {
+  const finished = audibleField(row, "finished");
+  if (finished === true || /^(true|yes|1)$/i.test(String(finished))) return "finished";
+  const percent = Number(String(audibleField(row, "percent")).replace("%", ""));
+  if (Number.isFinite(percent) && percent > 0) return percent >= 100 ? "finished" : "reading";
+  return "not-started";
+}
+
+function mapAudibleRow(row) {
+  const asin = String(audibleField(row, "asin")).trim();
+  const list = (v, opts) => (Array.isArray(v) ? v.map((x) => x?.name ?? x) : splitNames(v, opts));
+  const { title, series, seriesIndex } = detectSeries({
+    title: String(audibleField(row, "title")).trim(),
+    subtitle: String(audibleField(row, "subtitle")).trim(),
+    series: String(audibleField(row, "series")).split(",")[0],
+    seriesIndex: String(audibleField(row, "seriesIndex")).split(",")[0],
+  });
+  return {
+    audibleAsin: asin,
+    title,
+    subtitle: String(audibleField(row, "subtitle")).trim(),
+    authors: list(audibleField(row, "authors")),
+    narrators: list(audibleField(row, "narrators")),
+    series, seriesIndex,
+    lengthMinutes: parseDurationMinutes(audibleField(row, "length")),
+    publishDate: audibleDate(audibleField(row, "releaseDate")),
+    genres: list(audibleField(row, "genres"), { people: false }),
+    coverUrl: String(audibleField(row, "coverUrl")).trim(),
+    description: stripHtml(String(audibleField(row, "description"))),
+    link: asin ? `https://${SETTINGS.audible.domain}/pd/${asin}` : "",
+    source: "audible",
+    prompts: {
+      purchasedStore: SETTINGS.audible.store,
+      purchasedDate: audibleDate(audibleField(row, "purchaseDate")),
+      format: SETTINGS.audiobook.format,
+      readingStatus: audibleStatus(row),
+      readingStarted: "",
+      readingDone: "",
+      rating: "",
+    },
+  };
+}
+
+// CSV or JSON (an array of items, or { items: [...] }); keys are lowercased like CSV headers
+function parseAudibleExport(text, path) {
+  if (/\.json$/i.test(path)) {
+    const data = JSON.parse(text);
+    const items = Array.isArray(data) ? data : Array.isArray(data?.items) ? data.items : [];
+    return items.map((item) => Object.fromEntries(Object.entries(item || {}).map(([k, v]) => [k.toLowerCase(), v])));
+  }
+  return parseCSVRecords(text).rows;
+}
+
+async function applyAudibleToExisting(app, obsidian, bookFile, ab) {
+  const lengthField = SETTINGS.audiobook.lengthField;
+  // Use the values as written here; the metadata cache lags behind the write
+  let fm = {};
+  await app.fileManager.processFrontMatter(bookFile, (bfm) => {
+    if (!String(bfm.audibleAsin || "").trim() && ab.audibleAsin) bfm.audibleAsin = ab.audibleAsin;
+    if (!Number(bfm[lengthField]) && ab.lengthMinutes) bfm[lengthField] = ab.lengthMinutes;
+    if (!String(stripWikilinkValue(bfm.format) || "").trim()) bfm.format = ab.prompts.format;
+    if (!String(stripWikilinkValue(bfm.purchasedStore) || "").trim()) bfm.purchasedStore = ab.prompts.purchasedStore;
+    if (!String(bfm.purchasedDate || "").trim() && ab.prompts.purchasedDate) bfm.purchasedDate = ab.prompts.purchasedDate;
+    fm = { ...bfm };
+  });
+  const hasNarrators = (Array.isArray(fm.narrator) ? fm.narrator : [fm.narrator]).some(Boolean);
+  if (!hasNarrators && ab.narrators.length) {
+    await upsertAndLinkNarratorsForBook({ app, obsidian, bookFile, narratorNames: ab.narrators });
+  }
+  await upsertAndLinkEntity({ app, obsidian, bookFile, entityName: stripWikilinkValue(fm.purchasedStore), cfg: SETTINGS.storeUpsert, fieldName: "purchasedStore" });
+  await upsertAndLinkEntity({ app, obsidian, bookFile, entityName: stripWikilinkValue(fm.format), cfg: SETTINGS.formatUpsert, fieldName: "format" });
+}
+
+async function handleAudibleImport(app, qa, obsidian, Notice) {
+  const exportFiles = app.vault.getFiles()
+    .filter((f) => ["csv", "json"].includes(f.extension?.toLowerCase()))
+    .sort((a, b) => {
+      const aa = /audible|library/i.test(a.name) ? 0 : 1;
+      const ab = /audible|library/i.test(b.name) ? 0 : 1;
+      return aa - ab || a.path.localeCompare(b.path);
+    });
+  if (!exportFiles.length) {
+    if (Notice) new Notice("No CSV or JSON files found in vault. Export your library with `audible library export` first.", 5000);
+    return;
+  }
+
+  const selected = await qa.suggester(exportFiles.map((f) => f.path), exportFiles);
+  if (!selected) return;
+  const exportPath = selected.path;
+
+  let rows;
+  try {
+    rows = parseAudibleExport(await app.vault.adapter.read(exportPath), exportPath);
+  } catch (e) {
+    if (Notice) new Notice(`Could not read ${exportPath}: ${e.message}`, 5000);
+    return;
+  }
+  const books = rows.map(mapAudibleRow).filter((ab) => ab.audibleAsin && ab.title);
+  if (!books.length) {
+    if (Notice) new Notice(`${exportPath} does not look like an Audible library export (needs asin and title).`, 5000);
+    return;
+  }
+
+  const progress = await loadImportProgress(app, exportPath);
+  const remaining = books.filter((ab) => !progress.processed.includes(ab.audibleAsin));
+
+  if (!remaining.length) {
+    const reset = await qa.yesNoPrompt(
+      "All audiobooks processed",
+      `All ${books.length} audiobooks from "${exportPath}" have been imported. Reset progress to start over?`
+    );
+    if (reset) {
+      await saveImportProgress(app, exportPath, { processed: [] });
+      if (Notice) new Notice("Progress reset. Run the import again to start over.");
+    }
+    return;
+  }
+
+  const proceed = await qa.yesNoPrompt(
+    "Audible Import",
+    `Found ${books.length} audiobooks in export.\n${remaining.length} remaining to import.\n\nContinue?`
+  );
+  if (!proceed) return;
+
+  const skipped = [];
+  let created = 0, updated = 0;
+
+  for (let idx = 0; idx < remaining.length; idx++) {
+    const ab = remaining[idx];
+    const progressText = `[${idx + 1}/${remaining.length}]`;
+    try {
+      // Same audiobook already in the vault: fill in what is missing.
+      // Same book in another format: add the audiobook as a related edition.
+      const existing = findExistingBookNote(app, ab);
+      if (existing && (existing.score >= 100 || isAudiobookFormat(existing.fm.format))) {
+        await applyAudibleToExisting(app, obsidian, existing.file, ab);
+        updated++;
+        if (Notice) new Notice(`${progressText} Updated: ${existing.file.basename}`);
+      } else {
+        const localCoverImage = await downloadBookCover({ app, obsidian, book: ab, Notice });
+        const meta = buildBookMeta(ab, localCoverImage, "audible");
+        const relatedEditions = existing ? [pathToWikilink(existing.file.path)] : [];
+        const bookFile = await createBookFromMeta({ app, obsidian, meta, prompts: ab.prompts, relatedEditions });
+        if (existing) await linkEditions({ app, aFile: existing.file, bFile: bookFile });
+        created++;
+        const length = formatDurationMinutes(ab.lengthMinutes);
+        if (Notice) new Notice(`${progressText} Created: ${bookFile.basename}${length ? ` (${length})` : ""}`);
+      }
+      // Failed rows stay unprocessed so a resumed run retries them
+      progress.processed.push(ab.audibleAsin);
+      await saveImportProgress(app, exportPath, progress);
+    } catch (e) {
+      console.error(`Audible import failed for ${ab.title}:`, e);
+      skipped.push({ name: ab.title, reason: e.message || "Error" });
+    }
+  }
+
+  if (skipped.length) {
+    await appendImportLog(app, SETTINGS.audible.skippedFile, "Skipped Audible Books", [
+      "| Book | Reason |",
+      "|------|--------|",
+      ...skipped.map((b) => `| ${escapeTableCell(b.name)} | ${escapeTableCell(b.reason)} |`),
+      "",
+    ]);
+  }
+  if (Notice) {
+    const skippedText = skipped.length ? `, ${skipped.length} skipped (see ${SETTINGS.audible.skippedFile})` : "";
+    new Notice(`Audible import: ${created} created, ${updated} updated${skippedText}.`, 6000);
+  }
+}
+
+// ============================================================================
+// KINDLE HIGHLIGHTS MODE
+// ============================================================================
+const MONTHS = ["january", "february", "march", "april", "may", "june", "july",
+  "august", "september", "october", "november", "december"];
+
+// "Sunday, 14 May 2023 10:12:33" or "Sunday, May 14, 2023 10:12:33 PM"
+function parseKindleDate(raw) {
+  const s = normalise(raw).replace(/^[a-z]+,\s*/, "");
+  let m = s.match(/^(\d{1,2}) ([a-z]+) (\d{4})/);
+  if (m && MONTHS.includes(m[2])) return `${m[3]}-${pad2(MONTHS.indexOf(m[2]) + 1)}-${pad2(m[1])}`;
+  m = s.match(/^([a-z]+) (\d{1,2}), (\d{4})/);
+  if (m && MONTHS.includes(m[1])) return `${m[3]}-${pad2(MONTHS.indexOf(m[1]) + 1)}-${pad2(m[2])}`;
+  return "";
+}
+
+// "Dune (Dune Chronicles, Book 1) (Herbert, Frank)" -> title + author
+function parseKindleTitleLine(line) {
+  const clean = String(line || "").replace(/^\uFEFF/, "").trim();
+  const m = clean.match(/^(.*)\(([^()]*)\)\s*$/);
+  if (!m) return { title: clean, author: "" };
+  let author = m[2].trim();
+  const lastFirst = author.match(/^([^,;]+),\s*([^,;]+)$/);
+  if (lastFirst) author = `${lastFirst[2]} ${lastFirst[1]}`;
+  return { title: m[1].trim(), author };
+}
+
+function hashString(s) {
+  let h = 5381;
+  for (let i = 0; i < s.length; i++) h = ((h << 5) + h + s.charCodeAt(i)) >>> 0;
+  return h.toString(36);
+}
+
+function parseKindleClippings(text) {
+  const clippings = [];
+  const seen = new Set();
+  const entries = String(text || "").replace(/\r\n?/g, "\n").split(/^==========\s*$/m);
+  for (const entry of entries) {
+    const lines = entry.split("\n").map((l) => l.trim());
+    while (lines.length && !lines[0]) lines.shift();
+    if (lines.length < 2) continue;
+    const { title, author } = parseKindleTitleLine(lines[0]);
+    const metaLine = lines[1];
+    const typeMatch = metaLine.match(/your (highlight|note|bookmark)/i);
+    if (!title || !typeMatch) continue;
+    const type = typeMatch[1].toLowerCase();
+    const page = (metaLine.match(/page (\S+?)(?:\s|\||$)/i) || [])[1] || "";
+    const location = (metaLine.match(/location (\d+(?:-\d+)?)/i) || [])[1] || "";
+    const date = parseKindleDate((metaLine.match(/added on (.+)$/i) || [])[1] || "");
+    const body = lines.slice(2).join("\n").trim();
+    if (type !== "bookmark" && !body) continue;
+    const id = `kc-${hashString([normalise(title), type, location, page, body].join("|"))}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    clippings.push({ id, title, author, type, page, location, date, text: body });
+  }
+  return clippings;
+}
+
+function kindleLocationStart(c) {
+  return Number(String(c.location || c.page || "").split("-")[0]) || 0;
+}
+
+function formatClipping(c) {
+  const where = [c.page ? `p. ${c.page}` : "", c.location ? `loc. ${c.location}` : ""].filter(Boolean).join(", ");
+  const suffix = [where, c.date].filter(Boolean).join(" · ");
+  if (c.type === "bookmark") return `🔖 Bookmark${suffix ? ` — ${suffix}` : ""} ^${c.id}`;
+  if (c.type === "note") return `**Note**${suffix ? ` (${suffix})` : ""}: ${c.text.replace(/\n+/g, " ")} ^${c.id}`;
+  const quoted = c.text.split("\n").map((l) => `> ${l}`).join("\n");
+  return `${quoted}\n> — ${suffix || "Kindle"} ^${c.id}`;
+}
+
+// Try the title as written, then without subtitle / series suffixes
+function findBookForClipping(app, title, author) {
+  const variants = [
+    title,
+    title.replace(/\s*\([^)]*\)\s*$/, ""),
+    title.split(/[:;]/)[0],
+  ].map((t) => t.trim()).filter(Boolean);
+  for (const t of [...new Set(variants)]) {
+    const found = findExistingBookNote(app, { title: t, authors: author ? [author] : [] });
+    if (found) return found;
+  }
+  return null;
+}
+
+// Insert new clippings at the end of the managed section, creating it if needed
+function mergeClippingsIntoContent(content, clippings) {
+  const heading = SETTINGS.kindle.heading;
+  const fresh = clippings.filter((c) => !content.includes(`^${c.id}`));
+  if (!fresh.length) return { content, added: 0 };
+  const block = fresh.map(formatClipping).join("\n\n");
+  const lines = content.split("\n");
+  const start = lines.findIndex((l) => l.trim() === heading);
+  if (start === -1) {
+    return { content: `${content.replace(/\s*$/, "")}\n\n${heading}\n\n${block}\n`, added: fresh.length };
+  }
+  let end = lines.findIndex((l, i) => i > start && /^#{1,2} /.test(l));
+  if (end === -1) end = lines.length;
+  const before = lines.slice(0, end).join("\n").replace(/\s*$/, "");
+  const after = lines.slice(end).join("\n");
+  return { content: `${before}\n\n${block}\n${after ? `\n${after}` : ""}`, added: fresh.length };
+}
+
+async function handleKindleHighlights(app, qa, Notice) {
+  const txtFiles = app.vault.getFiles()
+    .filter((f) => f.extension?.toLowerCase() === "txt")
+    .sort((a, b) => {
+      const ca = /clippings/i.test(a.name) ? 0 : 1;
+      const cb = /clippings/i.test(b.name) ? 0 : 1;
+      return ca - cb || a.path.localeCompare(b.path);
+    });
+  if (!txtFiles.length) {
+    if (Notice) new Notice("No .txt files found. Copy My Clippings.txt from your Kindle into the vault first.", 5000);
+    return;
+  }
+  const selected = await qa.suggester(txtFiles.map((f) => f.path), txtFiles);
+  if (!selected) return;
+
+  const clippings = parseKindleClippings(await app.vault.adapter.read(selected.path));
+  if (!clippings.length) {
+    if (Notice) new Notice("No highlights, notes or bookmarks found in that file.");
+    return;
+  }
+
+  // Group by book
+  const byBook = new Map();
+  for (const c of clippings) {
+    const key = `${c.title}|${c.author}`;
+    if (!byBook.has(key)) byBook.set(key, { title: c.title, author: c.author, clippings: [] });
+    byBook.get(key).clippings.push(c);
+  }
+
+  const unmatched = [];
+  let added = 0, booksUpdated = 0;
+  for (const group of byBook.values()) {
+    const existing = findBookForClipping(app, group.title, group.author);
+    if (!existing?.file) {
+      unmatched.push(group);
+      continue;
+    }
+    const sorted = [...group.clippings].sort((a, b) => kindleLocationStart(a) - kindleLocationStart(b));
+    let addedHere = 0;
+    await app.vault.process(existing.file, (content) => {
+      const result = mergeClippingsIntoContent(content, sorted);
+      addedHere = result.added;
+      return result.content;
+    });
+    if (addedHere) {
+      added += addedHere;
+      booksUpdated++;
+    }
+  }
+
+  if (unmatched.length) {
+    await appendImportLog(app, SETTINGS.kindle.unmatchedFile, "Unmatched Kindle Clippings", [
+      `Source: ${selected.path}`,
+      "",
+      "Add these books (or fix their title/author) and run the import again.",
+      "",
+      "| Title | Author | Clippings |",
+      "|-------|--------|-----------|",
+      ...unmatched.map((g) => `| ${g.title.replace(/\|/g, "/")} | ${g.author} | ${g.clippings.length} |`),
+      "",
+    ]);
+  }
+
+  if (Notice) {
+    const unmatchedText = unmatched.length ? `\n${unmatched.length} book(s) not matched, see ${SETTINGS.kindle.unmatchedFile}` : "";
+    new Notice(`Kindle import: ${added} new clipping(s) in ${booksUpdated} book(s).${unmatchedText}`, 6000);
+  }
+}
+
+// ============================================================================
+// READING SESSION LOG - Returns {path, created}
+// ============================================================================
+function numberOrNull(v) {
+  if (v === "" || v === null || v === undefined) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+async function createReadingSessionEntry(app, data) {
+  const cfg = SETTINGS.readingSessions;
+  await ensureFolder(app, cfg.folder);
+  const safeBookName = safeFilename(data.bookFile.basename);
+  const bookLink = pathToWikilink(data.bookFile.path);
+  const unit = data.unit === "percent" ? "Percent" : "Page";
+
+  // Same book, same day, same end position = same session
+  const pattern = new RegExp(`^${data.date}-\\d+-`);
+  const existing = app.vault.getFiles().find((f) => {
+    if (!f.path.startsWith(cfg.folder + "/") || !pattern.test(f.name)) return false;
+    const fm = getFrontmatter(app, f);
+    return fm && stripWikilinkValue(fm.book) === stripWikilinkValue(bookLink)
+      && numberOrNull(fm[`end${unit}`]) === data.end;
+  });
+  if (existing) {
+    console.log(`Reading session already exists: ${existing.path}`);
+    return { path: existing.path, created: false };
+  }
+
+  let index = 1;
+  let notePath;
+  do {
+    notePath = `${cfg.folder}/${data.date}-${index}-${safeBookName}.md`;
+    index++;
+  } while (await app.vault.adapter.exists(notePath));
+
+  const lines = [
+    "---",
+    "categories:",
+    `  - "${cfg.categoryWikilink}"`,
+    `date: ${quoteYamlString(data.date)}`,
+    `created: ${quoteYamlString(localISODate())}`,
+    `book: "${bookLink}"`,
+    `format: ${quoteYamlString(data.format || "")}`,
+  ];
+  if (data.start !== null) lines.push(`start${unit}: ${data.start}`);
+  lines.push(`end${unit}: ${data.end}`);
+  if (data.unit === "page" && data.start !== null) lines.push(`pages: ${Math.max(0, data.end - data.start)}`);
+  if (data.minutes !== null) lines.push(`minutes: ${data.minutes}`);
+  lines.push("---", "");
+
+  await app.vault.create(notePath, lines.join("\n"));
+  return { path: notePath, created: true };
+}
+
+// Reading books first, then everything else, most recently read at the top
+// The open book note (whatever its status) is offered first rather than used
+// silently, so a session is never logged against the wrong note
+async function pickBookForSession(app, qa) {
+  const active = app.workspace.getActiveFile?.();
+  const activeBook = active && isInBooksFolder(active.path) ? active : null;
+
+  const order = { reading: 0, "not-started": 1 };
+  const books = app.vault.getMarkdownFiles()
+    .filter((f) => isInBooksFolder(f.path) && f.path !== activeBook?.path)
+    .map((f) => ({ file: f, fm: getFrontmatter(app, f) || {} }))
+    .filter((b) => b.fm.readingStatus !== "finished" && b.fm.readingStatus !== "abandoned")
+    .sort((a, b) =>
+      (order[a.fm.readingStatus] ?? 2) - (order[b.fm.readingStatus] ?? 2) ||
+      String(b.fm.lastRead || "").localeCompare(String(a.fm.lastRead || "")) ||
+      a.file.basename.localeCompare(b.file.basename));
+  if (activeBook) books.unshift({ file: activeBook, fm: getFrontmatter(app, activeBook) || {}, open: true });
+  if (!books.length) return null;
+  const labels = books.map((b) => {
+    const icon = b.open ? "📝" : b.fm.readingStatus === "reading" ? "📖" : "📚";
+    const progress = b.fm.percentComplete ? ` (${b.fm.percentComplete}%)` : "";
+    return `${icon} ${b.file.basename}${progress}${b.open ? " - open note" : ""}`;
+  });
+  const picked = await qa.suggester(labels, books);
+  return picked?.file || null;
+}
+
+// Blank is allowed unless required; anything else must be a number from min to max.
+// Returns "" for blank and null when cancelled.
+async function promptSessionNumber(qa, title, placeholder, { value = "", min = 0, max = Infinity, required = false } = {}) {
+  let header = title;
+  for (;;) {
+    const input = await qa.inputPrompt(header, placeholder, value);
+    if (input === undefined || input === null) return null;
+    value = String(input).trim();
+    if (!value && !required) return "";
+    const n = numberOrNull(value);
+    if (n !== null && n >= min && n <= max) return n;
+    const range = max === Infinity ? `${min} or more` : `between ${min} and ${max}`;
+    header = value ? `${title} - "${value}" is not ${range}` : `${title} - required`;
+  }
+}
+
+async function handleReadingSession(app, qa, Notice) {
+  const bookFile = await pickBookForSession(app, qa);
+  if (!bookFile) {
+    if (Notice) new Notice("No book selected.");
+    return;
+  }
+  const fm = getFrontmatter(app, bookFile) || {};
+  const format = stripWikilinkValue(fm.format);
+  const totalPage = numberOrNull(fm.totalPage);
+
+  const defaultUnit = SETTINGS.readingSessions.percentFormats.includes(normalise(format)) || !totalPage ? "percent" : "page";
+  const unit = await qa.suggester(
+    defaultUnit === "page" ? ["Pages", "Percent"] : ["Percent", "Pages"],
+    defaultUnit === "page" ? ["page", "percent"] : ["percent", "page"]
+  );
+  if (!unit) return;
+
+  const date = await promptForDate(qa, "Session date");
+  if (!date) return;
+  const previous = unit === "page" ? numberOrNull(fm.currentPage) : numberOrNull(fm.percentComplete);
+  const label = unit === "page" ? "page" : "percent";
+  const max = unit === "percent" ? 100 : totalPage || Infinity;
+  const startRaw = await promptSessionNumber(qa, `Start ${label}`, "Leave blank if unknown", { value: previous !== null ? String(previous) : "", max });
+  if (startRaw === null) return;
+  const start = startRaw === "" ? null : startRaw;
+  const end = await promptSessionNumber(qa, `End ${label}`, unit === "page" && totalPage ? `of ${totalPage}` : "0-100", { min: start ?? 0, max, required: true });
+  if (end === null) return;
+  const minutesRaw = await promptSessionNumber(qa, "Minutes read", "Leave blank if unknown");
+  if (minutesRaw === null) return;
+  const minutes = minutesRaw === "" ? null : minutesRaw;
+
+  const result = await createReadingSessionEntry(app, { bookFile, date, unit, start, end, minutes, format });
+  if (!result.created) {
+    if (Notice) new Notice("That session is already logged.");
+    return;
+  }
+
+  // Page sessions also keep percent up to date when the page count is known
+  let percent = unit === "percent" ? end : null;
+  if (unit === "page" && totalPage) percent = Math.min(100, Math.round((end / totalPage) * 100));
+  await app.fileManager.processFrontMatter(bookFile, (bfm) => {
+    if (unit === "page") bfm.currentPage = end;
+    if (percent !== null) bfm.percentComplete = percent;
+    if (!String(bfm.readingStarted || "").trim() || date < bfm.readingStarted) bfm.readingStarted = date;
+    if (!bfm.lastRead || date > bfm.lastRead) bfm.lastRead = date;
+    if (!bfm.readingStatus || bfm.readingStatus === "not-started") bfm.readingStatus = "reading";
+  });
+
+  const reachedEnd = percent !== null && percent >= 100;
+  if (reachedEnd && fm.readingStatus !== "finished") {
+    const finish = await qa.yesNoPrompt("Finished?", `You reached the end of ${bookFile.basename}. Mark it as finished?`);
+    if (finish) {
+      const ratingRaw = ((await qa.inputPrompt("Rating", "0-10 (leave blank if none)")) || "").trim();
+      let bookFm = null;
+      await app.fileManager.processFrontMatter(bookFile, (bfm) => {
+        bfm.readingStatus = "finished";
+        bfm.readingDone = date;
+        if (ratingRaw !== "" && Number.isFinite(Number(ratingRaw))) bfm.rating = Number(ratingRaw);
+        bookFm = { ...bfm };
+      });
+      await refreshSeriesForBook(app, bookFile, bookFm);
+      if (Notice) new Notice(`✅ Finished: ${bookFile.basename}`);
+      return;
+    }
+  }
+
+  if (Notice) new Notice(`Logged session: ${bookFile.basename}${percent !== null ? ` (${percent}%)` : ""}`);
+}
+
+// ============================================================================
+// DUPLICATES MODE
+// ============================================================================
+function isEmptyValue(v) {
+  return v === null || v === undefined || (typeof v === "string" && !v.trim()) || (Array.isArray(v) && !v.length);
+}
+
+// Title without subtitle or series suffix, for fuzzy comparison
+function duplicateCompareTitle(title) {
+  return normalise(detectSeries({ title }).title.split(/[:;]/)[0]);
+}
+
+function groupSignature(files) {
+  return files.map((f) => f.path).sort().join("|");
+}
+
+async function loadIgnoredDuplicates(app) {
+  try {
+    const file = SETTINGS.duplicates.ignoredFile;
+    if (!(await app.vault.adapter.exists(file))) return [];
+    const data = JSON.parse(await app.vault.adapter.read(file));
+    return Array.isArray(data?.ignored) ? data.ignored : [];
+  } catch {
+    return [];
+  }
+}
+
+async function saveIgnoredDuplicates(app, ignored) {
+  await app.vault.adapter.write(SETTINGS.duplicates.ignoredFile, JSON.stringify({ ignored }, null, 2));
+}
+
+// Group book notes that share an ISBN or bookKey, or whose title + author are
+// near-identical. Groups whose notes already link each other as editions are left out.
+function findDuplicateGroups(app, ignored = []) {
+  const books = app.vault.getMarkdownFiles()
+    .filter((f) => isInBooksFolder(f.path))
+    .map((file) => {
+      const fm = getFrontmatter(app, file) || {};
+      const author = normalise(stripWikilinkValue(Array.isArray(fm.author) ? fm.author[0] : fm.author));
+      const isbn13 = cleanISBN(fm.isbn13) || (cleanISBN(fm.isbn10) ? isbn10To13(cleanISBN(fm.isbn10)) : "");
+      return {
+        file, fm, author, isbn13,
+        bookKey: String(fm[SETTINGS.multiFormat.bookKeyField] || "").trim(),
+        compare: `${duplicateCompareTitle(fm.title || file.basename)} ${author}`.trim(),
+        // Only compare books whose first authors share a surname
+        bucket: author.split(" ").pop() || "",
+      };
+    });
+
+  // Union-find over matching pairs
+  const parent = books.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const reasons = new Map();
+  const join = (i, j, reason) => {
+    const a = find(i), b = find(j);
+    if (a !== b) parent[b] = a;
+    const key = [i, j].sort((x, y) => x - y).join(":");
+    if (!reasons.has(key)) reasons.set(key, reason);
+  };
+
+  const byField = (field, reason) => {
+    const seen = new Map();
+    books.forEach((b, i) => {
+      if (!b[field]) return;
+      if (seen.has(b[field])) join(seen.get(b[field]), i, reason);
+      else seen.set(b[field], i);
+    });
+  };
+  byField("isbn13", "ISBN");
+  byField("bookKey", "bookKey");
+
+  const buckets = new Map();
+  books.forEach((b, i) => {
+    if (!b.bucket) return;
+    if (!buckets.has(b.bucket)) buckets.set(b.bucket, []);
+    buckets.get(b.bucket).push(i);
+  });
+  for (const idxs of buckets.values()) {
+    for (let x = 0; x < idxs.length; x++) {
+      for (let y = x + 1; y < idxs.length; y++) {
+        const a = books[idxs[x]], b = books[idxs[y]];
+        if (stringSimilarity(a.compare, b.compare) >= SETTINGS.duplicates.similarityThreshold) join(idxs[x], idxs[y], "title + author");
+      }
+    }
+  }
+
+  const groups = new Map();
+  books.forEach((b, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  const relField = SETTINGS.multiFormat.relatedEditionsField;
+  const linkedTo = (b) => new Set((Array.isArray(b.fm[relField]) ? b.fm[relField] : [b.fm[relField]]).map(stripWikilinkValue).filter(Boolean));
+  const out = [];
+  for (const idxs of groups.values()) {
+    if (idxs.length < 2) continue;
+    const members = idxs.map((i) => books[i]);
+    const files = members.map((m) => m.file);
+    if (ignored.includes(groupSignature(files))) continue;
+    const allLinked = members.every((m) => {
+      const links = linkedTo(m);
+      return members.every((o) => o === m || links.has(o.file.path.replace(/\.md$/, "")) || links.has(o.file.basename));
+    });
+    if (allLinked) continue;
+    const why = new Set();
+    for (const [key, reason] of reasons) {
+      const [i] = key.split(":").map(Number);
+      if (idxs.includes(i)) why.add(reason);
+    }
+    out.push({ members, reasons: [...why] });
+  }
+  return out;
+}
+
+function describeDuplicate(m) {
+  const fm = m.fm;
+  const bits = [stripWikilinkValue(fm.format), fm.isbn13, fm.source, stripWikilinkValue(fm.readingStatus)].filter(Boolean);
+  return `${m.file.basename}${bits.length ? ` (${bits.join(", ")})` : ""}`;
+}
+
+// Pick the largest existing cover file
+async function bestCoverPath(app, members) {
+  let best = "", bestSize = -1;
+  for (const m of members) {
+    const cover = String(m.fm.localCoverImage || "").trim();
+    if (!cover) continue;
+    const stat = await app.vault.adapter.stat(cover).catch(() => null);
+    if (stat && stat.size > bestSize) {
+      best = cover;
+      bestSize = stat.size;
+    }
+  }
+  return best;
+}
+
+const STATUS_RANK = { "": 0, "not-started": 1, abandoned: 2, reading: 3, finished: 4 };
+
+// Union of frontmatter: lists are combined, empty scalars are filled in,
+// and the furthest reading status (with its dates) wins
+function mergeFrontmatter(keeperFm, otherFm) {
+  for (const [key, value] of Object.entries(otherFm)) {
+    if (key === "position" || isEmptyValue(value)) continue;
+    const current = keeperFm[key];
+    if (Array.isArray(current) || Array.isArray(value)) {
+      const list = [...(Array.isArray(current) ? current : current ? [current] : []), ...(Array.isArray(value) ? value : [value])];
+      keeperFm[key] = dedupePreserveOrder(list);
+    } else if (isEmptyValue(current)) {
+      keeperFm[key] = value;
+    }
+  }
+  if ((STATUS_RANK[otherFm.readingStatus] || 0) > (STATUS_RANK[keeperFm.readingStatus] || 0)) {
+    keeperFm.readingStatus = otherFm.readingStatus;
+    if (otherFm.readingStarted) keeperFm.readingStarted = otherFm.readingStarted;
+    if (otherFm.readingDone) keeperFm.readingDone = otherFm.readingDone;
+  }
+}
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Point [[old]], [[old|alias]], [[old#heading]] and [[folder/old]] at the kept note
+async function rewriteInboundLinks(app, fromFile, toFile) {
+  const fromPath = fromFile.path.replace(/\.md$/, "");
+  const toPath = toFile.path.replace(/\.md$/, "");
+  const pattern = new RegExp(`\\[\\[(${escapeRegExp(fromPath)}|${escapeRegExp(fromFile.basename)})(\\.md)?(?=[\\]|#])`, "g");
+  const resolved = app.metadataCache.resolvedLinks || {};
+  let rewritten = 0;
+  for (const [sourcePath, targets] of Object.entries(resolved)) {
+    if (!targets || !targets[fromFile.path] || sourcePath === fromFile.path) continue;
+    const source = app.vault.getAbstractFileByPath(sourcePath);
+    if (!source) continue;
+    await app.vault.process(source, (content) => content.replace(pattern, (m, target) => {
+      rewritten++;
+      return `[[${target === fromPath ? toPath : toFile.basename}`;
+    }));
+  }
+  return rewritten;
+}
+
+function noteBody(content) {
+  return String(content || "").replace(/^---\n[\s\S]*?\n---\n?/, "").trim();
+}
+
+async function mergeDuplicateGroup(app, keeper, others) {
+  const allMembers = [keeper, ...others];
+  const oldCovers = allMembers.map((m) => String(m.fm.localCoverImage || "").trim());
+  const cover = await bestCoverPath(app, allMembers);
+  const relField = SETTINGS.multiFormat.relatedEditionsField;
+  const removed = new Set(others.flatMap((o) => [o.file.path.replace(/\.md$/, ""), o.file.basename]));
+  removed.add(keeper.file.path.replace(/\.md$/, ""));
+  removed.add(keeper.file.basename);
+
+  let keeperFm = null;
+  await app.fileManager.processFrontMatter(keeper.file, (fm) => {
+    for (const o of others) mergeFrontmatter(fm, o.fm);
+    if (cover) fm.localCoverImage = cover;
+    const related = (Array.isArray(fm[relField]) ? fm[relField] : fm[relField] ? [fm[relField]] : [])
+      .filter((l) => !removed.has(stripWikilinkValue(l)));
+    if (related.length) fm[relField] = related;
+    else delete fm[relField];
+    keeperFm = { ...fm };
+  });
+
+  // Keep anything written in the duplicates' bodies (reviews, highlights)
+  const keeperBody = noteBody(await app.vault.read(keeper.file));
+  const extra = [];
+  for (const o of others) {
+    const body = noteBody(await app.vault.read(o.file));
+    if (body && !keeperBody.includes(body)) extra.push(`${SETTINGS.duplicates.mergedHeading} ${o.file.basename}\n\n${body}`);
+  }
+  if (extra.length) {
+    await app.vault.process(keeper.file, (content) => `${content.replace(/\s*$/, "")}\n\n${extra.join("\n\n")}\n`);
+  }
+
+  let links = 0;
+  for (const o of others) links += await rewriteInboundLinks(app, o.file, keeper.file);
+
+  // Covers no other note uses go with their notes. The cache may not have the
+  // keeper's new cover yet, so it is always kept.
+  const coversInUse = new Set(app.vault.getMarkdownFiles()
+    .filter((f) => isInBooksFolder(f.path) && !others.some((o) => o.file.path === f.path))
+    .map((f) => String(getFrontmatter(app, f)?.localCoverImage || "").trim()));
+  if (cover) coversInUse.add(cover);
+  for (const [i, m] of allMembers.entries()) {
+    const oldCover = oldCovers[i];
+    if (m !== keeper) await app.vault.trash(m.file, true);
+    const coverFile = oldCover && !coversInUse.has(oldCover) ? app.vault.getAbstractFileByPath(oldCover) : null;
+    if (coverFile) await app.vault.trash(coverFile, true);
+  }
+
+  await refreshSeriesForBook(app, keeper.file, keeperFm);
+  return links;
+}
+
+async function handleDuplicates(app, qa, Notice) {
+  const ignored = await loadIgnoredDuplicates(app);
+  const groups = findDuplicateGroups(app, ignored);
+  if (!groups.length) {
+    if (Notice) new Notice("No likely duplicate books found.");
+    return;
+  }
+  if (Notice) new Notice(`Found ${groups.length} group(s) of likely duplicates.`);
+
+  let merged = 0, linked = 0;
+  for (let idx = 0; idx < groups.length; idx++) {
+    const group = groups[idx];
+    const header = `[${idx + 1}/${groups.length}] ${group.reasons.join(", ")}`;
+    const action = await qa.suggester(
+      [
+        ...group.members.map((m) => `${header} · Merge into: ${describeDuplicate(m)}`),
+        `${header} · Link as related editions (${group.members.length} notes)`,
+        `${header} · Not duplicates (don't ask again)`,
+        "Skip this group",
+        "Stop",
+      ],
+      [...group.members.map((m) => ({ keeper: m })), "link", "ignore", "skip", "stop"]
+    );
+    if (!action || action === "stop") break;
+    if (action === "skip") continue;
+
+    if (action === "ignore") {
+      ignored.push(groupSignature(group.members.map((m) => m.file)));
+      await saveIgnoredDuplicates(app, ignored);
+      continue;
+    }
+
+    if (action === "link") {
+      for (let a = 0; a < group.members.length; a++) {
+        for (let b = a + 1; b < group.members.length; b++) {
+          await linkEditions({ app, aFile: group.members[a].file, bFile: group.members[b].file });
+        }
+      }
+      linked++;
+      continue;
+    }
+
+    const others = group.members.filter((m) => m !== action.keeper);
+    const confirm = await qa.yesNoPrompt(
+      "Merge duplicates",
+      `Keep "${action.keeper.file.basename}" and move these to the trash?\n\n${others.map((o) => `- ${o.file.basename}`).join("\n")}\n\nFields are combined and links are updated.`
+    );
+    if (!confirm) continue;
+    const links = await mergeDuplicateGroup(app, action.keeper, others);
+    merged++;
+    if (Notice) new Notice(`Merged into ${action.keeper.file.basename} (${links} link(s) updated)`);
+  }
+
+  if (Notice) new Notice(`Duplicates: ${merged} merged, ${linked} linked as editions.`, 5000);
+}
+
+// ============================================================================
+// AUTHOR ENRICHMENT
+// ============================================================================
+const AUTHOR_ENRICHMENT_FIELDS = ["bio", "born", "died", "photo", "openLibraryAuthorId", "wikidataId", "viafId", "isniId", "goodreadsAuthorId"];
+
+function isAuthorNote(app, file) {
+  const cfg = SETTINGS.authorUpsert;
+  if (!file || !file.path.startsWith(`${cfg.authorFolder}/`)) return false;
+  const fm = getFrontmatter(app, file);
+  const types = (Array.isArray(fm?.type) ? fm.type : fm?.type ? [fm.type] : []).map(stripWikilinkValue);
+  return types.includes(cfg.categoryAuthorsPath.replace(/\.md$/, ""));
+}
+
+async function loadEnrichmentState(app) {
+  try {
+    const path = SETTINGS.authorEnrichment.stateFile;
+    if (!(await app.vault.adapter.exists(path))) return {};
+    return JSON.parse(await app.vault.adapter.read(path)) || {};
+  } catch { return {}; }
+}
+
+async function saveEnrichmentState(app, state) {
+  await app.vault.adapter.write(SETTINGS.authorEnrichment.stateFile, JSON.stringify(state, null, 2));
+}
+
+function openLibraryYear(value) {
+  const m = String(value || "").match(/\b(\d{3,4})\b/);
+  return m ? Number(m[1]) : "";
+}
+
+function shortBio(raw) {
+  const max = SETTINGS.authorEnrichment.maxBioLength;
+  const text = openLibraryText(raw)
+    .replace(/\r/g, "")
+    .split(/\n\s*\n/)[0]
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max);
+  const lastStop = cut.lastIndexOf(". ");
+  return lastStop > max / 2 ? cut.slice(0, lastStop + 1) : `${cut.trim()}…`;
+}
+
+// Exact name match with the most works; null when nothing matches exactly
+async function findOpenLibraryAuthor(obsidian, name) {
+  const url = `https://openlibrary.org/search/authors.json?${new URLSearchParams({ q: name, limit: "20" })}`;
+  const data = await openLibraryGetJson(obsidian, url);
+  const docs = Array.isArray(data?.docs) ? data.docs : [];
+  const wanted = normalise(name).replace(/[^a-z0-9 ]/g, "");
+  const exact = docs.filter((d) => normalise(d.name).replace(/[^a-z0-9 ]/g, "") === wanted);
+  exact.sort((a, b) => (b.work_count || 0) - (a.work_count || 0));
+  return { match: exact[0] || null, candidates: docs };
+}
+
+async function fetchOpenLibraryAuthorProfile(obsidian, authorId) {
+  const cfg = SETTINGS.authorEnrichment;
+  const author = await openLibraryGetJson(obsidian, `https://openlibrary.org/authors/${authorId}.json`);
+  if (!author) return null;
+  const worksData = await openLibraryGetJson(obsidian, `https://openlibrary.org/authors/${authorId}/works.json?limit=${cfg.worksLimit}`);
+  const works = (Array.isArray(worksData?.entries) ? worksData.entries : [])
+    .map((w) => ({ title: String(w.title || "").trim(), year: openLibraryYear(w.first_publish_date) }))
+    .filter((w) => w.title);
+  const photoId = (author.photos || []).find((id) => Number(id) > 0);
+  const remote = author.remote_ids || {};
+  return {
+    fields: {
+      bio: shortBio(author.bio),
+      born: openLibraryYear(author.birth_date),
+      died: openLibraryYear(author.death_date),
+      openLibraryAuthorId: authorId,
+      wikidataId: remote.wikidata || "",
+      viafId: remote.viaf || "",
+      isniId: remote.isni || "",
+      goodreadsAuthorId: remote.goodreads || "",
+    },
+    photoUrl: photoId ? `https://covers.openlibrary.org/a/id/${photoId}-L.jpg` : "",
+    works,
+  };
+}
+
+// Compare titles without subtitles, punctuation or a leading article
+function workTitleKey(title) {
+  return normalise(String(title || "").split(":")[0]).replace(/^(the|a|an) /, "").replace(/[^a-z0-9]/g, "");
+}
+
+function buildBibliographySections(app, authorName, works) {
+  const cfg = SETTINGS.authorEnrichment;
+  const vaultBooks = [];
+  for (const f of app.vault.getMarkdownFiles()) {
+    if (!isInBooksFolder(f.path)) continue;
+    const fm = getFrontmatter(app, f);
+    const authors = (Array.isArray(fm?.author) ? fm.author : fm?.author ? [fm.author] : []).map(stripWikilinkValue);
+    if (!authors.includes(authorName)) continue;
+    vaultBooks.push({ file: f, fm, key: workTitleKey(fm.title || f.basename) });
+  }
+
+  const ownedKeys = new Set(vaultBooks.map((b) => b.key));
+  const inVault = vaultBooks
+    .sort((a, b) => String(a.fm.title || a.file.basename).localeCompare(String(b.fm.title || b.file.basename)))
+    .map((b) => {
+      const year = String(b.fm.publishDate || "").slice(0, 4);
+      const read = b.fm.readingStatus === "finished" ? " ✅" : "";
+      return `- [[${b.file.basename}]]${year ? ` (${year})` : ""}${read}`;
+    });
+
+  const seen = new Set();
+  const other = [];
+  for (const w of works.slice().sort((a, b) => (a.year || 9999) - (b.year || 9999) || a.title.localeCompare(b.title))) {
+    const key = workTitleKey(w.title);
+    if (!key || ownedKeys.has(key) || seen.has(key)) continue;
+    seen.add(key);
+    other.push(`- ${w.title}${w.year ? ` (${w.year})` : ""}`);
+  }
+
+  return [
+    { heading: cfg.inVaultHeading, body: inVault.join("\n") || "_None yet._" },
+    { heading: cfg.otherWorksHeading, body: other.join("\n") || "_No other works listed._" },
+  ];
+}
+
+// Swap the marked block under a heading. Without markers the block goes right
+// under the heading, so notes written before the markers keep their text.
+function replaceGeneratedBlock(content, heading, body) {
+  const { blockStart, blockEnd } = SETTINGS.authorEnrichment;
+  const block = `${blockStart}\n${body}\n${blockEnd}`;
+  const lines = content.split("\n");
+  const start = lines.findIndex((l) => l.trim() === heading);
+  if (start === -1) return `${content.replace(/\s*$/, "")}\n\n${heading}\n\n${block}\n`;
+  let end = lines.findIndex((l, i) => i > start && /^#{1,2} /.test(l));
+  if (end === -1) end = lines.length;
+  const open = lines.findIndex((l, i) => i > start && i < end && l.trim() === blockStart);
+  const close = open === -1 ? -1 : lines.findIndex((l, i) => i > open && i < end && l.trim() === blockEnd);
+  if (close === -1) {
+    const rest = lines.slice(start + 1).join("\n").replace(/^\s*\n/, "");
+    return `${lines.slice(0, start + 1).join("\n")}\n\n${block}\n${rest ? `\n${rest}` : ""}`;
+  }
+  return [...lines.slice(0, open), block, ...lines.slice(close + 1)].join("\n");
+}
+
+// Fill empty fields, and refresh fields that still hold what enrichment last wrote.
+// Anything edited by hand (or set before enrichment) is left alone, and a field
+// emptied after enrichment wrote it is recorded as cleared and never refilled.
+async function enrichAuthorNote(app, obsidian, file, state, authorId) {
+  const fm = getFrontmatter(app, file) || {};
+  const id = authorId || String(fm.openLibraryAuthorId || "").trim();
+  if (!id) return { status: "no-match" };
+
+  const profile = await fetchOpenLibraryAuthorProfile(obsidian, id);
+  if (!profile) return { status: "no-match" };
+
+  // Older state files hold the written values directly
+  const entry = state[file.path] || {};
+  const previous = entry.fields || (entry.cleared ? {} : entry);
+  const written = { ...previous };
+  const cleared = new Set(entry.cleared || []);
+  const isEmpty = (v) => v === undefined || v === null || String(v).trim() === "";
+  for (const field of Object.keys(previous)) {
+    if (!isEmpty(fm[field])) continue;
+    cleared.add(field);
+    delete written[field];
+  }
+
+  if (profile.photoUrl && isEmpty(fm.photo) && !cleared.has("photo")) {
+    try {
+      const photo = await downloadCoverToVault({
+        app, obsidian, coverUrl: profile.photoUrl,
+        destFolder: SETTINGS.authorEnrichment.photoFolder,
+        destFilenameBase: file.basename,
+      });
+      if (photo.ok) profile.fields.photo = photo.localPath;
+    } catch (e) {
+      console.error(`Author photo download failed for ${file.basename}:`, e);
+    }
+  }
+
+  const updated = [];
+  await app.fileManager.processFrontMatter(file, (f) => {
+    for (const field of AUTHOR_ENRICHMENT_FIELDS) {
+      const value = profile.fields[field];
+      if (isEmpty(value) || cleared.has(field)) continue;
+      const current = f[field];
+      const untouched = field in previous && String(current) === String(previous[field]);
+      if (!isEmpty(current) && !untouched) continue;
+      if (String(current) === String(value)) { written[field] = value; continue; }
+      f[field] = value;
+      written[field] = value;
+      updated.push(field);
+    }
+    f.enriched = localISODate();
+  });
+  state[file.path] = { fields: written, cleared: [...cleared].sort() };
+
+  const sections = buildBibliographySections(app, file.basename, profile.works);
+  await app.vault.process(file, (content) =>
+    sections.reduce((text, s) => replaceGeneratedBlock(text, s.heading, s.body), content));
+
+  return { status: "enriched", updated };
+}
+
+async function handleAuthorEnrichment(app, qa, obsidian, Notice) {
+  const authorFiles = app.vault.getMarkdownFiles().filter((f) => isAuthorNote(app, f));
+  if (authorFiles.length === 0) {
+    if (Notice) new Notice("No author notes found.");
+    return;
+  }
+
+  const active = app.workspace.getActiveFile();
+  const pending = authorFiles.filter((f) => !getFrontmatter(app, f)?.enriched);
+  const labels = [];
+  const values = [];
+  if (active && isAuthorNote(app, active)) {
+    labels.push(`This author: ${active.basename}`);
+    values.push("active");
+  }
+  labels.push(`Authors not yet enriched (${pending.length})`, `All authors - refresh (${authorFiles.length})`, "Cancel");
+  values.push("pending", "all", "cancel");
+
+  const scope = await qa.suggester(labels, values);
+  if (!scope || scope === "cancel") return;
+
+  const targets = scope === "active" ? [active] : scope === "pending" ? pending : authorFiles;
+  if (targets.length === 0) {
+    if (Notice) new Notice("All author notes are already enriched.");
+    return;
+  }
+
+  const state = await loadEnrichmentState(app);
+  let enriched = 0;
+  const unmatched = [];
+  const errors = [];
+
+  for (let i = 0; i < targets.length; i++) {
+    const file = targets[i];
+    if (Notice && targets.length > 1 && i % 10 === 0) new Notice(`Enriching authors... ${i + 1}/${targets.length}`);
+    try {
+      let authorId = String(getFrontmatter(app, file)?.openLibraryAuthorId || "").trim();
+      if (!authorId) {
+        const { match, candidates } = await findOpenLibraryAuthor(obsidian, file.basename);
+        let picked = match;
+        // Only ask when enriching a single author; batches skip ambiguous names
+        if (!picked && scope === "active" && candidates.length > 0) {
+          picked = await qa.suggester(
+            candidates.map((c) => `${c.name}${c.birth_date ? ` (b. ${c.birth_date})` : ""}${c.top_work ? ` - ${c.top_work}` : ""}`),
+            candidates
+          );
+        }
+        authorId = picked ? openLibraryId(picked.key) : "";
+      }
+
+      const result = await enrichAuthorNote(app, obsidian, file, state, authorId);
+      if (result.status === "enriched") enriched++;
+      else unmatched.push(file.basename);
+      await saveEnrichmentState(app, state);
+    } catch (e) {
+      console.error(`Author enrichment failed for ${file.basename}:`, e);
+      errors.push(file.basename);
+    }
+  }
+
+  let message = `Authors: ${enriched} enriched`;
+  if (unmatched.length) message += `, ${unmatched.length} not found on Open Library`;
+  if (errors.length) message += `, ${errors.length} failed`;
+  if (unmatched.length && unmatched.length <= 5) message += `\nNot found: ${unmatched.join(", ")}`;
+  if (Notice) new Notice(message);
+}
+
+// ============================================================================
+// LOANS
+// ============================================================================
+function fmTags(fm) {
+  return Array.isArray(fm?.tags) ? fm.tags : fm?.tags ? [fm.tags] : [];
+}
+
+function isLibraryStore(app, file) {
+  if (!file || !file.path.startsWith(`${SETTINGS.storeUpsert.folder}/`)) return false;
+  return fmTags(getFrontmatter(app, file)).includes(SETTINGS.loans.libraryTag);
+}
+
+function findLibraryStores(app) {
+  return app.vault.getMarkdownFiles()
+    .filter((f) => isLibraryStore(app, f))
+    .sort((a, b) => a.basename.localeCompare(b.basename));
+}
+
+// Store notes come from the normal store upsert; libraries just carry an extra tag
+async function linkLibraryLoan(app, bookFile, storeLink) {
+  const storeFile = findExistingNoteByTitle(app, bookFile, stripWikilinkValue(storeLink));
+  if (storeFile && !isLibraryStore(app, storeFile)) {
+    await app.fileManager.processFrontMatter(storeFile, (fm) => {
+      fm.tags = [...fmTags(fm), SETTINGS.loans.libraryTag];
+    });
+  }
+  let bookFm = null;
+  await app.fileManager.processFrontMatter(bookFile, (fm) => {
+    fm.borrowedFrom = storeLink;
+    bookFm = { ...fm };
+  });
+  return bookFm;
+}
+
+// Blank means no due date; anything else must be a real YYYY-MM-DD date
+// Returns null when cancelled.
+async function promptDueDate(qa, fromDate, days, { title = "Due date", current = "" } = {}) {
+  let value = current || (days ? localISODate(addDays(new Date(`${fromDate}T00:00:00`), days)) : "");
+  let header = title;
+  for (;;) {
+    const input = await qa.inputPrompt(header, "YYYY-MM-DD (leave blank if none)", value);
+    if (input === undefined || input === null) return null;
+    value = String(input).trim();
+    if (!value || isISODate(value)) return value;
+    header = `${title} - "${value}" is not a valid date`;
+  }
+}
+
+async function promptLibraryLoan(app, qa) {
+  const libraries = findLibraryStores(app).map((f) => f.basename);
+  let library = libraries.length
+    ? await qa.suggester([...libraries, "New library..."], [...libraries, "new"])
+    : "new";
+  if (!library) return null;
+  if (library === "new") library = ((await qa.inputPrompt("Library name", "e.g. City Library")) || "").trim();
+  if (!library) return null;
+  const borrowedDate = await promptForDate(qa, "Borrowed date");
+  if (!borrowedDate) return null;
+  const dueDate = await promptDueDate(qa, borrowedDate, SETTINGS.loans.loanDays);
+  if (dueDate === null) return null;
+  return { library, borrowedDate, dueDate };
+}
+
+function openLoan(fm) {
+  if (String(fm.returnedDate || "").trim()) return null;
+  const lentTo = stripWikilinkValue(fm.lentTo);
+  const borrowedFrom = stripWikilinkValue(fm.borrowedFrom);
+  if (!lentTo && !borrowedFrom) return null;
+  return { direction: lentTo ? "lent" : "borrowed", who: lentTo || borrowedFrom, dueDate: String(fm.dueDate || "").trim() };
+}
+
+function loanLabel(file, fm, today = localISODate()) {
+  const loan = openLoan(fm);
+  if (!loan) return `📚 ${file.basename}`;
+  const icon = loan.dueDate && loan.dueDate < today ? "⏰" : loan.direction === "lent" ? "📤" : "📥";
+  const who = loan.direction === "lent" ? `lent to ${loan.who}` : `from ${loan.who}`;
+  return `${icon} ${file.basename} (${who}${loan.dueDate ? `, due ${loan.dueDate}` : ""})`;
+}
+
+// Active book note first; otherwise open loans (overdue first), then the rest
+async function pickBookForLoan(app, qa) {
+  const active = app.workspace.getActiveFile?.();
+  if (active && isInBooksFolder(active.path)) return active;
+
+  const books = app.vault.getMarkdownFiles()
+    .filter((f) => isInBooksFolder(f.path))
+    .map((f) => ({ file: f, fm: getFrontmatter(app, f) || {} }))
+    .map((b) => ({ ...b, loan: openLoan(b.fm) }))
+    .sort((a, b) =>
+      (a.loan ? 0 : 1) - (b.loan ? 0 : 1) ||
+      String(a.loan?.dueDate || "9999").localeCompare(String(b.loan?.dueDate || "9999")) ||
+      a.file.basename.localeCompare(b.file.basename));
+  if (!books.length) return null;
+  const picked = await qa.suggester(books.map((b) => loanLabel(b.file, b.fm)), books);
+  return picked?.file || null;
+}
+
+// Link people who already have a note; anyone else is recorded as plain text
+function loanPersonValue(app, bookFile, name) {
+  const existing = findExistingNoteByTitle(app, bookFile, name);
+  return existing ? `[[${existing.basename}]]` : name;
+}
+
+async function handleLoans(app, qa, obsidian, Notice) {
+  const bookFile = await pickBookForLoan(app, qa);
+  if (!bookFile) {
+    if (Notice) new Notice("No book selected.");
+    return;
+  }
+  const fm = getFrontmatter(app, bookFile) || {};
+  const loan = openLoan(fm);
+
+  if (loan) {
+    const returnLabel = loan.direction === "lent" ? `Check in - ${loan.who} returned it` : `Check in - returned to ${loan.who}`;
+    const action = await qa.suggester([returnLabel, "Renew - change due date", "Cancel"], ["return", "renew", "cancel"]);
+    if (!action || action === "cancel") return;
+    if (action === "renew") {
+      const dueDate = await promptDueDate(qa, "", 0, { title: "New due date", current: loan.dueDate });
+      if (dueDate === null) return;
+      await app.fileManager.processFrontMatter(bookFile, (bfm) => { bfm.dueDate = dueDate; });
+      if (Notice) new Notice(dueDate ? `${bookFile.basename}: due ${dueDate}` : `${bookFile.basename}: no due date`);
+      return;
+    }
+    const returnedDate = await promptForDate(qa, "Returned date");
+    if (!returnedDate) return;
+    await app.fileManager.processFrontMatter(bookFile, (bfm) => { bfm.returnedDate = returnedDate; });
+    if (Notice) new Notice(`Checked in: ${bookFile.basename}`);
+    return;
+  }
+
+  const action = await qa.suggester(
+    ["Lend to someone", "Borrow from someone", "Borrow from a library", "Cancel"],
+    ["lend", "borrow", "library", "cancel"]
+  );
+  if (!action || action === "cancel") return;
+
+  if (action === "library") {
+    const libraryLoan = await promptLibraryLoan(app, qa);
+    if (!libraryLoan) return;
+    await app.fileManager.processFrontMatter(bookFile, (bfm) => {
+      Object.assign(bfm, { borrowedDate: libraryLoan.borrowedDate, dueDate: libraryLoan.dueDate, returnedDate: "" });
+      delete bfm.lentTo;
+      delete bfm.lentDate;
+    });
+    const storeLink = await upsertAndLinkEntity({ app, obsidian, bookFile, entityName: libraryLoan.library, cfg: SETTINGS.storeUpsert, fieldName: "purchasedStore" });
+    const bookFm = await linkLibraryLoan(app, bookFile, storeLink || libraryLoan.library);
+    await refreshSeriesForBook(app, bookFile, bookFm);
+    if (Notice) new Notice(`Borrowed from ${libraryLoan.library}: ${bookFile.basename}${libraryLoan.dueDate ? `, due ${libraryLoan.dueDate}` : ""}`);
+    return;
+  }
+
+  const lending = action === "lend";
+  const name = ((await qa.inputPrompt(lending ? "Lent to" : "Borrowed from", "Name")) || "").trim();
+  if (!name) return;
+  const date = await promptForDate(qa, lending ? "Lent date" : "Borrowed date");
+  if (!date) return;
+  const dueDate = await promptDueDate(qa, date, 0);
+  if (dueDate === null) return;
+  const who = loanPersonValue(app, bookFile, name);
+  let bookFm = null;
+  await app.fileManager.processFrontMatter(bookFile, (bfm) => {
+    if (lending) {
+      Object.assign(bfm, { lentTo: who, lentDate: date });
+      delete bfm.borrowedFrom;
+      delete bfm.borrowedDate;
+    } else {
+      Object.assign(bfm, { borrowedFrom: who, borrowedDate: date });
+      delete bfm.lentTo;
+      delete bfm.lentDate;
+    }
+    bfm.dueDate = dueDate;
+    bfm.returnedDate = "";
+    bookFm = { ...bfm };
+  });
+  if (!lending) await refreshSeriesForBook(app, bookFile, bookFm);
+  if (Notice) new Notice(`${lending ? "Lent to" : "Borrowed from"} ${name}: ${bookFile.basename}`);
+}
+
+// ============================================================================
+// VAULT TRACKER STATS
+// ============================================================================
+const TRACKER_FILE = ".obsidian/vault-tracker/books.json";
+
+async function readTrackerStats(app) {
+  try {
+    const exists = await app.vault.adapter.exists(TRACKER_FILE);
+    if (!exists) return null;
+    const content = await app.vault.adapter.read(TRACKER_FILE);
+    return JSON.parse(content);
+  } catch (e) {
+    console.error("Failed to read tracker stats:", e);
+    return null;
+  }
+}
+
+function formatBookStats(stats) {
+  if (!stats) return "No tracker data yet";
+  const s = stats.stats;
+  const finished = s.byStatus?.finished || 0;
+  const reading = s.byStatus?.reading || 0;
+  return `${s.total} books (${finished} finished, ${reading} reading, ${s.uniqueAuthors} authors)`;
+}
+
+async function showPreImportStats(app, Notice) {
   // Sync tracker first to ensure stats are current
   const freshStats = await syncVaultTracker(app, null);
   const stats = freshStats || await readTrackerStats(app);
@@ -1195,8 +3825,8 @@ module.exports = async (params) => {
 
   // Mode selection
   const mode = await qa.suggester(
-    ["🔍 Search existing books", "Manual - Search Google/Apple Books", "CSV Import - Batch from file", "API Import (Future)"],
-    ["search", "manual", "csv", "api"]
+    ["🔍 Search existing books", "📖 Log reading session", "🧹 Find duplicate books", "👤 Enrich author notes", "📤 Check out / check in a book", "Manual - Search Google/Apple/Open Library", "Add by ISBN", "Goodreads Import - library export CSV", "Audible Import - library export CSV/JSON", "Kindle Highlights - My Clippings.txt", "CSV Import - Batch from file", "API Import (Future)"],
+    ["search", "session", "duplicates", "authors", "loans", "manual", "isbn", "goodreads", "audible", "kindle", "csv", "api"]
   );
 
   if (!mode) return;
@@ -1206,6 +3836,35 @@ module.exports = async (params) => {
     return;
   }
 
+  if (mode === "session") {
+    await handleReadingSession(app, qa, Notice);
+    const afterStats = await syncVaultTracker(app, Notice);
+    showPostImportDiff(Notice, beforeStats, afterStats);
+    return;
+  }
+
+  if (mode === "duplicates") {
+    await handleDuplicates(app, qa, Notice);
+    const afterStats = await syncVaultTracker(app, Notice);
+    showPostImportDiff(Notice, beforeStats, afterStats);
+    return;
+  }
+
+  if (mode === "loans") {
+    await handleLoans(app, qa, obsidian, Notice);
+    const afterStats = await syncVaultTracker(app, Notice);
+    const overdue = afterStats?.loans?.overdue || [];
+    if (overdue.length && Notice) {
+      new Notice(`⏰ ${overdue.length} overdue: ${overdue.slice(0, 3).map((l) => l.title).join(", ")}${overdue.length > 3 ? "..." : ""}`, 6000);
+    }
+    return;
+  }
+
+  if (mode === "authors") {
+    await handleAuthorEnrichment(app, qa, obsidian, Notice);
+    return;
+  }
+
   if (mode === "manual") {
     await handleManual(app, qa, obsidian, Notice);
     const afterStats = await syncVaultTracker(app, Notice);
@@ -1213,6 +3872,32 @@ module.exports = async (params) => {
     return;
   }
 
+  if (mode === "isbn") {
+    await handleISBN(app, qa, obsidian, Notice);
+    const afterStats = await syncVaultTracker(app, Notice);
+    showPostImportDiff(Notice, beforeStats, afterStats);
+    return;
+  }
+
+  if (mode === "goodreads") {
+    await handleGoodreadsImport(app, qa, obsidian, Notice);
+    const afterStats = await syncVaultTracker(app, Notice);
+    showPostImportDiff(Notice, beforeStats, afterStats);
+    return;
+  }
+
+  if (mode === "audible") {
+    await handleAudibleImport(app, qa, obsidian, Notice);
+    const afterStats = await syncVaultTracker(app, Notice);
+    showPostImportDiff(Notice, beforeStats, afterStats);
+    return;
+  }
+
+  if (mode === "kindle") {
+    await handleKindleHighlights(app, qa, Notice);
+    return;
+  }
+
   if (mode === "csv") {
     await handleCSVImport(app, qa, obsidian, Notice);
     const afterStats = await syncVaultTracker(app, Notice);
@@ -1221,6 +3906,6 @@ module.exports = async (params) => {
   }
 
   if (mode === "api") {
-    if (Notice) new Notice("API Import (Goodreads, LibraryThing) coming soon!", 3000);
+    if (Notice) new Notice("API Import (LibraryThing) coming soon!", 3000);
   }
 };
@@ -1,12 +1,23 @@
 // Export Books to CSV - QuickAdd Script for Obsidian
 // ===================================================
-// Exports all book notes to a comprehensive CSV file with all metadata.
+// Exports all book notes to a comprehensive CSV file with all metadata,
+// and applies edits made to such an export back to the notes.
 //
-// Usage:
-//   1. Run this script via QuickAdd
+// Usage (export):
+//   1. Run this script via QuickAdd and choose "Export"
 //   2. Choose the output location (or accept default)
 //   3. CSV will be saved to the selected location
 //
+// Usage (apply changes):
+//   1. Edit an exported CSV in a spreadsheet (fix formats, add ratings, ...)
+//   2. Run this script via QuickAdd and choose "Apply changes"
+//   3. Pick the CSV; rows are matched to notes by bookKey, google_volume_id
+//      or appleTrackId
+//   4. Review the per-field summary (full diff in .obsidian/books-csv-changes.md)
+//   5. Only changed fields are written; author, genre, etc. are re-linked.
+//      ID columns are never written, and multi-line description/ai_summary
+//      keep their line breaks (quoted in the CSV, block scalars in the note)
+//
 // The script reads from the Books folder and extracts all frontmatter properties.
 // Works on both desktop and iOS.
 
@@ -20,9 +31,13 @@ const SETTINGS = {
     "subtitle",
     "author",
     "genre",
+    "series",
+    "seriesIndex",
     "publisher",
     "publishDate",
     "totalPage",
+    "narrator",
+    "lengthMinutes",
     "isbn13",
     "isbn10",
     "format",
@@ -35,6 +50,10 @@ const SETTINGS = {
     "source",
     "google_volume_id",
     "appleTrackId",
+    "openLibraryWorkId",
+    "openLibraryEditionId",
+    "audibleAsin",
+    "goodreadsBookId",
     "bookKey",
     "localCoverImage",
     "via",
@@ -43,6 +62,26 @@ const SETTINGS = {
     "description",
     "ai_summary",
   ],
+
+  // Apply changes from CSV
+  // Columns used to find the note for a row, in order of preference
+  matchColumns: ["bookKey", "google_volume_id", "appleTrackId"],
+  // Never written back (identity and bookkeeping fields)
+  readOnlyColumns: [
+    "bookKey", "google_volume_id", "appleTrackId", "openLibraryWorkId", "openLibraryEditionId",
+    "goodreadsBookId", "audibleAsin", "source", "created",
+  ],
+  // Exported with their line breaks (quoted) so paragraphs survive a round trip
+  multilineColumns: ["description", "ai_summary"],
+  // List fields of wikilinks ("A; B" in the CSV)
+  linkListColumns: ["author", "genre", "narrator", "related_editions"],
+  // Single wikilink fields
+  linkColumns: ["series", "format", "purchasedStore"],
+  // Numeric fields
+  numberColumns: ["totalPage", "rating", "seriesIndex", "lengthMinutes"],
+  // Links in these columns point at other book notes, by path
+  bookLinkColumns: ["related_editions"],
+  changesReportFile: ".obsidian/books-csv-changes.md",
 };
 
 module.exports = {
@@ -58,6 +97,21 @@ async function start(params, settings) {
   const { app, obsidian, quickAddApi: qa } = params;
   const Notice = obsidian?.Notice;
 
+  const mode = await qa.suggester(
+    ["Export books to CSV", "Apply changes from an edited CSV"],
+    ["export", "apply"]
+  );
+  if (!mode) return;
+
+  if (mode === "apply") {
+    await applyChangesFromCSV(app, qa, Notice);
+    return;
+  }
+
+  await exportBooks(app, qa, Notice);
+}
+
+async function exportBooks(app, qa, Notice) {
   // Get all folders in the vault
   const folders = getAllFolders(app);
   const folderOptions = [
@@ -142,7 +196,7 @@ async function start(params, settings) {
   
   // Generate CSV rows
   const rows = books.map((book) => {
-    return SETTINGS.columns.map((col) => escapeCSV(book[col] || "")).join(",");
+    return SETTINGS.columns.map((col) => escapeCSV(book[col] || "", SETTINGS.multilineColumns.includes(col))).join(",");
   });
 
   const csvContent = [header, ...rows].join("\n");
@@ -229,16 +283,239 @@ function getAllFolders(app) {
 }
 
 // Escape value for CSV (handle commas, quotes, newlines)
-function escapeCSV(value) {
+function escapeCSV(value, multiline = false) {
   const str = String(value || "");
   
-  // Replace newlines with spaces for single-line CSV
-  const cleaned = str.replace(/[\r\n]+/g, " ").trim();
+  // Replace newlines with spaces for single-line CSV, unless the column keeps them
+  const cleaned = multiline ? normalizeNewlines(str) : str.replace(/[\r\n]+/g, " ").trim();
   
-  // If contains comma, quote, or special chars, wrap in quotes
-  if (cleaned.includes(",") || cleaned.includes('"') || cleaned.includes(";")) {
+  // If contains comma, quote, newline or special chars, wrap in quotes
+  if (cleaned.includes(",") || cleaned.includes('"') || cleaned.includes(";") || cleaned.includes("\n")) {
     return `"${cleaned.replace(/"/g, '""')}"`;
   }
   
   return cleaned;
 }
+
+// Parse CSV text (quoted fields may contain commas and newlines)
+// Same as parseCSVRecords in lib/quickadd-core.js
+function parseCSVRecords(text) {
+  const records = [];
+  let record = [];
+  let current = "";
+  let inQuotes = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const char = src[i];
+    const next = src[i + 1];
+
+    if (inQuotes) {
+      if (char === '"' && next === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(current.trim());
+      current = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && next === "\n") i++;
+      record.push(current.trim());
+      if (record.some((v) => v)) records.push(record);
+      record = [];
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  record.push(current.trim());
+  if (record.some((v) => v)) records.push(record);
+
+  if (records.length < 2) return { headers: [], rows: [] };
+  const headers = records[0];
+  const rows = records.slice(1).map((values, idx) => {
+    const row = {};
+    headers.forEach((h, col) => {
+      row[h.toLowerCase().trim()] = values[col] || "";
+    });
+    row._lineNumber = idx + 2;
+    return row;
+  });
+  return { headers, rows };
+}
+
+function normalizeNewlines(text) {
+  return String(text || "").replace(/\r\n?/g, "\n").split("\n").map((l) => l.trimEnd()).join("\n").trim();
+}
+
+// A cell in the form the export writes it (wikilinks stripped; single line
+// except for multi-line columns), tidied per column type so a cell that was
+// only reformatted ("A;B" for "A; B", "4.0" for "4") does not count as changed
+function comparableCell(col, value) {
+  const text = String(value ?? "");
+  if (SETTINGS.multilineColumns.includes(col)) return normalizeNewlines(text);
+  const line = text.replace(/[\r\n]+/g, " ").trim();
+  if (SETTINGS.linkListColumns.includes(col)) return line.split(";").map((v) => v.trim()).filter(Boolean).join("; ");
+  if (SETTINGS.numberColumns.includes(col) && line !== "" && Number.isFinite(Number(line))) return String(Number(line));
+  return line;
+}
+
+// Link to an existing note when one matches the name (case-insensitive)
+function linkForName(app, name, bookFiles, asBook) {
+  const n = String(name || "").trim();
+  if (!n) return "";
+  if (asBook) {
+    const book = bookFiles.find((f) => f.basename.toLowerCase() === n.toLowerCase());
+    return book ? `[[${book.path.replace(/\.md$/, "")}]]` : `[[${n}]]`;
+  }
+  const existing = app.metadataCache.getFirstLinkpathDest?.(n, "")
+    || app.vault.getMarkdownFiles().find((f) => f.basename.toLowerCase() === n.toLowerCase());
+  return `[[${existing ? existing.basename : n}]]`;
+}
+
+// Turn a CSV cell back into a frontmatter value
+function frontmatterValue(app, col, raw, bookFiles) {
+  const value = String(raw || "").trim();
+  if (SETTINGS.linkListColumns.includes(col)) {
+    const asBook = SETTINGS.bookLinkColumns.includes(col);
+    return value.split(";").map((v) => linkForName(app, v, bookFiles, asBook)).filter(Boolean);
+  }
+  if (SETTINGS.linkColumns.includes(col)) return value ? linkForName(app, value, bookFiles, false) : "";
+  if (SETTINGS.numberColumns.includes(col)) {
+    const n = Number(value);
+    return value !== "" && Number.isFinite(n) ? n : "";
+  }
+  return value;
+}
+
+// What the export showed for a field: a missing title is exported as the file name
+function exportedCell(file, fm, col) {
+  const value = normalizeValue(fm[col]);
+  return col === "title" && !value ? file.basename : value;
+}
+
+function findNoteForRow(row, indexes) {
+  const rowValue = (col) => String(row[col.toLowerCase()] || "").trim();
+  for (const col of SETTINGS.matchColumns) {
+    const key = rowValue(col);
+    const candidates = key ? indexes[col].get(key) || [] : [];
+    if (candidates.length === 1) return candidates[0].file;
+    if (candidates.length > 1) {
+      // Editions share a bookKey: tell them apart by the other ID columns
+      const narrowed = candidates.filter(({ fm }) =>
+        SETTINGS.matchColumns.every((c) => c === col || String(fm[c] || "").trim() === rowValue(c)));
+      if (narrowed.length === 1) return narrowed[0].file;
+    }
+  }
+  return null;
+}
+
+async function applyChangesFromCSV(app, qa, Notice) {
+  const csvFiles = app.vault.getFiles()
+    .filter((f) => f.extension?.toLowerCase() === "csv")
+    .sort((a, b) => a.path.localeCompare(b.path));
+  if (!csvFiles.length) {
+    if (Notice) new Notice("No CSV files found in vault.");
+    return;
+  }
+  const selectedCsv = await qa.suggester(csvFiles.map((f) => f.path), csvFiles);
+  if (!selectedCsv) return;
+
+  const { headers, rows } = parseCSVRecords(await app.vault.adapter.read(selectedCsv.path));
+  const headerSet = new Set(headers.map((h) => h.toLowerCase().trim()));
+  if (!SETTINGS.matchColumns.some((c) => headerSet.has(c.toLowerCase()))) {
+    if (Notice) new Notice(`${selectedCsv.path} has no ${SETTINGS.matchColumns.join(", ")} column to match notes by.`, 5000);
+    return;
+  }
+  const editable = SETTINGS.columns.filter((c) => headerSet.has(c.toLowerCase()) && !SETTINGS.readOnlyColumns.includes(c));
+
+  // Index book notes by each match column
+  const bookFiles = app.vault.getMarkdownFiles().filter((f) => f.path.startsWith(SETTINGS.bookFolder + "/"));
+  const indexes = Object.fromEntries(SETTINGS.matchColumns.map((c) => [c, new Map()]));
+  for (const file of bookFiles) {
+    const fm = app.metadataCache.getFileCache(file)?.frontmatter;
+    if (!fm) continue;
+    for (const col of SETTINGS.matchColumns) {
+      const key = String(fm[col] || "").trim();
+      if (!key) continue;
+      if (!indexes[col].has(key)) indexes[col].set(key, []);
+      indexes[col].get(key).push({ file, fm });
+    }
+  }
+
+  // Work out what changed
+  const changes = [];
+  const unmatched = [];
+  const fieldCounts = {};
+  const seen = new Set();
+  for (const row of rows) {
+    const file = findNoteForRow(row, indexes);
+    if (!file || seen.has(file.path)) {
+      unmatched.push(`${row.title || "(untitled)"} (row ${row._lineNumber}${file ? ", duplicate row" : ""})`);
+      continue;
+    }
+    seen.add(file.path);
+    const fm = app.metadataCache.getFileCache(file)?.frontmatter || {};
+    const fields = [];
+    for (const col of editable) {
+      const before = comparableCell(col, exportedCell(file, fm, col));
+      const after = comparableCell(col, row[col.toLowerCase()]);
+      if (before === after) continue;
+      // A blank title cell on a note without a title is not a change either
+      if (col === "title" && !after && !normalizeValue(fm.title)) continue;
+      fields.push({ col, before, after, value: frontmatterValue(app, col, after, bookFiles) });
+      fieldCounts[col] = (fieldCounts[col] || 0) + 1;
+    }
+    if (fields.length) changes.push({ file, fields });
+  }
+
+  if (!changes.length) {
+    const unmatchedText = unmatched.length ? ` ${unmatched.length} row(s) did not match a note.` : "";
+    if (Notice) new Notice(`No changes found in ${selectedCsv.path}.${unmatchedText}`, 5000);
+    return;
+  }
+
+  // Full diff for review, summary in the prompt
+  const escapeCell = (v) => String(v || "").replace(/\|/g, "\\|").replace(/\n/g, "<br>").slice(0, 200) || "(blank)";
+  const report = [
+    "# Book CSV Changes",
+    "",
+    `Source: ${selectedCsv.path}`,
+    `Date: ${new Date().toISOString().split("T")[0]}`,
+    "",
+    "| Book | Field | Old | New |",
+    "|------|-------|-----|-----|",
+    ...changes.flatMap((c) => c.fields.map((f) => `| [[${c.file.basename}]] | ${f.col} | ${escapeCell(f.before)} | ${escapeCell(f.after)} |`)),
+    "",
+    ...(unmatched.length ? ["## Unmatched rows", "", ...unmatched.map((t) => `- ${t}`), ""] : []),
+  ].join("\n");
+  await app.vault.adapter.write(SETTINGS.changesReportFile, report);
+
+  const totalChanges = changes.reduce((n, c) => n + c.fields.length, 0);
+  const summary = Object.entries(fieldCounts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([col, n]) => `  ${col}: ${n}`)
+    .join("\n");
+  const unmatchedText = unmatched.length ? `\n\n${unmatched.length} row(s) did not match a note.` : "";
+  const proceed = await qa.yesNoPrompt(
+    "Apply changes from CSV",
+    `${totalChanges} change(s) to ${changes.length} book(s):\n${summary}${unmatchedText}\n\nFull diff: ${SETTINGS.changesReportFile}\n\nApply?`
+  );
+  if (!proceed) {
+    if (Notice) new Notice("No changes applied.");
+    return;
+  }
+
+  for (const change of changes) {
+    await app.fileManager.processFrontMatter(change.file, (fm) => {
+      for (const f of change.fields) fm[f.col] = f.value;
+    });
+  }
+  if (Notice) new Notice(`Applied ${totalChanges} change(s) to ${changes.length} book(s).`, 5000);
+}
@@ -0,0 +1,452 @@
+// more-like-this.js — QuickAdd script for Obsidian
+//
+// "What in my library is like this?" — finds the nearest neighbours of the
+// active book/movie/series note, or of your highest-rated items, using
+// embeddings of each note's title, creators, genres and description/overview.
+//
+// Embeddings come from the backend configured in .obsidian/quickadd-secrets.json
+// (local Ollama, or the offline stub for testing) and are stored in
+// .obsidian/vault-tracker/embeddings.json next to the vault tracker snapshots.
+// The index is updated incrementally each time the command runs (there is no
+// background hook, so edits are picked up on the next run): notes modified
+// since they were embedded are re-embedded if their embedded text changed,
+// untouched notes are skipped by modification time, and deleted notes are
+// dropped. "Rebuild similarity index" re-embeds everything.
+//
+// Usage:
+//   1. Open a book or show note (optional)
+//   2. Run via QuickAdd and choose "More like this note" or "More like my highest-rated"
+//   3. Unread/unwatched matches are listed first; pick one to open it
+//
+// ============================================================================
+// Utilities copied from lib/quickadd-core.js:
+//   - Secrets: loadSecrets
+//   - Embeddings: EMBEDDING_BACKEND_DEFAULTS, resolveEmbeddingBackend, callEmbeddingBackend,
+//                 stubEmbedding, cosineSimilarity
+//   - Prompts: toLowerList
+// ============================================================================
+
+const SETTINGS = {
+  // Folders containing notes to index
+  bookFolder: "books/books",
+  moviesFolder: "shows/movies",
+  seriesFolder: "shows/series", // Series notes only - episode notes are skipped
+  seriesCategory: "Series",
+
+  // Backend URL/model/timeout live in the secrets file (embeddingBackend, embeddingBackends)
+  secretsFile: ".obsidian/quickadd-secrets.json",
+
+  // Index stored alongside the vault tracker JSON files
+  indexFile: ".obsidian/vault-tracker/embeddings.json",
+  saveEvery: 25, // Save progress while embedding so an interrupted run resumes
+
+  neighbours: 15, // Matches to show
+  topRatedCount: 5, // Highest-rated items used as seeds
+};
+
+const TYPE_ICONS = { book: "📕", movie: "🎬", series: "📺" };
+
+// ============================================================================
+// ITEMS
+// ============================================================================
+
+function stripWikilink(v) {
+  return String(v || "").replace(/^\[\[/, "").replace(/\]\]$/, "").split("|")[0].split("#")[0].trim();
+}
+
+function listText(v) {
+  const list = Array.isArray(v) ? v : v ? [v] : [];
+  return list.map(stripWikilink).filter(Boolean).join(", ");
+}
+
+function isInFolder(filePath, folder) {
+  const p = String(filePath || "").replace(/\\/g, "/");
+  const prefix = folder.replace(/\\/g, "/").replace(/\/+$/, "") + "/";
+  return p.startsWith(prefix);
+}
+
+// Note type for a file, or "" if it isn't indexed
+function noteType(file, fm) {
+  if (!fm?.title) return "";
+  if (isInFolder(file.path, SETTINGS.bookFolder)) return "book";
+  if (isInFolder(file.path, SETTINGS.moviesFolder)) return "movie";
+  if (isInFolder(file.path, SETTINGS.seriesFolder)) {
+    return toLowerList(fm.categories).includes(SETTINGS.seriesCategory.toLowerCase()) ? "series" : "";
+  }
+  return "";
+}
+
+// Text that gets embedded; ratings and reading/watch state are left out so
+// they can change without re-embedding
+function embeddingText(type, fm) {
+  const lines = [`${fm.title}`];
+  if (type === "book") {
+    if (fm.subtitle) lines[0] += `: ${fm.subtitle}`;
+    if (fm.author) lines.push(`By ${listText(fm.author)}`);
+    if (fm.series) lines.push(`Series: ${stripWikilink(fm.series)}`);
+  } else {
+    const year = String(fm.year || fm.firstAirDate || "").slice(0, 4);
+    lines.push(type === "movie" ? `Film${year ? ` (${year})` : ""}` : `TV series${year ? ` (${year})` : ""}`);
+  }
+  if (fm.genre) lines.push(`Genres: ${listText(fm.genre)}`);
+  if (fm.ai_tags) lines.push(`Tags: ${listText(fm.ai_tags)}`);
+  const about = fm.ai_summary || fm.description || fm.overview || "";
+  if (about) lines.push(String(about));
+  return lines.join("\n");
+}
+
+// Unread / unwatched items are surfaced first
+function isConsumed(type, fm) {
+  if (type === "book") {
+    const status = String(fm.readingStatus || fm.status || "").toLowerCase();
+    return !!fm.readingDone || ["finished", "read", "abandoned"].includes(status);
+  }
+  if (type === "movie") return fm.watched === true || Number(fm.watchCount) > 0;
+  return !!(fm.firstWatched || fm.lastWatched);
+}
+
+function collectItems(app) {
+  const items = [];
+  for (const file of app.vault.getMarkdownFiles()) {
+    const fm = app.metadataCache.getFileCache(file)?.frontmatter;
+    const type = noteType(file, fm);
+    if (!type) continue;
+
+    const text = embeddingText(type, fm);
+    const rating = Number(fm.rating);
+    items.push({
+      path: file.path,
+      type,
+      title: String(fm.title),
+      text,
+      hash: hashText(text),
+      mtime: file.stat?.mtime || 0,
+      rating: Number.isFinite(rating) && fm.rating !== "" && fm.rating !== null ? rating : null,
+      consumed: isConsumed(type, fm),
+    });
+  }
+  return items;
+}
+
+function hashText(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  return hash.toString(16);
+}
+
+// ============================================================================
+// INDEX
+// ============================================================================
+
+async function loadIndex(app) {
+  try {
+    if (!(await app.vault.adapter.exists(SETTINGS.indexFile))) return null;
+    return JSON.parse(await app.vault.adapter.read(SETTINGS.indexFile));
+  } catch (e) {
+    console.error("Failed to read embeddings index:", e);
+    return null;
+  }
+}
+
+async function saveIndex(app, index) {
+  const folder = SETTINGS.indexFile.split("/").slice(0, -1).join("/");
+  await app.vault.adapter.mkdir(folder).catch(() => {});
+  index.updated = new Date().toISOString();
+  await app.vault.adapter.write(SETTINGS.indexFile, JSON.stringify(index));
+}
+
+// Embed new/changed notes and drop deleted ones. A different model starts a fresh index.
+// Entries remember the note's mtime, so only notes touched since are compared.
+async function updateIndex(app, obsidian, backend, items, Notice, { rebuild = false } = {}) {
+  let index = rebuild ? null : await loadIndex(app);
+  if (!index || index.model !== backend.model || index.backend !== backend.name) {
+    index = { backend: backend.name, model: backend.model, updated: "", items: {} };
+  }
+
+  const livePaths = new Set(items.map((item) => item.path));
+  let removed = 0;
+  for (const path of Object.keys(index.items)) {
+    if (!livePaths.has(path)) {
+      delete index.items[path];
+      removed++;
+    }
+  }
+
+  let touched = 0;
+  const changed = items.filter((item) => {
+    const entry = index.items[item.path];
+    if (!entry) return true;
+    if (item.mtime && entry.mtime >= item.mtime) return false;
+    if (entry.hash !== item.hash) return true;
+    // Edited, but not in a way that changes the embedding (e.g. rating)
+    entry.mtime = item.mtime;
+    touched++;
+    return false;
+  });
+  if (changed.length > 0 && Notice) new Notice(`Updating similarity index: ${changed.length} note(s) to embed...`);
+
+  let embedded = 0;
+  const errors = [];
+  for (const item of changed) {
+    try {
+      const vector = await callEmbeddingBackend(obsidian, backend, item.text);
+      index.items[item.path] = {
+        type: item.type,
+        title: item.title,
+        hash: item.hash,
+        mtime: item.mtime,
+        vector: vector.map((v) => Math.round(v * 1e5) / 1e5),
+      };
+      embedded++;
+      if (embedded % SETTINGS.saveEvery === 0) await saveIndex(app, index);
+    } catch (e) {
+      errors.push({ title: item.title, error: e.message });
+      console.error(`Embedding failed for "${item.title}":`, e);
+      // Backend is down - no point trying the rest
+      if (errors.length >= 3 && embedded === 0) break;
+    }
+  }
+
+  if (embedded > 0 || removed > 0 || touched > 0 || !index.updated) await saveIndex(app, index);
+  if (errors.length > 0 && Notice) {
+    new Notice(`Embedded ${embedded}, failed ${errors.length} (first: ${errors[0].title}: ${errors[0].error})`);
+  }
+  return index;
+}
+
+// ============================================================================
+// SIMILARITY
+// ============================================================================
+
+// Score every indexed item against the seed vectors (best match wins),
+// keep the closest, then list unread/unwatched ones first
+function findNeighbours(index, items, seedPaths) {
+  const seeds = seedPaths
+    .map((path) => ({ path, entry: index.items[path] }))
+    .filter((s) => s.entry?.vector);
+  const seedSet = new Set(seedPaths);
+
+  const scored = [];
+  for (const item of items) {
+    if (seedSet.has(item.path)) continue;
+    const vector = index.items[item.path]?.vector;
+    if (!vector) continue;
+
+    let best = { score: -1, seed: null };
+    for (const seed of seeds) {
+      const score = cosineSimilarity(seed.entry.vector, vector);
+      if (score > best.score) best = { score, seed: seed.entry.title };
+    }
+    if (best.seed) scored.push({ ...item, score: best.score, likeTitle: best.seed });
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, SETTINGS.neighbours)
+    .sort((a, b) => Number(a.consumed) - Number(b.consumed) || b.score - a.score);
+}
+
+function formatNeighbour(item, showSeed) {
+  const icon = TYPE_ICONS[item.type] || "•";
+  const pct = Math.round(item.score * 100);
+  const state = item.consumed ? "" : item.type === "book" ? " · unread" : " · unwatched";
+  const rating = item.rating !== null ? ` · ★${item.rating}` : "";
+  const seed = showSeed ? ` · like ${item.likeTitle}` : "";
+  return `${icon} ${item.title} · ${pct}%${state}${rating}${seed}`;
+}
+
+async function showNeighbours(app, qa, Notice, neighbours, showSeed) {
+  if (neighbours.length === 0) {
+    if (Notice) new Notice("No similar items found.");
+    return;
+  }
+
+  const selected = await qa.suggester(neighbours.map((n) => formatNeighbour(n, showSeed)), neighbours);
+  if (!selected) return;
+
+  const file = app.vault.getAbstractFileByPath(selected.path);
+  if (file) await app.workspace.getLeaf(true).openFile(file);
+  else if (Notice) new Notice(`File not found: ${selected.path}`);
+}
+
+// ============================================================================
+// EMBEDDINGS (from quickadd-core.js)
+// ============================================================================
+
+// Defaults; override per backend in the secrets file under "embeddingBackends" and pick one with "embeddingBackend"
+const EMBEDDING_BACKEND_DEFAULTS = {
+  backend: "ollama",
+  backends: {
+    // Ollama embeddings API
+    ollama: { type: "ollama", url: "http://localhost:11434/api/embed", model: "nomic-embed-text", timeout: 60000, apiKey: "" },
+    // Deterministic offline vectors (hashed bag of words) for testing
+    stub: { type: "stub", url: "", model: "stub", timeout: 0, apiKey: "", dimensions: 64 },
+  },
+};
+
+function resolveEmbeddingBackend(secrets = {}, backendName = "") {
+  const name = backendName || secrets.embeddingBackend || EMBEDDING_BACKEND_DEFAULTS.backend;
+  const base = EMBEDDING_BACKEND_DEFAULTS.backends[name] || {};
+  const override = secrets.embeddingBackends?.[name] || {};
+  const config = { name, ...base, ...override };
+  if (!config.type) config.type = name;
+  if (!["ollama", "stub"].includes(config.type)) {
+    throw new Error(`Unknown embedding backend type "${config.type}" (expected ollama or stub)`);
+  }
+  return config;
+}
+
+async function callEmbeddingBackend(obsidian, backend, text) {
+  if (backend.type === "stub") return stubEmbedding(text, backend.dimensions);
+
+  if (!obsidian?.requestUrl) {
+    throw new Error("obsidian.requestUrl is not available");
+  }
+
+  const headers = { "Content-Type": "application/json" };
+  if (backend.apiKey) headers.Authorization = `Bearer ${backend.apiKey}`;
+
+  let timeoutId;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      reject(new Error(`${backend.name} embedding request timed out`));
+    }, backend.timeout || 60000);
+  });
+
+  try {
+    const response = await Promise.race([
+      obsidian.requestUrl({
+        url: backend.url,
+        method: "POST",
+        headers,
+        body: JSON.stringify({ model: backend.model, input: text }),
+        throw: false,
+      }),
+      timeoutPromise,
+    ]);
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`${backend.name} returned HTTP ${response.status}`);
+    }
+
+    const data = typeof response.json === "object" ? response.json : JSON.parse(response.text || "{}");
+    const vector = data.embeddings?.[0] || data.embedding;
+    if (!Array.isArray(vector) || vector.length === 0) throw new Error(`${backend.name} returned no embedding`);
+    return vector;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function stubEmbedding(text, dimensions = 64) {
+  const vector = new Array(dimensions).fill(0);
+  const words = String(text || "").toLowerCase().match(/[a-z0-9]+/g) || [];
+  for (const word of words) {
+    let hash = 5381;
+    for (let i = 0; i < word.length; i++) hash = ((hash * 33) ^ word.charCodeAt(i)) >>> 0;
+    vector[hash % dimensions] += 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map((v) => v / norm);
+}
+
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || a.length === 0) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function toLowerList(value) {
+  const list = Array.isArray(value) ? value : value ? String(value).split(",") : [];
+  return list
+    .map((v) => String(v || "").replace(/^\[\[/, "").replace(/\]\]$/, "").split("|")[0].trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// ============================================================================
+// SECRETS LOADING (from quickadd-core.js)
+// ============================================================================
+
+async function loadSecrets(app, secretsFile = ".obsidian/quickadd-secrets.json") {
+  try {
+    const exists = await app.vault.adapter.exists(secretsFile);
+    if (!exists) return {};
+    const raw = await app.vault.adapter.read(secretsFile);
+    return JSON.parse(raw);
+  } catch {
+    return {};
+  }
+}
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+module.exports = async (params) => {
+  const app = params?.app;
+  const qa = params?.quickAddApi;
+  const obsidian = params?.obsidian;
+
+  if (!app || !qa) {
+    throw new Error("QuickAdd context missing.");
+  }
+
+  const Notice = obsidian?.Notice || globalThis.Notice;
+
+  const items = collectItems(app);
+  if (items.length === 0) {
+    if (Notice) new Notice("No book or show notes found.");
+    return;
+  }
+
+  const activeFile = app.workspace.getActiveFile();
+  const activeItem = activeFile ? items.find((item) => item.path === activeFile.path) : null;
+
+  const choices = [];
+  const values = [];
+  if (activeItem) {
+    choices.push(`🔎 More like "${activeItem.title}"`);
+    values.push("active");
+  }
+  choices.push("⭐ More like my highest-rated", "🔄 Rebuild similarity index", "Cancel");
+  values.push("top", "rebuild", "cancel");
+
+  const mode = await qa.suggester(choices, values);
+  if (!mode || mode === "cancel") return;
+
+  const secrets = await loadSecrets(app, SETTINGS.secretsFile);
+  const backend = resolveEmbeddingBackend(secrets);
+  const index = await updateIndex(app, obsidian, backend, items, Notice, { rebuild: mode === "rebuild" });
+
+  if (mode === "rebuild") {
+    if (Notice) new Notice(`Similarity index rebuilt: ${Object.keys(index.items).length} notes (${backend.model}).`);
+    return;
+  }
+
+  if (mode === "active") {
+    if (!index.items[activeItem.path]) {
+      if (Notice) new Notice(`"${activeItem.title}" could not be embedded.`);
+      return;
+    }
+    await showNeighbours(app, qa, Notice, findNeighbours(index, items, [activeItem.path]), false);
+    return;
+  }
+
+  const topRated = items
+    .filter((item) => item.rating !== null && index.items[item.path])
+    .sort((a, b) => b.rating - a.rating)
+    .slice(0, SETTINGS.topRatedCount);
+  if (topRated.length === 0) {
+    if (Notice) new Notice("No rated books or shows yet.");
+    return;
+  }
+
+  await showNeighbours(app, qa, Notice, findNeighbours(index, items, topRated.map((item) => item.path)), true);
+};
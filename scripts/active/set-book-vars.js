@@ -1,3 +1,8 @@
+// set-book-vars.js — QuickAdd script for Obsidian
+//
+// First half of the interactive summary macro: set-book-vars.js → write-ai-summary.js.
+// Copies the active book note's metadata into QuickAdd variables for the prompt template.
+
 module.exports = async (params) => {
   const vars = params.variables ?? (params.variables = {});
 
@@ -37,6 +42,7 @@ module.exports = async (params) => {
   vars.publisher = pick("publisher");
   vars.publishDate = pick("publishDate");
   vars.genre = normaliseList(pick("genre")); // Array of genres → "Fiction, Thriller"
+  vars.format = pick("format"); // Selects per-format prompt templates
   vars.description = pick("description");
 
   return ""; // nothing to insert into the note body
@@ -4,10 +4,16 @@
 //   - Manual TMDB search (movies & TV series)
 //   - CSV import (generic watch history)
 //   - API Import:
-//     - Emby (Direct API)
-//     - Emby (CSV + API)
+//     - Emby (Direct API, matched by provider IDs)
+//     - Emby (CSV + API, matched by provider IDs)
+//     - Emby (Playback Reporting backfill: every play back to a chosen date)
+//     - Jellyfin (Direct API, matched by provider IDs; see scripts/dev/mock-jellyfin-server.js)
+//     - Plex (Direct API, matched by agent GUIDs)
 //     - Prime (Extension queue)
-//     - Future: Netflix, Apple TV, Disney+
+//     - Letterboxd (export zip or diary/ratings/reviews/watchlist CSVs)
+//     - Trakt (export zip or watched-history/ratings JSON, matched by TMDB ID)
+//     - Netflix (ViewingActivity.csv from the personal information archive)
+//     - Future: Apple TV, Disney+
 //
 // Creates series notes, movie notes, episode notes, and watch log entries.
 // All modes use consistent {path, created} return pattern.
@@ -18,7 +24,8 @@
 // Utilities copied from lib/quickadd-core.js:
 //   - String: pad2, localISODate, safeFilename, sanitizeForWikilink
 //   - YAML: quoteYamlString
-//   - CSV: parseCSV, parseCSVLine
+//   - CSV: parseCSV, parseCSVLine, parseCSVRecords
+//   - Zip: inflateRaw, readZipTextFiles
 //   - Date: addDays, formatDateOption, promptForDate, parseDate
 //   - File: ensureFolder, ensureNote
 //   - Secrets: loadSecrets
@@ -69,6 +76,22 @@ const SETTINGS = {
     imageBaseUrl: "https://image.tmdb.org/t/p/w500",
   },
 
+  // Jellyfin Playback Reporting: shorter sessions are not counted as watches
+  jellyfin: {
+    minPlaySeconds: 300,
+  },
+
+  // Netflix ViewingActivity.csv: a title's plays on one day shorter than this are dropped
+  netflix: {
+    minPlaySeconds: 300,
+  },
+
+  // Emby Playback Reporting backfill: history is fetched this many days at a time
+  emby: {
+    minPlaySeconds: 300,
+    backfillWindowDays: 90,
+  },
+
   // Max results in picker
   maxResults: 20,
   showPosterInSearch: true,
@@ -85,6 +108,8 @@ const SETTINGS = {
     prime: "[[Prime]]",
     netflix: "[[Netflix]]",
     emby: "[[Emby]]",
+    jellyfin: "[[Jellyfin]]",
+    plex: "[[Plex]]",
     stan: "[[Stan]]",
     youtube: "[[YouTube]]",
     "disney+": "[[Disney+]]",
@@ -92,6 +117,8 @@ const SETTINGS = {
     dvd: "[[DVD]]",
     "blu-ray": "[[Blu-Ray]]",
     "4k blu-ray": "[[4K Blu-Ray]]",
+    letterboxd: "[[Letterboxd]]",
+    trakt: "[[Trakt]]",
     other: "[[Other]]",
   },
 };
@@ -112,6 +139,24 @@ const SOURCES = {
     prefix: "emby-csv-",
     type: "csv-api",
   },
+  embyBackfill: {
+    name: "Emby (Playback Reporting backfill)",
+    wikilink: "[[Emby]]",
+    prefix: "embypr-",
+    type: "api",
+  },
+  jellyfin: {
+    name: "Jellyfin (Direct API)",
+    wikilink: "[[Jellyfin]]",
+    prefix: "jellyfin-",
+    type: "api",
+  },
+  plex: {
+    name: "Plex (Direct API)",
+    wikilink: "[[Plex]]",
+    prefix: "plex-",
+    type: "api",
+  },
   prime: {
     name: "Prime (Extension)",
     wikilink: "[[Prime]]",
@@ -126,6 +171,24 @@ const SOURCES = {
     type: "extension",
     queueFile: ".obsidian/netflix-import-queue.json",
   },
+  netflixActivity: {
+    name: "Netflix (ViewingActivity.csv)",
+    wikilink: "[[Netflix]]",
+    prefix: "nfactivity-",
+    type: "export",
+  },
+  letterboxd: {
+    name: "Letterboxd (Export zip/CSV)",
+    wikilink: "[[Letterboxd]]",
+    prefix: "letterboxd-",
+    type: "export",
+  },
+  trakt: {
+    name: "Trakt (Export JSON)",
+    wikilink: "[[Trakt]]",
+    prefix: "trakt-",
+    type: "export",
+  },
   appletv: {
     name: "Apple TV (Future)",
     wikilink: "[[Apple TV]]",
@@ -913,6 +976,58 @@ function parseCSVLine(line) {
   return result;
 }
 
+// Like parseCSV, but quoted fields may contain newlines (e.g. Letterboxd reviews)
+function parseCSVRecords(text) {
+  const records = [];
+  let record = [];
+  let current = "";
+  let inQuotes = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const char = src[i];
+    const next = src[i + 1];
+
+    if (inQuotes) {
+      if (char === '"' && next === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(current.trim());
+      current = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && next === "\n") i++;
+      record.push(current.trim());
+      if (record.some((v) => v)) records.push(record);
+      record = [];
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  record.push(current.trim());
+  if (record.some((v) => v)) records.push(record);
+
+  if (records.length < 2) return { headers: [], rows: [] };
+  const headers = records[0];
+  const rows = records.slice(1).map((values, idx) => {
+    const row = {};
+    headers.forEach((h, col) => {
+      row[h.toLowerCase().trim()] = values[col] || "";
+    });
+    row._lineNumber = idx + 2;
+    return row;
+  });
+  return { headers, rows };
+}
+
 // ============================================================================
 // FILE/FOLDER OPERATIONS
 // ============================================================================
@@ -1173,7 +1288,7 @@ async function searchMovie(obsidian, apiKey, query, year = null) {
 }
 
 async function getTVShowDetails(obsidian, apiKey, tvId) {
-  return await tmdbRequest(obsidian, apiKey, `/tv/${tvId}`);
+  return await tmdbRequest(obsidian, apiKey, `/tv/${tvId}`, { append_to_response: "external_ids" });
 }
 
 async function getTVSeasonDetails(obsidian, apiKey, tvId, seasonNumber) {
@@ -1181,7 +1296,218 @@ async function getTVSeasonDetails(obsidian, apiKey, tvId, seasonNumber) {
 }
 
 async function getMovieDetails(obsidian, apiKey, movieId) {
-  return await tmdbRequest(obsidian, apiKey, `/movie/${movieId}`);
+  return await tmdbRequest(obsidian, apiKey, `/movie/${movieId}`, { append_to_response: "external_ids" });
+}
+
+// IMDb/TVDB IDs from TMDB details (external_ids is appended by the detail requests)
+function tmdbExternalIds(tmdbData) {
+  return {
+    imdb: tmdbData?.external_ids?.imdb_id || tmdbData?.imdb_id || "",
+    tvdb: tmdbData?.external_ids?.tvdb_id ? String(tmdbData.external_ids.tvdb_id) : "",
+  };
+}
+
+// IMDb/TVDB ID -> TMDB ID; type is "movie" or "tv"
+async function findTmdbByExternalId(obsidian, apiKey, externalId, externalSource, type) {
+  const data = await tmdbRequest(obsidian, apiKey, `/find/${encodeURIComponent(externalId)}`, { external_source: externalSource });
+  const results = type === "movie" ? data?.movie_results : data?.tv_results;
+  return results?.[0]?.id || null;
+}
+
+// ============================================================================
+// TMDB ID RESOLUTION (sources that carry provider IDs: Trakt, Emby, Jellyfin, Plex)
+// ============================================================================
+// Shared state for one import run: note indexes and fetch counters
+function createTmdbResolveContext(params, apiKey) {
+  const { app, obsidian, Notice } = params;
+  return {
+    app, obsidian, apiKey, Notice,
+    index: buildTmdbNoteIndex(app),
+    episodeIndexes: new Map(),
+    moviesFetched: 0,
+    seriesFetched: 0,
+  };
+}
+
+// tmdbId -> note name for movie notes and series notes (series/Name/Name.md),
+// plus "movie:imdb:tt..." style keys -> tmdbId from the stored external IDs
+function buildTmdbNoteIndex(app) {
+  const index = { movies: new Map(), series: new Map(), external: new Map() };
+  for (const file of app.vault.getMarkdownFiles()) {
+    const parts = file.path.split("/");
+    const isMovie = file.path.startsWith(SETTINGS.folders.movies + "/") && parts.length === SETTINGS.folders.movies.split("/").length + 1;
+    const isSeries = file.path.startsWith(SETTINGS.folders.series + "/") && parts[parts.length - 2] === file.basename;
+    if (!isMovie && !isSeries) continue;
+    const fm = app.metadataCache.getFileCache(file)?.frontmatter;
+    const tmdbId = Number(fm?.tmdbId);
+    if (!tmdbId) continue;
+    (isMovie ? index.movies : index.series).set(tmdbId, file.basename);
+    indexExternalIds(index, isMovie ? "movie" : "tv", tmdbId, { imdb: fm.imdbId, tvdb: fm.tvdbId });
+  }
+  return index;
+}
+
+function indexExternalIds(index, type, tmdbId, ids) {
+  for (const key of ["imdb", "tvdb"]) {
+    if (ids?.[key]) index.external.set(`${type}:${key}:${ids[key]}`, Number(tmdbId));
+  }
+}
+
+// Emby/Jellyfin ProviderIds; key case varies between metadata providers (Tmdb, TMDb, tmdb)
+function serverProviderIds(item) {
+  const ids = {};
+  for (const [key, value] of Object.entries(item?.ProviderIds || {})) {
+    if (value) ids[key.toLowerCase()] = String(value);
+  }
+  return { tmdb: ids.tmdb || null, imdb: ids.imdb || null, tvdb: ids.tvdb || null };
+}
+
+// Fill in IMDb/TVDB IDs a note doesn't have yet, so any later import can match on them
+async function storeExternalIds(app, notePath, ids) {
+  const file = notePath ? app.vault.getAbstractFileByPath(notePath) : null;
+  if (!file || (!ids?.imdb && !ids?.tvdb)) return;
+  const fm = app.metadataCache.getFileCache(file)?.frontmatter || {};
+  if ((!ids.imdb || fm.imdbId) && (!ids.tvdb || fm.tvdbId)) return;
+  await app.fileManager.processFrontMatter(file, (fm) => {
+    if (ids.imdb && !fm.imdbId) fm.imdbId = String(ids.imdb);
+    if (ids.tvdb && !fm.tvdbId) fm.tvdbId = String(ids.tvdb);
+  });
+}
+
+// Episode notes of one series keyed by their TMDB episode ID
+function buildTmdbEpisodeIndex(app, seriesName) {
+  const folderPath = `${SETTINGS.folders.series}/${safeFilename(seriesName)}/`;
+  const index = new Map();
+  for (const file of app.vault.getMarkdownFiles()) {
+    if (!file.path.startsWith(folderPath)) continue;
+    const fm = app.metadataCache.getFileCache(file)?.frontmatter;
+    if (fm?.tmdbId && fm.season !== undefined && fm.episode !== undefined) {
+      index.set(Number(fm.tmdbId), { season: Number(fm.season), episode: Number(fm.episode), title: fm.title || "" });
+    }
+  }
+  return index;
+}
+
+// TMDB ID first, then IMDb/TVDB IDs (vault notes, then /find)
+async function findTmdbIdByProviderIds(obsidian, apiKey, type, ids, index = null) {
+  if (ids?.tmdb) return Number(ids.tmdb);
+  for (const [key, source] of [["imdb", "imdb_id"], ["tvdb", "tvdb_id"]]) {
+    if (!ids?.[key]) continue;
+    const known = index?.external.get(`${type}:${key}:${ids[key]}`);
+    if (known) return known;
+    const found = await findTmdbByExternalId(obsidian, apiKey, ids[key], source, type);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Provider IDs first; title search is only a last resort
+async function findTmdbId(obsidian, apiKey, type, item, index = null) {
+  const exact = await findTmdbIdByProviderIds(obsidian, apiKey, type, item?.ids, index);
+  if (exact) return exact;
+  const results = type === "movie"
+    ? await searchMovie(obsidian, apiKey, item?.title || "", item?.year)
+    : await searchTVShow(obsidian, apiKey, item?.title || "");
+  const dateField = type === "movie" ? "release_date" : "first_air_date";
+  const match = results.find(r => item?.year && String(r[dateField] || "").startsWith(String(item.year))) || results[0];
+  return match?.id || null;
+}
+
+// searchTitle: false leaves the title fallback to the caller (Emby's search + picker)
+async function resolveMovieByTmdbId(ctx, movie, { searchTitle = true } = {}) {
+  const { app, obsidian, apiKey } = ctx;
+  const tmdbId = searchTitle
+    ? await findTmdbId(obsidian, apiKey, "movie", movie, ctx.index)
+    : await findTmdbIdByProviderIds(obsidian, apiKey, "movie", movie?.ids, ctx.index);
+  if (!tmdbId) return null;
+  if (ctx.index.movies.has(tmdbId)) {
+    const existing = ctx.index.movies.get(tmdbId);
+    await storeExternalIds(app, `${SETTINGS.folders.movies}/${existing}.md`, movie?.ids);
+    indexExternalIds(ctx.index, "movie", tmdbId, movie?.ids);
+    return existing;
+  }
+
+  const details = await getMovieDetails(obsidian, apiKey, tmdbId);
+  const movieName = details?.title || movie.title;
+  if (!movieName) return null;
+  const noteResult = await createMovieNote(app, obsidian, movieName, details || { id: tmdbId });
+  if (noteResult.created) {
+    const genres = extractGenresFromTmdb(details);
+    if (genres.length > 0) await upsertAndLinkGenres(app, obsidian, noteResult.path, genres);
+    await markMovieFetched(app, movieName, tmdbId);
+    ctx.moviesFetched++;
+  }
+  await storeExternalIds(app, noteResult.path, movie?.ids);
+  ctx.index.movies.set(tmdbId, safeFilename(movieName));
+  indexExternalIds(ctx.index, "movie", tmdbId, tmdbExternalIds(details));
+  indexExternalIds(ctx.index, "movie", tmdbId, movie?.ids);
+  return safeFilename(movieName);
+}
+
+async function resolveSeriesByTmdbId(ctx, show, { searchTitle = true } = {}) {
+  const { app, obsidian, apiKey, Notice } = ctx;
+  const tmdbId = searchTitle
+    ? await findTmdbId(obsidian, apiKey, "tv", show, ctx.index)
+    : await findTmdbIdByProviderIds(obsidian, apiKey, "tv", show?.ids, ctx.index);
+  if (!tmdbId) return null;
+  if (ctx.index.series.has(tmdbId)) {
+    const existing = ctx.index.series.get(tmdbId);
+    await storeExternalIds(app, `${SETTINGS.folders.series}/${existing}/${existing}.md`, show?.ids);
+    indexExternalIds(ctx.index, "tv", tmdbId, show?.ids);
+    return { name: existing, tmdbId };
+  }
+
+  const details = await getTVShowDetails(obsidian, apiKey, tmdbId);
+  const seriesName = details?.name || show.title;
+  if (!seriesName) return null;
+  const noteResult = await createSeriesNote(app, obsidian, seriesName, details || { id: tmdbId });
+  if (noteResult.created) {
+    if (Notice) new Notice(`Fetching episodes for "${seriesName}"...`);
+    await fetchAndCreateAllEpisodes(app, obsidian, apiKey, seriesName, tmdbId, Notice);
+    await markSeriesFetched(app, seriesName, tmdbId);
+    ctx.seriesFetched++;
+  }
+  await storeExternalIds(app, noteResult.path, show?.ids);
+  ctx.index.series.set(tmdbId, safeFilename(seriesName));
+  indexExternalIds(ctx.index, "tv", tmdbId, tmdbExternalIds(details));
+  indexExternalIds(ctx.index, "tv", tmdbId, show?.ids);
+  return { name: safeFilename(seriesName), tmdbId };
+}
+
+function episodeIndexFor(ctx, seriesName) {
+  if (!ctx.episodeIndexes.has(seriesName)) ctx.episodeIndexes.set(seriesName, buildTmdbEpisodeIndex(ctx.app, seriesName));
+  return ctx.episodeIndexes.get(seriesName);
+}
+
+// Exact match on the TMDB episode ID first (TMDB and Trakt numbering can differ),
+// then season/number; episodes missing from the vault (e.g. specials) are created.
+async function resolveEpisodeByTmdbId(ctx, series, episode) {
+  const { app, obsidian, apiKey } = ctx;
+  const index = episodeIndexFor(ctx, series.name);
+
+  const episodeTmdbId = Number(episode?.ids?.tmdb) || null;
+  if (episodeTmdbId && index.has(episodeTmdbId)) return index.get(episodeTmdbId);
+
+  const season = Number(episode?.season) || 0;
+  const number = Number(episode?.number) || 0;
+  const existing = findEpisodeFile(app, series.name, season, number);
+  if (existing) return { season, episode: number, title: episode?.title || "" };
+
+  const seasonDetails = await getTVSeasonDetails(obsidian, apiKey, series.tmdbId, season);
+  const tmdbEpisode = (seasonDetails?.episodes || []).find(ep => (episodeTmdbId && ep.id === episodeTmdbId) || ep.episode_number === number);
+  if (!tmdbEpisode) return { season, episode: number, title: episode?.title || "" };
+
+  const resolved = { season: tmdbEpisode.season_number ?? season, episode: tmdbEpisode.episode_number, title: tmdbEpisode.name || "" };
+  await createEpisodeNote(app, series.name, resolved.season, resolved.episode, tmdbEpisode);
+  index.set(tmdbEpisode.id, resolved);
+  return resolved;
+}
+
+async function setNoteRating(app, notePath, rating) {
+  const file = notePath ? app.vault.getAbstractFileByPath(notePath) : null;
+  if (!file) return false;
+  await app.fileManager.processFrontMatter(file, (fm) => { fm.rating = rating; });
+  return true;
 }
 
 // ============================================================================
@@ -1215,11 +1541,24 @@ async function getEmbyUsers(obsidian, serverUrl, apiKey) {
 // Get item details by ID (used for CSV import to look up item type/metadata)
 async function getEmbyItemById(obsidian, serverUrl, apiKey, userId, itemId) {
   const data = await embyRequest(obsidian, serverUrl, apiKey, `/Users/${userId}/Items/${itemId}`, {
-    Fields: "Overview,SeriesName,SeasonName,ParentIndexNumber,IndexNumber,ProductionYear",
+    Fields: "Overview,SeriesName,SeasonName,ParentIndexNumber,IndexNumber,ProductionYear,ProviderIds",
   });
   return data;
 }
 
+// Series provider IDs are not on episodes, so fetch the parent series in batches
+async function getEmbyItemsByIds(obsidian, serverUrl, apiKey, userId, ids) {
+  const items = [];
+  for (let i = 0; i < ids.length; i += 50) {
+    const data = await embyRequest(obsidian, serverUrl, apiKey, `/Users/${userId}/Items`, {
+      Ids: ids.slice(i, i + 50).join(","),
+      Fields: "ProviderIds,ProductionYear,SeriesName,ParentIndexNumber,IndexNumber",
+    });
+    items.push(...(data?.Items || []));
+  }
+  return items;
+}
+
 async function getEmbyPlayedItems(obsidian, serverUrl, apiKey, userId) {
   const data = await embyRequest(obsidian, serverUrl, apiKey, `/Users/${userId}/Items`, {
     Filters: "IsPlayed",
@@ -1361,143 +1700,827 @@ function getEmbyWatchDate(item) {
   return localISODate();
 }
 
-// ============================================================================
-// IMAGE DOWNLOAD
-// ============================================================================
-async function downloadImage(obsidian, app, imageUrl, localPath) {
-  if (!imageUrl) return null;
-
-  try {
-    const fullUrl = imageUrl.startsWith("http")
-      ? imageUrl
-      : `${SETTINGS.tmdb.imageBaseUrl}${imageUrl}`;
+// Dates without a time are already local days; don't shift them through UTC
+function playbackReportingDay(dateStr) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(dateStr)) ? String(dateStr) : parseEmbyDate(dateStr);
+}
 
-    const response = await obsidian.requestUrl({
-      url: fullUrl,
-      method: "GET",
+// UserPlaylist only covers `days` before end_date, so walk it one window at a
+// time back to startDate. Every row is its own play, oldest first.
+// Returns null if Playback Reporting is missing or a window fails to load.
+async function getPlaybackReportingPlays(obsidian, serverUrl, apiKey, userId, startDate, onWindow = null) {
+  const windowDays = SETTINGS.emby.backfillWindowDays;
+  const plays = new Map();
+  const windowEnd = new Date(`${localISODate()}T00:00:00`);
+
+  while (localISODate(windowEnd) >= startDate) {
+    const endDate = localISODate(windowEnd);
+    const data = await embyRequest(obsidian, serverUrl, apiKey, `/user_usage_stats/UserPlaylist`, {
+      user_id: userId,
+      days: String(windowDays),
+      end_date: endDate,
+      aggregate_data: "false",
+      filter: "",
     });
+    if (!Array.isArray(data)) {
+      console.log(`Playback Reporting request failed for window ending ${endDate}`);
+      return null;
+    }
 
-    if (response.arrayBuffer) {
-      const folder = localPath.split("/").slice(0, -1).join("/");
-      await ensureFolder(app, folder);
-      await app.vault.adapter.writeBinary(localPath, response.arrayBuffer);
-      return localPath;
+    for (const record of data) {
+      const itemId = record.ItemId || record.item_id || record.Id;
+      const rawDate = record.Date || record.date;
+      if (!itemId || !rawDate) continue;
+      const date = playbackReportingDay(rawDate);
+      if (date < startDate) continue;
+
+      // Row ID when the plugin returns one, otherwise the play's start time
+      const time = String(record.Time || record.time || "");
+      const rowId = record.RowId ?? record.rowid ?? record.row_id;
+      const key = rowId !== undefined && rowId !== null && rowId !== ""
+        ? `row${rowId}`
+        : `${itemId}-${date}-${time.replace(/\D/g, "")}`;
+      const duration = record.PlayDuration ?? record.duration ?? record.Duration;
+      plays.set(key, {  // windows can overlap by a day; the key dedupes
+        key,
+        itemId: String(itemId),
+        date,
+        time,
+        type: record.ItemType || record.item_type || "",
+        name: record.ItemName || record.item_name || "",
+        seconds: duration !== undefined && duration !== null && duration !== "" ? Number(duration) || 0 : null,
+      });
     }
-  } catch (e) {
-    console.error(`Failed to download image: ${imageUrl}`, e);
+
+    if (onWindow) onWindow(endDate, plays.size);
+    windowEnd.setDate(windowEnd.getDate() - windowDays);
   }
-  return null;
+
+  return [...plays.values()].sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+}
+
+// Playback Reporting names episodes "Series - s01e02 - Title"; used when the
+// item has since been removed from the library
+function parsePlaybackReportingEpisode(name) {
+  const match = String(name || "").match(/^(.*) - s(\d+)e(\d+)(?: - (.*))?$/i);
+  if (!match) return null;
+  return { seriesName: match[1].trim(), season: Number(match[2]), episode: Number(match[3]), title: (match[4] || "").trim() };
 }
 
 // ============================================================================
-// GENRE UPSERT
+// JELLYFIN API
 // ============================================================================
-async function createGenreNote(app, obsidian, genreName) {
-  const cfg = SETTINGS.genreUpsert;
-  if (!cfg.enabled) return null;
+// Jellyfin 10.11 dropped api_key query auth; the token goes in the Authorization header
+async function jellyfinRequest(obsidian, serverUrl, apiKey, endpoint, params = {}, body = null) {
+  const url = new URL(`${String(serverUrl).replace(/\/+$/, "")}${endpoint}`);
+  for (const [k, v] of Object.entries(params)) {
+    if (v !== undefined && v !== null) url.searchParams.set(k, String(v));
+  }
 
-  const categoryLink = `[[${cfg.categoryPath.replace(/\.md$/, "")}]]`;
-  const safeName = safeFilename(sanitizeForWikilink(genreName));
-  if (!safeName) return null;
+  try {
+    const response = await obsidian.requestUrl({
+      url: url.toString(),
+      method: body ? "POST" : "GET",
+      headers: {
+        "Accept": "application/json",
+        "Authorization": `MediaBrowser Client="Obsidian QuickAdd", Device="Obsidian", DeviceId="quickadd-shows", Version="1.0.0", Token="${apiKey}"`,
+        ...(body ? { "Content-Type": "application/json" } : {}),
+      },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+    return response.json;
+  } catch (e) {
+    console.error(`Jellyfin API error: ${endpoint}`, e);
+    return null;
+  }
+}
 
-  const filePath = `${cfg.folder}/${safeName}.md`;
+// Jellyfin returns GUIDs without dashes; Playback Reporting may store either form
+function jellyfinId(id) {
+  return String(id || "").replace(/-/g, "").toLowerCase();
+}
 
-  await ensureFolder(app, cfg.folder);
+async function getJellyfinUsers(obsidian, serverUrl, apiKey) {
+  const data = await jellyfinRequest(obsidian, serverUrl, apiKey, "/Users");
+  return data || [];
+}
 
-  const exists = await app.vault.adapter.exists(filePath);
-  if (exists) return filePath;
+async function getJellyfinPlayedItems(obsidian, serverUrl, apiKey, userId) {
+  const data = await jellyfinRequest(obsidian, serverUrl, apiKey, "/Items", {
+    userId,
+    Filters: "IsPlayed",
+    IncludeItemTypes: "Movie,Episode",
+    Recursive: "true",
+    Fields: "ProviderIds,ProductionYear,PremiereDate,SeriesName,SeriesId,ParentIndexNumber,IndexNumber",
+    EnableUserData: "true",
+    SortBy: "DatePlayed",
+    SortOrder: "Ascending",
+  });
+  return data?.Items || [];
+}
 
-  const content = `---
-categories:
-  - "${categoryLink}"
-title: ${quoteYamlString(genreName)}
-created: ${quoteYamlString(localISODate())}
----
+// Series provider IDs are not on episodes, so fetch the parent series in batches
+async function getJellyfinItemsByIds(obsidian, serverUrl, apiKey, userId, ids) {
+  const items = [];
+  for (let i = 0; i < ids.length; i += 50) {
+    const data = await jellyfinRequest(obsidian, serverUrl, apiKey, "/Items", {
+      userId,
+      ids: ids.slice(i, i + 50).join(","),
+      Fields: "ProviderIds,ProductionYear",
+    });
+    items.push(...(data?.Items || []));
+  }
+  return items;
+}
 
-## Books
+// Jellyfin's Playback Reporting plugin is queried with SQL against its
+// PlaybackActivity table (one row per playback session, full history).
+// The response is {colums: [...], results: [[...], ...]} - "colums" sic.
+async function getJellyfinPlaybackHistory(obsidian, serverUrl, apiKey, userId) {
+  const query = `SELECT DateCreated, ItemId, ItemType, ItemName, PlayDuration FROM PlaybackActivity WHERE LOWER(REPLACE(UserId, '-', '')) = '${jellyfinId(userId)}' ORDER BY DateCreated`;
+  const data = await jellyfinRequest(obsidian, serverUrl, apiKey, "/user_usage_stats/submit_custom_query", {}, {
+    CustomQueryString: query,
+    ReplaceUserId: false,
+  });
 
-![[GenreBooks.base]]
+  const columns = data?.colums || data?.columns;
+  if (!Array.isArray(columns) || !Array.isArray(data?.results)) {
+    console.log("Jellyfin Playback Reporting plugin not available or no data");
+    return null;
+  }
 
-## Movies
+  console.log(`Jellyfin Playback Reporting returned ${data.results.length} sessions`);
+  return data.results.map(row => Object.fromEntries(columns.map((col, i) => [col, row[i]])));
+}
 
-![[GenreMovies.base]]
+// Playback Reporting stores server-local "YYYY-MM-DD HH:MM:SS.fffffff"; UserData dates are ISO UTC
+function jellyfinWatchDate(value) {
+  const s = String(value || "");
+  return /^\d{4}-\d{2}-\d{2} /.test(s) ? s.substring(0, 10) : parseEmbyDate(s);
+}
 
-## Series
+// One watch per Playback Reporting session where available, otherwise the
+// item's last played date. Plays are numbered per item and day so a same-day
+// rewatch gets its own watch log.
+function buildJellyfinWatchEvents(items, history, minPlaySeconds) {
+  const byId = new Map(items.map(item => [jellyfinId(item.Id), item]));
+  const events = new Map();
+  const dated = new Set();
+  const playsPerDay = new Map();
+  const add = (item, date, key) => {
+    if (events.has(key)) return;
+    const dayKey = `${jellyfinId(item.Id)}-${date}`;
+    const playIndex = (playsPerDay.get(dayKey) || 0) + 1;
+    playsPerDay.set(dayKey, playIndex);
+    events.set(key, { item, date, key, playIndex });
+  };
 
-![[GenreSeries.base]]
-`;
+  // Sessions arrive in DateCreated order; the session's start time keys it
+  for (const row of history || []) {
+    const item = byId.get(jellyfinId(row.ItemId));
+    if (!item || Number(row.PlayDuration || 0) < minPlaySeconds) continue;
+    const date = jellyfinWatchDate(row.DateCreated);
+    add(item, date, `${jellyfinId(item.Id)}-${String(row.DateCreated).replace(/\D/g, "")}`);
+    dated.add(jellyfinId(item.Id));
+  }
+
+  let undated = 0;
+  for (const item of items) {
+    if (dated.has(jellyfinId(item.Id))) continue;
+    if (item.UserData?.LastPlayedDate) {
+      const date = jellyfinWatchDate(item.UserData.LastPlayedDate);
+      add(item, date, `${jellyfinId(item.Id)}-${date}`);
+    } else {
+      undated++;
+    }
+  }
 
-  await app.vault.create(filePath, content);
-  return filePath;
+  return { events: [...events.values()].sort((a, b) => a.date.localeCompare(b.date)), undated };
 }
 
-async function upsertAndLinkGenres(app, obsidian, noteFile, genres) {
-  const cfg = SETTINGS.genreUpsert;
-  if (!cfg.enabled) return [];
-
-  await ensureNote(
-    app,
-    cfg.categoryPath,
-    `---
-categories:
-  - "[[Categories]]"
-title: "Genres"
----
+// ============================================================================
+// PLEX API
+// ============================================================================
+async function plexRequest(obsidian, serverUrl, token, endpoint, params = {}) {
+  const url = new URL(`${String(serverUrl).replace(/\/+$/, "")}${endpoint}`);
+  for (const [k, v] of Object.entries(params)) {
+    if (v !== undefined && v !== null && v !== "") url.searchParams.set(k, String(v));
+  }
 
-![[Genre.base]]
-`
-  );
+  try {
+    const response = await obsidian.requestUrl({
+      url: url.toString(),
+      method: "GET",
+      headers: {
+        "Accept": "application/json",
+        "X-Plex-Token": token,
+        "X-Plex-Client-Identifier": "obsidian-quickadd-shows",
+        "X-Plex-Product": "Obsidian QuickAdd",
+      },
+    });
+    return response.json?.MediaContainer || null;
+  } catch (e) {
+    console.error(`Plex API error: ${endpoint}`, e);
+    return null;
+  }
+}
 
-  const genreList = Array.isArray(genres) ? genres : genres ? [genres] : [];
-  const cleaned = genreList.map((g) => String(g || "").trim()).filter(Boolean);
-  if (!cleaned.length) return [];
+// Account 0 is Plex's internal system account
+async function getPlexAccounts(obsidian, serverUrl, token) {
+  const data = await plexRequest(obsidian, serverUrl, token, "/accounts");
+  return (data?.Account || []).filter(a => a.id && a.name);
+}
 
-  const links = [];
-  for (const genreName of cleaned) {
-    await createGenreNote(app, obsidian, genreName);
-    const safeName = safeFilename(sanitizeForWikilink(genreName));
-    links.push(`[[${safeName}]]`);
+// History is paged; viewedAt is unix seconds
+async function getPlexHistory(obsidian, serverUrl, token, accountId) {
+  const pageSize = 500;
+  const history = [];
+  for (let start = 0; ; start += pageSize) {
+    const data = await plexRequest(obsidian, serverUrl, token, "/status/sessions/history/all", {
+      sort: "viewedAt:asc",
+      accountID: accountId,
+      "X-Plex-Container-Start": start,
+      "X-Plex-Container-Size": pageSize,
+    });
+    const page = data?.Metadata || [];
+    history.push(...page);
+    if (page.length < pageSize) break;
   }
+  return history.filter(h => h.type === "movie" || h.type === "episode");
+}
 
-  const seen = new Set();
-  const unique = links.filter((x) => (seen.has(x) ? false : (seen.add(x), true)));
+// Returns null for items since removed from the library
+async function getPlexMetadata(obsidian, serverUrl, token, ratingKey) {
+  if (!ratingKey) return null;
+  const data = await plexRequest(obsidian, serverUrl, token, `/library/metadata/${ratingKey}`, { includeGuids: 1 });
+  return data?.Metadata?.[0] || null;
+}
 
-  const file = typeof noteFile === "string"
-    ? app.vault.getAbstractFileByPath(noteFile)
-    : noteFile;
+// New Plex agents list Guid [{id: "tmdb://949"}, ...]; legacy agents put one
+// ID in guid ("com.plexapp.agents.themoviedb://949?lang=en"). Legacy episode
+// guids are "series/season/episode" paths, not episode IDs, so those are ignored.
+function plexProviderIds(metadata) {
+  const ids = { tmdb: null, imdb: null, tvdb: null };
+  for (const g of metadata?.Guid || []) {
+    const m = String(g.id || "").match(/^(tmdb|imdb|tvdb):\/\/(.+)$/);
+    if (m && !ids[m[1]]) ids[m[1]] = m[2];
+  }
 
-  if (file) {
-    await app.fileManager.processFrontMatter(file, (frontmatter) => {
-      frontmatter.genre = unique;
-    });
+  const legacy = String(metadata?.guid || "").match(/^com\.plexapp\.agents\.(themoviedb|imdb|thetvdb):\/\/([^?]+)/);
+  if (legacy && !legacy[2].includes("/")) {
+    const key = { themoviedb: "tmdb", imdb: "imdb", thetvdb: "tvdb" }[legacy[1]];
+    if (!ids[key]) ids[key] = legacy[2];
   }
+  return ids;
+}
 
-  return unique;
+// historyKey is "/status/sessions/history/<id>"; older servers omit it
+function plexHistoryId(play) {
+  const id = String(play.historyKey || "").split("/").pop();
+  return id || `${play.ratingKey}-${play.viewedAt}`;
 }
 
-function extractGenresFromTmdb(tmdbData) {
-  if (!tmdbData?.genres || !Array.isArray(tmdbData.genres)) return [];
-  return tmdbData.genres.map((g) => g.name).filter(Boolean);
+function plexWatchDate(viewedAt) {
+  return viewedAt ? localISODate(new Date(Number(viewedAt) * 1000)) : localISODate();
 }
 
 // ============================================================================
-// NOTE CREATION - Returns {path, created}
+// ZIP ARCHIVES
 // ============================================================================
-async function createSeriesNote(app, obsidian, seriesName, tmdbData) {
-  const safeName = safeFilename(seriesName);
-  const folderPath = `${SETTINGS.folders.series}/${safeName}`;
-  const notePath = `${folderPath}/${safeName}.md`;
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("This device cannot decompress zip files; extract the archive first.");
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
 
-  const noteExists = await app.vault.adapter.exists(notePath);
-  if (noteExists) {
-    console.log(`Series note already exists: ${notePath}`);
-    return { path: notePath, created: false };
+async function readZipTextFiles(buffer, wanted = () => true) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+
+  // End of central directory record: last 22 bytes plus an optional comment
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("Not a zip file");
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder("utf-8");
+  const files = {};
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error("Corrupt zip central directory");
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/") || !wanted(name)) continue;
+    if (method !== 0 && method !== 8) {
+      console.warn(`Skipping zip entry with unsupported compression: ${name}`);
+      continue;
+    }
+
+    // Local header name/extra lengths can differ from the central directory
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+    files[name] = decoder.decode(method === 8 ? await inflateRaw(data) : data);
   }
 
-  await ensureFolder(app, folderPath);
+  return files;
+}
 
-  let localCoverImage = "";
-  if (tmdbData?.poster_path) {
+// ============================================================================
+// LETTERBOXD EXPORT
+// ============================================================================
+// Top-level files of the export zip (deleted/ and orphaned/ copies are ignored)
+const LETTERBOXD_FILES = ["diary.csv", "ratings.csv", "reviews.csv", "watchlist.csv"];
+
+// Export zips (letterboxd-<user>-<date>-utc.zip) and folders holding the extracted CSVs
+function findLetterboxdExports(app) {
+  const exports = [];
+  const folders = new Set();
+  for (const f of app.vault.getFiles()) {
+    if (f.extension === "zip" && f.name.toLowerCase().includes("letterboxd")) {
+      exports.push({ label: `📦 ${f.path}`, path: f.path, kind: "zip" });
+    } else if (LETTERBOXD_FILES.includes(f.name.toLowerCase())) {
+      folders.add(f.path.split("/").slice(0, -1).join("/"));
+    }
+  }
+  for (const folder of folders) {
+    exports.push({ label: `📁 ${folder || "(vault root)"}`, path: folder, kind: "folder" });
+  }
+  return exports.sort((a, b) => b.path.localeCompare(a.path));
+}
+
+async function loadLetterboxdExport(app, exportInfo) {
+  let texts = {};
+  if (exportInfo.kind === "zip") {
+    const buffer = await app.vault.adapter.readBinary(exportInfo.path);
+    texts = await readZipTextFiles(buffer, (name) => LETTERBOXD_FILES.includes(name.toLowerCase()));
+  } else {
+    for (const name of LETTERBOXD_FILES) {
+      const path = exportInfo.path ? `${exportInfo.path}/${name}` : name;
+      if (await app.vault.adapter.exists(path)) texts[name] = await app.vault.adapter.read(path);
+    }
+  }
+
+  const data = {};
+  for (const name of LETTERBOXD_FILES) {
+    const key = Object.keys(texts).find((k) => k.toLowerCase() === name);
+    data[name.replace(/\.csv$/, "")] = key ? parseCSVRecords(texts[key]).rows : [];
+  }
+  return data;
+}
+
+// Letterboxd rates 0.5-5 stars; watch logs use 1-10
+function letterboxdRating(stars) {
+  const n = Number(stars);
+  return Number.isFinite(n) && n > 0 ? Math.round(n * 2) : "";
+}
+
+// Reviews are exported with simple HTML (<br />, <i>, <b>, entities)
+function letterboxdReviewText(html) {
+  return String(html || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/p>\s*<p>/gi, "\n\n")
+    .replace(/<\/?(i|em)>/gi, "*")
+    .replace(/<\/?(b|strong)>/gi, "**")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+function letterboxdFilmKey(row) {
+  return `${row["name"] || ""} (${row["year"] || ""})`.toLowerCase();
+}
+
+// One queue for the whole export: diary entries in watch order (reviews attached),
+// then ratings and watchlist films. IDs use the export's Letterboxd URIs.
+function buildLetterboxdQueue(data, prefix) {
+  const reviewKey = (row) => `${letterboxdFilmKey(row)}|${parseDate(row["watched date"])}`;
+  const reviews = new Map();
+  for (const row of data.reviews) {
+    if (row["review"]) reviews.set(reviewKey(row), row);
+  }
+
+  const film = (row) => ({ name: row["name"], year: row["year"] || null });
+  const diary = data.diary.map((row) => {
+    const review = reviews.get(reviewKey(row));
+    reviews.delete(reviewKey(row));
+    return { row, review };
+  });
+  // Reviewed entries missing from diary.csv still carry a watched date, rating and rewatch flag
+  for (const row of reviews.values()) {
+    if (parseDate(row["watched date"])) diary.push({ row, review: row });
+  }
+
+  const items = diary
+    .map(({ row, review }) => {
+      const date = parseDate(row["watched date"] || row["date"]);
+      return {
+        kind: "diary",
+        ...film(row),
+        date,
+        rating: letterboxdRating(row["rating"]),
+        rewatch: String(row["rewatch"] || "").toLowerCase() === "yes",
+        review: review ? letterboxdReviewText(review["review"]) : "",
+        id: `${prefix}diary-${row["letterboxd uri"] || `${date}-${letterboxdFilmKey(row)}`}`.toLowerCase(),
+      };
+    })
+    .filter((item) => item.name && item.date)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  for (const row of data.ratings) {
+    const rating = letterboxdRating(row["rating"]);
+    if (!row["name"] || !rating) continue;
+    items.push({ kind: "rating", ...film(row), rating, id: `${prefix}rating-${letterboxdFilmKey(row)}-${rating}` });
+  }
+  for (const row of data.watchlist) {
+    if (!row["name"]) continue;
+    items.push({ kind: "watchlist", ...film(row), id: `${prefix}watchlist-${letterboxdFilmKey(row)}` });
+  }
+  return items;
+}
+
+// Reuse an existing movie note, otherwise create one from TMDB (matching on year)
+async function ensureLetterboxdMovie(params, apiKey, progress, name, year) {
+  const { app, obsidian } = params;
+  const notePath = `${SETTINGS.folders.movies}/${safeFilename(name)}.md`;
+  if (progress.fetchedMovies[name] || await app.vault.adapter.exists(notePath)) {
+    return { movieName: name, fetched: false };
+  }
+
+  let results = await searchMovie(obsidian, apiKey, name, year);
+  if (results.length === 0 && year) results = await searchMovie(obsidian, apiKey, name);
+  const searchResult = results[0] || null;
+  if (!searchResult || !searchResult.id) {
+    console.log(`Movie not found in TMDB: ${name} (${year || "no year"})`);
+    return null;
+  }
+
+  const fullDetails = await getMovieDetails(obsidian, apiKey, searchResult.id);
+  await createMovieNote(app, obsidian, name, fullDetails || searchResult);
+
+  const genres = extractGenresFromTmdb(fullDetails);
+  if (genres.length > 0) {
+    await upsertAndLinkGenres(app, obsidian, notePath, genres);
+  }
+
+  await markMovieFetched(app, name, searchResult.id);
+  progress.fetchedMovies[name] = searchResult.id;
+  return { movieName: name, fetched: true };
+}
+
+async function updateLetterboxdMovie(app, movieName, update) {
+  const file = app.vault.getAbstractFileByPath(`${SETTINGS.folders.movies}/${safeFilename(movieName)}.md`);
+  if (!file) return;
+  await app.fileManager.processFrontMatter(file, update);
+}
+
+// The same watch may already be logged from another source: add what Letterboxd knows
+async function mergeLetterboxdIntoWatchLog(app, watchPath, item) {
+  const file = app.vault.getAbstractFileByPath(watchPath);
+  if (!file) return;
+  await app.fileManager.processFrontMatter(file, (fm) => {
+    if (item.rating && !fm.rating) fm.rating = item.rating;
+    if (item.rewatch) fm.rewatch = true;
+  });
+  if (item.review) {
+    await app.vault.process(file, (content) =>
+      content.includes("## Review") ? content : `${content.trimEnd()}\n\n## Review\n\n${item.review}\n`);
+  }
+}
+
+// ============================================================================
+// TRAKT EXPORT
+// ============================================================================
+// watched-history.json (may be split into -1, -2...) and ratings-*.json
+const TRAKT_FILE_PATTERN = /^(watched-history|history|ratings-(movies|shows|episodes))(-\d+)?\.json$/i;
+
+// Export zips with "trakt" in the name, and folders holding the JSON files
+function findTraktExports(app) {
+  const exports = [];
+  const folders = new Set();
+  for (const f of app.vault.getFiles()) {
+    if (f.extension === "zip" && f.name.toLowerCase().includes("trakt")) {
+      exports.push({ label: `📦 ${f.path}`, path: f.path, kind: "zip" });
+    } else if (TRAKT_FILE_PATTERN.test(f.name)) {
+      folders.add(f.path.split("/").slice(0, -1).join("/"));
+    }
+  }
+  for (const folder of folders) {
+    exports.push({ label: `📁 ${folder || "(vault root)"}`, path: folder, kind: "folder" });
+  }
+  return exports.sort((a, b) => b.path.localeCompare(a.path));
+}
+
+async function loadTraktExport(app, exportInfo) {
+  const baseName = (path) => path.split("/").pop();
+  let texts = {};
+  if (exportInfo.kind === "zip") {
+    const buffer = await app.vault.adapter.readBinary(exportInfo.path);
+    texts = await readZipTextFiles(buffer, (name) => TRAKT_FILE_PATTERN.test(baseName(name)));
+  } else {
+    const prefix = exportInfo.path ? `${exportInfo.path}/` : "";
+    for (const f of app.vault.getFiles()) {
+      if (f.path === prefix + f.name && TRAKT_FILE_PATTERN.test(f.name)) {
+        texts[f.name] = await app.vault.adapter.read(f.path);
+      }
+    }
+  }
+
+  const data = { history: [], ratings: [] };
+  for (const [name, text] of Object.entries(texts)) {
+    const list = JSON.parse(text);
+    if (!Array.isArray(list)) continue;
+    data[/^ratings-/i.test(baseName(name)) ? "ratings" : "history"].push(...list);
+  }
+  return data;
+}
+
+function traktRatingKey(type, item) {
+  return `${type}-${item?.[type]?.ids?.trakt ?? ""}`;
+}
+
+// ============================================================================
+// NETFLIX VIEWING ACTIVITY
+// ============================================================================
+// CONTENT_INTEREST/ViewingActivity.csv from Netflix's "Download your personal information"
+const NETFLIX_ACTIVITY_FILE = "viewingactivity.csv";
+
+// Archive zips with "netflix" in the name, and extracted ViewingActivity.csv files
+function findNetflixActivityExports(app) {
+  const exports = [];
+  for (const f of app.vault.getFiles()) {
+    if (f.extension === "zip" && f.name.toLowerCase().includes("netflix")) {
+      exports.push({ label: `📦 ${f.path}`, path: f.path, kind: "zip" });
+    } else if (f.name.toLowerCase() === NETFLIX_ACTIVITY_FILE) {
+      exports.push({ label: `📄 ${f.path}`, path: f.path, kind: "csv" });
+    }
+  }
+  return exports.sort((a, b) => b.path.localeCompare(a.path));
+}
+
+async function loadNetflixActivity(app, exportInfo) {
+  let text;
+  if (exportInfo.kind === "zip") {
+    const buffer = await app.vault.adapter.readBinary(exportInfo.path);
+    const texts = await readZipTextFiles(buffer, (name) => name.split("/").pop().toLowerCase() === NETFLIX_ACTIVITY_FILE);
+    text = Object.values(texts)[0];
+    if (text === undefined) throw new Error("ViewingActivity.csv not found in archive");
+  } else {
+    text = await app.vault.adapter.read(exportInfo.path);
+  }
+  return parseCSVRecords(text).rows;
+}
+
+// Same rules as parseNetflixTitle in extensions/netflix-direct/content-script.js.
+// The viewing activity page quotes episode titles but the CSV doesn't, so quotes
+// are optional after a Season/Volume/Part marker, and "(Episode N)" gives the
+// number. Unquoted "Title: Subtitle" stays a movie (e.g. "Mission: Impossible").
+function parseNetflixTitle(fullTitle) {
+  if (!fullTitle) return { type: "Movie", title: "Unknown" };
+  const cleaned = fullTitle.trim();
+
+  const episodeOf = (raw) => {
+    const episodeTitle = raw.trim().replace(/^"|"$/g, "");
+    const numbered = episodeTitle.match(/^(.*?)\s*\(Episode (\d+)\)$/i);
+    return numbered
+      ? { episodeTitle: numbered[1].trim(), episode: parseInt(numbered[2], 10) }
+      : { episodeTitle };
+  };
+
+  // "Title: Season X: Episode" (Volume and Part are treated as seasons)
+  const seasonMatch = cleaned.match(/^(.+?):\s*(?:Season|Volume|Part)\s*(\d+):\s*(.+)$/i);
+  if (seasonMatch) {
+    return { type: "Series", title: seasonMatch[1].trim(), season: parseInt(seasonMatch[2], 10), ...episodeOf(seasonMatch[3]) };
+  }
+
+  // "Title: Limited Series: Episode"
+  const limitedMatch = cleaned.match(/^(.+?):\s*Limited Series:\s*(.+)$/i);
+  if (limitedMatch) {
+    return { type: "Series", title: limitedMatch[1].trim(), season: 1, ...episodeOf(limitedMatch[2]) };
+  }
+
+  // "Title: Arc Name: \"Episode\""
+  const arcMatch = cleaned.match(/^(.+?):\s*(.+?):\s*"(.+)"$/);
+  if (arcMatch) {
+    return { type: "Series", title: arcMatch[1].trim(), episodeTitle: `${arcMatch[2].trim()}: ${arcMatch[3].trim()}` };
+  }
+
+  // "Title: \"Episode\"" or "Title: Episode (Episode N)"
+  const simpleMatch = cleaned.match(/^(.+?):\s*("(.+)"|.+\(Episode \d+\))$/i);
+  if (simpleMatch) {
+    return { type: "Series", title: simpleMatch[1].trim(), ...episodeOf(simpleMatch[2]) };
+  }
+
+  return { type: "Movie", title: cleaned };
+}
+
+// "01:23:45" -> seconds
+function netflixDurationSeconds(duration) {
+  const parts = String(duration || "").split(":").map(Number);
+  if (parts.length !== 3 || parts.some(isNaN)) return 0;
+  return parts[0] * 3600 + parts[1] * 60 + parts[2];
+}
+
+// Start Time is UTC ("2024-01-05 21:14:02"); watch logs use the local day
+function netflixActivityDate(startTime) {
+  const date = new Date(`${String(startTime || "").trim().replace(" ", "T")}Z`);
+  return isNaN(date.getTime()) ? null : localISODate(date);
+}
+
+// One watch per title per day, with the day's sessions summed so pausing and
+// resuming doesn't split a play. Trailers/previews and short plays are dropped.
+function buildNetflixActivityItems(rows, profile, prefix, minPlaySeconds) {
+  const plays = new Map();
+  let supplemental = 0;
+  let short = 0;
+
+  for (const row of rows) {
+    if (row["profile name"] !== profile) continue;
+    if (row["supplemental video type"]) {
+      supplemental++;
+      continue;
+    }
+    const date = netflixActivityDate(row["start time"]);
+    const title = row["title"];
+    if (!date || !title) continue;
+
+    // Profiles share one export, so the profile is part of the watch ID
+    const key = `${profile}-${date}-${title}`;
+    const play = plays.get(key) || { key, date, title, seconds: 0 };
+    play.seconds += netflixDurationSeconds(row["duration"]);
+    plays.set(key, play);
+  }
+
+  const items = [];
+  for (const play of plays.values()) {
+    if (play.seconds < minPlaySeconds) {
+      short++;
+      continue;
+    }
+    items.push({
+      ...parseNetflixTitle(play.title),
+      id: `${prefix}${play.key}`.toLowerCase(),
+      dateWatched: play.date,
+      durationMinutes: Math.round(play.seconds / 60),
+    });
+  }
+
+  items.sort((a, b) => a.dateWatched.localeCompare(b.dateWatched));
+  return { items, supplemental, short };
+}
+
+// ============================================================================
+// IMAGE DOWNLOAD
+// ============================================================================
+async function downloadImage(obsidian, app, imageUrl, localPath) {
+  if (!imageUrl) return null;
+
+  try {
+    const fullUrl = imageUrl.startsWith("http")
+      ? imageUrl
+      : `${SETTINGS.tmdb.imageBaseUrl}${imageUrl}`;
+
+    const response = await obsidian.requestUrl({
+      url: fullUrl,
+      method: "GET",
+    });
+
+    if (response.arrayBuffer) {
+      const folder = localPath.split("/").slice(0, -1).join("/");
+      await ensureFolder(app, folder);
+      await app.vault.adapter.writeBinary(localPath, response.arrayBuffer);
+      return localPath;
+    }
+  } catch (e) {
+    console.error(`Failed to download image: ${imageUrl}`, e);
+  }
+  return null;
+}
+
+// ============================================================================
+// GENRE UPSERT
+// ============================================================================
+async function createGenreNote(app, obsidian, genreName) {
+  const cfg = SETTINGS.genreUpsert;
+  if (!cfg.enabled) return null;
+
+  const categoryLink = `[[${cfg.categoryPath.replace(/\.md$/, "")}]]`;
+  const safeName = safeFilename(sanitizeForWikilink(genreName));
+  if (!safeName) return null;
+
+  const filePath = `${cfg.folder}/${safeName}.md`;
+
+  await ensureFolder(app, cfg.folder);
+
+  const exists = await app.vault.adapter.exists(filePath);
+  if (exists) return filePath;
+
+  const content = `---
+categories:
+  - "${categoryLink}"
+title: ${quoteYamlString(genreName)}
+created: ${quoteYamlString(localISODate())}
+---
+
+## Books
+
+![[GenreBooks.base]]
+
+## Movies
+
+![[GenreMovies.base]]
+
+## Series
+
+![[GenreSeries.base]]
+`;
+
+  await app.vault.create(filePath, content);
+  return filePath;
+}
+
+async function upsertAndLinkGenres(app, obsidian, noteFile, genres) {
+  const cfg = SETTINGS.genreUpsert;
+  if (!cfg.enabled) return [];
+
+  await ensureNote(
+    app,
+    cfg.categoryPath,
+    `---
+categories:
+  - "[[Categories]]"
+title: "Genres"
+---
+
+![[Genre.base]]
+`
+  );
+
+  const genreList = Array.isArray(genres) ? genres : genres ? [genres] : [];
+  const cleaned = genreList.map((g) => String(g || "").trim()).filter(Boolean);
+  if (!cleaned.length) return [];
+
+  const links = [];
+  for (const genreName of cleaned) {
+    await createGenreNote(app, obsidian, genreName);
+    const safeName = safeFilename(sanitizeForWikilink(genreName));
+    links.push(`[[${safeName}]]`);
+  }
+
+  const seen = new Set();
+  const unique = links.filter((x) => (seen.has(x) ? false : (seen.add(x), true)));
+
+  const file = typeof noteFile === "string"
+    ? app.vault.getAbstractFileByPath(noteFile)
+    : noteFile;
+
+  if (file) {
+    await app.fileManager.processFrontMatter(file, (frontmatter) => {
+      frontmatter.genre = unique;
+    });
+  }
+
+  return unique;
+}
+
+function extractGenresFromTmdb(tmdbData) {
+  if (!tmdbData?.genres || !Array.isArray(tmdbData.genres)) return [];
+  return tmdbData.genres.map((g) => g.name).filter(Boolean);
+}
+
+// ============================================================================
+// NOTE CREATION - Returns {path, created}
+// ============================================================================
+async function createSeriesNote(app, obsidian, seriesName, tmdbData) {
+  const safeName = safeFilename(seriesName);
+  const folderPath = `${SETTINGS.folders.series}/${safeName}`;
+  const notePath = `${folderPath}/${safeName}.md`;
+
+  const noteExists = await app.vault.adapter.exists(notePath);
+  if (noteExists) {
+    console.log(`Series note already exists: ${notePath}`);
+    return { path: notePath, created: false };
+  }
+
+  await ensureFolder(app, folderPath);
+
+  let localCoverImage = "";
+  if (tmdbData?.poster_path) {
     const coverPath = `${SETTINGS.folders.covers}/series/${safeFilename(seriesName)}/series.jpg`;
     const downloaded = await downloadImage(obsidian, app, tmdbData.poster_path, coverPath);
     if (downloaded) localCoverImage = downloaded;
@@ -1508,6 +2531,8 @@ categories:
   - "${SETTINGS.categories.series}"
 title: ${quoteYamlString(seriesName)}
 tmdbId: ${tmdbData?.id || ""}
+imdbId: ${quoteYamlString(tmdbExternalIds(tmdbData).imdb)}
+tvdbId: ${quoteYamlString(tmdbExternalIds(tmdbData).tvdb)}
 created: ${quoteYamlString(localISODate())}
 status: "watching"
 rating: 
@@ -1559,6 +2584,7 @@ categories:
   - "${SETTINGS.categories.movies}"
 title: ${quoteYamlString(movieName)}
 tmdbId: ${tmdbData?.id || ""}
+imdbId: ${quoteYamlString(tmdbExternalIds(tmdbData).imdb)}
 year: ${tmdbData?.release_date?.substring(0, 4) || ""}
 created: ${quoteYamlString(localISODate())}
 rating: 
@@ -1642,9 +2668,13 @@ async function createWatchLogEntry(app, data) {
     new RegExp(basePattern).test(f.path)
   );
 
-  if (existingFiles.length > 0) {
-    console.log(`Watch entry already exists: ${existingFiles[0].path}`);
-    return { path: existingFiles[0].path, created: false };
+  // playIndex: the nth play of this item that day (play histories log rewatches
+  // separately); only that many entries count as already logged
+  const playIndex = data.playIndex || 1;
+  if (existingFiles.length >= playIndex) {
+    const existing = existingFiles.sort((a, b) => a.path.localeCompare(b.path))[playIndex - 1];
+    console.log(`Watch entry already exists: ${existing.path}`);
+    return { path: existing.path, created: false };
   }
 
   // Find unique filename
@@ -1670,8 +2700,8 @@ movie: "[[${safeFilename(data.showName)}]]"
 show: "[[${safeFilename(data.showName)}]]"
 source: "${data.source || ""}"
 rating: ${data.rating || ""}
----
-`;
+${data.durationMinutes ? `durationMinutes: ${data.durationMinutes}\n` : ""}${data.rewatch ? "rewatch: true\n" : ""}---
+${data.review ? `\n## Review\n\n${data.review}\n` : ""}`;
   } else {
     const safeShowName = safeFilename(data.showName);
     const seriesLink = `[[${safeShowName}/${safeShowName}|${sanitizeForWikilink(data.showName)}]]`;
@@ -1698,8 +2728,8 @@ episodeNum: ${data.episode}
 episodeTitle: ${quoteYamlString(data.episodeTitle || "")}
 source: "${data.source || ""}"
 rating: ${data.rating || ""}
----
-`;
+${data.durationMinutes ? `durationMinutes: ${data.durationMinutes}\n` : ""}${data.rewatch ? "rewatch: true\n" : ""}---
+${data.review ? `\n## Review\n\n${data.review}\n` : ""}`;
   }
 
   await app.vault.create(notePath, content);
@@ -1718,8 +2748,9 @@ async function updateMovieWatched(app, movieName, watchDate) {
   await app.fileManager.processFrontMatter(file, (fm) => {
     fm.watched = true;
     fm.watchCount = (fm.watchCount || 0) + 1;
-    if (!fm.firstWatched) fm.firstWatched = watchDate;
-    fm.lastWatched = watchDate;
+    // Backfills log older plays after newer ones
+    if (!fm.firstWatched || watchDate < fm.firstWatched) fm.firstWatched = watchDate;
+    if (!fm.lastWatched || watchDate > fm.lastWatched) fm.lastWatched = watchDate;
   });
 }
 
@@ -1747,8 +2778,8 @@ async function updateEpisodeWatched(app, seriesName, seasonNum, episodeNum, watc
   await app.fileManager.processFrontMatter(file, (fm) => {
     fm.watched = true;
     fm.watchCount = (fm.watchCount || 0) + 1;
-    if (!fm.firstWatched) fm.firstWatched = watchDate;
-    fm.lastWatched = watchDate;
+    if (!fm.firstWatched || watchDate < fm.firstWatched) fm.firstWatched = watchDate;
+    if (!fm.lastWatched || watchDate > fm.lastWatched) fm.lastWatched = watchDate;
   });
 
   await updateSeriesLastWatched(app, seriesName, watchDate);
@@ -1771,9 +2802,12 @@ async function fetchAndCreateAllEpisodes(app, obsidian, apiKey, seriesName, tmdb
 
   const seriesFile = app.vault.getAbstractFileByPath(seriesNotePath);
   if (seriesFile) {
+    const externalIds = tmdbExternalIds(showDetails);
     await app.fileManager.processFrontMatter(seriesFile, (fm) => {
       fm.totalSeasons = showDetails.number_of_seasons || 0;
       fm.totalEpisodes = showDetails.number_of_episodes || 0;
+      if (externalIds.imdb && !fm.imdbId) fm.imdbId = externalIds.imdb;
+      if (externalIds.tvdb && !fm.tvdbId) fm.tvdbId = externalIds.tvdb;
     });
   }
 
@@ -2882,18 +3916,39 @@ async function handleNetflixExtension(params, apiKey, sourceConfig) {
     return;
   }
 
-  // Process items
-  let imported = 0;
-  let seriesFetched = 0;
-  let moviesFetched = 0;
-  let skipped = 0;
-  let newSkipped = 0;  // Count of series added to skip list this session
-  
-  // Track episode mismatches for logging
-  const episodeMismatches = [];
-  
-  // Track items already in vault
-  const alreadyInVault = [];
+  const completed = await importNetflixItems(params, apiKey, sourceConfig, progress, itemsToImport, toProcess.length - itemsToImport.length);
+  if (!completed) return;
+
+  // Clean up queue file after successful import
+  if (toProcess.length === itemsToImport.length) {
+    try {
+      await app.vault.adapter.remove(queueFile);
+      console.log("Netflix import queue cleared (all items processed)");
+    } catch (e) {
+      console.error("Failed to clear queue file:", e);
+    }
+  }
+}
+
+// Shared by the extension queue and ViewingActivity.csv imports. Items are
+// { type: "Movie"|"Series", title, season, episodeTitle, dateWatched } plus an
+// optional id, episode number and durationMinutes from the CSV.
+// Returns false if the user cancelled.
+async function importNetflixItems(params, apiKey, sourceConfig, progress, itemsToImport, remaining) {
+  const { app, qa, obsidian, Notice } = params;
+
+  // Process items
+  let imported = 0;
+  let seriesFetched = 0;
+  let moviesFetched = 0;
+  let skipped = 0;
+  let newSkipped = 0;  // Count of series added to skip list this session
+  
+  // Track episode mismatches for logging
+  const episodeMismatches = [];
+  
+  // Track items already in vault
+  const alreadyInVault = [];
 
   for (const item of itemsToImport) {
     const date = item.dateWatched ? item.dateWatched.substring(0, 10) : localISODate();
@@ -2901,7 +3956,7 @@ async function handleNetflixExtension(params, apiKey, sourceConfig) {
     const title = item.title || "Unknown";
     // Netflix uniqueId includes episode info to distinguish multiple episodes of same series on same day
     const episodeInfo = itemType === "Series" ? `-S${item.season || 1}-${item.episodeTitle || ""}` : "";
-    const uniqueId = `${sourceConfig.prefix}${date}-${title}${episodeInfo}`.toLowerCase();
+    const uniqueId = item.id || `${sourceConfig.prefix}${date}-${title}${episodeInfo}`.toLowerCase();
 
     try {
       if (itemType === "Movie") {
@@ -2927,6 +3982,7 @@ async function handleNetflixExtension(params, apiKey, sourceConfig) {
           }
 
           await markMovieFetched(app, title, tmdbData.id);
+          progress.fetchedMovies[title] = tmdbData.id;
           moviesFetched++;
         }
 
@@ -2935,6 +3991,7 @@ async function handleNetflixExtension(params, apiKey, sourceConfig) {
           date,
           showName: title,
           source: sourceConfig.wikilink,
+          durationMinutes: item.durationMinutes,
         });
 
         if (watchResult.created) {
@@ -3041,7 +4098,7 @@ async function handleNetflixExtension(params, apiKey, sourceConfig) {
             
             if (action === "cancel") {
               if (Notice) new Notice("Import cancelled by user.");
-              return;
+              return false;
             }
             
             if (action === "skip") {
@@ -3155,7 +4212,7 @@ async function handleNetflixExtension(params, apiKey, sourceConfig) {
           const { part: csvPartNumber } = extractPartNumber(episodeTitle);
           
           // Try TMDB matching
-          const tmdbMatch = findTmdbEpisodeByTitle(episodeCache, finalSeason, episodeTitle, csvPartNumber, null, actualSeriesName);
+          const tmdbMatch = findTmdbEpisodeByTitle(episodeCache, finalSeason, episodeTitle, csvPartNumber, item.episode || null, actualSeriesName);
           
           if (tmdbMatch && tmdbMatch.confidence >= 0.7) {
             // High confidence match in expected season
@@ -3182,7 +4239,7 @@ async function handleNetflixExtension(params, apiKey, sourceConfig) {
               episodeTitle,
               finalSeason,
               csvPartNumber,
-              null,
+              item.episode || null,
               actualSeriesName
             );
             
@@ -3203,6 +4260,11 @@ async function handleNetflixExtension(params, apiKey, sourceConfig) {
                 confidence: crossSeasonMatch.confidence,
                 matchMethod,
               });
+            } else if (item.episode && episodeCache?.[`S${finalSeason}`]?.some(ep => ep.number === item.episode)) {
+              // ViewingActivity.csv titles carry the episode number: "(Episode 3)"
+              finalEpisode = item.episode;
+              matchMethod = "netflix-episode-number";
+              episodeMatchValid = true;
             } else {
               // Low confidence or no match - prompt user
               const selection = await promptEpisodeSelection(
@@ -3233,7 +4295,7 @@ async function handleNetflixExtension(params, apiKey, sourceConfig) {
               } else if (selection.action === "cancel") {
                 // User cancelled - stop import entirely
                 if (Notice) new Notice("Import cancelled by user.");
-                return;
+                return false;
               } else {
                 // Unknown action - skip this episode
                 skipped++;
@@ -3285,6 +4347,7 @@ async function handleNetflixExtension(params, apiKey, sourceConfig) {
           episode: finalEpisode,
           episodeTitle: episodeTitle || "",
           source: sourceConfig.wikilink,
+          durationMinutes: item.durationMinutes,
         });
 
         if (watchResult.created) {
@@ -3363,21 +4426,81 @@ async function handleNetflixExtension(params, apiKey, sourceConfig) {
       }
     }
     if (episodeMismatches.length > 0) msg += `\n${episodeMismatches.length} episode translations logged.`;
-    const remaining = toProcess.length - itemsToImport.length;
     if (remaining > 0) msg += `\n\n${remaining} more items remaining.`;
     new Notice(msg, 10000);
   }
 
-  // Clean up queue file after successful import
-  const remaining = toProcess.length - itemsToImport.length;
-  if (remaining === 0) {
-    try {
-      await app.vault.adapter.remove(queueFile);
-      console.log("Netflix import queue cleared (all items processed)");
-    } catch (e) {
-      console.error("Failed to clear queue file:", e);
+  return true;
+}
+
+// --- NETFLIX VIEWING ACTIVITY HANDLER ---
+// Imports ViewingActivity.csv from Netflix's personal information archive,
+// which has exact start times and durations for every profile.
+async function handleNetflixActivity(params, apiKey, sourceConfig) {
+  const { app, qa, Notice } = params;
+
+  const exports = findNetflixActivityExports(app);
+  if (exports.length === 0) {
+    if (Notice) new Notice("No Netflix export found in vault.\n\nAdd the Netflix personal information zip, or its CONTENT_INTEREST/ViewingActivity.csv.", 8000);
+    return;
+  }
+
+  const exportInfo = exports.length === 1 ? exports[0] : await qa.suggester(exports.map(e => e.label), exports);
+  if (!exportInfo) return;
+
+  if (Notice) new Notice(`Reading ${exportInfo.path}...`);
+  let rows;
+  try {
+    rows = await loadNetflixActivity(app, exportInfo);
+  } catch (e) {
+    console.error("Failed to read Netflix viewing activity:", e);
+    if (Notice) new Notice(`Could not read Netflix viewing activity: ${e.message}`, 8000);
+    return;
+  }
+
+  // Pick the profile to import
+  const profiles = [...new Set(rows.map(row => row["profile name"]).filter(Boolean))].sort();
+  if (profiles.length === 0) {
+    if (Notice) new Notice("ViewingActivity.csv has no viewing history.", 5000);
+    return;
+  }
+  const profile = profiles.length === 1 ? profiles[0] : await qa.suggester(profiles, profiles);
+  if (!profile) return;
+
+  const minPlaySeconds = SETTINGS.netflix.minPlaySeconds;
+  const { items, supplemental, short } = buildNetflixActivityItems(rows, profile, sourceConfig.prefix, minPlaySeconds);
+  console.log(`Netflix viewing activity for ${profile}: ${items.length} plays, ${supplemental} trailers/previews and ${short} plays under ${minPlaySeconds}s dropped`);
+
+  // Load progress
+  const progress = await loadProgress(app);
+  const processedSet = new Set(progress.processedWatchIds || []);
+  const toProcess = items.filter(item => !processedSet.has(item.id));
+
+  if (toProcess.length === 0) {
+    const reset = await qa.yesNoPrompt(
+      "All items processed",
+      `All ${items.length} Netflix plays for ${profile} have already been imported.\n\nWould you like to reset progress and re-import?`
+    );
+    if (reset) {
+      await resetProgressByPrefix(app, sourceConfig.prefix);
+      if (Notice) new Notice("Netflix viewing activity progress reset. Please run import again.", 3000);
     }
+    return;
   }
+
+  // Ask how many to import
+  const importLimit = await promptImportLimit(qa, toProcess.length, `Netflix (${profile})`);
+  if (!importLimit) return;
+
+  const itemsToImport = toProcess.slice(0, importLimit);
+
+  const proceed = await qa.yesNoPrompt(
+    "Netflix Viewing Activity Import",
+    `Importing ${itemsToImport.length} play${itemsToImport.length === 1 ? "" : "s"} for ${profile}.\n\nThis will fetch metadata from TMDB.\n\nContinue?`
+  );
+  if (!proceed) return;
+
+  await importNetflixItems(params, apiKey, sourceConfig, progress, itemsToImport, toProcess.length - itemsToImport.length);
 }
 
 // --- CSV IMPORT HANDLER ---
@@ -4102,6 +5225,13 @@ async function handleEmbyDirect(params, apiKey, sourceConfig) {
   // Track episode matching results for logging
   const episodeMismatches = [];
   
+  // Provider IDs (TMDB/IMDb/TVDB) for exact matching; name search is the fallback
+  const tmdbCtx = createTmdbResolveContext(params, apiKey);
+  const embySeriesIds = [...new Set(itemsToImport.map(item => item.SeriesId).filter(Boolean))];
+  const embySeriesById = new Map(
+    (await getEmbyItemsByIds(obsidian, embyServerUrl, embyApiKey, embyUserId, embySeriesIds)).map(s => [s.Id, s])
+  );
+  
   for (const item of itemsToImport) {
     const date = getEmbyWatchDate(item);
     const itemType = item.Type;
@@ -4109,12 +5239,17 @@ async function handleEmbyDirect(params, apiKey, sourceConfig) {
     
     try {
       if (itemType === "Movie") {
-        const movieName = item.Name;
+        let movieName = item.Name;
         const year = item.ProductionYear;
         const uniqueId = `${sourceConfig.prefix}${date}-${movieName}`.toLowerCase();
         
-        // Check if we need to fetch from TMDB
-        if (!progress.fetchedMovies[movieName]) {
+        // Exact match on Emby's provider IDs
+        const exactMovie = await resolveMovieByTmdbId(tmdbCtx, { title: movieName, year, ids: serverProviderIds(item) }, { searchTitle: false });
+        
+        // Otherwise check if we need to fetch from TMDB by name
+        if (exactMovie) {
+          movieName = exactMovie;
+        } else if (!progress.fetchedMovies[movieName]) {
           const results = await searchMovie(obsidian, apiKey, movieName, year);
           const searchResult = results[0] || null;
           
@@ -4171,11 +5306,19 @@ async function handleEmbyDirect(params, apiKey, sourceConfig) {
         const embyEpisode = item.IndexNumber || 1;
         const episodeTitle = item.Name || "";
         const uniqueId = `${sourceConfig.prefix}${date}-${rawSeriesName}-S${embySeason}E${embyEpisode}`.toLowerCase();
+        const seriesItem = embySeriesById.get(item.SeriesId);
+        
+        // 0. Exact match on the series' provider IDs, unless it's on the skip list
+        const exactSeries = isSeriesSkipped(progress, rawSeriesName) || isSeriesSkipped(progress, normalizedName)
+          ? null
+          : await resolveSeriesByTmdbId(tmdbCtx, { title: rawSeriesName, year: seriesItem?.ProductionYear, ids: serverProviderIds(seriesItem) }, { searchTitle: false });
         
         // 1. Check if we already have this series fetched
-        let tmdbId = progress.fetchedSeries[rawSeriesName] || progress.fetchedSeries[normalizedName];
+        let tmdbId = exactSeries?.tmdbId || progress.fetchedSeries[rawSeriesName] || progress.fetchedSeries[normalizedName];
         
-        if (tmdbId) {
+        if (exactSeries) {
+          actualSeriesName = exactSeries.name;
+        } else if (tmdbId) {
           actualSeriesName = progress.fetchedSeries[rawSeriesName] ? rawSeriesName : normalizedName;
         } else {
           // 2. Check if series is in skip list
@@ -4315,8 +5458,27 @@ async function handleEmbyDirect(params, apiKey, sourceConfig) {
         // Get part number from episode title (for multi-part episodes)
         const { part: embyPart } = extractPartNumber(episodeTitle);
         
-        // If we have episode cache and episode title, try to validate/correct
-        if (episodeCache && episodeTitle) {
+        // Exact episode via its TMDB ID (Emby's numbering can differ from TMDB's)
+        const exactEpisode = episodeIndexFor(tmdbCtx, actualSeriesName).get(Number(serverProviderIds(item).tmdb));
+        
+        if (exactEpisode) {
+          finalSeason = exactEpisode.season;
+          finalEpisode = exactEpisode.episode;
+          matchMethod = "tmdb-id";
+          if (finalSeason !== embySeason || finalEpisode !== embyEpisode) {
+            episodeMismatches.push({
+              series: actualSeriesName,
+              sourceEpisode: `S${String(embySeason).padStart(2,'0')}E${String(embyEpisode).padStart(2,'0')}`,
+              sourceTitle: episodeTitle,
+              tmdbEpisode: `S${String(finalSeason).padStart(2,'0')}E${String(finalEpisode).padStart(2,'0')}`,
+              tmdbTitle: exactEpisode.title,
+              confidence: 1,
+              method: matchMethod,
+              autoMatched: true,
+            });
+          }
+        } else if (episodeCache && episodeTitle) {
+          // Episode cache and episode title: try to validate/correct
           const titleMatch = findTmdbEpisodeByTitle(
             episodeCache,
             embySeason,
@@ -4463,6 +5625,9 @@ async function handleEmbyDirect(params, apiKey, sourceConfig) {
     }
   }
   
+  seriesFetched += tmdbCtx.seriesFetched;
+  moviesFetched += tmdbCtx.moviesFetched;
+  
   // Write episode mismatch log if any
   if (episodeMismatches.length > 0) {
     await writeEpisodeMismatchLog(app, episodeMismatches, "Emby");
@@ -4492,192 +5657,948 @@ async function handleEmbyDirect(params, apiKey, sourceConfig) {
   }
 }
 
-// --- EMBY CSV HANDLER ---
-// Imports from Emby activity log CSV exports
-// CSV format: watchdate, embyitemid, rawtitle
-async function handleEmbyCsv(params, apiKey, sourceConfig) {
+// --- EMBY PLAYBACK REPORTING BACKFILL ---
+// Emby Direct only sees the last year of Playback Reporting and one date per
+// item. This walks the full history back to a chosen start date and logs every
+// play, including same-day rewatches. The start date is kept in the progress file so
+// later runs continue where the last one stopped.
+async function handleEmbyBackfill(params, apiKey, sourceConfig) {
   const { app, qa, obsidian, Notice } = params;
-  
+
   // Load Emby-specific secrets
   const secrets = await loadSecrets(app);
   const embyServerUrl = secrets.embyServerUrl;
   const embyApiKey = secrets.embyApiKey;
   let embyUserId = secrets.embyUserId;
-  
-  // Validate Emby configuration (needed to look up item details by ID)
+
+  // Validate Emby configuration
   if (!embyServerUrl) {
     if (Notice) new Notice("Emby server URL not found.\nAdd 'embyServerUrl' to .obsidian/quickadd-secrets.json", 5000);
     return;
   }
-  
+
   if (!embyApiKey) {
     if (Notice) new Notice("Emby API key not found.\nAdd 'embyApiKey' to .obsidian/quickadd-secrets.json", 5000);
     return;
   }
-  
+
   // If no user ID, fetch users and let user select
   if (!embyUserId) {
     if (Notice) new Notice("Fetching Emby users...");
     const users = await getEmbyUsers(obsidian, embyServerUrl, embyApiKey);
-    
+
     if (!users || users.length === 0) {
       if (Notice) new Notice("No Emby users found. Check your API key and server URL.", 5000);
       return;
     }
-    
+
     if (users.length === 1) {
       embyUserId = users[0].Id;
       if (Notice) new Notice(`Using Emby user: ${users[0].Name}`);
     } else {
-      const userNames = users.map(u => u.Name);
-      const userIds = users.map(u => u.Id);
-      embyUserId = await qa.suggester(userNames, userIds);
+      embyUserId = await qa.suggester(users.map(u => u.Name), users.map(u => u.Id));
       if (!embyUserId) return;
     }
   }
-  
-  // Find CSV files containing "emby" in filename
-  const allFiles = app.vault.getFiles();
-  const csvFiles = allFiles
-    .filter(f => f.extension === "csv" && f.path.toLowerCase().includes("emby"))
-    .map(f => f.path)
-    .sort((a, b) => b.localeCompare(a)); // Most recent first
-  
-  if (csvFiles.length === 0) {
-    if (Notice) new Notice("No Emby CSV files found in vault.\n\nExport from Emby activitylog.db first.", 8000);
+
+  // Start date: continue the saved backfill or pick a new one
+  const progress = await loadProgress(app);
+  progress.embyBackfill = progress.embyBackfill || {};
+  const saved = progress.embyBackfill[embyUserId];
+
+  let startDate = null;
+  if (saved?.startDate) {
+    startDate = await qa.suggester(
+      [`Continue backfill back to ${saved.startDate}`, "Choose a new start date..."],
+      [saved.startDate, "new"]
+    );
+    if (!startDate) return;
+  }
+  if (!startDate || startDate === "new") {
+    startDate = (await qa.inputPrompt("Backfill plays since", "YYYY-MM-DD"))?.trim();
+    if (!startDate) return;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || isNaN(new Date(`${startDate}T00:00:00`).getTime())) {
+    if (Notice) new Notice(`Invalid start date: ${startDate}\nUse YYYY-MM-DD.`, 5000);
     return;
   }
-  
-  // Let user pick CSV file
-  const csvPath = await qa.suggester(csvFiles, csvFiles);
-  if (!csvPath) return;
-  
-  // Read and parse CSV
-  if (Notice) new Notice(`Reading ${csvPath}...`);
-  const csvText = await app.vault.adapter.read(csvPath);
-  const csvData = parseCSV(csvText);
-  
-  if (csvData.rows.length === 0) {
-    if (Notice) new Notice("No data found in CSV.");
+
+  progress.embyBackfill[embyUserId] = { startDate };
+  await saveProgress(app, progress);
+
+  // Walk Playback Reporting history window by window
+  if (Notice) new Notice(`Fetching Emby play history since ${startDate}...`);
+  let windows = 0;
+  const allPlays = await getPlaybackReportingPlays(obsidian, embyServerUrl, embyApiKey, embyUserId, startDate, (endDate, count) => {
+    windows++;
+    if (Notice && windows % 4 === 0) new Notice(`Fetched history up to ${endDate} (${count} plays)...`);
+  });
+
+  if (!allPlays) {
+    if (Notice) new Notice("Could not read Playback Reporting history.\nIs the Playback Reporting plugin installed on the Emby server?", 8000);
     return;
   }
-  
-  console.log(`Emby CSV has ${csvData.rows.length} rows`);
-  console.log(`CSV headers: ${csvData.headers.join(", ")}`);
-  
-  // Load progress
-  const progress = await loadProgress(app);
-  const processedSet = new Set(progress.processedWatchIds || []);
-  
-  // Filter to unprocessed items
-  const toProcess = csvData.rows.filter(row => {
-    const date = row.watchdate || row["watch date"] || "";
-    const embyItemId = row.embyitemid || row["emby item id"] || row.itemid || "";
-    const uniqueId = `${sourceConfig.prefix}${date}-${embyItemId}`.toLowerCase();
-    return !processedSet.has(uniqueId);
+
+  const minPlaySeconds = SETTINGS.emby.minPlaySeconds;
+  const plays = allPlays.filter(play => {
+    const type = String(play.type).toLowerCase();
+    return (type === "movie" || type === "episode") && (play.seconds === null || play.seconds >= minPlaySeconds);
   });
-  
+
+  console.log(`Playback Reporting since ${startDate}: ${allPlays.length} plays, ${plays.length} movie/episode plays of ${minPlaySeconds}s or more`);
+
+  // Number each item's plays per day so a same-day rewatch gets its own watch log
+  const playsPerDay = new Map();
+  for (const play of plays) {
+    const dayKey = `${play.itemId}-${play.date}`;
+    play.playIndex = (playsPerDay.get(dayKey) || 0) + 1;
+    playsPerDay.set(dayKey, play.playIndex);
+  }
+
+  if (plays.length === 0) {
+    if (Notice) new Notice(`No movie or episode plays found in Playback Reporting since ${startDate}.`, 5000);
+    return;
+  }
+
+  const processedSet = new Set(progress.processedWatchIds || []);
+  const toProcess = plays.filter(play => !processedSet.has(`${sourceConfig.prefix}${play.key}`));
+
   if (toProcess.length === 0) {
     const reset = await qa.yesNoPrompt(
-      "All items processed",
-      `All ${csvData.rows.length} items in the CSV have already been imported.\n\nWould you like to reset progress and re-import?`
+      "All shows processed",
+      `All ${plays.length} Emby plays since ${startDate} have already been imported into the vault.\n\nWould you like to reset import tracking and re-import?`
     );
     if (reset) {
       await resetProgressByPrefix(app, sourceConfig.prefix);
-      if (Notice) new Notice("Emby CSV progress reset. Please run import again.", 3000);
+      if (Notice) new Notice("Emby backfill progress reset. Please run import again.", 3000);
     }
     return;
   }
-  
-  if (Notice) new Notice(`Found ${toProcess.length} unprocessed items (of ${csvData.rows.length} total)`);
-  
+
   // Ask how many to import
-  const importLimit = await promptImportLimit(qa, toProcess.length, "Emby CSV");
+  const importLimit = await promptImportLimit(qa, toProcess.length, "Emby Playback Reporting");
   if (!importLimit) return;
-  
+
   const itemsToImport = toProcess.slice(0, importLimit);
-  
-  // Confirm
+
   const proceed = await qa.yesNoPrompt(
-    "Emby CSV Watch History Import",
-    `Importing ${itemsToImport.length} watch${itemsToImport.length === 1 ? "" : "es"}.\n\nThis will look up each item in Emby and fetch metadata from TMDB.\n\nContinue?`
+    "Emby Playback Reporting Backfill",
+    `Importing ${itemsToImport.length} play${itemsToImport.length === 1 ? "" : "s"} since ${startDate}.\n\nThis will fetch metadata from TMDB for new series/movies.\n\nContinue?`
   );
   if (!proceed) return;
-  
-  // Ensure folders
-  await ensureFolder(app, SETTINGS.folders.movies);
-  await ensureFolder(app, SETTINGS.folders.series);
-  await ensureFolder(app, SETTINGS.folders.watched);
-  await ensureFolder(app, SETTINGS.folders.covers);
-  await ensureFolder(app, `${SETTINGS.folders.covers}/movies`);
-  await ensureFolder(app, `${SETTINGS.folders.covers}/series`);
-  
-  // Process items
+
+  // Library details (provider IDs, episode numbers) for the plays in this batch
+  const itemIds = [...new Set(itemsToImport.map(play => play.itemId))];
+  const itemsById = new Map(
+    (await getEmbyItemsByIds(obsidian, embyServerUrl, embyApiKey, embyUserId, itemIds)).map(item => [item.Id, item])
+  );
+  const seriesIds = [...new Set([...itemsById.values()].map(item => item.SeriesId).filter(Boolean))];
+  const seriesById = new Map(
+    (await getEmbyItemsByIds(obsidian, embyServerUrl, embyApiKey, embyUserId, seriesIds)).map(item => [item.Id, item])
+  );
+
+  const ctx = createTmdbResolveContext(params, apiKey);
+  const seriesCache = new Map();
+
   let imported = 0;
-  let seriesFetched = 0;
-  let moviesFetched = 0;
+  let duplicates = 0;
   let skipped = 0;
-  let skippedNoId = 0;
-  let skippedNotFound = 0;
-  let skippedAudio = 0;
-  let newSkipped = 0;
-  
-  // Track episode mismatches
-  const episodeMismatches = [];
-  
-  for (const row of itemsToImport) {
-    const date = row.watchdate || row["watch date"] || localISODate();
-    const embyItemId = row.embyitemid || row["emby item id"] || row.itemid || "";
-    const rawTitle = row.rawtitle || row["raw title"] || row.title || "";
-    const uniqueId = `${sourceConfig.prefix}${date}-${embyItemId}`.toLowerCase();
-    
-    // Skip rows with no Emby ID
-    if (!embyItemId) {
-      console.log(`Skipping (no Emby ID): ${rawTitle} on ${date}`);
-      skippedNoId++;
-      await markWatchProcessed(app, uniqueId);
-      continue;
-    }
-    
+  let newSkipped = 0;  // Count of series added to skip list this session
+
+  for (let idx = 0; idx < itemsToImport.length; idx++) {
+    const play = itemsToImport[idx];
+    const item = itemsById.get(play.itemId);
+    const uniqueId = `${sourceConfig.prefix}${play.key}`;
+    const date = play.date;
+
     try {
-      // Look up item details from Emby API
-      const itemDetails = await getEmbyItemById(obsidian, embyServerUrl, embyApiKey, embyUserId, embyItemId);
-      
-      if (!itemDetails || !itemDetails.Type) {
-        console.log(`Item not found in Emby (deleted?): ${embyItemId} (${rawTitle})`);
-        skippedNotFound++;
-        await markWatchProcessed(app, uniqueId);
-        continue;
-      }
-      
-      const itemType = itemDetails.Type;
-      
-      // Skip audio items
-      if (itemType === "Audio" || itemType === "MusicVideo" || itemType === "MusicAlbum" || itemType === "AudioBook") {
-        console.log(`Skipping audio: ${rawTitle}`);
-        skippedAudio++;
-        await markWatchProcessed(app, uniqueId);
-        continue;
-      }
-      
-      if (itemType === "Movie") {
-        const movieName = itemDetails.Name;
-        const year = itemDetails.ProductionYear;
-        
-        console.log(`Processing movie: ${movieName} (${date})`);
-        
-        // Check if we need to fetch from TMDB
-        if (!progress.fetchedMovies[movieName]) {
-          const results = await searchMovie(obsidian, apiKey, movieName, year);
-          const searchResult = results[0] || null;
-          
-          if (!searchResult || !searchResult.id) {
-            console.log(`Movie not found in TMDB: ${movieName}`);
-            skipped++;
-            await markWatchProcessed(app, uniqueId);
-            continue;
-          }
-          
+      if (String(play.type).toLowerCase() === "movie") {
+        const movieName = await resolveMovieByTmdbId(ctx, {
+          title: item?.Name || play.name,
+          year: item?.ProductionYear,
+          ids: serverProviderIds(item),
+        });
+        if (!movieName) {
+          console.log(`Movie not found in TMDB: ${play.name}`);
+          skipped++;
+          await markWatchProcessed(app, uniqueId);
+          continue;
+        }
+
+        const watchResult = await createWatchLogEntry(app, {
+          type: "movie",
+          date,
+          showName: movieName,
+          source: sourceConfig.wikilink,
+          playIndex: play.playIndex,
+        });
+        if (watchResult.created) {
+          await updateMovieWatched(app, movieName, date);
+          imported++;
+        } else {
+          console.log(`Skipping duplicate watch: ${movieName} on ${date}`);
+          duplicates++;
+        }
+      } else {
+        // Items removed from the library only have Playback Reporting's name
+        const parsed = parsePlaybackReportingEpisode(play.name);
+        const rawSeriesName = item?.SeriesName || parsed?.seriesName;
+        const season = item?.ParentIndexNumber ?? parsed?.season;
+        const number = item?.IndexNumber ?? parsed?.episode;
+        if (!rawSeriesName || !season || !number) {
+          console.log(`Could not identify episode: ${play.name}`);
+          skipped++;
+          await markWatchProcessed(app, uniqueId);
+          continue;
+        }
+
+        if (isSeriesSkipped(progress, rawSeriesName)) {
+          console.log(`Series "${rawSeriesName}" is in skip list, skipping`);
+          skipped++;
+          await markWatchProcessed(app, uniqueId);
+          continue;
+        }
+
+        const seriesKey = item?.SeriesId || rawSeriesName;
+        let series = seriesCache.get(seriesKey);
+        if (series === undefined) {
+          const seriesItem = seriesById.get(item?.SeriesId);
+          const seriesIds = serverProviderIds(seriesItem);
+          const show = { title: rawSeriesName, year: seriesItem?.ProductionYear, ids: seriesIds };
+
+          const existing = findExistingSeriesInVault(app, rawSeriesName);
+          const existingTmdbId = existing && Number(app.metadataCache.getFileCache(existing.file)?.frontmatter?.tmdbId);
+
+          if (seriesIds.tmdb || seriesIds.imdb || seriesIds.tvdb) {
+            series = await resolveSeriesByTmdbId(ctx, show);
+          } else if (existingTmdbId) {
+            series = { name: existing.name, tmdbId: existingTmdbId };
+          } else {
+            const action = await promptSeriesAction(qa, rawSeriesName);
+            if (action === "cancel") {
+              if (Notice) new Notice("Import cancelled by user.");
+              return;
+            }
+            if (action === "skip") {
+              await markSeriesSkipped(app, rawSeriesName, sourceConfig.prefix);
+              progress.skippedSeries = progress.skippedSeries || {};
+              progress.skippedSeries[rawSeriesName] = { source: sourceConfig.prefix, skippedAt: new Date().toISOString().split('T')[0] };
+              newSkipped++;
+              series = null;
+            } else {
+              series = await resolveSeriesByTmdbId(ctx, show);
+            }
+          }
+          seriesCache.set(seriesKey, series);
+        }
+
+        if (!series) {
+          console.log(`Series not resolved: ${rawSeriesName}`);
+          skipped++;
+          await markWatchProcessed(app, uniqueId);
+          continue;
+        }
+
+        const episodeTitle = item?.Name || parsed?.title || "";
+        const ep = await resolveEpisodeByTmdbId(ctx, series, {
+          season,
+          number,
+          title: episodeTitle,
+          ids: serverProviderIds(item),
+        });
+        const watchResult = await createWatchLogEntry(app, {
+          type: "episode",
+          date,
+          showName: series.name,
+          season: ep.season,
+          episode: ep.episode,
+          episodeTitle: ep.title || episodeTitle,
+          source: sourceConfig.wikilink,
+          playIndex: play.playIndex,
+        });
+        if (watchResult.created) {
+          await updateEpisodeWatched(app, series.name, ep.season, ep.episode, date);
+          imported++;
+        } else {
+          console.log(`Skipping duplicate watch: ${series.name} S${ep.season}E${ep.episode} on ${date}`);
+          duplicates++;
+        }
+      }
+
+      await markWatchProcessed(app, uniqueId);
+
+      if ((idx + 1) % 25 === 0 && Notice) {
+        new Notice(`Processed ${idx + 1}/${itemsToImport.length}...`);
+      }
+    } catch (e) {
+      console.error(`Error processing play: ${play.name}`, e);
+      skipped++;
+    }
+  }
+
+  // Summary
+  console.log("=".repeat(50));
+  console.log("EMBY BACKFILL SUMMARY");
+  console.log("=".repeat(50));
+  console.log(`History since: ${startDate}`);
+  console.log(`Watch entries created: ${imported}`);
+  console.log(`Already logged: ${duplicates}`);
+  console.log(`Series fetched from TMDB: ${ctx.seriesFetched}`);
+  console.log(`Movies fetched from TMDB: ${ctx.moviesFetched}`);
+  console.log(`Items skipped: ${skipped}`);
+  console.log(`Series added to skip list: ${newSkipped}`);
+  console.log("=".repeat(50));
+
+  if (Notice) {
+    let msg = `Emby backfill complete!\n${imported} watch entries created.`;
+    if (duplicates > 0) msg += `\n${duplicates} already logged.`;
+    if (ctx.seriesFetched > 0) msg += `\n${ctx.seriesFetched} new series fetched from TMDB.`;
+    if (ctx.moviesFetched > 0) msg += `\n${ctx.moviesFetched} new movies fetched from TMDB.`;
+    if (skipped > 0) msg += `\n${skipped} items skipped.`;
+    if (newSkipped > 0) msg += `\n${newSkipped} series added to skip list.`;
+    const remaining = toProcess.length - itemsToImport.length;
+    if (remaining > 0) msg += `\n\n${remaining} more plays remaining. Run again to continue.`;
+    new Notice(msg, 10000);
+  }
+}
+
+// --- JELLYFIN DIRECT HANDLER ---
+// Like Emby Direct, but series/movies/episodes are matched through the
+// provider IDs Jellyfin stores (TMDB, then IMDb/TVDB) instead of titles.
+async function handleJellyfinDirect(params, apiKey, sourceConfig) {
+  const { app, qa, obsidian, Notice } = params;
+
+  // Load Jellyfin-specific secrets
+  const secrets = await loadSecrets(app);
+  const serverUrl = secrets.jellyfinServerUrl;
+  const jellyfinApiKey = secrets.jellyfinApiKey;
+  let userId = secrets.jellyfinUserId;
+
+  // Validate Jellyfin configuration
+  if (!serverUrl) {
+    if (Notice) new Notice("Jellyfin server URL not found.\nAdd 'jellyfinServerUrl' to .obsidian/quickadd-secrets.json", 5000);
+    return;
+  }
+
+  if (!jellyfinApiKey) {
+    if (Notice) new Notice("Jellyfin API key not found.\nAdd 'jellyfinApiKey' to .obsidian/quickadd-secrets.json", 5000);
+    return;
+  }
+
+  // If no user ID, fetch users and let user select
+  if (!userId) {
+    if (Notice) new Notice("Fetching Jellyfin users...");
+    const users = await getJellyfinUsers(obsidian, serverUrl, jellyfinApiKey);
+
+    if (!users || users.length === 0) {
+      if (Notice) new Notice("No Jellyfin users found. Check your API key and server URL.", 5000);
+      return;
+    }
+
+    if (users.length === 1) {
+      userId = users[0].Id;
+      if (Notice) new Notice(`Using Jellyfin user: ${users[0].Name}`);
+    } else {
+      userId = await qa.suggester(users.map(u => u.Name), users.map(u => u.Id));
+      if (!userId) return;
+    }
+  }
+
+  // Fetch played items and playback history
+  if (Notice) new Notice("Connecting to Jellyfin server...");
+
+  const items = await getJellyfinPlayedItems(obsidian, serverUrl, jellyfinApiKey, userId);
+  if (!items || items.length === 0) {
+    if (Notice) new Notice("No played items found in Jellyfin.");
+    return;
+  }
+
+  const history = await getJellyfinPlaybackHistory(obsidian, serverUrl, jellyfinApiKey, userId);
+  if (!history && Notice) {
+    new Notice("Playback Reporting plugin not found - using last played dates only.", 4000);
+  }
+
+  const { events, undated } = buildJellyfinWatchEvents(items, history, SETTINGS.jellyfin.minPlaySeconds);
+  console.log(`Jellyfin played items: ${items.length}, watch events: ${events.length}, undated: ${undated}`);
+
+  // Load progress
+  const progress = await loadProgress(app);
+  const processedSet = new Set(progress.processedWatchIds || []);
+  const toProcess = events.filter(e => !processedSet.has(`${sourceConfig.prefix}${e.key}`));
+
+  if (toProcess.length === 0) {
+    const reset = await qa.yesNoPrompt(
+      "All shows processed",
+      `All ${events.length} Jellyfin watches have already been imported into the vault.\n\nWould you like to reset import tracking and re-import?`
+    );
+    if (reset) {
+      await resetProgressByPrefix(app, sourceConfig.prefix);
+      if (Notice) new Notice("Jellyfin progress reset. Please run import again.", 3000);
+    }
+    return;
+  }
+
+  // Ask how many to import
+  const importLimit = await promptImportLimit(qa, toProcess.length, "Jellyfin server");
+  if (!importLimit) return;
+
+  const itemsToImport = toProcess.slice(0, importLimit);
+
+  const proceed = await qa.yesNoPrompt(
+    "Jellyfin Watch History Import",
+    `Importing ${itemsToImport.length} watch${itemsToImport.length === 1 ? "" : "es"}.\n\nThis will fetch metadata from TMDB for new series/movies.\n\nContinue?`
+  );
+  if (!proceed) return;
+
+  // Provider IDs of the series behind the episodes being imported
+  const seriesIds = [...new Set(itemsToImport.map(e => e.item.SeriesId).filter(Boolean))];
+  const seriesById = new Map(
+    (await getJellyfinItemsByIds(obsidian, serverUrl, jellyfinApiKey, userId, seriesIds)).map(s => [jellyfinId(s.Id), s])
+  );
+
+  const ctx = createTmdbResolveContext(params, apiKey);
+  let imported = 0;
+  let duplicates = 0;
+  let skipped = 0;
+
+  for (let idx = 0; idx < itemsToImport.length; idx++) {
+    const { item, date, key, playIndex } = itemsToImport[idx];
+    const uniqueId = `${sourceConfig.prefix}${key}`;
+
+    try {
+      if (item.Type === "Movie") {
+        const movieName = await resolveMovieByTmdbId(ctx, { title: item.Name, year: item.ProductionYear, ids: serverProviderIds(item) });
+        if (!movieName) {
+          console.log(`Movie not found in TMDB: ${item.Name}`);
+          skipped++;
+          await markWatchProcessed(app, uniqueId);
+          continue;
+        }
+
+        const watchResult = await createWatchLogEntry(app, {
+          type: "movie",
+          date,
+          showName: movieName,
+          source: sourceConfig.wikilink,
+          playIndex,
+        });
+        if (watchResult.created) {
+          await updateMovieWatched(app, movieName, date);
+          imported++;
+        } else {
+          console.log(`Skipping duplicate watch: ${movieName} on ${date}`);
+          duplicates++;
+        }
+      } else if (item.Type === "Episode") {
+        const seriesItem = seriesById.get(jellyfinId(item.SeriesId));
+        const series = await resolveSeriesByTmdbId(ctx, {
+          title: item.SeriesName,
+          year: seriesItem?.ProductionYear,
+          ids: serverProviderIds(seriesItem),
+        });
+        if (!series) {
+          console.log(`Series not found in TMDB: ${item.SeriesName}`);
+          skipped++;
+          await markWatchProcessed(app, uniqueId);
+          continue;
+        }
+
+        const ep = await resolveEpisodeByTmdbId(ctx, series, {
+          season: item.ParentIndexNumber,
+          number: item.IndexNumber,
+          title: item.Name,
+          ids: serverProviderIds(item),
+        });
+        const watchResult = await createWatchLogEntry(app, {
+          type: "episode",
+          date,
+          showName: series.name,
+          season: ep.season,
+          episode: ep.episode,
+          episodeTitle: ep.title || item.Name || "",
+          source: sourceConfig.wikilink,
+          playIndex,
+        });
+        if (watchResult.created) {
+          await updateEpisodeWatched(app, series.name, ep.season, ep.episode, date);
+          imported++;
+        } else {
+          console.log(`Skipping duplicate watch: ${series.name} S${ep.season}E${ep.episode} on ${date}`);
+          duplicates++;
+        }
+      }
+
+      await markWatchProcessed(app, uniqueId);
+
+      if ((idx + 1) % 25 === 0 && Notice) {
+        new Notice(`Processed ${idx + 1}/${itemsToImport.length}...`);
+      }
+    } catch (e) {
+      console.error(`Error processing item: ${item.Name}`, e);
+      skipped++;
+    }
+  }
+
+  // Summary
+  console.log("=".repeat(50));
+  console.log("JELLYFIN IMPORT SUMMARY");
+  console.log("=".repeat(50));
+  console.log(`Watch entries created: ${imported}`);
+  console.log(`Already logged: ${duplicates}`);
+  console.log(`Series fetched from TMDB: ${ctx.seriesFetched}`);
+  console.log(`Movies fetched from TMDB: ${ctx.moviesFetched}`);
+  console.log(`Items skipped: ${skipped}`);
+  console.log(`Played items without any date: ${undated}`);
+  console.log("=".repeat(50));
+
+  if (Notice) {
+    let msg = `Jellyfin import complete!\n${imported} watch entries created.`;
+    if (duplicates > 0) msg += `\n${duplicates} already logged.`;
+    if (ctx.seriesFetched > 0) msg += `\n${ctx.seriesFetched} new series fetched from TMDB.`;
+    if (ctx.moviesFetched > 0) msg += `\n${ctx.moviesFetched} new movies fetched from TMDB.`;
+    if (skipped > 0) msg += `\n${skipped} items skipped.`;
+    if (undated > 0) msg += `\n${undated} played items had no watch date.`;
+    const remaining = toProcess.length - itemsToImport.length;
+    if (remaining > 0) msg += `\n\n${remaining} more items remaining. Run again to continue.`;
+    new Notice(msg, 10000);
+  }
+}
+
+// --- PLEX DIRECT HANDLER ---
+// Reads the server's play history and matches on the agent GUIDs Plex stores
+// (tmdb://, imdb://, tvdb://). Series without any GUID (personal media, items
+// since deleted) go through the usual Add/Skip/Cancel prompt and skip list.
+async function handlePlexDirect(params, apiKey, sourceConfig) {
+  const { app, qa, obsidian, Notice } = params;
+
+  // Load Plex-specific secrets
+  const secrets = await loadSecrets(app);
+  const serverUrl = secrets.plexServerUrl;
+  const token = secrets.plexToken;
+  let accountId = secrets.plexAccountId;
+
+  // Validate Plex configuration
+  if (!serverUrl) {
+    if (Notice) new Notice("Plex server URL not found.\nAdd 'plexServerUrl' to .obsidian/quickadd-secrets.json", 5000);
+    return;
+  }
+
+  if (!token) {
+    if (Notice) new Notice("Plex token not found.\nAdd 'plexToken' to .obsidian/quickadd-secrets.json", 5000);
+    return;
+  }
+
+  // If no account ID, fetch accounts and let user select
+  if (!accountId) {
+    if (Notice) new Notice("Fetching Plex accounts...");
+    const accounts = await getPlexAccounts(obsidian, serverUrl, token);
+
+    if (!accounts || accounts.length === 0) {
+      if (Notice) new Notice("No Plex accounts found. Check your token and server URL.", 5000);
+      return;
+    }
+
+    if (accounts.length === 1) {
+      accountId = accounts[0].id;
+      if (Notice) new Notice(`Using Plex account: ${accounts[0].name}`);
+    } else {
+      accountId = await qa.suggester(accounts.map(a => a.name), accounts.map(a => a.id));
+      if (!accountId) return;
+    }
+  }
+
+  // Fetch play history
+  if (Notice) new Notice("Connecting to Plex server...");
+
+  const history = await getPlexHistory(obsidian, serverUrl, token, accountId);
+  if (!history || history.length === 0) {
+    if (Notice) new Notice("No play history found in Plex.");
+    return;
+  }
+
+  // Load progress
+  const progress = await loadProgress(app);
+  const processedSet = new Set(progress.processedWatchIds || []);
+  const toProcess = history.filter(h => !processedSet.has(`${sourceConfig.prefix}${plexHistoryId(h)}`));
+
+  if (toProcess.length === 0) {
+    const reset = await qa.yesNoPrompt(
+      "All shows processed",
+      `All ${history.length} Plex plays have already been imported into the vault.\n\nWould you like to reset import tracking and re-import?`
+    );
+    if (reset) {
+      await resetProgressByPrefix(app, sourceConfig.prefix);
+      if (Notice) new Notice("Plex progress reset. Please run import again.", 3000);
+    }
+    return;
+  }
+
+  // Ask how many to import
+  const importLimit = await promptImportLimit(qa, toProcess.length, "Plex server");
+  if (!importLimit) return;
+
+  const itemsToImport = toProcess.slice(0, importLimit);
+
+  const proceed = await qa.yesNoPrompt(
+    "Plex Watch History Import",
+    `Importing ${itemsToImport.length} play${itemsToImport.length === 1 ? "" : "s"}.\n\nThis will fetch metadata from TMDB for new series/movies.\n\nContinue?`
+  );
+  if (!proceed) return;
+
+  const ctx = createTmdbResolveContext(params, apiKey);
+  const metadataCache = new Map();
+  const seriesCache = new Map();
+  const getMetadata = async (ratingKey) => {
+    if (!metadataCache.has(ratingKey)) {
+      metadataCache.set(ratingKey, await getPlexMetadata(obsidian, serverUrl, token, ratingKey));
+    }
+    return metadataCache.get(ratingKey);
+  };
+
+  let imported = 0;
+  let duplicates = 0;
+  let skipped = 0;
+  let newSkipped = 0;  // Count of series added to skip list this session
+
+  for (let idx = 0; idx < itemsToImport.length; idx++) {
+    const play = itemsToImport[idx];
+    const date = plexWatchDate(play.viewedAt);
+    const uniqueId = `${sourceConfig.prefix}${plexHistoryId(play)}`;
+
+    try {
+      if (play.type === "movie") {
+        const metadata = await getMetadata(play.ratingKey);
+        const movieName = await resolveMovieByTmdbId(ctx, {
+          title: play.title,
+          year: play.year || metadata?.year,
+          ids: plexProviderIds(metadata),
+        });
+        if (!movieName) {
+          console.log(`Movie not found in TMDB: ${play.title}`);
+          skipped++;
+          await markWatchProcessed(app, uniqueId);
+          continue;
+        }
+
+        const watchResult = await createWatchLogEntry(app, {
+          type: "movie",
+          date,
+          showName: movieName,
+          source: sourceConfig.wikilink,
+        });
+        if (watchResult.created) {
+          await updateMovieWatched(app, movieName, date);
+          imported++;
+        } else {
+          console.log(`Skipping duplicate watch: ${movieName} on ${date}`);
+          duplicates++;
+        }
+      } else {
+        const rawSeriesName = play.grandparentTitle || "Unknown Series";
+
+        if (isSeriesSkipped(progress, rawSeriesName)) {
+          console.log(`Series "${rawSeriesName}" is in skip list, skipping`);
+          skipped++;
+          await markWatchProcessed(app, uniqueId);
+          continue;
+        }
+
+        const seriesKey = play.grandparentRatingKey || rawSeriesName;
+        let series = seriesCache.get(seriesKey);
+        if (series === undefined) {
+          const seriesMetadata = await getMetadata(play.grandparentRatingKey);
+          const seriesIds = plexProviderIds(seriesMetadata);
+          const show = { title: rawSeriesName, year: seriesMetadata?.year, ids: seriesIds };
+
+          const existing = findExistingSeriesInVault(app, rawSeriesName);
+          const existingTmdbId = existing && Number(app.metadataCache.getFileCache(existing.file)?.frontmatter?.tmdbId);
+
+          if (seriesIds.tmdb || seriesIds.imdb || seriesIds.tvdb) {
+            series = await resolveSeriesByTmdbId(ctx, show);
+          } else if (existingTmdbId) {
+            series = { name: existing.name, tmdbId: existingTmdbId };
+          } else {
+            const action = await promptSeriesAction(qa, rawSeriesName);
+            if (action === "cancel") {
+              if (Notice) new Notice("Import cancelled by user.");
+              return;
+            }
+            if (action === "skip") {
+              await markSeriesSkipped(app, rawSeriesName, sourceConfig.prefix);
+              progress.skippedSeries = progress.skippedSeries || {};
+              progress.skippedSeries[rawSeriesName] = { source: sourceConfig.prefix, skippedAt: new Date().toISOString().split('T')[0] };
+              newSkipped++;
+              series = null;
+            } else {
+              series = await resolveSeriesByTmdbId(ctx, show);
+            }
+          }
+          seriesCache.set(seriesKey, series);
+        }
+
+        if (!series) {
+          console.log(`Series not resolved: ${rawSeriesName}`);
+          skipped++;
+          await markWatchProcessed(app, uniqueId);
+          continue;
+        }
+
+        const metadata = await getMetadata(play.ratingKey);
+        const ep = await resolveEpisodeByTmdbId(ctx, series, {
+          season: play.parentIndex ?? metadata?.parentIndex,
+          number: play.index ?? metadata?.index,
+          title: play.title,
+          ids: plexProviderIds(metadata),
+        });
+        const watchResult = await createWatchLogEntry(app, {
+          type: "episode",
+          date,
+          showName: series.name,
+          season: ep.season,
+          episode: ep.episode,
+          episodeTitle: ep.title || play.title || "",
+          source: sourceConfig.wikilink,
+        });
+        if (watchResult.created) {
+          await updateEpisodeWatched(app, series.name, ep.season, ep.episode, date);
+          imported++;
+        } else {
+          console.log(`Skipping duplicate watch: ${series.name} S${ep.season}E${ep.episode} on ${date}`);
+          duplicates++;
+        }
+      }
+
+      await markWatchProcessed(app, uniqueId);
+
+      if ((idx + 1) % 25 === 0 && Notice) {
+        new Notice(`Processed ${idx + 1}/${itemsToImport.length}...`);
+      }
+    } catch (e) {
+      console.error(`Error processing play: ${play.title}`, e);
+      skipped++;
+    }
+  }
+
+  // Summary
+  console.log("=".repeat(50));
+  console.log("PLEX IMPORT SUMMARY");
+  console.log("=".repeat(50));
+  console.log(`Watch entries created: ${imported}`);
+  console.log(`Already logged: ${duplicates}`);
+  console.log(`Series fetched from TMDB: ${ctx.seriesFetched}`);
+  console.log(`Movies fetched from TMDB: ${ctx.moviesFetched}`);
+  console.log(`Items skipped: ${skipped}`);
+  console.log(`Series added to skip list: ${newSkipped}`);
+  console.log("=".repeat(50));
+
+  if (Notice) {
+    let msg = `Plex import complete!\n${imported} watch entries created.`;
+    if (duplicates > 0) msg += `\n${duplicates} already logged.`;
+    if (ctx.seriesFetched > 0) msg += `\n${ctx.seriesFetched} new series fetched from TMDB.`;
+    if (ctx.moviesFetched > 0) msg += `\n${ctx.moviesFetched} new movies fetched from TMDB.`;
+    if (skipped > 0) msg += `\n${skipped} items skipped.`;
+    if (newSkipped > 0) msg += `\n${newSkipped} series added to skip list.`;
+    const remaining = toProcess.length - itemsToImport.length;
+    if (remaining > 0) msg += `\n\n${remaining} more items remaining. Run again to continue.`;
+    new Notice(msg, 10000);
+  }
+}
+
+// --- EMBY CSV HANDLER ---
+// Imports from Emby activity log CSV exports
+// CSV format: watchdate, embyitemid, rawtitle
+async function handleEmbyCsv(params, apiKey, sourceConfig) {
+  const { app, qa, obsidian, Notice } = params;
+  
+  // Load Emby-specific secrets
+  const secrets = await loadSecrets(app);
+  const embyServerUrl = secrets.embyServerUrl;
+  const embyApiKey = secrets.embyApiKey;
+  let embyUserId = secrets.embyUserId;
+  
+  // Validate Emby configuration (needed to look up item details by ID)
+  if (!embyServerUrl) {
+    if (Notice) new Notice("Emby server URL not found.\nAdd 'embyServerUrl' to .obsidian/quickadd-secrets.json", 5000);
+    return;
+  }
+  
+  if (!embyApiKey) {
+    if (Notice) new Notice("Emby API key not found.\nAdd 'embyApiKey' to .obsidian/quickadd-secrets.json", 5000);
+    return;
+  }
+  
+  // If no user ID, fetch users and let user select
+  if (!embyUserId) {
+    if (Notice) new Notice("Fetching Emby users...");
+    const users = await getEmbyUsers(obsidian, embyServerUrl, embyApiKey);
+    
+    if (!users || users.length === 0) {
+      if (Notice) new Notice("No Emby users found. Check your API key and server URL.", 5000);
+      return;
+    }
+    
+    if (users.length === 1) {
+      embyUserId = users[0].Id;
+      if (Notice) new Notice(`Using Emby user: ${users[0].Name}`);
+    } else {
+      const userNames = users.map(u => u.Name);
+      const userIds = users.map(u => u.Id);
+      embyUserId = await qa.suggester(userNames, userIds);
+      if (!embyUserId) return;
+    }
+  }
+  
+  // Find CSV files containing "emby" in filename
+  const allFiles = app.vault.getFiles();
+  const csvFiles = allFiles
+    .filter(f => f.extension === "csv" && f.path.toLowerCase().includes("emby"))
+    .map(f => f.path)
+    .sort((a, b) => b.localeCompare(a)); // Most recent first
+  
+  if (csvFiles.length === 0) {
+    if (Notice) new Notice("No Emby CSV files found in vault.\n\nExport from Emby activitylog.db first.", 8000);
+    return;
+  }
+  
+  // Let user pick CSV file
+  const csvPath = await qa.suggester(csvFiles, csvFiles);
+  if (!csvPath) return;
+  
+  // Read and parse CSV
+  if (Notice) new Notice(`Reading ${csvPath}...`);
+  const csvText = await app.vault.adapter.read(csvPath);
+  const csvData = parseCSV(csvText);
+  
+  if (csvData.rows.length === 0) {
+    if (Notice) new Notice("No data found in CSV.");
+    return;
+  }
+  
+  console.log(`Emby CSV has ${csvData.rows.length} rows`);
+  console.log(`CSV headers: ${csvData.headers.join(", ")}`);
+  
+  // Load progress
+  const progress = await loadProgress(app);
+  const processedSet = new Set(progress.processedWatchIds || []);
+  
+  // Filter to unprocessed items
+  const toProcess = csvData.rows.filter(row => {
+    const date = row.watchdate || row["watch date"] || "";
+    const embyItemId = row.embyitemid || row["emby item id"] || row.itemid || "";
+    const uniqueId = `${sourceConfig.prefix}${date}-${embyItemId}`.toLowerCase();
+    return !processedSet.has(uniqueId);
+  });
+  
+  if (toProcess.length === 0) {
+    const reset = await qa.yesNoPrompt(
+      "All items processed",
+      `All ${csvData.rows.length} items in the CSV have already been imported.\n\nWould you like to reset progress and re-import?`
+    );
+    if (reset) {
+      await resetProgressByPrefix(app, sourceConfig.prefix);
+      if (Notice) new Notice("Emby CSV progress reset. Please run import again.", 3000);
+    }
+    return;
+  }
+  
+  if (Notice) new Notice(`Found ${toProcess.length} unprocessed items (of ${csvData.rows.length} total)`);
+  
+  // Ask how many to import
+  const importLimit = await promptImportLimit(qa, toProcess.length, "Emby CSV");
+  if (!importLimit) return;
+  
+  const itemsToImport = toProcess.slice(0, importLimit);
+  
+  // Confirm
+  const proceed = await qa.yesNoPrompt(
+    "Emby CSV Watch History Import",
+    `Importing ${itemsToImport.length} watch${itemsToImport.length === 1 ? "" : "es"}.\n\nThis will look up each item in Emby and fetch metadata from TMDB.\n\nContinue?`
+  );
+  if (!proceed) return;
+  
+  // Ensure folders
+  await ensureFolder(app, SETTINGS.folders.movies);
+  await ensureFolder(app, SETTINGS.folders.series);
+  await ensureFolder(app, SETTINGS.folders.watched);
+  await ensureFolder(app, SETTINGS.folders.covers);
+  await ensureFolder(app, `${SETTINGS.folders.covers}/movies`);
+  await ensureFolder(app, `${SETTINGS.folders.covers}/series`);
+  
+  // Process items
+  let imported = 0;
+  let seriesFetched = 0;
+  let moviesFetched = 0;
+  let skipped = 0;
+  let skippedNoId = 0;
+  let skippedNotFound = 0;
+  let skippedAudio = 0;
+  let newSkipped = 0;
+  
+  // Track episode mismatches
+  const episodeMismatches = [];
+  
+  // Provider IDs (TMDB/IMDb/TVDB) for exact matching; name search is the fallback
+  const tmdbCtx = createTmdbResolveContext(params, apiKey);
+  const embySeriesById = new Map();  // SeriesId -> series item, looked up once per series
+  
+  for (const row of itemsToImport) {
+    const date = row.watchdate || row["watch date"] || localISODate();
+    const embyItemId = row.embyitemid || row["emby item id"] || row.itemid || "";
+    const rawTitle = row.rawtitle || row["raw title"] || row.title || "";
+    const uniqueId = `${sourceConfig.prefix}${date}-${embyItemId}`.toLowerCase();
+    
+    // Skip rows with no Emby ID
+    if (!embyItemId) {
+      console.log(`Skipping (no Emby ID): ${rawTitle} on ${date}`);
+      skippedNoId++;
+      await markWatchProcessed(app, uniqueId);
+      continue;
+    }
+    
+    try {
+      // Look up item details from Emby API
+      const itemDetails = await getEmbyItemById(obsidian, embyServerUrl, embyApiKey, embyUserId, embyItemId);
+      
+      if (!itemDetails || !itemDetails.Type) {
+        console.log(`Item not found in Emby (deleted?): ${embyItemId} (${rawTitle})`);
+        skippedNotFound++;
+        await markWatchProcessed(app, uniqueId);
+        continue;
+      }
+      
+      const itemType = itemDetails.Type;
+      
+      // Skip audio items
+      if (itemType === "Audio" || itemType === "MusicVideo" || itemType === "MusicAlbum" || itemType === "AudioBook") {
+        console.log(`Skipping audio: ${rawTitle}`);
+        skippedAudio++;
+        await markWatchProcessed(app, uniqueId);
+        continue;
+      }
+      
+      if (itemType === "Movie") {
+        let movieName = itemDetails.Name;
+        const year = itemDetails.ProductionYear;
+        
+        console.log(`Processing movie: ${movieName} (${date})`);
+        
+        // Exact match on Emby's provider IDs
+        const exactMovie = await resolveMovieByTmdbId(tmdbCtx, { title: movieName, year, ids: serverProviderIds(itemDetails) }, { searchTitle: false });
+        
+        // Otherwise check if we need to fetch from TMDB by name
+        if (exactMovie) {
+          movieName = exactMovie;
+        } else if (!progress.fetchedMovies[movieName]) {
+          const results = await searchMovie(obsidian, apiKey, movieName, year);
+          const searchResult = results[0] || null;
+          
+          if (!searchResult || !searchResult.id) {
+            console.log(`Movie not found in TMDB: ${movieName}`);
+            skipped++;
+            await markWatchProcessed(app, uniqueId);
+            continue;
+          }
+          
           const fullDetails = await getMovieDetails(obsidian, apiKey, searchResult.id);
           await createMovieNote(app, obsidian, movieName, fullDetails || searchResult);
           
@@ -4727,10 +6648,22 @@ async function handleEmbyCsv(params, apiKey, sourceConfig) {
         
         console.log(`Processing episode: ${rawSeriesName} S${embySeason}E${embyEpisode} (${date})`);
         
+        if (itemDetails.SeriesId && !embySeriesById.has(itemDetails.SeriesId)) {
+          embySeriesById.set(itemDetails.SeriesId, await getEmbyItemById(obsidian, embyServerUrl, embyApiKey, embyUserId, itemDetails.SeriesId));
+        }
+        const seriesItem = embySeriesById.get(itemDetails.SeriesId);
+        
+        // 0. Exact match on the series' provider IDs, unless it's on the skip list
+        const exactSeries = isSeriesSkipped(progress, rawSeriesName) || isSeriesSkipped(progress, normalizedName)
+          ? null
+          : await resolveSeriesByTmdbId(tmdbCtx, { title: rawSeriesName, year: seriesItem?.ProductionYear, ids: serverProviderIds(seriesItem) }, { searchTitle: false });
+        
         // 1. Check if we already have this series fetched
-        let tmdbId = progress.fetchedSeries[rawSeriesName] || progress.fetchedSeries[normalizedName];
+        let tmdbId = exactSeries?.tmdbId || progress.fetchedSeries[rawSeriesName] || progress.fetchedSeries[normalizedName];
         
-        if (tmdbId) {
+        if (exactSeries) {
+          actualSeriesName = exactSeries.name;
+        } else if (tmdbId) {
           actualSeriesName = progress.fetchedSeries[rawSeriesName] ? rawSeriesName : normalizedName;
         } else {
           // 2. Check if series is in skip list
@@ -4866,7 +6799,26 @@ async function handleEmbyCsv(params, apiKey, sourceConfig) {
         
         const { part: embyPart } = extractPartNumber(episodeTitle);
         
-        if (episodeCache && episodeTitle) {
+        // Exact episode via its TMDB ID (Emby's numbering can differ from TMDB's)
+        const exactEpisode = episodeIndexFor(tmdbCtx, actualSeriesName).get(Number(serverProviderIds(itemDetails).tmdb));
+        
+        if (exactEpisode) {
+          finalSeason = exactEpisode.season;
+          finalEpisode = exactEpisode.episode;
+          matchMethod = "tmdb-id";
+          if (finalSeason !== embySeason || finalEpisode !== embyEpisode) {
+            episodeMismatches.push({
+              series: actualSeriesName,
+              sourceEpisode: `S${String(embySeason).padStart(2,'0')}E${String(embyEpisode).padStart(2,'0')}`,
+              sourceTitle: episodeTitle,
+              tmdbEpisode: `S${String(finalSeason).padStart(2,'0')}E${String(finalEpisode).padStart(2,'0')}`,
+              tmdbTitle: exactEpisode.title,
+              confidence: 1,
+              method: matchMethod,
+              autoMatched: true,
+            });
+          }
+        } else if (episodeCache && episodeTitle) {
           const titleMatch = findTmdbEpisodeByTitle(
             episodeCache,
             embySeason,
@@ -5007,6 +6959,9 @@ async function handleEmbyCsv(params, apiKey, sourceConfig) {
     }
   }
   
+  seriesFetched += tmdbCtx.seriesFetched;
+  moviesFetched += tmdbCtx.moviesFetched;
+  
   // Write episode mismatch log
   if (episodeMismatches.length > 0) {
     await writeEpisodeMismatchLog(app, episodeMismatches, "Emby CSV");
@@ -5040,6 +6995,334 @@ async function handleEmbyCsv(params, apiKey, sourceConfig) {
   }
 }
 
+// --- LETTERBOXD HANDLER ---
+// Imports a Letterboxd data export (Settings > Import & Export > Export your data)
+async function handleLetterboxd(params, apiKey, sourceConfig) {
+  const { app, qa, Notice } = params;
+
+  const exports = findLetterboxdExports(app);
+  if (exports.length === 0) {
+    if (Notice) new Notice("No Letterboxd export found in vault.\n\nAdd the letterboxd-*.zip export, or its diary.csv/ratings.csv/reviews.csv/watchlist.csv.", 8000);
+    return;
+  }
+
+  const exportInfo = await qa.suggester(exports.map(e => e.label), exports);
+  if (!exportInfo) return;
+
+  if (Notice) new Notice(`Reading ${exportInfo.path}...`);
+  let data;
+  try {
+    data = await loadLetterboxdExport(app, exportInfo);
+  } catch (e) {
+    console.error("Failed to read Letterboxd export:", e);
+    if (Notice) new Notice(`Could not read Letterboxd export: ${e.message}`, 8000);
+    return;
+  }
+
+  // Load progress
+  const progress = await loadProgress(app);
+  const processedSet = new Set(progress.processedWatchIds || []);
+  const allItems = buildLetterboxdQueue(data, sourceConfig.prefix);
+  const toProcess = allItems.filter(item => !processedSet.has(item.id));
+
+  if (toProcess.length === 0) {
+    const reset = await qa.yesNoPrompt(
+      "All items processed",
+      `All ${allItems.length} Letterboxd entries have already been imported.\n\nWould you like to reset progress and re-import?`
+    );
+    if (reset) {
+      await resetProgressByPrefix(app, sourceConfig.prefix);
+      if (Notice) new Notice("Letterboxd progress reset. Please run import again.", 3000);
+    }
+    return;
+  }
+
+  const counts = ["diary", "rating", "watchlist"].map(kind => toProcess.filter(i => i.kind === kind).length);
+  if (Notice) new Notice(`Found ${counts[0]} diary entries, ${counts[1]} ratings and ${counts[2]} watchlist films to import`);
+
+  // Ask how many to import
+  const importLimit = await promptImportLimit(qa, toProcess.length, "Letterboxd");
+  if (!importLimit) return;
+
+  const itemsToImport = toProcess.slice(0, importLimit);
+
+  const proceed = await qa.yesNoPrompt(
+    "Letterboxd Import",
+    `Importing ${itemsToImport.length} entr${itemsToImport.length === 1 ? "y" : "ies"}.\n\nThis will fetch metadata from TMDB for new movies.\n\nContinue?`
+  );
+  if (!proceed) return;
+
+  let imported = 0;
+  let moviesFetched = 0;
+  let rated = 0;
+  let watchlisted = 0;
+  let merged = 0;
+  let skipped = 0;
+
+  for (let idx = 0; idx < itemsToImport.length; idx++) {
+    const item = itemsToImport[idx];
+    try {
+      const movie = await ensureLetterboxdMovie(params, apiKey, progress, item.name, item.year);
+      if (!movie) {
+        skipped++;
+        await markWatchProcessed(app, item.id);
+        continue;
+      }
+      if (movie.fetched) moviesFetched++;
+      const { movieName } = movie;
+
+      if (item.kind === "diary") {
+        const watchResult = await createWatchLogEntry(app, {
+          type: "movie",
+          date: item.date,
+          showName: movieName,
+          source: sourceConfig.wikilink,
+          rating: item.rating,
+          rewatch: item.rewatch,
+          review: item.review,
+        });
+
+        if (watchResult.created) {
+          await updateMovieWatched(app, movieName, item.date);
+          imported++;
+        } else {
+          await mergeLetterboxdIntoWatchLog(app, watchResult.path, item);
+          merged++;
+        }
+        if (item.rating) {
+          await updateLetterboxdMovie(app, movieName, (fm) => { if (!fm.rating) fm.rating = item.rating; });
+        }
+      } else if (item.kind === "rating") {
+        // ratings.csv holds the current rating, so it wins over diary-era ratings
+        await updateLetterboxdMovie(app, movieName, (fm) => { fm.rating = item.rating; });
+        rated++;
+      } else if (item.kind === "watchlist") {
+        await updateLetterboxdMovie(app, movieName, (fm) => { if (!fm.watched) fm.watchlist = true; });
+        watchlisted++;
+      }
+
+      await markWatchProcessed(app, item.id);
+
+      if ((idx + 1) % 25 === 0 && Notice) {
+        new Notice(`Processed ${idx + 1}/${itemsToImport.length}...`);
+      }
+    } catch (e) {
+      console.error(`Error processing Letterboxd entry: ${item.name}`, e);
+      skipped++;
+    }
+  }
+
+  // Summary
+  console.log("=".repeat(50));
+  console.log("LETTERBOXD IMPORT SUMMARY");
+  console.log("=".repeat(50));
+  console.log(`Watch entries created: ${imported}`);
+  console.log(`Existing watch entries updated: ${merged}`);
+  console.log(`Movies fetched from TMDB: ${moviesFetched}`);
+  console.log(`Ratings applied: ${rated}`);
+  console.log(`Watchlist films: ${watchlisted}`);
+  console.log(`Items skipped: ${skipped}`);
+  console.log("=".repeat(50));
+
+  if (Notice) {
+    let msg = `Letterboxd import complete!\n${imported} watch entries created.`;
+    if (merged > 0) msg += `\n${merged} existing watch entries updated.`;
+    if (moviesFetched > 0) msg += `\n${moviesFetched} new movies fetched from TMDB.`;
+    if (rated > 0) msg += `\n${rated} ratings applied.`;
+    if (watchlisted > 0) msg += `\n${watchlisted} watchlist films added.`;
+    if (skipped > 0) msg += `\n${skipped} items skipped (not found on TMDB or failed).`;
+    const remaining = toProcess.length - itemsToImport.length;
+    if (remaining > 0) msg += `\n\n${remaining} more items remaining. Run again to continue.`;
+    new Notice(msg, 10000);
+  }
+}
+
+// --- TRAKT HANDLER ---
+// Imports a Trakt JSON export (watched history + ratings). Every play carries
+// TMDB IDs, so series, seasons and episodes resolve exactly without title matching.
+async function handleTrakt(params, apiKey, sourceConfig) {
+  const { app, qa, Notice } = params;
+
+  const exports = findTraktExports(app);
+  if (exports.length === 0) {
+    if (Notice) new Notice("No Trakt export found in vault.\n\nAdd the Trakt export zip, or its watched-history.json and ratings-*.json files.", 8000);
+    return;
+  }
+
+  const exportInfo = await qa.suggester(exports.map(e => e.label), exports);
+  if (!exportInfo) return;
+
+  if (Notice) new Notice(`Reading ${exportInfo.path}...`);
+  let data;
+  try {
+    data = await loadTraktExport(app, exportInfo);
+  } catch (e) {
+    console.error("Failed to read Trakt export:", e);
+    if (Notice) new Notice(`Could not read Trakt export: ${e.message}`, 8000);
+    return;
+  }
+
+  // Ratings apply to notes and to the watch logs of rated movies/episodes
+  const ratingsByKey = new Map();
+  for (const r of data.ratings) {
+    if (["movie", "show", "episode"].includes(r.type) && r.rating) ratingsByKey.set(traktRatingKey(r.type, r), r.rating);
+  }
+
+  const plays = data.history
+    .filter(h => (h.type === "movie" && h.movie) || (h.type === "episode" && h.episode && h.show))
+    .sort((a, b) => String(a.watched_at || "").localeCompare(String(b.watched_at || "")))
+    .map(h => ({ kind: "play", entry: h, id: `${sourceConfig.prefix}${h.id ?? `${h.type}-${h[h.type]?.ids?.trakt}-${h.watched_at}`}` }));
+  const ratings = data.ratings
+    .filter(r => ["movie", "show", "episode"].includes(r.type) && r.rating)
+    .map(r => ({ kind: "rating", entry: r, id: `${sourceConfig.prefix}rating-${traktRatingKey(r.type, r)}-${r.rating}` }));
+  const allItems = [...plays, ...ratings];
+
+  // Load progress
+  const progress = await loadProgress(app);
+  const processedSet = new Set(progress.processedWatchIds || []);
+  const toProcess = allItems.filter(item => !processedSet.has(item.id));
+
+  if (toProcess.length === 0) {
+    const reset = await qa.yesNoPrompt(
+      "All items processed",
+      `All ${allItems.length} Trakt entries have already been imported.\n\nWould you like to reset progress and re-import?`
+    );
+    if (reset) {
+      await resetProgressByPrefix(app, sourceConfig.prefix);
+      if (Notice) new Notice("Trakt progress reset. Please run import again.", 3000);
+    }
+    return;
+  }
+
+  const playCount = toProcess.filter(i => i.kind === "play").length;
+  if (Notice) new Notice(`Found ${playCount} plays and ${toProcess.length - playCount} ratings to import`);
+
+  // Ask how many to import
+  const importLimit = await promptImportLimit(qa, toProcess.length, "Trakt");
+  if (!importLimit) return;
+
+  const itemsToImport = toProcess.slice(0, importLimit);
+
+  const proceed = await qa.yesNoPrompt(
+    "Trakt Import",
+    `Importing ${itemsToImport.length} entr${itemsToImport.length === 1 ? "y" : "ies"}.\n\nNew series are created with all their episodes from TMDB.\n\nContinue?`
+  );
+  if (!proceed) return;
+
+  const ctx = createTmdbResolveContext(params, apiKey);
+  let imported = 0;
+  let duplicates = 0;
+  let rated = 0;
+  let skipped = 0;
+
+  for (let idx = 0; idx < itemsToImport.length; idx++) {
+    const { kind, entry, id } = itemsToImport[idx];
+    const label = entry.movie?.title || entry.show?.title || "unknown";
+    try {
+      if (kind === "play" && entry.type === "movie") {
+        const movieName = await resolveMovieByTmdbId(ctx, entry.movie);
+        if (!movieName) {
+          console.log(`Movie not found in TMDB: ${label}`);
+          skipped++;
+          await markWatchProcessed(app, id);
+          continue;
+        }
+        const date = localISODate(new Date(entry.watched_at));
+        const watchResult = await createWatchLogEntry(app, {
+          type: "movie",
+          date,
+          showName: movieName,
+          source: sourceConfig.wikilink,
+          rating: ratingsByKey.get(traktRatingKey("movie", entry)) || "",
+        });
+        if (watchResult.created) {
+          await updateMovieWatched(app, movieName, date);
+          imported++;
+        } else {
+          console.log(`Already logged: ${movieName} on ${date}`);
+          duplicates++;
+        }
+      } else if (kind === "play") {
+        const series = await resolveSeriesByTmdbId(ctx, entry.show);
+        if (!series) {
+          console.log(`Series not found in TMDB: ${label}`);
+          skipped++;
+          await markWatchProcessed(app, id);
+          continue;
+        }
+        const ep = await resolveEpisodeByTmdbId(ctx, series, entry.episode);
+        const date = localISODate(new Date(entry.watched_at));
+        const watchResult = await createWatchLogEntry(app, {
+          type: "episode",
+          date,
+          showName: series.name,
+          season: ep.season,
+          episode: ep.episode,
+          episodeTitle: ep.title || entry.episode.title || "",
+          source: sourceConfig.wikilink,
+          rating: ratingsByKey.get(traktRatingKey("episode", entry)) || "",
+        });
+        if (watchResult.created) {
+          await updateEpisodeWatched(app, series.name, ep.season, ep.episode, date);
+          imported++;
+        } else {
+          console.log(`Already logged: ${series.name} S${ep.season}E${ep.episode} on ${date}`);
+          duplicates++;
+        }
+      } else {
+        let notePath = null;
+        if (entry.type === "movie") {
+          const movieName = await resolveMovieByTmdbId(ctx, entry.movie);
+          if (movieName) notePath = `${SETTINGS.folders.movies}/${movieName}.md`;
+        } else {
+          const series = await resolveSeriesByTmdbId(ctx, entry.show);
+          if (series && entry.type === "show") {
+            notePath = `${SETTINGS.folders.series}/${series.name}/${series.name}.md`;
+          } else if (series) {
+            const ep = await resolveEpisodeByTmdbId(ctx, series, entry.episode);
+            notePath = findEpisodeFile(app, series.name, ep.season, ep.episode)?.path || null;
+          }
+        }
+        if (await setNoteRating(app, notePath, entry.rating)) rated++;
+        else skipped++;
+      }
+
+      await markWatchProcessed(app, id);
+
+      if ((idx + 1) % 25 === 0 && Notice) {
+        new Notice(`Processed ${idx + 1}/${itemsToImport.length}...`);
+      }
+    } catch (e) {
+      console.error(`Error processing Trakt entry: ${label}`, e);
+      skipped++;
+    }
+  }
+
+  // Summary
+  console.log("=".repeat(50));
+  console.log("TRAKT IMPORT SUMMARY");
+  console.log("=".repeat(50));
+  console.log(`Watch entries created: ${imported}`);
+  console.log(`Already logged (other sources): ${duplicates}`);
+  console.log(`Series fetched from TMDB: ${ctx.seriesFetched}`);
+  console.log(`Movies fetched from TMDB: ${ctx.moviesFetched}`);
+  console.log(`Ratings applied: ${rated}`);
+  console.log(`Items skipped: ${skipped}`);
+  console.log("=".repeat(50));
+
+  if (Notice) {
+    let msg = `Trakt import complete!\n${imported} watch entries created.`;
+    if (duplicates > 0) msg += `\n${duplicates} already logged from other sources.`;
+    if (ctx.seriesFetched > 0) msg += `\n${ctx.seriesFetched} new series fetched from TMDB.`;
+    if (ctx.moviesFetched > 0) msg += `\n${ctx.moviesFetched} new movies fetched from TMDB.`;
+    if (rated > 0) msg += `\n${rated} ratings applied.`;
+    if (skipped > 0) msg += `\n${skipped} items skipped.`;
+    const remaining = toProcess.length - itemsToImport.length;
+    if (remaining > 0) msg += `\n\n${remaining} more items remaining. Run again to continue.`;
+    new Notice(msg, 10000);
+  }
+}
+
 // ============================================================================
 // REVIEW SKIPPED SHOWS
 // ============================================================================
@@ -5285,12 +7568,30 @@ module.exports = async (params) => {
     case "embyCsv":
       await handleEmbyCsv(enhancedParams, apiKey, sourceConfig);
       break;
+    case "embyBackfill":
+      await handleEmbyBackfill(enhancedParams, apiKey, sourceConfig);
+      break;
+    case "jellyfin":
+      await handleJellyfinDirect(enhancedParams, apiKey, sourceConfig);
+      break;
+    case "plex":
+      await handlePlexDirect(enhancedParams, apiKey, sourceConfig);
+      break;
     case "prime":
       await handlePrimeExtension(enhancedParams, apiKey, sourceConfig);
       break;
     case "netflix":
       await handleNetflixExtension(enhancedParams, apiKey, sourceConfig);
       break;
+    case "netflixActivity":
+      await handleNetflixActivity(enhancedParams, apiKey, sourceConfig);
+      break;
+    case "letterboxd":
+      await handleLetterboxd(enhancedParams, apiKey, sourceConfig);
+      break;
+    case "trakt":
+      await handleTrakt(enhancedParams, apiKey, sourceConfig);
+      break;
     default:
       if (Notice) new Notice(`Handler not implemented for: ${sourceConfig.name}`, 3000);
       return;
@@ -6,6 +6,9 @@
 //   - Health (health/daily/)
 //   - Workouts (health/workouts/)
 //
+// Books also report open loans (lent out / borrowed) and which are overdue;
+// the overdue list is carried into summary.json.
+//
 // Can be run standalone or called from other scripts after imports.
 //
 // iOS compatible: uses app.vault.adapter
@@ -114,6 +117,26 @@ async function getMarkdownFilesRecursive(app, folderPath) {
 // ============================================================================
 // BOOKS SCANNER
 // ============================================================================
+// A loan stays open until returnedDate is set (fields written by books.js)
+function bookLoan(fm) {
+  if (String(fm.returnedDate || "").trim()) return null;
+  const lentTo = stripWikilink(fm.lentTo);
+  const borrowedFrom = stripWikilink(fm.borrowedFrom);
+  if (!lentTo && !borrowedFrom) return null;
+  return {
+    direction: lentTo ? "lent" : "borrowed",
+    who: lentTo || borrowedFrom,
+    since: String((lentTo ? fm.lentDate : fm.borrowedDate) || "") || null,
+    dueDate: String(fm.dueDate || "") || null,
+  };
+}
+
+function daysOverdue(dueDate, today = localISODate()) {
+  if (!dueDate || dueDate >= today) return 0;
+  const days = Math.round((Date.parse(today) - Date.parse(dueDate)) / 86400000);
+  return Number.isFinite(days) ? days : 0;
+}
+
 async function scanBooks(app) {
   const files = await getMarkdownFilesInFolder(app, SETTINGS.books.folder);
   
@@ -124,6 +147,8 @@ async function scanBooks(app) {
   const formats = new Set();
   let withRating = 0;
   let withCover = 0;
+  const loans = { lent: [], borrowed: [], overdue: [] };
+  const today = localISODate();
   
   const statusCounts = {
     "not-started": 0,
@@ -151,15 +176,24 @@ async function scanBooks(app) {
       publishDate: fm.publishDate || fm.publishedDate || null,
       purchasedDate: fm.purchasedDate || null,
       genre: extractWikilinks(fm.genre),
+      series: stripWikilink(fm.series) || null,
+      seriesIndex: fm.seriesIndex ?? null,
       format: stripWikilink(fm.format) || null,
       store: stripWikilink(fm.purchasedStore) || null,
       hasCover: !!(fm.localCoverImage || fm.coverImage),
       bookKey: fm.bookKey || null,
       source: fm.source || null,
+      loan: bookLoan(fm),
     };
     
     books.push(book);
     
+    if (book.loan) {
+      const entry = { title: book.title, path: book.path, ...book.loan, daysOverdue: daysOverdue(book.loan.dueDate, today) };
+      loans[book.loan.direction].push(entry);
+      if (entry.daysOverdue > 0) loans.overdue.push(entry);
+    }
+    
     // Aggregate stats
     book.author.forEach(a => authors.add(a));
     book.genre.forEach(g => genres.add(g));
@@ -191,6 +225,13 @@ async function scanBooks(app) {
       uniqueStores: stores.size,
       uniqueFormats: formats.size,
       byStatus: statusCounts,
+      lentOut: loans.lent.length,
+      borrowed: loans.borrowed.length,
+      overdue: loans.overdue.length,
+    },
+    loans: {
+      ...loans,
+      overdue: loans.overdue.sort((a, b) => b.daysOverdue - a.daysOverdue),
     },
     authors: [...authors].sort(),
     genres: [...genres].sort(),
@@ -488,6 +529,9 @@ function generateSummary(books, shows, health, workouts) {
       reading: books.stats.byStatus.reading,
       withRating: books.stats.withRating,
       uniqueAuthors: books.stats.uniqueAuthors,
+      lentOut: books.stats.lentOut,
+      borrowed: books.stats.borrowed,
+      overdue: books.loans.overdue.map(({ title, direction, who, dueDate, daysOverdue }) => ({ title, direction, who, dueDate, daysOverdue })),
     },
     shows: {
       movies: shows.stats.movies,
@@ -579,6 +623,20 @@ async function syncTracker(app, options = {}) {
   return results;
 }
 
+// ============================================================================
+// SUMMARY DISPLAY
+// ============================================================================
+function formatOverdueLoans(overdue, limit = 5) {
+  if (!overdue?.length) return [];
+  const lines = [`⏰ Overdue loans: ${overdue.length}`];
+  for (const loan of overdue.slice(0, limit)) {
+    const who = loan.direction === "lent" ? `lent to ${loan.who}` : `from ${loan.who}`;
+    lines.push(`   ${loan.title} (${who}, due ${loan.dueDate}, ${loan.daysOverdue}d late)`);
+  }
+  if (overdue.length > limit) lines.push(`   ...and ${overdue.length - limit} more`);
+  return lines;
+}
+
 // ============================================================================
 // QUICKADD ENTRY POINT
 // ============================================================================
@@ -617,6 +675,7 @@ module.exports = {
         `📊 Vault Summary (${summary.generated})`,
         "",
         `📚 Books: ${summary.books.total} (${summary.books.finished} finished, ${summary.books.reading} reading)`,
+        ...formatOverdueLoans(summary.books.overdue),
         `🎬 Movies: ${summary.shows.movies} (${summary.shows.moviesWatched} watched)`,
         `📺 Series: ${summary.shows.series} (${summary.shows.episodes} episodes)`,
         `📝 Watch Logs: ${summary.shows.watchLogs}`,
@@ -654,6 +713,7 @@ module.exports = {
     // Build result message
     const parts = [];
     if (results.books) parts.push(`📚 ${results.books.stats.total} books`);
+    if (results.books?.stats.overdue) parts.push(`⏰ ${results.books.stats.overdue} overdue loans`);
     if (results.shows) parts.push(`🎬 ${results.shows.stats.movies} movies, ${results.shows.stats.series} series`);
     if (results.health) parts.push(`❤️ ${results.health.stats.entries} health entries`);
     if (results.workouts) parts.push(`🏋️ ${results.workouts.stats.total} workouts`);
@@ -10,12 +10,27 @@
 //      - Select from covers folder (pick from books/covers, renames to match book title)
 //      - Search Google Books (find cover by title)
 //      - Search Apple Books (find cover by title)
+//      - Repair covers across vault (batch)
 //
 // The script will download the image and update the localCoverImage frontmatter.
+//
+// Batch repair scans every note in books/books for a localCoverImage that is empty,
+// points to a missing file, or is smaller than the minimum resolution. It queries
+// the configured providers, keeps the largest valid image (optionally confirming
+// each one with thumbnails), and writes a report to .obsidian/book-cover-repair.md.
 // iOS compatible: uses obsidian.requestUrl() from params
 
 const SETTINGS = {
   coverFolder: "books/covers",  // Match main add-book-google.js script
+  bookFolder: "books/books",
+  batch: {
+    minWidth: 300,
+    minHeight: 400,
+    providers: ["google", "apple", "openlibrary"],  // Queried in this order
+    candidatesPerProvider: 3,
+    appleCoverSize: 1200,
+    reportFile: ".obsidian/book-cover-repair.md",
+  },
 };
 
 module.exports = {
@@ -33,21 +48,16 @@ async function start(params, settings) {
 
   // Get the active file
   const activeFile = app.workspace.getActiveFile();
-  if (!activeFile) {
-    if (Notice) new Notice("No file is currently open.");
-    return;
-  }
-
-  if (activeFile.extension !== "md") {
-    if (Notice) new Notice("Active file is not a markdown file.");
-    return;
-  }
-
-  // Check it's a book note (has title in frontmatter)
-  const cache = app.metadataCache.getFileCache(activeFile);
+  const cache = activeFile?.extension === "md" ? app.metadataCache.getFileCache(activeFile) : null;
   const fm = cache?.frontmatter;
+
+  // No book note open (no title in frontmatter) - offer the vault-wide repair instead
   if (!fm?.title) {
-    if (Notice) new Notice("This doesn't appear to be a book note (no title in frontmatter).");
+    const runBatch = await qa.yesNoPrompt(
+      "No book note open",
+      "Repair missing and low-resolution covers across the whole vault?"
+    );
+    if (runBatch) await repairCoversBatch(app, obsidian, qa, Notice);
     return;
   }
 
@@ -64,13 +74,19 @@ async function start(params, settings) {
       "Select from covers folder (rename & link)",
       "Search Google Books for cover",
       "Search Apple Books for cover",
+      "Repair covers across vault (batch)",
       "Cancel",
     ],
-    ["url", "vault", "google", "apple", "cancel"]
+    ["url", "vault", "google", "apple", "batch", "cancel"]
   );
 
   if (action === "cancel" || !action) return;
 
+  if (action === "batch") {
+    await repairCoversBatch(app, obsidian, qa, Notice);
+    return;
+  }
+
   let newCoverPath = null;
 
   if (action === "url") {
@@ -225,40 +241,48 @@ async function downloadCover(app, obsidian, url, bookTitle) {
       return null;
     }
 
-    // Determine extension from content-type or URL
-    const contentType = response.headers["content-type"] || "";
-    let ext = "jpg";
-    if (contentType.includes("png")) ext = "png";
-    else if (contentType.includes("gif")) ext = "gif";
-    else if (contentType.includes("webp")) ext = "webp";
-    else if (url.match(/\.(png|gif|webp|jpeg)$/i)) {
-      ext = url.match(/\.(png|gif|webp|jpeg)$/i)[1].toLowerCase();
-      if (ext === "jpeg") ext = "jpg";
-    }
-
-    // Create safe filename
-    const safeName = safeFilename(bookTitle) || "cover";
-    const coverFolder = SETTINGS.coverFolder;
+    const ext = coverExtension(response.headers["content-type"], url);
+    return await saveCoverImage(app, response.arrayBuffer, ext, bookTitle);
+  } catch (e) {
+    console.error("Error downloading cover:", e);
+    return null;
+  }
+}
 
-    // Ensure folder exists
-    await app.vault.adapter.mkdir(coverFolder).catch(() => {});
+// Determine extension from content-type or URL
+function coverExtension(contentType, url) {
+  const type = String(contentType || "");
+  if (type.includes("png")) return "png";
+  if (type.includes("gif")) return "gif";
+  if (type.includes("webp")) return "webp";
+  const match = String(url || "").split("?")[0].match(/\.(png|gif|webp|jpeg)$/i);
+  if (match) {
+    const ext = match[1].toLowerCase();
+    return ext === "jpeg" ? "jpg" : ext;
+  }
+  return "jpg";
+}
 
-    // Generate unique filename
-    let coverPath = `${coverFolder}/${safeName}.${ext}`;
-    let counter = 1;
-    while (await app.vault.adapter.exists(coverPath)) {
-      coverPath = `${coverFolder}/${safeName}-${counter}.${ext}`;
-      counter++;
-    }
+async function saveCoverImage(app, arrayBuffer, ext, bookTitle) {
+  // Create safe filename
+  const safeName = safeFilename(bookTitle) || "cover";
+  const coverFolder = SETTINGS.coverFolder;
 
-    // Write the file (arrayBuffer is iOS compatible)
-    await app.vault.adapter.writeBinary(coverPath, response.arrayBuffer);
+  // Ensure folder exists
+  await app.vault.adapter.mkdir(coverFolder).catch(() => {});
 
-    return coverPath;
-  } catch (e) {
-    console.error("Error downloading cover:", e);
-    return null;
+  // Generate unique filename
+  let coverPath = `${coverFolder}/${safeName}.${ext}`;
+  let counter = 1;
+  while (await app.vault.adapter.exists(coverPath)) {
+    coverPath = `${coverFolder}/${safeName}-${counter}.${ext}`;
+    counter++;
   }
+
+  // Write the file (arrayBuffer is iOS compatible)
+  await app.vault.adapter.writeBinary(coverPath, arrayBuffer);
+
+  return coverPath;
 }
 
 // iOS-compatible Google Books search
@@ -295,6 +319,7 @@ async function searchGoogleBooks(obsidian, query) {
         "";
 
       return {
+        id: item.id || "",
         title: vi.title || "",
         authors: Array.isArray(vi.authors) ? vi.authors : [],
         coverUrl: coverUrl.replace(/^http:/, "https:").replace("&edge=curl", ""),
@@ -354,6 +379,430 @@ async function searchAppleBooks(obsidian, query) {
   }
 }
 
+// ============================================================================
+// BATCH COVER REPAIR
+// ============================================================================
+
+async function repairCoversBatch(app, obsidian, qa, Notice) {
+  const cfg = SETTINGS.batch;
+
+  if (Notice) new Notice("Checking book covers...");
+  const broken = await findBooksNeedingCovers(app);
+  if (broken.length === 0) {
+    if (Notice) new Notice("All book covers look fine.");
+    return;
+  }
+
+  const mode = await qa.suggester(
+    [
+      `Automatic - keep the largest valid cover (${broken.length} books)`,
+      `Confirm each cover with thumbnails (${broken.length} books)`,
+      "Cancel",
+    ],
+    ["auto", "confirm", "cancel"]
+  );
+  if (!mode || mode === "cancel") return;
+
+  const updated = [];
+  const missing = [];
+  const skipped = [];
+
+  for (let i = 0; i < broken.length; i++) {
+    const book = broken[i];
+    if (Notice && i % 10 === 0) new Notice(`Repairing covers... ${i + 1}/${broken.length}`);
+
+    try {
+      const candidates = await findCoverCandidates(obsidian, book);
+      if (candidates.length === 0) {
+        missing.push(book);
+        continue;
+      }
+
+      let chosen = candidates[0];
+      if (mode === "confirm") {
+        chosen = await pickCoverWithModal({ app, obsidian, book, candidates });
+        if (chosen === "stop") break;
+        if (!chosen) {
+          skipped.push(book);
+          continue;
+        }
+      }
+
+      const newPath = await saveCoverImage(app, chosen.arrayBuffer, chosen.ext, book.title);
+      await app.fileManager.processFrontMatter(book.file, (fm) => {
+        fm.localCoverImage = newPath;
+      });
+      await trashUnusedCover(app, book.coverPath, book.file);
+
+      updated.push({ ...book, newPath, chosen });
+    } catch (e) {
+      console.error(`Cover repair failed for ${book.title}:`, e);
+      missing.push({ ...book, reason: `${book.reason}; error: ${e.message}` });
+    }
+  }
+
+  await writeCoverRepairReport(app, { updated, missing, skipped });
+
+  if (Notice) {
+    new Notice(
+      `Covers: ${updated.length} updated, ${missing.length} still missing, ${skipped.length} skipped.\n` +
+      `Report: ${cfg.reportFile}`
+    );
+  }
+}
+
+// Book notes whose localCoverImage is empty, missing on disk, or below the minimum size
+async function findBooksNeedingCovers(app) {
+  const cfg = SETTINGS.batch;
+  const prefix = SETTINGS.bookFolder + "/";
+  const files = app.vault.getMarkdownFiles().filter((f) => f.path.startsWith(prefix));
+  const results = [];
+
+  for (const file of files) {
+    const fm = app.metadataCache.getFileCache(file)?.frontmatter;
+    if (!fm?.title) continue;
+
+    const coverPath = String(fm.localCoverImage || "").trim();
+    let reason = "";
+
+    if (!coverPath) {
+      reason = "no cover";
+    } else if (!(await app.vault.adapter.exists(coverPath))) {
+      reason = "missing file";
+    } else {
+      const size = await readLocalImageSize(app, coverPath);
+      if (!size) reason = "unreadable image";
+      else if (size.width < cfg.minWidth || size.height < cfg.minHeight) {
+        reason = `low resolution (${size.width}x${size.height})`;
+      }
+    }
+
+    if (!reason) continue;
+
+    results.push({
+      file,
+      title: String(fm.title),
+      authors: toNameList(fm.author),
+      isbn: String(fm.isbn13 || fm.isbn10 || "").replace(/[^0-9Xx]/g, ""),
+      coverPath: reason === "no cover" || reason === "missing file" ? "" : coverPath,
+      reason,
+    });
+  }
+
+  return results;
+}
+
+async function readLocalImageSize(app, path) {
+  try {
+    const data = await app.vault.adapter.readBinary(path);
+    return getImageSize(data);
+  } catch (e) {
+    console.error(`Could not read cover ${path}:`, e);
+    return null;
+  }
+}
+
+// Query each configured provider, download the candidates, and keep the valid ones largest first
+async function findCoverCandidates(obsidian, book) {
+  const cfg = SETTINGS.batch;
+  const urls = [];
+
+  for (const provider of cfg.providers) {
+    try {
+      if (provider === "google") urls.push(...(await googleCoverUrls(obsidian, book)));
+      else if (provider === "apple") urls.push(...(await appleCoverUrls(obsidian, book)));
+      else if (provider === "openlibrary") urls.push(...openLibraryCoverUrls(book));
+    } catch (e) {
+      console.error(`Cover provider ${provider} failed for ${book.title}:`, e);
+    }
+  }
+
+  const seen = new Set();
+  const candidates = [];
+  for (const { provider, url } of urls) {
+    if (!url || seen.has(url)) continue;
+    seen.add(url);
+
+    const image = await fetchCoverImage(obsidian, url);
+    if (!image) continue;
+    if (image.width < cfg.minWidth || image.height < cfg.minHeight) continue;
+    candidates.push({ provider, url, ...image });
+  }
+
+  candidates.sort((a, b) => (b.width * b.height) - (a.width * a.height));
+  return candidates;
+}
+
+async function googleCoverUrls(obsidian, book) {
+  const cfg = SETTINGS.batch;
+  const query = book.isbn
+    ? `isbn:${book.isbn}`
+    : `intitle:${book.title}${book.authors[0] ? ` inauthor:${book.authors[0]}` : ""}`;
+  const results = (await searchGoogleBooks(obsidian, query))
+    .filter((r) => book.isbn || coverResultMatchesBook(r, book))
+    .slice(0, cfg.candidatesPerProvider);
+
+  // Search results only include thumbnails; the volume endpoint has the larger sizes
+  const urls = [];
+  for (const r of results) {
+    const large = r.id ? await getGoogleVolumeCoverUrl(obsidian, r.id) : "";
+    if (large) urls.push({ provider: "Google Books", url: large });
+    if (r.coverUrl) urls.push({ provider: "Google Books", url: r.coverUrl });
+  }
+  return urls;
+}
+
+async function getGoogleVolumeCoverUrl(obsidian, volumeId) {
+  try {
+    const url = `https://www.googleapis.com/books/v1/volumes/${encodeURIComponent(volumeId)}`;
+    const response = await obsidian.requestUrl({ url, method: "GET" });
+    if (response.status !== 200) return "";
+
+    const imageLinks = response.json?.volumeInfo?.imageLinks || {};
+    const coverUrl = imageLinks.extraLarge || imageLinks.large || imageLinks.medium || "";
+    return coverUrl.replace(/^http:/, "https:").replace("&edge=curl", "");
+  } catch (e) {
+    console.error("Google Books volume error:", e);
+    return "";
+  }
+}
+
+async function appleCoverUrls(obsidian, book) {
+  const cfg = SETTINGS.batch;
+  const size = cfg.appleCoverSize;
+  const query = [book.title, book.authors[0]].filter(Boolean).join(" ");
+  const results = (await searchAppleBooks(obsidian, query))
+    .filter((r) => r.coverUrl && coverResultMatchesBook(r, book))
+    .slice(0, cfg.candidatesPerProvider);
+
+  return results.map((r) => ({
+    provider: "Apple Books",
+    url: r.coverUrl.replace(/\/\d+x\d+bb\./i, `/${size}x${size}bb.`),
+  }));
+}
+
+function openLibraryCoverUrls(book) {
+  if (!book.isbn) return [];
+  // default=false makes Open Library return 404 instead of a blank placeholder
+  return [{ provider: "Open Library", url: `https://covers.openlibrary.org/b/isbn/${book.isbn}-L.jpg?default=false` }];
+}
+
+async function fetchCoverImage(obsidian, url) {
+  try {
+    const response = await obsidian.requestUrl({ url, method: "GET", throw: false });
+    if (response.status !== 200 || !response.arrayBuffer) return null;
+
+    const size = getImageSize(response.arrayBuffer);
+    if (!size) return null;
+
+    return {
+      ...size,
+      arrayBuffer: response.arrayBuffer,
+      ext: coverExtension(response.headers?.["content-type"], url),
+    };
+  } catch (e) {
+    console.error("Cover fetch failed:", url, e);
+    return null;
+  }
+}
+
+// Title search results must share the title and (when known) an author surname
+function coverResultMatchesBook(result, book) {
+  const wanted = normaliseTitle(book.title);
+  const found = normaliseTitle(result.title);
+  if (!wanted || !found) return false;
+  if (!found.includes(wanted) && !wanted.includes(found)) return false;
+
+  if (book.authors.length === 0) return true;
+  const resultAuthors = normaliseTitle((result.authors || []).join(" "));
+  return book.authors.some((a) => {
+    const surname = normaliseTitle(a).split(" ").pop();
+    return surname && resultAuthors.includes(surname);
+  });
+}
+
+function normaliseTitle(str) {
+  return String(str || "")
+    .toLowerCase()
+    .split(":")[0]
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function toNameList(value) {
+  const list = Array.isArray(value) ? value : value ? [value] : [];
+  return list
+    .map((v) => String(v).replace(/^\[\[/, "").replace(/\]\]$/, "").split("|")[0].trim())
+    .filter(Boolean);
+}
+
+// Read width/height from PNG, JPEG, GIF, or WebP headers
+function getImageSize(arrayBuffer) {
+  if (!arrayBuffer) return null;
+  const bytes = new Uint8Array(arrayBuffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 24) return null;
+
+  // PNG: IHDR chunk
+  if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+    return { width: view.getUint32(16), height: view.getUint32(20) };
+  }
+
+  // GIF: logical screen size
+  if (bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46) {
+    return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+  }
+
+  // WebP: VP8 / VP8L / VP8X
+  if (String.fromCharCode(...bytes.slice(0, 4)) === "RIFF" && String.fromCharCode(...bytes.slice(8, 12)) === "WEBP") {
+    const chunk = String.fromCharCode(...bytes.slice(12, 16));
+    if (chunk === "VP8 " && bytes.length >= 30) {
+      return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+    }
+    if (chunk === "VP8L" && bytes.length >= 25) {
+      const bits = view.getUint32(21, true);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === "VP8X" && bytes.length >= 30) {
+      const width = 1 + (bytes[24] | (bytes[25] << 8) | (bytes[26] << 16));
+      const height = 1 + (bytes[27] | (bytes[28] << 8) | (bytes[29] << 16));
+      return { width, height };
+    }
+    return null;
+  }
+
+  // JPEG: walk segments to the first SOF marker
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+      if (bytes[offset] !== 0xff) return null;
+      const marker = bytes[offset + 1];
+      const length = view.getUint16(offset + 2);
+      const isSOF = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+      if (isSOF) {
+        return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+      }
+      offset += 2 + length;
+    }
+  }
+
+  return null;
+}
+
+// Trash the replaced cover unless another note still points at it
+async function trashUnusedCover(app, coverPath, bookFile) {
+  if (!coverPath || !coverPath.startsWith(SETTINGS.coverFolder + "/")) return;
+
+  const stillUsed = app.vault.getMarkdownFiles().some((f) => {
+    if (f.path === bookFile.path) return false;
+    const fm = app.metadataCache.getFileCache(f)?.frontmatter;
+    return String(fm?.localCoverImage || "").trim() === coverPath;
+  });
+  if (stillUsed) return;
+
+  const file = app.vault.getAbstractFileByPath(coverPath);
+  if (file) await app.vault.trash(file, true);
+}
+
+async function writeCoverRepairReport(app, { updated, missing, skipped }) {
+  const reportPath = SETTINGS.batch.reportFile;
+  const link = (book, sep = "|") => `[[${book.file.path.replace(/\.md$/, "")}${sep}${book.title}]]`;
+
+  let content = `# Book Cover Repair Report\n\n`;
+  content += `**Generated:** ${new Date().toISOString()}\n`;
+  content += `**Minimum size:** ${SETTINGS.batch.minWidth}x${SETTINGS.batch.minHeight}\n\n`;
+
+  content += `## ✅ Updated (${updated.length})\n\n`;
+  if (updated.length > 0) {
+    content += `| Book | Problem | Source | Size | New cover |\n`;
+    content += `|------|---------|--------|------|-----------|\n`;
+    for (const b of updated) {
+      content += `| ${link(b, "\\|")} | ${b.reason} | ${b.chosen.provider} | ${b.chosen.width}x${b.chosen.height} | ${b.newPath} |\n`;
+    }
+    content += `\n`;
+  }
+
+  content += `## ❌ Still no cover (${missing.length})\n\n`;
+  for (const b of missing) content += `- ${link(b)} - ${b.reason}\n`;
+  content += `\n`;
+
+  if (skipped.length > 0) {
+    content += `## ⏭️ Skipped (${skipped.length})\n\n`;
+    for (const b of skipped) content += `- ${link(b)} - ${b.reason}\n`;
+    content += `\n`;
+  }
+
+  try {
+    await app.vault.adapter.write(reportPath, content);
+  } catch (e) {
+    console.error("Failed to write cover repair report:", e);
+  }
+}
+
+// Thumbnail picker for the confirm step; resolves a candidate, null (skip), or "stop"
+function createCoverSuggestModal(obsidian, app, book, candidates) {
+  const SuggestModal = obsidian?.SuggestModal;
+  if (!SuggestModal) return null;
+
+  const items = [
+    ...candidates,
+    { action: "skip", label: "Skip this book" },
+    { action: "stop", label: "Stop repairing covers" },
+  ];
+
+  return class CoverSuggestModal extends SuggestModal {
+    constructor() {
+      super(app);
+      this.setPlaceholder(`Cover for ${book.title} (${book.reason})`);
+      this.emptyStateText = "No covers";
+      this.onChoose = null;
+    }
+    getSuggestions() { return items; }
+    renderSuggestion(item, el) {
+      el.style.display = "flex";
+      el.style.alignItems = "center";
+      el.style.gap = "12px";
+      el.style.padding = "8px 10px";
+      if (item.action) {
+        el.createEl("div", { text: item.label });
+        return;
+      }
+      const img = el.createEl("img", { attr: { src: item.url, alt: `Cover from ${item.provider}` } });
+      img.style.pointerEvents = "none";
+      img.style.width = "60px";
+      img.style.height = "90px";
+      img.style.objectFit = "cover";
+      img.style.borderRadius = "4px";
+      img.style.flex = "0 0 auto";
+      const text = el.createEl("div");
+      text.createEl("div", { text: item.provider }).style.fontWeight = "600";
+      text.createEl("small", { text: `${item.width}x${item.height}` }).style.opacity = "0.8";
+    }
+    onChooseSuggestion(item) {
+      if (typeof this.onChoose === "function") this.onChoose(item);
+    }
+  };
+}
+
+async function pickCoverWithModal({ app, obsidian, book, candidates }) {
+  const ModalClass = createCoverSuggestModal(obsidian, app, book, candidates);
+  if (!ModalClass) return candidates[0];
+
+  return await new Promise((resolve) => {
+    const modal = new ModalClass();
+    let chosen = false;
+    modal.onChoose = (item) => {
+      chosen = true;
+      if (item?.action === "stop") resolve("stop");
+      else if (item?.action === "skip") resolve(null);
+      else resolve(item || null);
+    };
+    // SuggestModal closes before calling onChooseSuggestion, so wait a tick before treating close as skip
+    modal.onClose = () => setTimeout(() => { if (!chosen) resolve(null); }, 0);
+    modal.open();
+  });
+}
+
 function safeFilename(str) {
   if (!str) return "";
   let s = String(str)
@@ -1,22 +1,477 @@
-module.exports = async (params) => {
-  const vars = params.variables ?? {};
-  const raw = (vars.summary ?? vars.output ?? "").trim(); // supports either variable name
-  if (!raw) throw new Error("AI output variable was empty (expected summary/output).");
+// write-ai-summary.js — QuickAdd script for Obsidian
+//
+// Second half of the interactive summary macro: set-book-vars.js → write-ai-summary.js.
+// Generates the summary with the AI backend configured in .obsidian/quickadd-secrets.json
+// (the same one batch-ai-summaries.js uses) and writes it to ai_summary on the active note.
+// If the macro still has a QuickAdd AI Assistant step, its output variable is validated
+// and used when it passes.
+//
+// Prompts come from the template notes in Templates/AI Prompts, and outputs are validated
+// the same way as batch-ai-summaries.js: rejected outputs are retried, then logged to
+// .obsidian/ai-summary-rejected.md instead of being written.
+//
+// ============================================================================
+// Utilities copied from lib/quickadd-core.js:
+//   - Secrets: loadSecrets
+//   - LLM: AI_BACKEND_DEFAULTS, resolveAiBackend, describeAiBackend, callAiBackend, stubAiResponse
+//   - Prompts: loadPromptTemplates, toLowerList, selectPromptTemplate, renderPromptTemplate
+//   - Validation: countWords, findCopiedPassage, validateAiOutput, appendRejectedOutput
+// ============================================================================
+
+const SETTINGS = {
+  secretsFile: ".obsidian/quickadd-secrets.json",
+
+  // Prompt template notes (shared with batch-ai-summaries.js)
+  prompts: {
+    folder: "Templates/AI Prompts",
+    defaults: { book: "Book Summary" },
+  },
+
+  // Output validation (templates can override minWords/maxWords)
+  validation: {
+    minWords: 120,
+    maxWords: 180,
+    copyRunLength: 10, // Consecutive words shared with description that count as copying
+    maxRetries: 2,
+    rejectedLogFile: ".obsidian/ai-summary-rejected.md",
+  },
+};
+
+// Written to Templates/AI Prompts/<name>.md when missing
+const DEFAULT_PROMPT_TEMPLATES = {
+  book: `---
+types: [book]
+genres: []
+formats: []
+minWords: 120
+maxWords: 180
+---
+Write a high-quality book summary using the metadata below. Do not quote the existing description.
+British English. {{minWords}} to {{maxWords}} words. No fluff.
+
+Output EXACTLY one YAML line only, using double quotes, like:
+ai_summary: "..."
 
-  // If the model returned a YAML line, extract the value; otherwise use raw.
-  let text = raw;
-  const m = raw.match(/^ai_summary:\s*"(.*)"\s*$/);
-  if (m) text = m[1].replace(/\\"/g, '"');
+The value must be a single line (no newlines). Escape any " characters with \\".
 
-  // Force single-line frontmatter-safe text
-  const oneLine = text.replace(/\s+/g, " ").trim();
+Metadata:
+Title: {{title}}
+Subtitle: {{subtitle}}
+Author: {{author}}
+ISBN-13: {{isbn13}}
+ISBN-10: {{isbn10}}
+Publisher: {{publisher}}
+Published: {{publishDate}}
+Genre: {{genre}}
+Format: {{format}}
+Existing description: {{description}}
+`,
+};
+
+// Appended to the prompt after a rejected attempt
+const RETRY_INSTRUCTION = `
+
+Your previous answer was rejected: {{reason}}.
+Write between {{minWords}} and {{maxWords}} words, in your own words, without reusing phrases from the existing description.
+Output only the single ai_summary line.`;
+
+module.exports = async (params) => {
+  const vars = params.variables ?? {};
+  const obsidian = params.obsidian;
+  const Notice = obsidian?.Notice;
 
   const file = app.workspace.getActiveFile();
   if (!file) throw new Error("No active file.");
+  if (!vars.title) throw new Error("No book variables found (run set-book-vars.js first).");
+
+  const templates = await loadSummaryTemplates(app);
+  let summary = "";
+
+  // Output from a QuickAdd AI Assistant step, if the macro still has one
+  const raw = (vars.summary ?? vars.output ?? "").trim(); // supports either variable name
+  if (raw) {
+    const candidate = parseAiResponse(raw);
+    const check = validateAiOutput(candidate, summaryRules(templates, vars));
+    if (check.ok) summary = candidate;
+    else {
+      await appendRejectedOutput(app, SETTINGS.validation.rejectedLogFile, {
+        note: file.path, template: "QuickAdd AI Assistant", attempt: 0, reason: check.reason, output: candidate,
+      });
+    }
+  }
+
+  if (!summary) {
+    const secrets = await loadSecrets(app, SETTINGS.secretsFile);
+    const backend = resolveAiBackend(secrets);
+    if (Notice) new Notice(`Generating summary with ${describeAiBackend(backend)}...`);
+    try {
+      summary = await generateSummary({
+        app, obsidian, backend, templates, fm: vars, filename: file.basename, notePath: file.path,
+      });
+    } catch (e) {
+      if (Notice) new Notice(`${e.message}\nSee ${SETTINGS.validation.rejectedLogFile}`);
+      throw e;
+    }
+  }
 
   await app.fileManager.processFrontMatter(file, (fm) => {
-    fm.ai_summary = oneLine;
+    fm.ai_summary = summary;
   });
 
   return "";
 };
+
+// Word bounds for the template that applies to this book
+function summaryRules(templates, fm) {
+  const cfg = SETTINGS.validation;
+  const template = selectPromptTemplate(templates, { type: "book", genres: fm.genre, format: fm.format }) || {};
+  return {
+    minWords: template.minWords || cfg.minWords,
+    maxWords: template.maxWords || cfg.maxWords,
+    source: fm.description || "",
+    runLength: cfg.copyRunLength,
+  };
+}
+
+// Placeholder values for prompt templates
+function buildPromptValues(fm, filename) {
+  const normaliseList = (v) => {
+    if (Array.isArray(v)) {
+      return v
+        .map((x) => String(x || "").replace(/^\[\[/, "").replace(/\]\]$/, "").split("|")[0].trim())
+        .filter(Boolean)
+        .join(", ");
+    }
+    if (typeof v === "string") {
+      return v.replace(/^\[\[/, "").replace(/\]\]$/, "").split("|")[0].trim();
+    }
+    return v ? String(v) : "";
+  };
+
+  return {
+    title: fm.title || filename,
+    subtitle: fm.subtitle || "",
+    author: normaliseList(fm.author),
+    isbn13: fm.isbn13 || "",
+    isbn10: fm.isbn10 || "",
+    publisher: fm.publisher || "",
+    publishDate: fm.publishDate || "",
+    genre: normaliseList(fm.genre),
+    format: fm.format || "",
+    description: fm.description || "",
+  };
+}
+
+// Load template notes, creating any missing default ones
+async function loadSummaryTemplates(app) {
+  const { folder, defaults } = SETTINGS.prompts;
+  const missing = Object.entries(defaults)
+    .map(([type, name]) => ({ type, path: `${folder}/${name}.md` }))
+    .filter(({ path }) => !app.vault.getAbstractFileByPath(path));
+
+  if (missing.length > 0) {
+    await app.vault.adapter.mkdir(folder).catch(() => {});
+    for (const { type, path } of missing) await app.vault.create(path, DEFAULT_PROMPT_TEMPLATES[type]);
+  }
+
+  const templates = await loadPromptTemplates(app, folder);
+
+  // Default notes written before `types` existed still belong to their own type
+  for (const t of templates) {
+    const legacyType = Object.keys(defaults).find((type) => defaults[type] === t.name);
+    if (legacyType && t.types.length === 0) t.types = [legacyType];
+  }
+
+  // Metadata cache may not have new notes yet - fall back to the built-in prompts
+  for (const [type, name] of Object.entries(defaults)) {
+    if (templates.some((t) => t.types.includes(type))) continue;
+    const body = DEFAULT_PROMPT_TEMPLATES[type].replace(/^---\n[\s\S]*?\n---\n?/, "").trim();
+    templates.push({ name, path: `${folder}/${name}.md`, body, types: [type], genres: [], formats: [], minWords: 0, maxWords: 0 });
+  }
+  return templates;
+}
+
+// Generate and validate a summary, retrying with a stricter prompt.
+// Rejected outputs are logged and never returned.
+async function generateSummary({ app, obsidian, backend, templates, fm, filename, notePath }) {
+  const cfg = SETTINGS.validation;
+  const values = buildPromptValues(fm, filename);
+  const template = selectPromptTemplate(templates, { type: "book", genres: fm.genre, format: fm.format });
+  if (!template) throw new Error(`No prompt template matches (add a default note to ${SETTINGS.prompts.folder})`);
+
+  const rules = {
+    minWords: template.minWords || cfg.minWords,
+    maxWords: template.maxWords || cfg.maxWords,
+    source: values.description,
+    runLength: cfg.copyRunLength,
+  };
+  const promptValues = { ...values, minWords: rules.minWords, maxWords: rules.maxWords };
+  const basePrompt = renderPromptTemplate(template.body, promptValues);
+  // The stub's fixed one-liner only exercises the wiring, so skip the word bounds for it
+  const checkRules = backend.type === "stub" ? { ...rules, minWords: 0, maxWords: 0 } : rules;
+
+  let prompt = basePrompt;
+  let reason = "";
+  for (let attempt = 1; attempt <= cfg.maxRetries + 1; attempt++) {
+    const response = await callAiBackend(obsidian, backend, prompt);
+    const summary = parseAiResponse(response);
+    const check = validateAiOutput(summary, checkRules);
+    if (check.ok) return summary;
+
+    reason = check.reason;
+    await appendRejectedOutput(app, cfg.rejectedLogFile, {
+      note: notePath,
+      template: template.name,
+      attempt,
+      reason,
+      output: summary || response,
+    });
+    prompt = basePrompt + renderPromptTemplate(RETRY_INSTRUCTION, { ...promptValues, reason });
+  }
+
+  throw new Error(`Rejected after ${cfg.maxRetries + 1} attempts: ${reason}`);
+}
+
+// Parse AI response to extract summary
+function parseAiResponse(response) {
+  const text = String(response || "").trim();
+
+  // Try to extract from YAML format: ai_summary: "..."
+  const yamlMatch = text.match(/^ai_summary:\s*"(.*)"\s*$/m);
+  if (yamlMatch) {
+    return yamlMatch[1].replace(/\\"/g, '"');
+  }
+
+  // If no YAML format, use the raw response (cleaned up)
+  const cleaned = text
+    .replace(/^ai_summary:\s*/i, "")
+    .replace(/^["']|["']$/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return cleaned;
+}
+
+// ============================================================================
+// LLM BACKENDS (from quickadd-core.js)
+// ============================================================================
+
+// Defaults; override per backend in the secrets file under "aiBackends" and pick one with "aiBackend"
+const AI_BACKEND_DEFAULTS = {
+  backend: "ollama",
+  backends: {
+    // Ollama native API
+    ollama: { type: "ollama", url: "http://localhost:11434/api/generate", model: "llama3.1:latest", timeout: 60000, apiKey: "" },
+    // Any OpenAI-compatible server: llama.cpp server, LM Studio, vLLM
+    openai: { type: "openai", url: "http://localhost:8080/v1/chat/completions", model: "local-model", timeout: 120000, apiKey: "" },
+    // Deterministic offline responses for testing
+    stub: { type: "stub", url: "", model: "stub", timeout: 0, apiKey: "", response: "" },
+  },
+};
+
+function resolveAiBackend(secrets = {}, backendName = "") {
+  const name = backendName || secrets.aiBackend || AI_BACKEND_DEFAULTS.backend;
+  const base = AI_BACKEND_DEFAULTS.backends[name] || {};
+  const override = secrets.aiBackends?.[name] || {};
+  const config = { name, ...base, ...override };
+  if (!config.type) config.type = name;
+  if (!["ollama", "openai", "stub"].includes(config.type)) {
+    throw new Error(`Unknown AI backend type "${config.type}" (expected ollama, openai, or stub)`);
+  }
+  return config;
+}
+
+function describeAiBackend(backend) {
+  return `${backend.name} (${backend.model})`;
+}
+
+async function callAiBackend(obsidian, backend, prompt) {
+  if (backend.type === "stub") return stubAiResponse(backend, prompt);
+
+  if (!obsidian?.requestUrl) {
+    throw new Error("obsidian.requestUrl is not available");
+  }
+
+  const headers = { "Content-Type": "application/json" };
+  if (backend.apiKey) headers.Authorization = `Bearer ${backend.apiKey}`;
+
+  const body = backend.type === "ollama"
+    ? { model: backend.model, prompt, stream: false }
+    : { model: backend.model, messages: [{ role: "user", content: prompt }], stream: false };
+
+  let timeoutId;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      reject(new Error(`${backend.name} request timed out`));
+    }, backend.timeout || 60000);
+  });
+
+  try {
+    const response = await Promise.race([
+      obsidian.requestUrl({
+        url: backend.url,
+        method: "POST",
+        headers,
+        body: JSON.stringify(body),
+        throw: false,
+      }),
+      timeoutPromise,
+    ]);
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`${backend.name} returned HTTP ${response.status}`);
+    }
+
+    const data = typeof response.json === "object" ? response.json : JSON.parse(response.text || "{}");
+    if (backend.type === "ollama") return data.response || "";
+    return data.choices?.[0]?.message?.content || "";
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function stubAiResponse(backend, prompt) {
+  if (backend.response) return backend.response;
+  let hash = 5381;
+  for (let i = 0; i < prompt.length; i++) hash = ((hash * 33) ^ prompt.charCodeAt(i)) >>> 0;
+  return `ai_summary: "Stub summary for a ${prompt.length}-character prompt (${hash.toString(16)})."`;
+}
+
+// ============================================================================
+// AI PROMPT TEMPLATES & VALIDATION (from quickadd-core.js)
+// ============================================================================
+
+async function loadPromptTemplates(app, folder) {
+  const prefix = folder.replace(/\/+$/, "") + "/";
+  const files = app.vault.getMarkdownFiles().filter((f) => f.path.startsWith(prefix));
+  const templates = [];
+
+  for (const file of files) {
+    const fm = app.metadataCache.getFileCache(file)?.frontmatter || {};
+    const text = await app.vault.read(file);
+    const body = text.replace(/^---\n[\s\S]*?\n---\n?/, "").trim();
+    if (!body) continue;
+
+    templates.push({
+      name: file.basename,
+      path: file.path,
+      body,
+      types: toLowerList(fm.types),
+      genres: toLowerList(fm.genres),
+      formats: toLowerList(fm.formats),
+      minWords: Number(fm.minWords) || 0,
+      maxWords: Number(fm.maxWords) || 0,
+    });
+  }
+
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function toLowerList(value) {
+  const list = Array.isArray(value) ? value : value ? String(value).split(",") : [];
+  return list
+    .map((v) => String(v || "").replace(/^\[\[/, "").replace(/\]\]$/, "").split("|")[0].trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// A type match outranks format/genre; untyped templates are the fallback
+function selectPromptTemplate(templates, { type = "", genres = [], format = "" } = {}) {
+  const noteType = String(type || "").toLowerCase();
+  const noteGenres = toLowerList(genres);
+  const noteFormat = String(format || "").toLowerCase();
+  let best = null;
+  let bestScore = -1;
+
+  for (const t of templates) {
+    let score = 0;
+    if (t.types.length > 0) {
+      if (!t.types.includes(noteType)) continue;
+      score += 8;
+    }
+    if (t.formats.length > 0) {
+      if (!t.formats.includes(noteFormat)) continue;
+      score += 4;
+    }
+    if (t.genres.length > 0) {
+      if (!t.genres.some((g) => noteGenres.includes(g))) continue;
+      score += 2;
+    }
+    if (score > bestScore) {
+      best = t;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+function renderPromptTemplate(template, values) {
+  return String(template || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    const v = values[key];
+    return v === undefined || v === null ? "" : String(v);
+  });
+}
+
+function countWords(text) {
+  return String(text || "").trim().split(/\s+/).filter(Boolean).length;
+}
+
+function findCopiedPassage(output, source, runLength = 10) {
+  const words = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9'\s]/g, " ").split(/\s+/).filter(Boolean);
+  const out = words(output);
+  const src = words(source);
+  if (out.length < runLength || src.length < runLength) return "";
+
+  const runs = new Set();
+  for (let i = 0; i + runLength <= src.length; i++) runs.add(src.slice(i, i + runLength).join(" "));
+  for (let i = 0; i + runLength <= out.length; i++) {
+    const run = out.slice(i, i + runLength).join(" ");
+    if (runs.has(run)) return run;
+  }
+  return "";
+}
+
+function validateAiOutput(text, { minWords = 0, maxWords = 0, source = "", runLength = 10 } = {}) {
+  const words = countWords(text);
+  if (!words) return { ok: false, reason: "empty output", words };
+  if (minWords && words < minWords) return { ok: false, reason: `too short (${words} words, minimum ${minWords})`, words };
+  if (maxWords && words > maxWords) return { ok: false, reason: `too long (${words} words, maximum ${maxWords})`, words };
+  const copied = findCopiedPassage(text, source, runLength);
+  if (copied) return { ok: false, reason: `copies the existing description ("${copied}")`, words };
+  return { ok: true, reason: "", words };
+}
+
+async function appendRejectedOutput(app, logFile, entry) {
+  try {
+    const exists = await app.vault.adapter.exists(logFile);
+    const header = exists ? await app.vault.adapter.read(logFile) : "# Rejected AI Output\n";
+    const block = [
+      ``,
+      `## ${entry.note} (${new Date().toISOString()})`,
+      `- Template: ${entry.template || "built-in"}`,
+      `- Attempt: ${entry.attempt}`,
+      `- Reason: ${entry.reason}`,
+      ``,
+      `> ${String(entry.output || "").replace(/\s+/g, " ").trim()}`,
+      ``,
+    ].join("\n");
+    await app.vault.adapter.write(logFile, header.trimEnd() + "\n" + block);
+  } catch (e) {
+    console.error("Failed to log rejected AI output:", e);
+  }
+}
+
+// ============================================================================
+// SECRETS LOADING (from quickadd-core.js)
+// ============================================================================
+
+async function loadSecrets(app, secretsFile = ".obsidian/quickadd-secrets.json") {
+  try {
+    const exists = await app.vault.adapter.exists(secretsFile);
+    if (!exists) return {};
+    const raw = await app.vault.adapter.read(secretsFile);
+    return JSON.parse(raw);
+  } catch {
+    return {};
+  }
+}
@@ -0,0 +1,144 @@
+// ============================================================================
+// MOCK JELLYFIN SERVER
+// ============================================================================
+// Minimal stand-in for a Jellyfin server, for testing the Jellyfin source in
+// shows.js without a real library. No dependencies - plain Node.js.
+//
+// Usage:
+//   node scripts/dev/mock-jellyfin-server.js [port]      (default port 8096)
+//
+// Then in .obsidian/quickadd-secrets.json:
+//   "jellyfinServerUrl": "http://localhost:8096",
+//   "jellyfinApiKey": "mock-token"
+//
+// Serves:
+//   GET  /Users                                  - one user
+//   GET  /Items?userId=...&Filters=IsPlayed      - played movies/episodes
+//   GET  /Items?ids=a,b                          - items by ID (series lookup)
+//   POST /user_usage_stats/submit_custom_query   - Playback Reporting sessions
+//
+// Set MOCK_JELLYFIN_NO_PLUGIN=1 to answer 404 for Playback Reporting, which
+// exercises the last-played-date fallback.
+// ============================================================================
+
+const http = require("http");
+
+const PORT = Number(process.argv[2]) || 8096;
+const TOKEN = "mock-token";
+const USER_ID = "4f1c2b7a9d3e4c1b8a6f0e2d5c7b9a13";
+
+const SERIES = [
+  {
+    Id: "a1b2c3d4e5f60718293a4b5c6d7e8f90",
+    Name: "Breaking Bad",
+    Type: "Series",
+    ProductionYear: 2008,
+    ProviderIds: { Tmdb: "1396", Imdb: "tt0903747", Tvdb: "81189" },
+  },
+];
+
+const PLAYED = [
+  {
+    Id: "0f9e8d7c6b5a49382716a5b4c3d2e1f0",
+    Name: "Heat",
+    Type: "Movie",
+    ProductionYear: 1995,
+    ProviderIds: { Tmdb: "949", Imdb: "tt0113277" },
+    UserData: { Played: true, PlayCount: 2, LastPlayedDate: "2024-03-10T21:14:00.0000000Z" },
+  },
+  {
+    Id: "11112222333344445555666677778888",
+    Name: "Pilot",
+    Type: "Episode",
+    SeriesName: "Breaking Bad",
+    SeriesId: "a1b2c3d4e5f60718293a4b5c6d7e8f90",
+    ParentIndexNumber: 1,
+    IndexNumber: 1,
+    ProviderIds: { Tmdb: "62085", Tvdb: "349232" },
+    UserData: { Played: true, PlayCount: 1, LastPlayedDate: "2024-03-11T20:00:00.0000000Z" },
+  },
+  {
+    Id: "99998888777766665555444433332222",
+    Name: "Cat's in the Bag...",
+    Type: "Episode",
+    SeriesName: "Breaking Bad",
+    SeriesId: "a1b2c3d4e5f60718293a4b5c6d7e8f90",
+    ParentIndexNumber: 1,
+    IndexNumber: 2,
+    ProviderIds: { Tmdb: "62086" },
+    UserData: { Played: true, PlayCount: 1, LastPlayedDate: "2024-03-12T20:00:00.0000000Z" },
+  },
+  {
+    // Marked played without ever being played through the server
+    Id: "abcdefabcdefabcdefabcdefabcdefab",
+    Name: "The Thing",
+    Type: "Movie",
+    ProductionYear: 1982,
+    ProviderIds: { Imdb: "tt0084787" },
+    UserData: { Played: true, PlayCount: 0 },
+  },
+];
+
+// Playback Reporting stores dashed or undashed GUIDs depending on version
+const SESSIONS = [
+  ["2024-01-05 20:31:02.1234567", "0f9e8d7c-6b5a-4938-2716-a5b4c3d2e1f0", "Movie", "Heat", 10200],
+  ["2024-03-10 21:14:00.0000000", "0f9e8d7c6b5a49382716a5b4c3d2e1f0", "Movie", "Heat", 9800],
+  ["2024-03-10 23:59:00.0000000", "0f9e8d7c6b5a49382716a5b4c3d2e1f0", "Movie", "Heat", 600], // same-day rewatch
+  ["2024-03-11 19:05:00.0000000", "11112222333344445555666677778888", "Episode", "Breaking Bad - s01e01 - Pilot", 45],
+  ["2024-03-11 20:00:00.0000000", "11112222333344445555666677778888", "Episode", "Breaking Bad - s01e01 - Pilot", 3480],
+];
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function authorized(req) {
+  const auth = req.headers["authorization"] || "";
+  return auth.includes(`Token="${TOKEN}"`);
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  console.log(`${req.method} ${url.pathname}${url.search}`);
+
+  if (!authorized(req)) return send(res, 401, { error: "Unauthorized" });
+
+  if (req.method === "GET" && url.pathname === "/Users") {
+    return send(res, 200, [{ Id: USER_ID, Name: "mock" }]);
+  }
+
+  if (req.method === "GET" && url.pathname === "/Items") {
+    const ids = url.searchParams.get("ids");
+    if (ids) {
+      const wanted = new Set(ids.split(",").map(id => id.replace(/-/g, "").toLowerCase()));
+      const items = [...SERIES, ...PLAYED].filter(item => wanted.has(item.Id));
+      return send(res, 200, { Items: items, TotalRecordCount: items.length });
+    }
+    if (url.searchParams.get("userId") !== USER_ID) return send(res, 404, { error: "User not found" });
+    return send(res, 200, { Items: PLAYED, TotalRecordCount: PLAYED.length });
+  }
+
+  if (req.method === "POST" && url.pathname === "/user_usage_stats/submit_custom_query") {
+    if (process.env.MOCK_JELLYFIN_NO_PLUGIN) return send(res, 404);
+    let raw = "";
+    req.on("data", chunk => { raw += chunk; });
+    req.on("end", () => {
+      let query = "";
+      try {
+        query = JSON.parse(raw || "{}").CustomQueryString || "";
+      } catch (e) {
+        return send(res, 400, { message: "Invalid JSON body" });
+      }
+      if (!/FROM PlaybackActivity/i.test(query)) return send(res, 400, { message: "Unsupported query" });
+      send(res, 200, { colums: ["DateCreated", "ItemId", "ItemType", "ItemName", "PlayDuration"], results: SESSIONS, message: "" });
+    });
+    return;
+  }
+
+  send(res, 404, { error: "Not found" });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Jellyfin server on http://localhost:${PORT} (token: ${TOKEN})`);
+});
@@ -15,6 +15,15 @@
 //   9. ENTITY UPSERT (Generic)
 //   10. VISUAL PICKER MODAL
 //   11. IMPORT LIMIT SELECTOR
+//   12. SEARCH UTILITIES
+//   13. INCREMENTAL UPDATE UTILITIES
+//   14. SERIES/SHOW UTILITIES
+//   15. EPISODE MATCHING UTILITIES
+//   16. EPISODE CACHE & MATCHING
+//   17. INTERACTIVE EPISODE PICKER
+//   18. LLM BACKENDS
+//   19. AI PROMPT TEMPLATES & VALIDATION
+//   20. ZIP ARCHIVES
 //
 // iOS compatible: uses app.vault.adapter and obsidian.requestUrl
 
@@ -317,6 +326,64 @@ function parseCSVLine(line) {
   return result;
 }
 
+/**
+ * Parse a CSV string where quoted fields may contain newlines
+ * (e.g. Goodreads reviews). Same return shape as parseCSV, but
+ * _lineNumber is the data record number rather than the text line.
+ * @param {string} text - CSV content
+ * @returns {{headers: string[], rows: Object[]}} - Parsed CSV data
+ */
+function parseCSVRecords(text) {
+  const records = [];
+  let record = [];
+  let current = "";
+  let inQuotes = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const char = src[i];
+    const next = src[i + 1];
+
+    if (inQuotes) {
+      if (char === '"' && next === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(current.trim());
+      current = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && next === "\n") i++;
+      record.push(current.trim());
+      if (record.some((v) => v)) records.push(record);
+      record = [];
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  record.push(current.trim());
+  if (record.some((v) => v)) records.push(record);
+
+  if (records.length < 2) return { headers: [], rows: [] };
+  const headers = records[0];
+  const rows = records.slice(1).map((values, idx) => {
+    const row = {};
+    headers.forEach((h, col) => {
+      row[h.toLowerCase().trim()] = values[col] || "";
+    });
+    row._lineNumber = idx + 2;
+    return row;
+  });
+  return { headers, rows };
+}
+
 // ============================================================================
 // 4. DATE UTILITIES
 // ============================================================================
@@ -1969,6 +2036,492 @@ async function markEpisodeSkipped(app, progressFile, seriesName, episodeKey) {
   }
 }
 
+// ============================================================================
+// 18. LLM BACKENDS
+// ============================================================================
+
+/**
+ * Default backend settings. Any field can be overridden per backend in the
+ * secrets file under "aiBackends", and the active backend chosen with "aiBackend":
+ *
+ *   "aiBackend": "openai",
+ *   "aiBackends": { "openai": { "url": "http://localhost:8080/v1/chat/completions", "model": "qwen2.5", "apiKey": "" } }
+ */
+const AI_BACKEND_DEFAULTS = {
+  backend: "ollama",
+  backends: {
+    // Ollama native API
+    ollama: { type: "ollama", url: "http://localhost:11434/api/generate", model: "llama3.1:latest", timeout: 60000, apiKey: "" },
+    // Any OpenAI-compatible server: llama.cpp server, LM Studio, vLLM
+    openai: { type: "openai", url: "http://localhost:8080/v1/chat/completions", model: "local-model", timeout: 120000, apiKey: "" },
+    // Deterministic offline responses for testing
+    stub: { type: "stub", url: "", model: "stub", timeout: 0, apiKey: "", response: "" },
+  },
+};
+
+/**
+ * Resolve the active backend config from defaults plus secrets overrides
+ * @param {Object} secrets - Parsed secrets file (see loadSecrets)
+ * @param {string} backendName - Force a backend instead of secrets.aiBackend
+ * @returns {Object} - {name, type, url, model, timeout, apiKey, ...}
+ */
+function resolveAiBackend(secrets = {}, backendName = "") {
+  const name = backendName || secrets.aiBackend || AI_BACKEND_DEFAULTS.backend;
+  const base = AI_BACKEND_DEFAULTS.backends[name] || {};
+  const override = secrets.aiBackends?.[name] || {};
+  const config = { name, ...base, ...override };
+  if (!config.type) config.type = name;
+  if (!["ollama", "openai", "stub"].includes(config.type)) {
+    throw new Error(`Unknown AI backend type "${config.type}" (expected ollama, openai, or stub)`);
+  }
+  return config;
+}
+
+/**
+ * Human-readable label for prompts and notices, e.g. "ollama (llama3.1:latest)"
+ * @param {Object} backend - Resolved backend config
+ * @returns {string}
+ */
+function describeAiBackend(backend) {
+  return `${backend.name} (${backend.model})`;
+}
+
+/**
+ * Send a prompt to the configured backend and return the raw text reply
+ * @param {Object} obsidian - Obsidian module (for requestUrl)
+ * @param {Object} backend - Resolved backend config from resolveAiBackend
+ * @param {string} prompt - Prompt text
+ * @returns {Promise<string>} - Model response text
+ */
+async function callAiBackend(obsidian, backend, prompt) {
+  if (backend.type === "stub") return stubAiResponse(backend, prompt);
+
+  if (!obsidian?.requestUrl) {
+    throw new Error("obsidian.requestUrl is not available");
+  }
+
+  const headers = { "Content-Type": "application/json" };
+  if (backend.apiKey) headers.Authorization = `Bearer ${backend.apiKey}`;
+
+  const body = backend.type === "ollama"
+    ? { model: backend.model, prompt, stream: false }
+    : { model: backend.model, messages: [{ role: "user", content: prompt }], stream: false };
+
+  let timeoutId;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      reject(new Error(`${backend.name} request timed out`));
+    }, backend.timeout || 60000);
+  });
+
+  try {
+    const response = await Promise.race([
+      obsidian.requestUrl({
+        url: backend.url,
+        method: "POST",
+        headers,
+        body: JSON.stringify(body),
+        throw: false,
+      }),
+      timeoutPromise,
+    ]);
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`${backend.name} returned HTTP ${response.status}`);
+    }
+
+    const data = typeof response.json === "object" ? response.json : JSON.parse(response.text || "{}");
+    if (backend.type === "ollama") return data.response || "";
+    return data.choices?.[0]?.message?.content || "";
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Deterministic reply for the stub backend: the configured response, or a
+ * fixed line derived from the prompt so repeated runs give the same output
+ * @param {Object} backend - Resolved backend config
+ * @param {string} prompt - Prompt text
+ * @returns {string}
+ */
+function stubAiResponse(backend, prompt) {
+  if (backend.response) return backend.response;
+  let hash = 5381;
+  for (let i = 0; i < prompt.length; i++) hash = ((hash * 33) ^ prompt.charCodeAt(i)) >>> 0;
+  return `ai_summary: "Stub summary for a ${prompt.length}-character prompt (${hash.toString(16)})."`;
+}
+
+// ============================================================================
+// 19. EMBEDDINGS
+// ============================================================================
+
+/**
+ * Default embedding backend settings, overridable in the secrets file under
+ * "embeddingBackends" with the active one chosen by "embeddingBackend"
+ */
+const EMBEDDING_BACKEND_DEFAULTS = {
+  backend: "ollama",
+  backends: {
+    // Ollama embeddings API
+    ollama: { type: "ollama", url: "http://localhost:11434/api/embed", model: "nomic-embed-text", timeout: 60000, apiKey: "" },
+    // Deterministic offline vectors (hashed bag of words) for testing
+    stub: { type: "stub", url: "", model: "stub", timeout: 0, apiKey: "", dimensions: 64 },
+  },
+};
+
+/**
+ * Resolve the active embedding backend from defaults plus secrets overrides
+ * @param {Object} secrets - Parsed secrets file (see loadSecrets)
+ * @param {string} backendName - Force a backend instead of secrets.embeddingBackend
+ * @returns {Object} - {name, type, url, model, timeout, apiKey, ...}
+ */
+function resolveEmbeddingBackend(secrets = {}, backendName = "") {
+  const name = backendName || secrets.embeddingBackend || EMBEDDING_BACKEND_DEFAULTS.backend;
+  const base = EMBEDDING_BACKEND_DEFAULTS.backends[name] || {};
+  const override = secrets.embeddingBackends?.[name] || {};
+  const config = { name, ...base, ...override };
+  if (!config.type) config.type = name;
+  if (!["ollama", "stub"].includes(config.type)) {
+    throw new Error(`Unknown embedding backend type "${config.type}" (expected ollama or stub)`);
+  }
+  return config;
+}
+
+/**
+ * Embed a piece of text with the configured backend
+ * @param {Object} obsidian - Obsidian module (for requestUrl)
+ * @param {Object} backend - Resolved backend config from resolveEmbeddingBackend
+ * @param {string} text - Text to embed
+ * @returns {Promise<number[]>} - Embedding vector
+ */
+async function callEmbeddingBackend(obsidian, backend, text) {
+  if (backend.type === "stub") return stubEmbedding(text, backend.dimensions);
+
+  if (!obsidian?.requestUrl) {
+    throw new Error("obsidian.requestUrl is not available");
+  }
+
+  const headers = { "Content-Type": "application/json" };
+  if (backend.apiKey) headers.Authorization = `Bearer ${backend.apiKey}`;
+
+  let timeoutId;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      reject(new Error(`${backend.name} embedding request timed out`));
+    }, backend.timeout || 60000);
+  });
+
+  try {
+    const response = await Promise.race([
+      obsidian.requestUrl({
+        url: backend.url,
+        method: "POST",
+        headers,
+        body: JSON.stringify({ model: backend.model, input: text }),
+        throw: false,
+      }),
+      timeoutPromise,
+    ]);
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`${backend.name} returned HTTP ${response.status}`);
+    }
+
+    const data = typeof response.json === "object" ? response.json : JSON.parse(response.text || "{}");
+    const vector = data.embeddings?.[0] || data.embedding;
+    if (!Array.isArray(vector) || vector.length === 0) throw new Error(`${backend.name} returned no embedding`);
+    return vector;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Deterministic embedding: words hashed into a fixed number of buckets, normalised
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector length (default 64)
+ * @returns {number[]}
+ */
+function stubEmbedding(text, dimensions = 64) {
+  const vector = new Array(dimensions).fill(0);
+  const words = String(text || "").toLowerCase().match(/[a-z0-9]+/g) || [];
+  for (const word of words) {
+    let hash = 5381;
+    for (let i = 0; i < word.length; i++) hash = ((hash * 33) ^ word.charCodeAt(i)) >>> 0;
+    vector[hash % dimensions] += 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map((v) => v / norm);
+}
+
+/**
+ * Cosine similarity between two vectors
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} - Similarity (-1 to 1; 0 if lengths differ)
+ */
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || a.length === 0) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// ============================================================================
+// 20. AI PROMPT TEMPLATES & VALIDATION
+// ============================================================================
+
+/**
+ * Load prompt template notes from a folder. Each note's body is the prompt;
+ * optional frontmatter narrows where it applies and sets word bounds:
+ *
+ *   types: [movie, series]
+ *   genres: [Fantasy, Science Fiction]
+ *   formats: [audiobook]
+ *   minWords: 120
+ *   maxWords: 180
+ *
+ * @param {Object} app - Obsidian app object
+ * @param {string} folder - Template folder path
+ * @returns {Promise<Array>} - [{name, path, body, types, genres, formats, minWords, maxWords}]
+ */
+async function loadPromptTemplates(app, folder) {
+  const prefix = folder.replace(/\/+$/, "") + "/";
+  const files = app.vault.getMarkdownFiles().filter((f) => f.path.startsWith(prefix));
+  const templates = [];
+
+  for (const file of files) {
+    const fm = app.metadataCache.getFileCache(file)?.frontmatter || {};
+    const text = await app.vault.read(file);
+    const body = text.replace(/^---\n[\s\S]*?\n---\n?/, "").trim();
+    if (!body) continue;
+
+    templates.push({
+      name: file.basename,
+      path: file.path,
+      body,
+      types: toLowerList(fm.types),
+      genres: toLowerList(fm.genres),
+      formats: toLowerList(fm.formats),
+      minWords: Number(fm.minWords) || 0,
+      maxWords: Number(fm.maxWords) || 0,
+    });
+  }
+
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Lowercased list from a frontmatter array, wikilink, or comma-separated string
+ * @param {*} value - Frontmatter value
+ * @returns {string[]}
+ */
+function toLowerList(value) {
+  const list = Array.isArray(value) ? value : value ? String(value).split(",") : [];
+  return list
+    .map((v) => String(v || "").replace(/^\[\[/, "").replace(/\]\]$/, "").split("|")[0].trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Pick the most specific template for a note. Templates with types/genres/formats
+ * only apply when they match; a type match outranks any format/genre match (so a
+ * genre-only template never beats one written for the note's type), then format
+ * outranks genre, and a template with none acts as the default.
+ * @param {Array} templates - From loadPromptTemplates
+ * @param {Object} note - {type: string, genres: string[], format: string}
+ * @returns {Object|null} - Best template or null
+ */
+function selectPromptTemplate(templates, { type = "", genres = [], format = "" } = {}) {
+  const noteType = String(type || "").toLowerCase();
+  const noteGenres = toLowerList(genres);
+  const noteFormat = String(format || "").toLowerCase();
+  let best = null;
+  let bestScore = -1;
+
+  for (const t of templates) {
+    let score = 0;
+    if (t.types.length > 0) {
+      if (!t.types.includes(noteType)) continue;
+      score += 8;
+    }
+    if (t.formats.length > 0) {
+      if (!t.formats.includes(noteFormat)) continue;
+      score += 4;
+    }
+    if (t.genres.length > 0) {
+      if (!t.genres.some((g) => noteGenres.includes(g))) continue;
+      score += 2;
+    }
+    if (score > bestScore) {
+      best = t;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Replace {{placeholders}} in a template; unknown placeholders become empty
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string}
+ */
+function renderPromptTemplate(template, values) {
+  return String(template || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    const v = values[key];
+    return v === undefined || v === null ? "" : String(v);
+  });
+}
+
+/**
+ * Count words in a string
+ * @param {string} text - Input text
+ * @returns {number}
+ */
+function countWords(text) {
+  return String(text || "").trim().split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Find a run of words copied verbatim from the source text
+ * @param {string} output - Generated text
+ * @param {string} source - Text that must not be copied (e.g. description)
+ * @param {number} runLength - Consecutive words that count as copying (default 10)
+ * @returns {string} - The copied passage, or "" if none
+ */
+function findCopiedPassage(output, source, runLength = 10) {
+  const words = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9'\s]/g, " ").split(/\s+/).filter(Boolean);
+  const out = words(output);
+  const src = words(source);
+  if (out.length < runLength || src.length < runLength) return "";
+
+  const runs = new Set();
+  for (let i = 0; i + runLength <= src.length; i++) runs.add(src.slice(i, i + runLength).join(" "));
+  for (let i = 0; i + runLength <= out.length; i++) {
+    const run = out.slice(i, i + runLength).join(" ");
+    if (runs.has(run)) return run;
+  }
+  return "";
+}
+
+/**
+ * Validate generated text against word bounds and copying from a source
+ * @param {string} text - Generated text
+ * @param {Object} rules - {minWords, maxWords, source, runLength}
+ * @returns {{ok: boolean, reason: string, words: number}}
+ */
+function validateAiOutput(text, { minWords = 0, maxWords = 0, source = "", runLength = 10 } = {}) {
+  const words = countWords(text);
+  if (!words) return { ok: false, reason: "empty output", words };
+  if (minWords && words < minWords) return { ok: false, reason: `too short (${words} words, minimum ${minWords})`, words };
+  if (maxWords && words > maxWords) return { ok: false, reason: `too long (${words} words, maximum ${maxWords})`, words };
+  const copied = findCopiedPassage(text, source, runLength);
+  if (copied) return { ok: false, reason: `copies the existing description ("${copied}")`, words };
+  return { ok: true, reason: "", words };
+}
+
+/**
+ * Append a rejected AI output to a markdown log
+ * @param {Object} app - Obsidian app object
+ * @param {string} logFile - Log path (e.g. .obsidian/ai-summary-rejected.md)
+ * @param {Object} entry - {note, template, attempt, reason, output}
+ */
+async function appendRejectedOutput(app, logFile, entry) {
+  try {
+    const exists = await app.vault.adapter.exists(logFile);
+    const header = exists ? await app.vault.adapter.read(logFile) : "# Rejected AI Output\n";
+    const block = [
+      ``,
+      `## ${entry.note} (${new Date().toISOString()})`,
+      `- Template: ${entry.template || "built-in"}`,
+      `- Attempt: ${entry.attempt}`,
+      `- Reason: ${entry.reason}`,
+      ``,
+      `> ${String(entry.output || "").replace(/\s+/g, " ").trim()}`,
+      ``,
+    ].join("\n");
+    await app.vault.adapter.write(logFile, header.trimEnd() + "\n" + block);
+  } catch (e) {
+    console.error("Failed to log rejected AI output:", e);
+  }
+}
+
+// ============================================================================
+// 21. ZIP ARCHIVES
+// ============================================================================
+
+/**
+ * Inflate raw DEFLATE data (zip compression method 8)
+ * Uses DecompressionStream, available on desktop and iOS 16.4+
+ * @param {Uint8Array} bytes - Compressed data
+ * @returns {Promise<Uint8Array>} - Decompressed data
+ */
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("This device cannot decompress zip files; extract the archive first.");
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read text files from a zip archive
+ * Only stored and deflated entries are supported (what most exporters write).
+ * @param {ArrayBuffer} buffer - Zip file contents (e.g. from adapter.readBinary)
+ * @param {Function} wanted - (entryName) => boolean, which entries to read (default all)
+ * @returns {Promise<Object>} - {entryName: text}
+ */
+async function readZipTextFiles(buffer, wanted = () => true) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+
+  // End of central directory record: last 22 bytes plus an optional comment
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("Not a zip file");
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder("utf-8");
+  const files = {};
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error("Corrupt zip central directory");
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/") || !wanted(name)) continue;
+    if (method !== 0 && method !== 8) {
+      console.warn(`Skipping zip entry with unsupported compression: ${name}`);
+      continue;
+    }
+
+    // Local header name/extra lengths can differ from the central directory
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+    files[name] = decoder.decode(method === 8 ? await inflateRaw(data) : data);
+  }
+
+  return files;
+}
+
 // ============================================================================
 // EXPORTS (for reference - copy needed functions into your script)
 // ============================================================================
@@ -2022,4 +2575,17 @@ RECOMMENDED COPY ORDER FOR NEW SCRIPTS:
     - buildEpisodeCacheFromVault
     - findTmdbEpisodeByTitle, findEpisodeAcrossSeasons
     - promptEpisodeSelection (for low-confidence matches)
+
+11. For AI generation, add:
+    - loadSecrets
+    - AI_BACKEND_DEFAULTS, resolveAiBackend, describeAiBackend
+    - callAiBackend, stubAiResponse
+    - EMBEDDING_BACKEND_DEFAULTS, resolveEmbeddingBackend, callEmbeddingBackend
+    - stubEmbedding, cosineSimilarity (for similarity search)
+    - loadPromptTemplates, toLowerList, selectPromptTemplate, renderPromptTemplate
+    - countWords, findCopiedPassage, validateAiOutput, appendRejectedOutput
+
+12. For export archives (e.g. Letterboxd), add:
+    - inflateRaw, readZipTextFiles
+    - parseCSVRecords (exports often have multi-line quoted fields)
 */